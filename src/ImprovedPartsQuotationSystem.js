@@ -1,9 +1,47 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { flushSync } from 'react-dom';
 import * as XLSX from 'xlsx';
+import { loadPdfTextItems, parsePdfTable, pagesToText } from './pdfTableParser';
+import {
+    isIndexedDbAvailable, loadParts, saveParts, clearParts, listSnapshots, saveSnapshot, loadPriceHistory, savePriceHistory,
+    appendAuditEntries, loadAuditLog
+} from './partsStore';
+import {
+    BACKUP_SCHEMA_VERSION,
+    BACKUP_SECTIONS,
+    buildBackupBundle,
+    migrateBackupBundle,
+    parseBackupFile,
+    summarizeBackup,
+    backupFileName
+} from './backupBundle';
+import {
+    AUTO_MATCH_SCORE,
+    normalizePartNo,
+    buildPartIndex,
+    matchDrawingNo,
+    buildPartLinkIndex,
+    resolveSupersession,
+    matchPartNumbers
+} from './partMatcher';
+import {
+    USER_ROLES,
+    SESSION_IDLE_MINUTES,
+    hasPermission,
+    loadUsers,
+    saveUsers,
+    buildUserRecord,
+    authenticate,
+    startSession,
+    touchSession,
+    endSession,
+    readSession,
+    isSessionExpired,
+    restoreSession
+} from './userAccounts';
 
-// 注意：在实际项目中，需要在HTML中引入以下外部库
-// PDF.js 和 mammoth.js 用于解析PDF和Word文档
-// <script src="https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.16.105/pdf.min.js"></script>
+// 注意：PDF 解析使用随应用打包的 pdfjs-dist。
+// Word 文档解析仍需在HTML中引入 mammoth.js：
 // <script src="https://cdnjs.cloudflare.com/ajax/libs/mammoth/1.4.21/mammoth.browser.min.js"></script>
 
 // ------------------ 1. 常量、正则及辅助函数 ------------------ //
@@ -117,43 +155,30 @@ function removeDuplicates(data) {
 }
 
 // ------------------ 2. "增强"模糊匹配 ------------------ //
-function enhancedFuzzyMatch(importedId, partsData) {
-    // 完全匹配
-    const exactMatch = partsData.find(
-        part => String(part['图号']).trim() === String(importedId).trim()
-    );
-    if (exactMatch) return { ...exactMatch, matchType: 'exact' };
-
-    // 不区分大小写匹配
-    const caseInsensitiveMatch = partsData.find(
-        part => String(part['图号']).toLowerCase().trim() === String(importedId).toLowerCase().trim()
-    );
-    if (caseInsensitiveMatch) return { ...caseInsensitiveMatch, matchType: 'caseInsensitive' };
+// 匹配逻辑见 partMatcher.js，批量匹配在 partMatchWorker.js 中进行
 
-    // 去除所有空格后匹配
-    const noSpaceImportedId = String(importedId).replace(/\s+/g, '');
-    const noSpaceMatch = partsData.find(
-        part => String(part['图号']).replace(/\s+/g, '') === noSpaceImportedId
-    );
-    if (noSpaceMatch) return { ...noSpaceMatch, matchType: 'noSpace' };
+// 需要逐项人工审核的匹配方式；新配件也需要审核
+const REVIEW_MATCH_TYPES = ['fuzzy', 'caseInsensitive', 'noSpace'];
 
-    // 模糊匹配 - 替换常见符号差异
-    const normalizedImportedId = String(importedId)
-        .replace(/[-_．.・]/g, '-')
-        .replace(/\s+/g, '')
-        .toLowerCase();
-    
-    const fuzzyMatch = partsData.find(part => {
-        const normalizedPartId = String(part['图号'])
-            .replace(/[-_．.・]/g, '-')
-            .replace(/\s+/g, '')
-            .toLowerCase();
-        return normalizedPartId === normalizedImportedId;
-    });
-    
-    if (fuzzyMatch) return { ...fuzzyMatch, matchType: 'fuzzy' };
+function lineNeedsReview(part) {
+    return Boolean(part.isNew) || REVIEW_MATCH_TYPES.includes(part.matchType);
+}
 
-    return null;
+// 报价明细导出时的匹配方式说明
+function getMatchTypeLabel(part) {
+    if (part.matchType === 'fuzzy') {
+        return part.confidence ? `模糊匹配（置信度 ${Math.round(part.confidence * 100)}%）` : '模糊匹配';
+    }
+    if (part.matchType === 'manual') return '人工指定';
+    if (part.matchType === 'alias') return '已学习别名';
+    if (part.isNew) return '新配件';
+    if (part.supersession) {
+        return `替代件（原图号 ${part.supersession.from} 已被 ${part.supersession.to} 替代${part.supersession.pending ? '，新图号未入库' : ''}）`;
+    }
+    if (part.matchType === 'crossReference') {
+        return `编号对照（${[part.crossReference.owner, part.crossReference.externalNo].filter(Boolean).join(' ')}）`;
+    }
+    return '精确匹配';
 }
 
 // ------------------ 3. 各种文件解析逻辑 ------------------ //
@@ -296,68 +321,25 @@ async function extractPartsFromDocText(text) {
     return await extractPartsFromPdfText(text);
 }
 
-// 使用PDFjs提取PDF文本内容
-async function extractTextFromPdf(fileContent) {
-    if (typeof window.pdfjsLib === 'undefined') {
-        // 如果PDFjs库不可用，尝试使用模拟数据
-        console.warn('PDF解析库未加载，使用模拟数据');
-        return `
-            客户订单单
-            订单号: OD-123456
-            日期: 2025-03-15
-            
-            配件清单:
-            1. 135-01-003A 输入轴总成 数量: 2
-            2. M10X25GB32.1-88 普通螺栓 数量: 10
-            3. 6317N 轴承 数量: 4
-            4. FB-SC115•140•14D 油封 数量: 1
-            5. NJ313 轴承 数量: 5
-            6. 135A-03A-016A 轴套 数量: 3
-        `;
-    }
-    
-    try {
-        // 加载PDF文档
-        const loadingTask = window.pdfjsLib.getDocument({ data: fileContent });
-        const pdf = await loadingTask.promise;
-        
-        let fullText = '';
-        
-        // 遍历每一页并提取文本
-        for (let i = 1; i <= pdf.numPages; i++) {
-            const page = await pdf.getPage(i);
-            const textContent = await page.getTextContent();
-            const pageText = textContent.items.map(item => item.str).join(' ');
-            fullText += pageText + '\n';
-        }
-        
-        return fullText;
-    } catch (error) {
-        console.error('PDF解析错误:', error);
-        throw new Error('PDF文件解析失败: ' + error.message);
+// 使用pdf.js按位置重建表格并提取配件信息
+async function extractPartsFromPdf(fileContent) {
+    const pages = await loadPdfTextItems(fileContent);
+    if (pages.every(page => page.items.length === 0)) {
+        throw new Error('PDF中没有可提取的文字，可能是扫描件，请提供电子版PDF或Excel文件');
     }
+
+    // 优先按表头列位置解析，找不到表头时再逐行识别配件号
+    const tableParts = parsePdfTable(pages);
+    if (tableParts) return tableParts;
+    return await extractPartsFromPdfText(pagesToText(pages));
 }
 
 // 使用mammoth提取Word文档文本内容
 async function extractTextFromDoc(fileContent) {
     if (typeof window.mammoth === 'undefined') {
-        // 如果mammoth库不可用，尝试使用模拟数据
-        console.warn('Word解析库未加载，使用模拟数据');
-        return `
-            客户订单单
-            订单号: OD-123456
-            日期: 2025-03-15
-            
-            配件清单:
-            1. 135-01-003A 输入轴总成 数量: 2
-            2. M10X25GB32.1-88 普通螺栓 数量: 10
-            3. 6317N 轴承 数量: 4
-            4. FB-SC115•140•14D 油封 数量: 1
-            5. NJ313 轴承 数量: 5
-            6. 135A-03A-016A 轴套 数量: 3
-        `;
+        throw new Error('Word 解析库 mammoth.js 未加载，无法读取 Word 文档。请检查网络连接后刷新页面，或将文档另存为 PDF 或 Excel 后再导入');
     }
-    
+
     try {
         // 使用mammoth提取文本
         const result = await window.mammoth.extractRawText({ arrayBuffer: fileContent });
@@ -369,70 +351,25 @@ async function extractTextFromDoc(fileContent) {
 }
 
 // 从不同类型的文档中提取配件信息的统一接口
+// 解析失败时直接抛出错误，由调用方提示用户，不再返回模拟数据
 async function extractPartsFromDocument(file, fileContent) {
     const fileType = detectFileType(file.name);
-    
-    try {
-        switch (fileType) {
-            case 'excel':
-                const workbook = XLSX.read(fileContent, ROBUST_EXCEL_OPTIONS);
-                return await extractGenericPartsList(workbook);
-                
-            case 'pdf':
-                try {
-                    // 先尝试使用PDFjs提取文本
-                    const pdfText = await extractTextFromPdf(fileContent);
-                    return await extractPartsFromPdfText(pdfText);
-                } catch (error) {
-                    console.error('PDF解析失败，使用模拟提取:', error);
-                    // 如果PDF解析失败，使用模拟数据
-                    return getMockPartsData();
-                }
-                
-            case 'word':
-                try {
-                    // 尝试使用mammoth提取Word文档文本
-                    const docText = await extractTextFromDoc(fileContent);
-                    return await extractPartsFromDocText(docText);
-                } catch (error) {
-                    console.error('Word文档解析失败，使用模拟提取:', error);
-                    // 如果Word解析失败，使用模拟数据
-                    return getMockPartsData();
-                }
-                
-            default:
-                throw new Error('不支持的文件类型: ' + fileType);
-        }
-    } catch (error) {
-        console.error('文档处理错误:', error);
-        // 如果解析失败，返回一些模拟数据，以便系统可以继续运行
-        return [
-            { '图号': '135-01-003A', '名称': '输入轴总成', '数量': 2, '备注': '从模拟数据' },
-            { '图号': 'M10X25GB32.1-88', '名称': '普通螺栓', '数量': 10, '备注': '从模拟数据' },
-            { '图号': '6317N', '名称': '轴承', '数量': 4, '备注': '从模拟数据' },
-            { '图号': 'FB-SC115•140•14D', '名称': '油封', '数量': 1, '备注': '从模拟数据' },
-            { '图号': 'NJ313', '名称': '轴承', '数量': 5, '备注': '从模拟数据' },
-            { '图号': '135A-03A-016A', '名称': '轴套', '数量': 3, '备注': '从模拟数据' }
-        ];
-    }
-}
 
-// 模拟从 PDF 或特殊文档中提取到的配件列表 (用于开发测试)
-function getMockPartsData() {
-    return [
-        { '图号': '135-01-003A', '名称': '输入轴总成', '数量': 2, '备注': '模拟数据' },
-        { '图号': 'B12X40GB120-86', '名称': '紧固螺栓', '数量': 8, '备注': '模拟数据' },
-        { '图号': 'M10X25GB32.1-88', '名称': '螺栓', '数量': 12, '备注': '模拟数据' },
-        { '图号': '135-01-002', '名称': '调整插头', '数量': 1, '备注': '模拟数据' },
-        { '图号': '6317N', '名称': '轴承', '数量': 4, '备注': '模拟数据' },
-        { '图号': '135-01-004', '名称': '输入轴套', '数量': 1, '备注': '模拟数据' },
-        { '图号': 'NJ313', '名称': '轴承', '数量': 2, '备注': '模拟数据' },
-        { '图号': '135-01-007', '名称': '输入端止推环', '数量': 1, '备注': '模拟数据' },
-        { '图号': '135-01-024B', '名称': '离合器壳体', '数量': 1, '备注': '模拟数据' },
-        { '图号': '135-01-032', '名称': '内六角螺钉', '数量': 6, '备注': '模拟数据' },
-        { '图号': '135A-03A-016A', '名称': '轴套', '数量': 2, '备注': '模拟数据' },
-        { '图号': 'FB-SC115•140•14D', '名称': '油封', '数量': 1, '备注': '模拟数据' }
-    ];
+    switch (fileType) {
+        case 'excel':
+            const workbook = XLSX.read(fileContent, ROBUST_EXCEL_OPTIONS);
+            return await extractGenericPartsList(workbook);
+
+        case 'pdf':
+            return await extractPartsFromPdf(fileContent);
+
+        case 'word':
+            const docText = await extractTextFromDoc(fileContent);
+            return await extractPartsFromDocText(docText);
+
+        default:
+            throw new Error('不支持的文件类型: ' + fileType);
+    }
 }
 
 async function extractGenericPartsList(workbook) {
@@ -481,1375 +418,6893 @@ async function extractGenericPartsList(workbook) {
     return removeDuplicates(extractedParts);
 }
 
-async function extractAdvancePartsList(workbook) {
+// ------------------ 结构化配件单解析辅助函数 ------------------ //
+
+// 表头单元格归一化：忽略大小写、空格及常见标点，如 "Part No." -> "partno"
+function normalizeHeaderCell(value) {
+    return String(value || '').replace(/[\s.:：'’()（）/_-]/g, '').toLowerCase();
+}
+
+// 在工作表前若干行中查找表头行，返回表头所在行号及各字段对应的列号。
+// columnKeywords 形如 { partNo: ['partno', '图号'], qty: ['qty'] }，
+// requiredKeys 中的字段必须全部出现才认为是表头。
+function locateHeaderRow(rows, columnKeywords, requiredKeys, maxScanRows = 30) {
+    const limit = Math.min(rows.length, maxScanRows);
+    for (let r = 0; r < limit; r++) {
+        const columns = {};
+        (rows[r] || []).forEach((cell, c) => {
+            const text = normalizeHeaderCell(cell);
+            if (!text) return;
+            const key = Object.keys(columnKeywords).find(k =>
+                columns[k] === undefined && columnKeywords[k].includes(text)
+            );
+            if (key) columns[key] = c;
+        });
+        if (requiredKeys.every(key => columns[key] !== undefined)) {
+            return { headerIndex: r, columns };
+        }
+    }
+    return null;
+}
+
+function cellText(row, columnIndex) {
+    if (columnIndex === undefined || !row) return '';
+    const value = row[columnIndex];
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+// 整行非空单元格拼接成文本，用于分组标题和无法识别行的提示
+function rowContent(row) {
+    return (row || []).map(cell => String(cell).trim()).filter(Boolean).join(' ');
+}
+
+// 解析数量单元格，无法识别时返回 null
+function parseQuantityCell(value) {
+    const text = String(value || '').replace(/,/g, '').trim();
+    if (!/^\d+(\.\d+)?$/.test(text)) return null;
+    const qty = parseFloat(text);
+    return qty > 0 ? qty : null;
+}
+
+// 同一件号在多个分组或工作表中重复出现时合并为一行并累加数量，避免报价单中出现标识码相同的多行。
+// 保留第一次出现的名称和分组，后面出现的位置记入备注。
+function mergeRepeatedParts(parts) {
+    const merged = new Map();
+    for (const part of parts) {
+        const key = normalizePartNo(part['图号']);
+        const existing = merged.get(key);
+        if (!existing) {
+            merged.set(key, { ...part });
+            continue;
+        }
+        existing['数量'] += part['数量'];
+        existing['备注'] = [
+            existing['备注'],
+            `另见${part['备注'].split('; ')[0]}` + (part['分组'] ? `（分组 ${part['分组']}）` : '') + `，数量${part['数量']}`
+        ].filter(Boolean).join('; ');
+    }
+    return Array.from(merged.values());
+}
+
+// ADVANCE 配件清单表头：Item / Part No. / Description / Qty / Unit，也接受中文表头
+const ADVANCE_COLUMNS = {
+    item: ['item', 'itemno', 'pos', 'no', '序号'],
+    partNo: ['partno', 'partnumber', 'pn', 'drawingno', '图号', '件号'],
+    description: ['description', 'partname', 'name', '名称', '件名'],
+    qty: ['qty', 'quantity', 'qnty', '数量'],
+    unit: ['unit', 'uom', 'units', '单位'],
+    remark: ['remark', 'remarks', 'note', '备注']
+};
+
+async function extractAdvancePartsList(workbook, columnKeywords = ADVANCE_COLUMNS) {
     console.log("解析 Advance 配件清单...");
-    return await extractGenericPartsList(workbook);
+    const parts = [];
+    const unparsedRows = [];
+    let headerFound = false;
+
+    for (const sheetName of workbook.SheetNames) {
+        const sheet = workbook.Sheets[sheetName];
+        if (!sheet || !sheet['!ref']) continue;
+        const firstRow = XLSX.utils.decode_range(sheet['!ref']).s.r;
+        const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: true });
+        const header = locateHeaderRow(rows, columnKeywords, ['partNo', 'qty']);
+        if (!header) {
+            console.warn(`工作表 ${sheetName} 中未找到 ADVANCE 表头，已跳过`);
+            continue;
+        }
+        headerFound = true;
+
+        const { headerIndex, columns } = header;
+        let currentGroup = '';
+        for (let r = headerIndex + 1; r < rows.length; r++) {
+            const row = rows[r] || [];
+            const rowNumber = firstRow + r + 1;
+            if (row.every(cell => String(cell).trim() === '')) continue;
+
+            const partNo = cellText(row, columns.partNo);
+            const qtyText = cellText(row, columns.qty);
+            const description = cellText(row, columns.description);
+
+            // 重复出现的表头（跨页打印时常见）
+            if (normalizeHeaderCell(partNo) && columnKeywords.partNo.includes(normalizeHeaderCell(partNo))) continue;
+
+            if (!partNo) {
+                if (!qtyText) {
+                    // 没有件号和数量的行视为分组标题，如 "INPUT SHAFT ASSEMBLY"
+                    currentGroup = rowContent(row);
+                } else {
+                    unparsedRows.push({ sheetName, rowNumber, reason: '缺少件号', content: rowContent(row) });
+                }
+                continue;
+            }
+
+            const quantity = parseQuantityCell(qtyText);
+            if (qtyText && quantity === null) {
+                unparsedRows.push({ sheetName, rowNumber, reason: `数量无法识别: ${qtyText}`, content: rowContent(row) });
+                continue;
+            }
+
+            const unit = cellText(row, columns.unit);
+            const item = cellText(row, columns.item);
+            const remark = cellText(row, columns.remark);
+            parts.push({
+                '图号': partNo,
+                '名称': description || '未知配件',
+                '数量': quantity || 1,
+                '单价': 0,
+                '分组': currentGroup,
+                '备注': [
+                    `ADVANCE ${sheetName} 第${rowNumber}行`,
+                    item ? `Item ${item}` : '',
+                    unit ? `单位:${unit}` : '',
+                    quantity === null ? '未填数量，默认为1' : '',
+                    remark
+                ].filter(Boolean).join('; ')
+            });
+        }
+    }
+
+    if (!headerFound) {
+        throw new Error('未找到 ADVANCE 配件清单表头（需包含 Part No. 和 Qty 列）');
+    }
+    return { parts: mergeRepeatedParts(parts), unparsedRows };
+}
+
+// 读取工作表为二维数组，并把表头区域（前 headerRows 行）内合并单元格的值填充到合并区域内的每个单元格，
+// 以便识别多行表头。从数据区开始的合并单元格不填充：横向合并的分组标题会被误当作件号，
+// 纵向合并会把件号、数量复制到下面的每一行，造成重复配件。
+function readSheetRowsWithMerges(sheet, headerRows = 30) {
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: true });
+    for (const merge of sheet['!merges'] || []) {
+        const top = merge.s.r - range.s.r;
+        const left = merge.s.c - range.s.c;
+        if (!rows[top] || top >= headerRows) continue;
+        const value = rows[top][left];
+        for (let r = top; r <= merge.e.r - range.s.r; r++) {
+            if (!rows[r]) rows[r] = [];
+            for (let c = left; c <= merge.e.c - range.s.c; c++) {
+                if (rows[r][c] === undefined || rows[r][c] === '') rows[r][c] = value;
+            }
+        }
+    }
+    return rows;
 }
 
-async function extractXiamenPartsList(workbook) {
+// 厦门斯太琪 订货单表头：序号 / 件号 / 件名 / 数量 / 单位 / 备注
+const XIAMEN_COLUMNS = {
+    item: ['序号', '项次'],
+    partNo: ['件号', '图号', '零件号', '零件图号', '物料编码'],
+    name: ['件名', '名称', '品名', '零件名称', '配件名称'],
+    qty: ['数量', '订购数量', '订货数量', '需求数量'],
+    unit: ['单位'],
+    remark: ['备注', '说明']
+};
+
+async function extractXiamenPartsList(workbook, columnKeywords = XIAMEN_COLUMNS) {
     console.log("解析 厦门斯太琪 配件单...");
-    return await extractGenericPartsList(workbook);
+    const parts = [];
+    const unparsedRows = [];
+    let headerFound = false;
+
+    for (const sheetName of workbook.SheetNames) {
+        const sheet = workbook.Sheets[sheetName];
+        if (!sheet || !sheet['!ref']) continue;
+        const firstRow = XLSX.utils.decode_range(sheet['!ref']).s.r;
+        const header = locateHeaderRow(readSheetRowsWithMerges(sheet), columnKeywords, ['partNo', 'qty']);
+        if (!header) {
+            // 封面、汇总等工作表没有配件表头
+            console.warn(`工作表 ${sheetName} 中未找到 件号/数量 表头，已跳过`);
+            continue;
+        }
+        headerFound = true;
+
+        const { headerIndex, columns } = header;
+        // 找到表头后重新读取，只填充从表头及其上方开始的合并单元格
+        const rows = readSheetRowsWithMerges(sheet, headerIndex + 1);
+        for (let r = headerIndex + 1; r < rows.length; r++) {
+            const row = rows[r] || [];
+            const rowNumber = firstRow + r + 1;
+            const content = rowContent(row);
+            if (!content || /^(合计|总计|小计)/.test(content)) continue;
+
+            const partNo = cellText(row, columns.partNo);
+            const qtyText = cellText(row, columns.qty);
+            // 双行表头的第二行或跨页重复的表头
+            if (columnKeywords.partNo.includes(normalizeHeaderCell(partNo))) continue;
+
+            if (!partNo) {
+                if (qtyText) {
+                    unparsedRows.push({ sheetName, rowNumber, reason: '缺少件号', content });
+                }
+                continue;
+            }
+
+            const quantity = parseQuantityCell(qtyText);
+            if (qtyText && quantity === null) {
+                unparsedRows.push({ sheetName, rowNumber, reason: `数量无法识别: ${qtyText}`, content });
+                continue;
+            }
+
+            const item = cellText(row, columns.item);
+            const unit = cellText(row, columns.unit);
+            const remark = cellText(row, columns.remark);
+            parts.push({
+                '图号': partNo,
+                '名称': cellText(row, columns.name) || '未知配件',
+                '数量': quantity || 1,
+                '单价': 0,
+                '备注': [
+                    `厦门斯太琪订单「${sheetName}」第${rowNumber}行` + (item ? `(序号${item})` : ''),
+                    unit ? `单位:${unit}` : '',
+                    quantity === null ? '未填数量，默认为1' : '',
+                    remark
+                ].filter(Boolean).join('; ')
+            });
+        }
+    }
+
+    if (!headerFound) {
+        throw new Error('未找到厦门斯太琪订货单表头（需包含 件号 和 数量 列）');
+    }
+    return { parts: mergeRepeatedParts(parts), unparsedRows };
+}
+
+// ------------------ 供应商配件单格式注册表 ------------------ //
+// 每种格式由一个描述对象定义：
+//   id / label   - 格式标识和界面显示名称
+//   columns      - 表头列映射（字段 -> 可接受的表头文字）
+//   signature    - 识别规则：headers 为该格式特有的表头文字，keywords 为表头上方标题区的关键字
+//   detect       - 可选，自定义识别函数，返回 0~1 的置信度
+//   parse        - 解析函数 parse(workbook, columns)，按 columns 查找表头，返回 { parts, unparsedRows }
+//   fallback     - 为 true 时表示兜底格式，其它格式都不匹配时直接使用，不再询问
+const SUPPLIER_FORMATS = [];
+
+function registerSupplierFormat(format) {
+    if (!format || !format.id || typeof format.parse !== 'function') {
+        throw new Error('配件单格式必须包含 id 和 parse 函数');
+    }
+    const index = SUPPLIER_FORMATS.findIndex(f => f.id === format.id);
+    if (index >= 0) {
+        SUPPLIER_FORMATS[index] = format;
+    } else {
+        SUPPLIER_FORMATS.push(format);
+    }
+}
+
+function getSupplierFormat(id) {
+    return SUPPLIER_FORMATS.find(format => format.id === id) || null;
+}
+
+// 根据表头特征和标题关键字计算工作簿与某格式的匹配程度
+function scoreFormatSignature(workbook, signature) {
+    const headers = (signature.headers || []).map(normalizeHeaderCell);
+    const keywords = (signature.keywords || []).map(k => k.toLowerCase());
+    let headerScore = 0;
+    let keywordScore = 0;
+
+    for (const sheetName of workbook.SheetNames) {
+        const sheet = workbook.Sheets[sheetName];
+        if (!sheet || !sheet['!ref']) continue;
+        const rows = readSheetRowsWithMerges(sheet).slice(0, 30);
+        for (let r = 0; r < rows.length; r++) {
+            const cells = (rows[r] || []).map(normalizeHeaderCell).filter(Boolean);
+            if (headers.length > 0) {
+                const hits = headers.filter(h => cells.includes(h)).length;
+                headerScore = Math.max(headerScore, hits / headers.length);
+            }
+            const text = rowContent(rows[r]).toLowerCase();
+            if (r < 10 && keywords.some(k => text.includes(k))) {
+                keywordScore = 1;
+            }
+        }
+    }
+    return keywords.length > 0 ? headerScore * 0.8 + keywordScore * 0.2 : headerScore;
 }
 
+// 对所有已注册格式打分，按置信度从高到低返回
+function detectSupplierFormat(workbook) {
+    return SUPPLIER_FORMATS
+        .map(format => {
+            let confidence = 0;
+            try {
+                confidence = format.detect
+                    ? format.detect(workbook)
+                    : scoreFormatSignature(workbook, format.signature || {});
+            } catch (error) {
+                console.error(`格式识别出错 (${format.id}):`, error);
+            }
+            return { format, confidence: Math.max(0, Math.min(1, confidence)) };
+        })
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+// 低于此置信度时提示用户手动确认格式
+const FORMAT_CONFIDENCE_THRESHOLD = 0.5;
+
+registerSupplierFormat({
+    id: 'advance',
+    label: 'ADVANCE 配件清单',
+    columns: ADVANCE_COLUMNS,
+    signature: {
+        headers: ['item', 'partno', 'description', 'qty', 'unit'],
+        keywords: ['advance']
+    },
+    parse: extractAdvancePartsList
+});
+
+registerSupplierFormat({
+    id: 'xiamen',
+    label: '厦门斯太琪 订货单',
+    columns: XIAMEN_COLUMNS,
+    signature: {
+        headers: ['序号', '件号', '件名', '数量', '单位'],
+        keywords: ['斯太琪', '厦门']
+    },
+    parse: extractXiamenPartsList
+});
+
+// 通用格式没有固定表头，作为兜底，置信度固定为较低值
+registerSupplierFormat({
+    id: 'generic',
+    label: '通用配件单',
+    columns: null,
+    fallback: true,
+    detect: () => 0.3,
+    parse: async (workbook) => ({ parts: await extractGenericPartsList(workbook), unparsedRows: [] })
+});
+
 // ------------------ 4. 批量处理已提取的配件并进行匹配 ------------------ //
+// 主线程匹配时每批处理的图号数量
+const MATCH_BATCH_SIZE = 100;
+
+// matchParts(importedIds, onProgress) 返回与图号一一对应的匹配结果，见 partMatcher.matchPartNumbers；
+// replaceQuoteLines(lines) 用匹配结果替换当前报价单的配件行。返回替换后的配件行
 async function processExtractedParts(
     extractedParts,
-    partsData,
-    setSelectedParts,
+    matchParts,
+    replaceQuoteLines,
     setView,
     setInfoMessage,
     setLoading,
-    setCurrentPage
+    setCurrentPage,
+    unparsedRows = []
 ) {
     console.log("处理 " + extractedParts.length + " 个提取的配件...");
     if (extractedParts.length === 0) {
         setLoading(false);
         setInfoMessage(null);
         alert('未能从文件中提取到任何配件号，请检查文件格式。');
-        return;
+        return null;
     }
     setInfoMessage(`正在匹配 ${extractedParts.length} 个配件，请稍候...`);
-    const batchSize = 20;
+    const results = await matchParts(
+        extractedParts.map(part => part['图号']),
+        (done, total) => setInfoMessage(`已匹配 ${done}/${total} 个配件 (${Math.round((done / total) * 100)}%)...`)
+    );
+
     const matchedParts = [];
     let matchedCount = 0;
     let newCount = 0;
-    let processedCount = 0;
-    function processBatch(startIndex) {
-        if (startIndex >= extractedParts.length) {
-            finishProcessing();
+    extractedParts.forEach((part, i) => {
+        const { match, candidates, error } = results[i];
+        if (error) {
+            console.error(`处理配件时出错 (${part['图号']}):`, error);
             return;
         }
-        const endIndex = Math.min(startIndex + batchSize, extractedParts.length);
-        const batch = extractedParts.slice(startIndex, endIndex);
-        for (const part of batch) {
-            try {
-                const matchResult = enhancedFuzzyMatch(part['图号'], partsData);
-                if (matchResult) {
-                    matchedCount++;
-                    matchedParts.push({
-                        ...matchResult,
-                        importedId: part['图号'],
-                        quantity: part['数量'] || 1,
-                        importedPrice: part['单价'] || 0,
-                        importedRemark: part['备注'] || ''
-                    });
-                } else {
-                    newCount++;
-                    matchedParts.push({
-                        '标识码': "NEW_" + part['图号'],
-                        '图号': part['图号'],
-                        '名称': part['名称'] || '未知配件',
-                        '指导价（不含税）': 0,
-                        '出厂价（不含税）': 0,
-                        '服务价（不含税）': 0,
-                        '指导价（含税）': 0,
-                        '出厂价（含税）': 0,
-                        '服务价（含税）': part['单价'] || 0,
-                        '备注': part['备注'] || "从客户文件导入: " + part['图号'],
-                        'quantity': part['数量'] || 1,
-                        'isNew': true,
-                        'importedId': part['图号'],
-                        'matchType': 'none'
-                    });
-                }
-            } catch (error) {
-                console.error(`处理配件时出错 (${part['图号']}):`, error);
-            }
-            processedCount++;
-        }
-        const totalItems = extractedParts.length || 1;
-        const percentage = Math.min(100, Math.round((processedCount / totalItems) * 100));
-        setInfoMessage(`已处理 ${processedCount}/${totalItems} 个配件 (${percentage}%)...`);
-        if (endIndex < extractedParts.length) {
-            setTimeout(() => processBatch(endIndex), 10);
+        if (match) {
+            matchedCount++;
+            matchedParts.push({
+                ...match,
+                importedId: part['图号'],
+                quantity: part['数量'] || 1,
+                importedPrice: part['单价'] || 0,
+                importedRemark: part['备注'] || '',
+                group: part['分组'] || ''
+            });
         } else {
-            finishProcessing();
+            newCount++;
+            matchedParts.push({
+                '标识码': "NEW_" + part['图号'],
+                '图号': part['图号'],
+                '名称': part['名称'] || '未知配件',
+                '指导价（不含税）': 0,
+                '出厂价（不含税）': 0,
+                '服务价（不含税）': 0,
+                '指导价（含税）': 0,
+                '出厂价（含税）': 0,
+                '服务价（含税）': part['单价'] || 0,
+                '备注': part['备注'] || "从客户文件导入: " + part['图号'],
+                'quantity': part['数量'] || 1,
+                'isNew': true,
+                'importedId': part['图号'],
+                'matchType': 'none',
+                'confidence': 0,
+                'candidates': candidates,
+                'group': part['分组'] || ''
+            });
         }
+    });
+
+    replaceQuoteLines(matchedParts);
+    setView('quotation');
+    setCurrentPage(1);
+    const message =
+        `成功导入 ${matchedParts.length} 条配件数据！其中匹配成功 ${matchedCount} 条，新配件 ${newCount} 条。`;
+    setInfoMessage(message);
+    console.log(message);
+    setLoading(false);
+    if (unparsedRows.length > 0) {
+        console.warn("无法识别的行:", unparsedRows);
+        const preview = unparsedRows.slice(0, 10)
+            .map(row => `${row.sheetName} 第${row.rowNumber}行: ${row.reason}`)
+            .join('\n');
+        alert(
+            `${message}\n\n另有 ${unparsedRows.length} 行无法识别，请人工核对：\n${preview}` +
+            (unparsedRows.length > 10 ? `\n...（其余 ${unparsedRows.length - 10} 行见控制台）` : '')
+        );
     }
-    function finishProcessing() {
-        setSelectedParts(matchedParts);
-        setView('quotation');
-        setCurrentPage(1);
-        const message =
-            `成功导入 ${matchedParts.length} 条配件数据！其中匹配成功 ${matchedCount} 条，新配件 ${newCount} 条。`;
-        setInfoMessage(message);
-        console.log(message);
-        setLoading(false);
-    }
-    processBatch(0);
+    return matchedParts;
 }
 
-// ------------------ 5. 主组件 ------------------ //
-export default function ImprovedPartsQuotationSystem() {
-    const isElectron = window.electronAPI !== undefined;
-    const [partsData, setPartsData] = useState([]);
-    const [selectedParts, setSelectedParts] = useState([]);
-    const [searchTerm, setSearchTerm] = useState('');
-    const [view, setView] = useState('table');
-    const [loading, setLoading] = useState(true);
-    const [infoMessage, setInfoMessage] = useState(null);
-    const [priceOption, setPriceOption] = useState("服务价（含税）");
-    const [currentPage, setCurrentPage] = useState(1);
-    const [pageSize, setPageSize] = useState(50);
-    const [isAdmin, setIsAdmin] = useState(false);
-    const [sortConfig, setSortConfig] = useState({ key: null, direction: 'ascending' });
-   const [theme, setTheme] = useState('light');
-    const [customerInfo, setCustomerInfo] = useState({
-        name: '',
-        contact: '',
-        date: new Date().toISOString().split('T')[0],
-        vessel: '',
-        project: ''
-    });
-    const [showPriceColumns, setShowPriceColumns] = useState({
-        '指导价（不含税）': true,
-        '出厂价（不含税）': true,
-        '服务价（不含税）': true,
-        '指导价（含税）': true,
-        '出厂价（含税）': true,
-        '服务价（含税）': true
-    });
+// ------------------ 数据库导入列映射 ------------------ //
 
-    function handleAdminLogin() {
-        const password = prompt("请输入管理员密码：");
-        if (password === "admin123") {
-            setIsAdmin(true);
-            alert("管理员登录成功！");
-        } else {
-            alert("密码错误，无法登录为管理员。");
-        }
+const PRICE_FIELDS = [
+    '指导价（不含税）',
+    '出厂价（不含税）',
+    '服务价（不含税）',
+    '指导价（含税）',
+    '出厂价（含税）',
+    '服务价（含税）'
+];
+
+// 数据库导入时可映射的目标字段
+const IMPORT_TARGET_FIELDS = ['标识码', '图号', '名称', ...PRICE_FIELDS, '备注', '日期'];
+
+// 自动猜测列映射时使用的常见表头写法
+const IMPORT_FIELD_ALIASES = {
+    '标识码': ['标识码', '编码', '物料编码'],
+    '图号': ['图号', '件号', '零件号'],
+    '名称': ['名称', '件名', '品名'],
+    '指导价（不含税）': ['指导价（不含税）', '指导价'],
+    '出厂价（不含税）': ['出厂价（不含税）', '出厂价'],
+    '服务价（不含税）': ['服务价（不含税）', '服务价'],
+    '指导价（含税）': ['指导价（含税）'],
+    '出厂价（含税）': ['出厂价（含税）'],
+    '服务价（含税）': ['服务价（含税）'],
+    '备注': ['备注', '备注与其他数据合并一起', '说明'],
+    '日期': ['日期', '报价日期']
+};
+
+const IMPORT_TEMPLATES_KEY = 'importMappingTemplates';
+
+// 表头归一化：去除空格，半角括号统一为全角
+function normalizeImportHeader(header) {
+    return String(header || '').replace(/\s+/g, '').replace(/\(/g, '（').replace(/\)/g, '）');
+}
+
+// 以表头文字组合作为模板签名，同一供应商的价格表表头通常固定
+function getHeaderSignature(headers) {
+    return headers.map(normalizeImportHeader).filter(Boolean).join('|');
+}
+
+// 找到第一行至少有两个非空单元格的行作为表头
+function guessHeaderRowIndex(rawRows) {
+    const index = rawRows.findIndex(row => (row || []).filter(cell => String(cell).trim() !== '').length >= 2);
+    return index >= 0 ? index : 0;
+}
+
+// 按常见表头写法猜测映射，返回 { 目标字段: 列序号 }
+function guessColumnMapping(headers) {
+    const normalized = headers.map(normalizeImportHeader);
+    const mapping = {};
+    for (const field of IMPORT_TARGET_FIELDS) {
+        const index = normalized.findIndex(h => IMPORT_FIELD_ALIASES[field].includes(h));
+        mapping[field] = index >= 0 ? index : '';
     }
+    return mapping;
+}
 
-    function handleAdminLogout() {
-        setIsAdmin(false);
-        alert("已退出管理员模式。");
+// 模板中按表头文字保存映射，应用时换算回当前文件的列序号
+function mappingFromTemplate(template, headers) {
+    const normalized = headers.map(normalizeImportHeader);
+    const mapping = {};
+    for (const field of IMPORT_TARGET_FIELDS) {
+        const header = template.mapping[field];
+        const index = header ? normalized.indexOf(normalizeImportHeader(header)) : -1;
+        mapping[field] = index >= 0 ? index : '';
     }
+    return mapping;
+}
 
-    function handleSortChange(key) {
-        let direction = 'ascending';
-        if (sortConfig.key === key && sortConfig.direction === 'ascending') {
-            direction = 'descending';
+function mappingToTemplate(mapping, headers) {
+    const result = {};
+    for (const field of IMPORT_TARGET_FIELDS) {
+        if (mapping[field] !== '' && mapping[field] !== undefined) {
+            result[field] = headers[mapping[field]];
         }
-        setSortConfig({ key, direction });
     }
+    return result;
+}
 
-    function toggleTheme() {
-        setTheme(theme === 'light' ? 'dark' : 'light');
+function formatImportDate(value) {
+    if (value instanceof Date && !isNaN(value)) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
     }
+    return String(value || '').trim();
+}
 
-    useEffect(() => {
-        const loadData = async () => {
-            setLoading(true);
-            try {
-                if (isElectron) {
-                    const loadedData = await window.electronAPI.readData();
-                    if (loadedData && loadedData.length > 0) {
-                        setPartsData(loadedData);
-                    } else {
-                        loadSampleData();
-                    }
-                } else {
-                    const stored = safelyRetrieveData('shipPartsData');
-                    if (stored) {
-                        setPartsData(stored);
-                    } else {
-                        loadSampleData();
-                    }
-                }
-            } catch (err) {
-                console.error("加载数据失败:", err);
-                loadSampleData();
-            } finally {
-                setLoading(false);
-            }
-        };
-        loadData();
-    }, [isElectron]);
+// 解析价格单元格：空值为 0，无法识别时返回 null
+function parseImportPrice(value) {
+    if (value === '' || value === null || value === undefined) return 0;
+    if (typeof value === 'number') return value;
+    const text = String(value).replace(/[,，¥￥\s]/g, '');
+    if (text === '') return 0;
+    return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : null;
+}
 
-    function loadSampleData() {
-        const sampleData = [
-            {
-                '日期': '2025-03-01',
-                '标识码': "ZB0001",
-                '图号': "MV1100-02-002A",
-                '名称': "侧车轴",
-                '指导价（不含税）': 3250000,
-                '出厂价（不含税）': 2762500,
-                '服务价（不含税）': 3900000,
-                '指导价（含税）': 3672500,
-                '出厂价（含税）': 3121625,
-                '服务价（含税）': 4407000,
-                '备注': '重点设备'
-            },
-            {
-                '日期': '2025-03-02',
-                '标识码': "ZB0002",
-                '图号': "HC400-01-000",
-                '名称': "输入轴部件",
-                '指导价（不含税）': 758000,
-                '出厂价（不含税）': 644300,
-                '服务价（不含税）': 909600,
-                '指导价（含税）': 856540,
-                '出厂价（含税）': 728059,
-                '服务价（含税）': 1027848,
-                '备注': ''
-            }
-        ];
-        setPartsData(sampleData);
-        saveDataToStorage(sampleData);
-    }
+// 按映射把数据行转换为配件记录，并给出每一行的处理结果
+// status: 'import' 导入 / 'skip' 跳过 / 'fail' 失败
+// 没有标识码的行按数据库中全部已用标识码（usedIds）生成新的标识码
+function buildImportRecords(dataRows, mapping, existingIds, firstRowNumber, usedIds = existingIds) {
+    const records = [];
+    const blankFields = [];
+    const results = [];
+    const seenIds = new Set();
+    const read = (row, field) => {
+        const index = mapping[field];
+        return index === '' || index === undefined ? '' : row[index];
+    };
+    // 文件中自带的标识码也不能被生成的标识码占用
+    const fileIds = dataRows.filter(Boolean).map(row => String(read(row, '标识码') || '').trim());
+    const generateId = createPartIdGenerator([...usedIds, ...fileIds]);
 
-    function saveDataToStorage(data) {
-        try {
-            if (isElectron) {
-                window.electronAPI.saveData(data).then(success => {
-                    if (!success) console.error("保存数据失败");
-                });
-            } else {
-                safelyStoreData('shipPartsData', data);
-            }
-        } catch (error) {
-            console.error("保存数据失败:", error);
+    dataRows.forEach((row, i) => {
+        const rowNumber = firstRowNumber + i;
+        if (!row || row.every(cell => String(cell).trim() === '')) {
+            results.push({ rowNumber, status: 'skip', reason: '空行' });
+            return;
         }
-    }
 
-    async function exportDatabaseToExcel() {
-        if (partsData.length === 0) {
-            alert('数据库为空，无法导出');
+        const drawingNo = String(read(row, '图号') || '').trim();
+        const name = String(read(row, '名称') || '').trim();
+        if (!drawingNo && !name) {
+            results.push({ rowNumber, status: 'skip', reason: '缺少图号和名称' });
             return;
         }
-        
-        // 创建一个格式化的数据副本用于导出
-        const exportData = partsData.map(part => ({
-            '日期': part['日期'],
-            '标识码': part['标识码'],
-            '图号': part['图号'],
-            '名称': part['名称'],
-            '指导价（不含税）': part['指导价（不含税）'],
-            '出厂价（不含税）': part['出厂价（不含税）'],
-            '服务价（不含税）': part['服务价（不含税）'],
-            '指导价（含税）': part['指导价（含税）'],
-            '出厂价（含税）': part['出厂价（含税）'],
-            '服务价（含税）': part['服务价（含税）'],
-            '备注': part['备注']
-        }));
-        
-        if (isElectron) {
-            try {
-                const success = await window.electronAPI.exportData(exportData);
-                if (success) {
-                    alert('数据导出成功');
-                }
-            } catch (error) {
-                console.error("导出数据失败:", error);
-                alert('导出失败: ' + error.message);
-            }
-        } else {
-            const worksheet = XLSX.utils.json_to_sheet(exportData);
-            const workbook = XLSX.utils.book_new();
-            XLSX.utils.book_append_sheet(workbook, worksheet, "船用配件数据");
-            XLSX.writeFile(workbook, `船用配件数据库_${new Date().toISOString().split('T')[0]}.xlsx`);
+        const id = String(read(row, '标识码') || '').trim() || generateId();
+
+        const record = {
+            '日期': formatImportDate(read(row, '日期')),
+            '标识码': id,
+            '图号': drawingNo,
+            '名称': name || '未知配件',
+            '备注': String(read(row, '备注') || '').trim()
+        };
+        const badPrices = [];
+        const blanks = IMPORT_TARGET_FIELDS.filter(field => String(read(row, field) ?? '').trim() === '');
+        for (const field of PRICE_FIELDS) {
+            const price = parseImportPrice(read(row, field));
+            if (price === null) badPrices.push(`${field}=${read(row, field)}`);
+            record[field] = price || 0;
+        }
+        if (badPrices.length > 0) {
+            results.push({ rowNumber, status: 'fail', reason: `价格无法识别: ${badPrices.join(', ')}` });
+            return;
+        }
+        if (existingIds.has(id)) {
+            results.push({ rowNumber, status: 'skip', reason: `标识码 ${id} 已存在` });
+            return;
+        }
+        if (seenIds.has(id)) {
+            results.push({ rowNumber, status: 'fail', reason: `标识码 ${id} 在文件中重复` });
+            return;
         }
+        seenIds.add(id);
+        records.push(record);
+        blankFields.push(blanks);
+        results.push({ rowNumber, status: 'import', reason: '' });
+    });
+
+    return { records, blankFields, results };
+}
+
+function sameImportValue(a, b) {
+    if (typeof a === 'number' || typeof b === 'number') {
+        return (parseFloat(a) || 0) === (parseFloat(b) || 0);
     }
+    return String(a ?? '').trim() === String(b ?? '').trim();
+}
 
-    // 根据搜索框和排序配置，筛选和排序数据
-    const allFilteredData = useMemo(() => {
-        let filteredData = partsData;
-        
-        // 应用搜索过滤
-        if (searchTerm.trim()) {
-            const lower = searchTerm.toLowerCase();
-            filteredData = filteredData.filter(item =>
-                (item['日期'] && String(item['日期']).toLowerCase().includes(lower)) ||
-                (item['名称'] && String(item['名称']).toLowerCase().includes(lower)) ||
-                (item['标识码'] && String(item['标识码']).toLowerCase().includes(lower)) ||
-                (item['图号'] && String(item['图号']).toLowerCase().includes(lower)) ||
-                (item['备注'] && String(item['备注']).toLowerCase().includes(lower))
-            );
+// 更新模式：把导入记录与现有数据库比对。
+// 映射了标识码时按标识码对应，否则按图号对应；只比较映射了来源列的字段，
+// 文件中为空的单元格不覆盖已有数据。对应字段为空的记录无法对应，放入 skipped 不导入。
+function diffImportRecords(records, blankFields, partsData, mapping) {
+    const keyField = mapping['标识码'] !== '' && mapping['标识码'] !== undefined ? '标识码' : '图号';
+    const fields = IMPORT_TARGET_FIELDS.filter(field =>
+        field !== keyField && mapping[field] !== '' && mapping[field] !== undefined
+    );
+    const existingByKey = new Map(partsData
+        .map(part => [String(part[keyField] || '').trim(), part])
+        .filter(([key]) => key !== ''));
+    const seenKeys = new Set();
+    const added = [];
+    const changed = [];
+    const unchanged = [];
+    const skipped = [];
+
+    records.forEach((record, i) => {
+        const key = String(record[keyField] || '').trim();
+        if (!key) {
+            skipped.push(record);
+            return;
         }
-        
-        // 应用排序
-        if (sortConfig.key) {
-            filteredData = [...filteredData].sort((a, b) => {
-                if (a[sortConfig.key] < b[sortConfig.key]) {
-                    return sortConfig.direction === 'ascending' ? -1 : 1;
-                }
-                if (a[sortConfig.key] > b[sortConfig.key]) {
-                    return sortConfig.direction === 'ascending' ? 1 : -1;
-                }
-                return 0;
-            });
+        if (seenKeys.has(key)) return;
+        seenKeys.add(key);
+        const existing = existingByKey.get(key);
+        if (!existing) {
+            added.push(record);
+            return;
         }
-        
-        return filteredData;
-    }, [searchTerm, partsData, sortConfig]);
+        const changes = fields
+            .filter(field => !blankFields[i].includes(field) && !sameImportValue(existing[field], record[field]))
+            .map(field => ({ field, from: existing[field], to: record[field] }));
+        if (existing['状态'] === '停产') {
+            changes.push({ field: '状态', from: '停产', to: '' });
+        }
+        if (isPartDeleted(existing)) {
+            changes.push({ field: '删除时间', from: existing['删除时间'], to: '' });
+        }
+        if (changes.length > 0) {
+            changed.push({ key, existing, changes });
+        } else {
+            unchanged.push(existing);
+        }
+    });
 
-    useEffect(() => {
-        setCurrentPage(1);
-    }, [allFilteredData]);
+    // 对应字段为空的现有配件无法与文件比对，不算作缺失
+    const missing = partsData.filter(part => {
+        const key = String(part[keyField] || '').trim();
+        return key !== '' && !seenKeys.has(key) && part['状态'] !== '停产' && !isPartDeleted(part);
+    });
+    return { keyField, added, changed, unchanged, missing, skipped };
+}
 
-    const totalPages = Math.ceil(allFilteredData.length / pageSize);
-    const currentPageData = useMemo(() => {
-        const startIndex = (currentPage - 1) * pageSize;
-        return allFilteredData.slice(startIndex, startIndex + pageSize);
-    }, [allFilteredData, currentPage, pageSize]);
+// ------------------ 配件维护 ------------------ //
+const PART_ID_PREFIX = 'ZB';
+const PART_ID_DIGITS = 4;
 
-    function handleSelectPart(part) {
-        const isSelected = selectedParts.some(p => p['标识码'] === part['标识码']);
-        if (isSelected) {
-            setSelectedParts(selectedParts.filter(p => p['标识码'] !== part['标识码']));
+// 删除的配件只记录删除时间，仍保留在数据库中以便恢复，但不参与匹配、报价和导出
+function isPartDeleted(part) {
+    return Boolean(part['删除时间']);
+}
+
+// 依次生成标识码 ZB0003、ZB0004…，从 usedIds 中最大的编号往后排
+function createPartIdGenerator(usedIds) {
+    const pattern = new RegExp(`^${PART_ID_PREFIX}(\\d+)$`, 'i');
+    let highest = 0;
+    usedIds.forEach(id => {
+        const match = pattern.exec(String(id || '').trim());
+        if (match) highest = Math.max(highest, parseInt(match[1], 10));
+    });
+    return () => {
+        highest += 1;
+        return PART_ID_PREFIX + String(highest).padStart(PART_ID_DIGITS, '0');
+    };
+}
+
+// 下一个标识码，如 ZB0003；已删除配件的编号不再重复使用
+function nextPartId(partsData) {
+    return createPartIdGenerator(partsData.map(part => part['标识码']))();
+}
+
+// 由报价单中未匹配的新配件行生成配件表单：报价行单价写入当前价格类型，并换算后补上价格规则的基准价
+// （ruleBaseFields），最后按税率补全含税/不含税价
+function buildPromotedPartDraft(line, unitPrice, priceOption, { id, name, remark, date, ruleBaseFields, taxRate, taxBasis }) {
+    const draft = {
+        '日期': date,
+        '标识码': id,
+        '图号': line['图号'],
+        '名称': name,
+        '备注': (remark || '').trim()
+    };
+    PRICE_FIELDS.forEach(field => { draft[field] = parseFloat(line[field]) || 0; });
+    if (unitPrice > 0) {
+        draft[priceOption] = unitPrice;
+        ruleBaseFields.forEach(field => {
+            if (!draft[field]) draft[field] = convertPriceTaxSide(unitPrice, priceOption, field, taxRate);
+        });
+    }
+    return deriveTaxPrices(draft, taxRate, taxBasis, true);
+}
+
+// 校验配件表单，返回 { errors, record }；originalId 为正在修改的配件的标识码
+function validatePartDraft(draft, partsData, originalId = null) {
+    const errors = [];
+    const record = {
+        '日期': String(draft['日期'] || '').trim(),
+        '标识码': String(draft['标识码'] || '').trim(),
+        '图号': String(draft['图号'] || '').trim(),
+        '名称': String(draft['名称'] || '').trim(),
+        '备注': String(draft['备注'] || '').trim()
+    };
+    const others = partsData.filter(part => part['标识码'] !== originalId);
+
+    if (!record['标识码']) {
+        errors.push('标识码不能为空');
+    } else if (others.some(part => String(part['标识码']).trim() === record['标识码'])) {
+        errors.push(`标识码 ${record['标识码']} 已存在`);
+    }
+    if (!record['图号']) {
+        errors.push('图号不能为空');
+    } else if (others.some(part => !isPartDeleted(part) &&
+        normalizePartNo(part['图号']) === normalizePartNo(record['图号']))) {
+        errors.push(`图号 ${record['图号']} 已被其他配件使用`);
+    }
+    if (!record['名称']) errors.push('名称不能为空');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(record['日期']) || isNaN(Date.parse(record['日期']))) {
+        errors.push('日期格式应为 YYYY-MM-DD');
+    }
+    PRICE_FIELDS.forEach(field => {
+        const price = parseImportPrice(draft[field]);
+        if (price === null || price < 0) {
+            errors.push(`${field}必须是不小于 0 的数字`);
         } else {
-            setSelectedParts([...selectedParts, { ...part, quantity: 1 }]);
+            record[field] = price;
         }
-    }
+    });
+    return { errors, record };
+}
 
-    function updatePartQuantity(partId, quantity) {
-        setSelectedParts(
-            selectedParts.map(part =>
-                part['标识码'] === partId
-                    ? { ...part, quantity: Math.max(1, parseInt(quantity) || 1) }
-                    : part
-            )
-        );
+// ------------------ 价格历史 ------------------ //
+// 以 标识码 为键保存每次价格变化：{ effectiveDate, recordedAt, source, prices }
+// 浏览器中保存在 IndexedDB（见 partsStore），不可用时退回 localStorage
+
+const PRICE_HISTORY_KEY = 'shipPartsPriceHistory';
+
+function pickPrices(part) {
+    const prices = {};
+    PRICE_FIELDS.forEach(field => { prices[field] = parseFloat(part[field]) || 0; });
+    return prices;
+}
+
+function samePrices(a, b) {
+    return PRICE_FIELDS.every(field => (a[field] || 0) === (b[field] || 0));
+}
+
+// 比较变更前后的配件数据，为价格有变化的配件追加历史记录。
+// 新增的配件没有价格变化，不记录；配件第一次变价时，先把变更前的价格作为基准记录保存下来。
+// source 可以是字符串，也可以是按配件返回来源说明的函数。
+function appendPriceHistory(history, previousParts, nextParts, source, effectiveDate) {
+    const previousById = new Map(previousParts.map(part => [part['标识码'], part]));
+    const recordedAt = new Date().toISOString();
+    const nextHistory = { ...history };
+    let changed = false;
+
+    for (const part of nextParts) {
+        const id = part['标识码'];
+        const entries = nextHistory[id] || [];
+        const prices = pickPrices(part);
+        const latest = entries[entries.length - 1];
+        const previous = previousById.get(id);
+
+        if (!latest && !previous) continue;
+        if (latest && samePrices(latest.prices, prices)) continue;
+        if (!latest && samePrices(pickPrices(previous), prices)) continue;
+
+        const newEntries = [...entries];
+        if (!latest && previous) {
+            newEntries.push({
+                effectiveDate: previous['日期'] || '',
+                recordedAt,
+                source: '原有价格',
+                prices: pickPrices(previous)
+            });
+        }
+        newEntries.push({
+            effectiveDate,
+            recordedAt,
+            source: typeof source === 'function' ? source(part) : source,
+            prices
+        });
+        nextHistory[id] = newEntries;
+        changed = true;
     }
 
-    function updatePartCustomPrice(partId, price) {
-        setSelectedParts(
-            selectedParts.map(part =>
-                part['标识码'] === partId
-                    ? { ...part, importedPrice: parseFloat(price) || 0 }
-                    : part
-            )
-        );
+    return changed ? nextHistory : history;
+}
+
+function sortPriceHistory(entries) {
+    return [...(entries || [])].sort((a, b) =>
+        String(a.effectiveDate).localeCompare(String(b.effectiveDate)) ||
+        String(a.recordedAt).localeCompare(String(b.recordedAt))
+    );
+}
+
+// 返回指定日期当天有效的价格，没有历史记录时返回 null
+function getPricesAsOf(entries, date) {
+    const valid = sortPriceHistory(entries).filter(entry => String(entry.effectiveDate) <= date);
+    return valid.length > 0 ? valid[valid.length - 1].prices : null;
+}
+
+// 报价行单价：客户指定价格优先，其次为基准日期当天的价格，最后为当前价格
+function getLineUnitPrice(part, priceOption, priceHistory, priceAsOfDate) {
+    if (part.importedPrice) return part.importedPrice;
+    if (priceAsOfDate) {
+        const prices = getPricesAsOf(priceHistory[part['标识码']], priceAsOfDate);
+        if (prices) return prices[priceOption] || 0;
     }
+    return part[priceOption] || 0;
+}
 
-    function generateQuotation() {
-        if (selectedParts.length === 0) {
-            alert('请至少选择一个配件');
-            return;
+// ------------------ 税率 ------------------ //
+// 税率按生效日期保存历史；basis 表示以哪一侧价格为准推算另一侧：
+// 'net' 由不含税价计算含税价，'gross' 由含税价反推不含税价
+
+const TAX_SETTINGS_KEY = 'shipPartsTaxSettings';
+
+const DEFAULT_TAX_SETTINGS = {
+    rates: [{ rate: 0.13, effectiveDate: '2019-04-01' }],
+    basis: 'net'
+};
+
+const TAX_BASIS_LABELS = {
+    net: '由不含税价计算含税价',
+    gross: '由含税价反推不含税价'
+};
+
+// [不含税字段, 含税字段]
+const TAX_PRICE_PAIRS = [
+    ['指导价（不含税）', '指导价（含税）'],
+    ['出厂价（不含税）', '出厂价（含税）'],
+    ['服务价（不含税）', '服务价（含税）']
+];
+
+function roundPrice(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function getTaxRateAsOf(taxSettings, date) {
+    const rates = [...taxSettings.rates].sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+    const valid = rates.filter(r => r.effectiveDate <= date);
+    const entry = valid.length > 0 ? valid[valid.length - 1] : rates[0];
+    return entry ? entry.rate : 0;
+}
+
+function isTaxInclusiveOption(priceOption) {
+    return TAX_PRICE_PAIRS.some(([, grossField]) => grossField === priceOption);
+}
+
+// 把 fromField 的价格换算为 toField 一侧（含税/不含税）的价格
+function convertPriceTaxSide(price, fromField, toField, rate) {
+    const fromGross = isTaxInclusiveOption(fromField);
+    if (fromGross === isTaxInclusiveOption(toField)) return price;
+    return roundPrice(fromGross ? price / (1 + rate) : price * (1 + rate));
+}
+
+// 按税率推算价格。onlyMissing 为 true 时只补全为 0 的一侧，不覆盖已有价格
+function deriveTaxPrices(part, rate, basis, onlyMissing = false) {
+    const next = { ...part };
+    for (const [netField, grossField] of TAX_PRICE_PAIRS) {
+        const net = parseFloat(part[netField]) || 0;
+        const gross = parseFloat(part[grossField]) || 0;
+        if (onlyMissing) {
+            if (net && !gross) next[grossField] = roundPrice(net * (1 + rate));
+            if (gross && !net) next[netField] = roundPrice(gross / (1 + rate));
+        } else if (basis === 'gross') {
+            if (gross) next[netField] = roundPrice(gross / (1 + rate));
+        } else if (net) {
+            next[grossField] = roundPrice(net * (1 + rate));
         }
-        setView('quotation');
     }
+    return next;
+}
 
-    function backToList() {
-        setView('table');
-        setCurrentPage(1);
+// 检查含税/不含税价格是否与税率一致，返回不一致的价格对
+function checkTaxConsistency(part, rate) {
+    return TAX_PRICE_PAIRS.filter(([netField, grossField]) => {
+        const net = parseFloat(part[netField]) || 0;
+        const gross = parseFloat(part[grossField]) || 0;
+        if (!net || !gross) return false;
+        // 两侧价格都保留两位小数，由一侧推算另一侧的舍入误差不超过 1 分
+        return Math.abs(gross - net * (1 + rate)) > 0.01;
+    }).map(([netField, grossField]) => ({
+        netField,
+        grossField,
+        net: part[netField],
+        gross: part[grossField],
+        expectedGross: roundPrice((parseFloat(part[netField]) || 0) * (1 + rate))
+    }));
+}
+
+// 报价合计拆分为不含税金额、税额、含税金额
+function splitTaxTotals(total, priceOption, rate) {
+    if (isTaxInclusiveOption(priceOption)) {
+        const net = roundPrice(total / (1 + rate));
+        return { net, tax: roundPrice(total - net), gross: total };
     }
+    const tax = roundPrice(total * rate);
+    return { net: total, tax, gross: roundPrice(total + tax) };
+}
 
-    // 新增：移除所有选中的配件
-    function clearSelectedParts() {
-        if (selectedParts.length > 0 && window.confirm('确定要清空所有已选配件吗？')) {
-            setSelectedParts([]);
-        }
+// ------------------ 价格规则 ------------------ //
+// 规则按顺序匹配，每个配件使用第一条匹配的规则：
+//   matchType  - 'all' 全部配件 / 'pattern' 图号符合 PART_PATTERN 中的某类 /
+//                'keyword' 名称包含关键字 / 'category' 类别（无类别字段时取图号首段，如 MV1100、HC400）
+//   baseField  - 计算基准价格字段
+//   factors    - { 目标价格字段: 相对基准价的比例 }
+//   overwrite  - 为 false 时只补全为 0 的价格
+//   fillTax    - 计算后按税率补全另一侧（含税/不含税）价格
+
+const PRICING_RULES_KEY = 'shipPartsPricingRules';
+
+const DEFAULT_PRICING_RULES = [
+    {
+        id: 'rule-default',
+        name: '标准比例（出厂85%/服务120%）',
+        enabled: true,
+        matchType: 'all',
+        matchValue: '',
+        baseField: '指导价（不含税）',
+        factors: { '出厂价（不含税）': 0.85, '服务价（不含税）': 1.2 },
+        overwrite: false,
+        fillTax: true
     }
+];
 
-    // 新增：删除单个选中的配件
-    function removeSelectedPart(partId) {
-        setSelectedParts(selectedParts.filter(part => part['标识码'] !== partId));
+const PRICING_RULE_MATCH_TYPES = {
+    all: '全部配件',
+    pattern: '图号类型',
+    keyword: '名称关键字',
+    category: '类别'
+};
+
+function getPartCategory(part) {
+    return String(part['类别'] || String(part['图号'] || '').split(/[-.]/)[0]).trim();
+}
+
+function partMatchesRule(part, rule) {
+    const drawingNo = String(part['图号'] || '').trim();
+    switch (rule.matchType) {
+        case 'pattern':
+            return Boolean(PART_PATTERN[rule.matchValue]) && PART_PATTERN[rule.matchValue].test(drawingNo);
+        case 'keyword':
+            return Boolean(rule.matchValue) && String(part['名称'] || '').includes(rule.matchValue);
+        case 'category':
+            return Boolean(rule.matchValue) && getPartCategory(part).toLowerCase() === rule.matchValue.trim().toLowerCase();
+        default:
+            return true;
     }
+}
 
-    // 新增：应用批量折扣
-    function applyBulkDiscount() {
-        const discountPercent = prompt("请输入折扣百分比 (例如: 输入90代表9折):", "100");
-        if (discountPercent === null) return;
-        
-        const discount = parseFloat(discountPercent) / 100;
-        if (isNaN(discount) || discount <= 0) {
-            alert("请输入有效的折扣值");
-            return;
+// 试算：返回每个将被修改的价格 { id, part, field, from, to, ruleName }，不修改数据
+function evaluatePricingRules(partsData, rules, taxRate, taxBasis) {
+    const changes = [];
+    const activeRules = rules.filter(rule => rule.enabled !== false);
+
+    for (const part of partsData) {
+        const rule = activeRules.find(r => partMatchesRule(part, r));
+        if (!rule) continue;
+        const base = parseFloat(part[rule.baseField]) || 0;
+        if (!base) continue;
+
+        const computed = { ...part };
+        for (const [field, factor] of Object.entries(rule.factors)) {
+            if (field === rule.baseField || factor === '' || factor === null || isNaN(factor)) continue;
+            const current = parseFloat(part[field]) || 0;
+            if (current && !rule.overwrite) continue;
+            computed[field] = roundPrice(base * factor);
         }
-        
-        setSelectedParts(selectedParts.map(part => {
-            const originalPrice = part.importedPrice || part[priceOption] || 0;
-            return {
-                ...part,
-                importedPrice: parseFloat((originalPrice * discount).toFixed(2))
-            };
-        }));
-        
-        alert(`已对所有配件应用${discountPercent}%的折扣`);
-    }
+        const result = rule.fillTax ? deriveTaxPrices(computed, taxRate, taxBasis, true) : computed;
 
-    function exportQuotationCSV() {
-        if (selectedParts.length === 0) {
-            alert('报价单为空，无法导出');
-            return;
+        for (const field of PRICE_FIELDS) {
+            const from = parseFloat(part[field]) || 0;
+            if (result[field] !== undefined && result[field] !== from && result[field] !== part[field]) {
+                changes.push({ id: part['标识码'], part, field, from, to: result[field], ruleName: rule.name });
+            }
         }
-        
-        let csvContent =
-            '序号,客户提供标识,系统标识码,图号,名称,价格类型,单价,数量,总价(元),备注,匹配方式\n';
-            
-        selectedParts.forEach((part, index) => {
-            const quantity = part.quantity || 1;
-            const price = part.importedPrice || part[priceOption] || 0;
-            const itemTotal = price * quantity;
-            const remark = part.importedRemark || part['备注'] || '';
-            const matchType = part.matchType === 'fuzzy'
-                ? '模糊匹配'
-                : (part.isNew ? '新配件' : '精确匹配');
-                
-            csvContent += [
-                index + 1,
-                `"${part.importedId || ''}"`,
-                `"${part['标识码']}"`,
-                `"${part['图号']}"`,
-                `"${part['名称']}"`,
-                part.importedPrice ? '客户指定价格' : priceOption,
-                price.toFixed(2),
-                quantity,
-                itemTotal.toFixed(2),
-                `"${remark}"`,
-                `"${matchType}"`
-            ].join(',') + '\n';
-        });
-        
-        const totalPrice = selectedParts.reduce((sum, p) => {
-            const priceVal = p.importedPrice || p[priceOption] || 0;
-            return sum + priceVal * (p.quantity || 1);
-        }, 0);
-        
-        csvContent += `总计:,,,,,,,,,${totalPrice.toFixed(2)}\n`;
-        
-        // 添加客户信息到CSV
-        csvContent += `\n客户信息:\n`;
-        csvContent += `客户:,${customerInfo.name}\n`;
-        csvContent += `联系方式:,${customerInfo.contact}\n`;
-        csvContent += `日期:,${customerInfo.date}\n`;
-        csvContent += `船舶:,${customerInfo.vessel}\n`;
-        csvContent += `项目:,${customerInfo.project}\n`;
+    }
+    return changes;
+}
 
-        if (isElectron) {
-            window.electronAPI.exportData(csvContent).then(success => {
-                if (success) {
-                    alert('报价单导出成功');
-                } else {
-                    alert('报价单导出失败');
-                }
-            });
-        } else {
-            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.setAttribute('href', url);
-            link.setAttribute('download', `船用配件报价_${customerInfo.name || '未命名'}_${new Date().toISOString().split('T')[0]}.csv`);
-            link.style.visibility = 'hidden';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+// ------------------ 报价单保存 ------------------ //
+
+const QUOTATIONS_KEY = 'shipQuotations';
+// 每年已使用的最大报价单序号：{ 2026: 12 }
+const QUOTATION_COUNTERS_KEY = 'shipQuotationCounters';
+
+const QUOTATION_STATUSES = {
+    draft: '草稿',
+    sent: '已发送',
+    accepted: '已接受',
+    rejected: '已拒绝',
+    expired: '已过期'
+};
+
+const QUOTATION_STATUS_COLORS = {
+    draft: '#6c757d',
+    sent: '#1976d2',
+    accepted: '#2e7d32',
+    rejected: '#c62828',
+    expired: '#8d6e63'
+};
+
+// 报价单号按年份顺序编号，如 QT-2026-0001。序号取计数器和现有报价单中较大者，
+// 删除报价单后不会重复使用其编号；返回 { number, sequence }，调用方负责保存计数器
+function nextQuotationNumber(quotations, year, counters = {}) {
+    const prefix = `QT-${year}-`;
+    const maxSequence = quotations.reduce((max, quotation) => {
+        if (!quotation.number.startsWith(prefix)) return max;
+        const sequence = parseInt(quotation.number.slice(prefix.length), 10);
+        return isNaN(sequence) ? max : Math.max(max, sequence);
+    }, Number(counters[year]) || 0);
+    const sequence = maxSequence + 1;
+    return { number: `${prefix}${String(sequence).padStart(4, '0')}`, sequence };
+}
+
+// 合并两份计数器，每年取较大的序号，保证计数器不会回退
+function mergeQuotationCounters(current, incoming) {
+    const merged = { ...current };
+    Object.entries(incoming || {}).forEach(([year, sequence]) => {
+        merged[year] = Math.max(Number(merged[year]) || 0, Number(sequence) || 0);
+    });
+    return merged;
+}
+
+// 同一报价单号下的修订版本依次为 Rev A、B、C…，早期保存的报价单视为 Rev A
+function getQuotationRevision(quotation) {
+    return quotation.revision || 'A';
+}
+
+function formatQuotationNumber(quotation) {
+    return `${quotation.number} Rev ${getQuotationRevision(quotation)}`;
+}
+
+// 当前编辑的内容（配件行、客户信息、价格类型、基准日期）是否与已保存的报价单不同
+function isQuotationEdited(quotation, { lines, customerInfo, priceOption, priceAsOfDate }) {
+    return JSON.stringify(quotation.lines) !== JSON.stringify(lines) ||
+        JSON.stringify(quotation.customerInfo) !== JSON.stringify(customerInfo) ||
+        quotation.priceOption !== priceOption ||
+        (quotation.priceAsOfDate || '') !== (priceAsOfDate || '');
+}
+
+function nextRevisionLetter(quotations, number) {
+    const last = quotations
+        .filter(q => q.number === number)
+        .map(getQuotationRevision)
+        .sort()
+        .pop();
+    if (last === 'Z') return null;
+    return String.fromCharCode(last.charCodeAt(0) + 1);
+}
+
+// 比较两个版本的报价明细，按系统标识码对应行
+function compareQuotationLines(from, to, priceHistory) {
+    const unitPrice = (quotation, line) =>
+        getLineUnitPrice(line, quotation.priceOption, priceHistory, quotation.priceAsOfDate);
+    const fromLines = new Map(from.lines.map(line => [line['标识码'], line]));
+    const toLines = new Map(to.lines.map(line => [line['标识码'], line]));
+
+    const added = to.lines.filter(line => !fromLines.has(line['标识码']));
+    const removed = from.lines.filter(line => !toLines.has(line['标识码']));
+    const changed = [];
+    to.lines.forEach(line => {
+        const previous = fromLines.get(line['标识码']);
+        if (!previous) return;
+        const fromQuantity = previous.quantity || 1;
+        const toQuantity = line.quantity || 1;
+        const fromPrice = unitPrice(from, previous);
+        const toPrice = unitPrice(to, line);
+        if (fromQuantity !== toQuantity || Math.abs(fromPrice - toPrice) > 0.005) {
+            changed.push({ line, fromQuantity, toQuantity, fromPrice, toPrice });
         }
-    }
+    });
+    return { added, removed, changed };
+}
 
-    // 新增：Excel格式导出
-    function exportQuotationExcel() {
-        if (selectedParts.length === 0) {
-            alert('报价单为空，无法导出');
-            return;
+function quotationMatchesSearch(quotation, term) {
+    if (!term) return true;
+    const lower = term.toLowerCase();
+    return [
+        quotation.number,
+        quotation.customerInfo.name,
+        quotation.customerInfo.contact,
+        quotation.customerInfo.vessel,
+        quotation.customerInfo.project
+    ].some(value => String(value || '').toLowerCase().includes(lower));
+}
+
+// ------------------ 客户目录 ------------------ //
+
+const CUSTOMERS_KEY = 'shipCustomers';
+
+function createEmptyCustomerInfo() {
+    return {
+        customerId: null,
+        name: '',
+        contact: '',
+        date: new Date().toISOString().split('T')[0],
+        vesselId: null,
+        vessel: '',
+        project: '',
+        address: '',
+        taxId: '',
+        paymentTerms: ''
+    };
+}
+
+function createEmptyCustomer(customers) {
+    const maxSequence = customers.reduce((max, customer) => {
+        const sequence = parseInt(String(customer.id).replace(/^C/, ''), 10);
+        return isNaN(sequence) ? max : Math.max(max, sequence);
+    }, 0);
+    return {
+        id: `C${String(maxSequence + 1).padStart(4, '0')}`,
+        name: '',
+        contacts: [{ name: '', phone: '', email: '' }],
+        addresses: [{ label: '', address: '' }],
+        taxId: '',
+        defaultPriceOption: '',
+        defaultDiscount: 100,
+        paymentTerms: '',
+        remark: ''
+    };
+}
+
+function formatCustomerContact(contact) {
+    return [contact.name, contact.phone, contact.email].filter(Boolean).join(' ');
+}
+
+// 比较客户名称时忽略空格、标点和常见公司后缀
+function normalizeCustomerName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[\s.,，。()（）-]/g, '')
+        .replace(/(股份)?有限(责任)?公司$|coltd$|ltd$|inc$/, '');
+}
+
+// 按名称在客户目录中查找客户：先精确匹配，再在唯一的情况下接受包含关系
+function findCustomerByName(customers, name) {
+    const normalized = normalizeCustomerName(name);
+    if (!normalized) return null;
+    const exact = customers.find(customer => normalizeCustomerName(customer.name) === normalized);
+    if (exact) return exact;
+    const partial = customers.filter(customer => {
+        const candidate = normalizeCustomerName(customer.name);
+        return candidate && (candidate.includes(normalized) || normalized.includes(candidate));
+    });
+    return partial.length === 1 ? partial[0] : null;
+}
+
+// ------------------ 船舶登记 ------------------ //
+
+const VESSELS_KEY = 'shipVessels';
+
+function createEmptyVessel(vessels) {
+    const maxSequence = vessels.reduce((max, vessel) => {
+        const sequence = parseInt(String(vessel.id).replace(/^V/, ''), 10);
+        return isNaN(sequence) ? max : Math.max(max, sequence);
+    }, 0);
+    return {
+        id: `V${String(maxSequence + 1).padStart(4, '0')}`,
+        name: '',
+        imo: '',
+        ownerCustomerId: '',
+        equipment: [{ model: '', serialNo: '', position: '' }],
+        remark: ''
+    };
+}
+
+// IMO 编号为 7 位数字，前 6 位分别乘以 7~2 求和，个位数等于第 7 位
+function isValidImoNumber(imo) {
+    const digits = String(imo || '').replace(/^IMO\s*/i, '');
+    if (!/^\d{7}$/.test(digits)) return false;
+    const sum = digits.slice(0, 6).split('').reduce((total, digit, index) => total + Number(digit) * (7 - index), 0);
+    return sum % 10 === Number(digits[6]);
+}
+
+function getVesselModels(vessel) {
+    return vessel.equipment.map(item => item.model.trim().toUpperCase()).filter(Boolean);
+}
+
+// 配件按类别（图号首段，即齿轮箱型号）归属到船舶安装的设备
+function partFitsVessel(part, vessel) {
+    return getVesselModels(vessel).includes(getPartCategory(part).toUpperCase());
+}
+
+// 报价单按船舶编号关联；早期未关联编号的报价单按船名匹配
+function quotationBelongsToVessel(quotation, vessel) {
+    if (quotation.customerInfo.vesselId) return quotation.customerInfo.vesselId === vessel.id;
+    return String(quotation.customerInfo.vessel || '').trim() === vessel.name;
+}
+
+// ------------------ 部件结构（BOM） ------------------ //
+// 图号按 机型-部件-零件 编码（PART_PATTERN.STANDARD_CODE / COMPLEX_CODE，
+// 以及 MV1100-02-002A 这类字母开头的机型），零件号全为 0 的图号表示部件本身。
+// 也可以导入 父图号/子图号/数量 的明细表，明确指定部件包含的零件及每套数量，
+// 导入的结构优先于按图号推导的结构。
+
+const BOM_KEY = 'shipPartsBom';
+
+const DRAWING_NO_STRUCTURE = /^([A-Za-z]*\d+[A-Za-z]*)[-.](\d+[A-Za-z]?)[-.](\d+[A-Za-z]?)$/;
+
+const BOM_COLUMNS = {
+    parent: ['父图号', '部件图号', '总成图号', 'parent', 'parentno', 'assembly'],
+    child: ['子图号', '零件图号', '图号', 'child', 'childno', 'component', 'partno'],
+    quantity: ['数量', '每套数量', '单套数量', 'qty', 'quantity']
+};
+
+function parseDrawingNo(drawingNo) {
+    const match = String(drawingNo || '').trim().match(DRAWING_NO_STRUCTURE);
+    if (!match) return null;
+    const model = match[1].toUpperCase();
+    return {
+        model,
+        assemblyKey: `${model}-${match[2].toUpperCase()}`,
+        isAssembly: /^0+$/.test(match[3])
+    };
+}
+
+// 生成 机型 → 部件 → 零件 的结构树
+function buildAssemblyTree(partsData, bomLinks) {
+    const models = new Map();
+    const assemblyFor = (model, key) => {
+        if (!models.has(model)) models.set(model, new Map());
+        const assemblies = models.get(model);
+        if (!assemblies.has(key)) {
+            assemblies.set(key, { key, model, part: null, children: [], source: 'derived' });
         }
-        
-        // 准备Excel数据
-        const excelData = selectedParts.map((part, index) => {
-            const quantity = part.quantity || 1;
-            const price = part.importedPrice || part[priceOption] || 0;
-            const itemTotal = price * quantity;
-            const matchType = part.matchType === 'fuzzy'
-                ? '模糊匹配'
-                : (part.isNew ? '新配件' : '精确匹配');
-                
-            return {
-                '序号': index + 1,
-                '客户提供标识': part.importedId || '',
-                '系统标识码': part['标识码'],
-                '图号': part['图号'],
-                '名称': part['名称'],
-                '价格类型': part.importedPrice ? '客户指定价格' : priceOption,
-                '单价': price,
-                '数量': quantity,
-                '总价(元)': itemTotal,
-                '备注': part.importedRemark || part['备注'] || '',
-                '匹配方式': matchType
-            };
-        });
-        
-        // 添加合计行
-        const totalPrice = selectedParts.reduce((sum, p) => {
-            const priceVal = p.importedPrice || p[priceOption] || 0;
-            return sum + priceVal * (p.quantity || 1);
-        }, 0);
-        
-        // 合计行
-        excelData.push({
-            '序号': '',
-            '客户提供标识': '',
-            '系统标识码': '',
-            '图号': '',
-            '名称': '合计',
-            '价格类型': '',
-            '单价': '',
-            '数量': '',
-            '总价(元)': totalPrice,
-            '备注': '',
-            '匹配方式': ''
-        });
-        
-        // 客户信息行
-        excelData.push({}, {
-            '序号': '客户信息',
-            '客户提供标识': ''
-        });
-        
-        excelData.push({
-            '序号': '客户名称',
-            '客户提供标识': customerInfo.name || ''
-        });
-        
-        excelData.push({
-            '序号': '联系方式',
-            '客户提供标识': customerInfo.contact || ''
-        });
-        
-        excelData.push({
-            '序号': '日期',
-            '客户提供标识': customerInfo.date || ''
-        });
-        
-        excelData.push({
-            '序号': '船舶',
-            '客户提供标识': customerInfo.vessel || ''
-        });
-        
-        excelData.push({
-            '序号': '项目',
-            '客户提供标识': customerInfo.project || ''
-        });
-        
-        const worksheet = XLSX.utils.json_to_sheet(excelData);
-        
-        // 设置列宽
-        const colWidths = [
-            { wch: 6 },   // 序号
-            { wch: 15 },  // 客户提供标识
-            { wch: 12 },  // 系统标识码
-            { wch: 15 },  // 图号
-            { wch: 20 },  // 名称
-            { wch: 12 },  // 价格类型
-            { wch: 12 },  // 单价
-            { wch: 6 },   // 数量
-            { wch: 12 },  // 总价
-            { wch: 20 },  // 备注
-            { wch: 10 }   // 匹配方式
-        ];
-        worksheet['!cols'] = colWidths;
-        
-        // 创建工作簿并添加工作表
-        const workbook = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(workbook, worksheet, "船用配件报价单");
-        
-        // 导出Excel文件
-        const fileName = `船用配件报价_${customerInfo.name || '未命名'}_${new Date().toISOString().split('T')[0]}.xlsx`;
-        
-        if (isElectron) {
-            // 如果是Electron环境
-            const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
-            window.electronAPI.exportData({ fileName, data: excelBuffer, type: 'excel' }).then(success => {
-                if (success) {
-                    alert('Excel报价单导出成功');
-                } else {
-                    alert('Excel报价单导出失败');
-                }
-            });
+        return assemblies.get(key);
+    };
+
+    partsData.forEach(part => {
+        const parsed = parseDrawingNo(part['图号']);
+        if (!parsed) return;
+        const assembly = assemblyFor(parsed.model, parsed.assemblyKey);
+        if (parsed.isAssembly) {
+            assembly.part = part;
         } else {
-            // 浏览器环境
-            XLSX.writeFile(workbook, fileName);
+            assembly.children.push({ drawingNo: part['图号'], part, quantity: 1 });
         }
-    }
-    
-    // 新增：批量添加配件
-    function batchAddParts() {
-        const input = prompt("请输入多个配件号，每行一个：");
-        if (!input || input.trim() === '') return;
-        
-        const partNumbers = input.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-        if (partNumbers.length === 0) return;
-        
-        const extractedParts = partNumbers.map(partNumber => ({
-            '图号': partNumber,
-            '数量': 1,
-            '单价': 0,
-            '备注': '手动批量添加'
+    });
+
+    // 导入的结构：以父图号为部件，替换按图号推导出的零件
+    const partsByDrawingNo = new Map(partsData.map(part => [String(part['图号']).trim(), part]));
+    const linksByParent = new Map();
+    bomLinks.forEach(link => {
+        if (!linksByParent.has(link.parent)) linksByParent.set(link.parent, []);
+        linksByParent.get(link.parent).push(link);
+    });
+    linksByParent.forEach((links, parent) => {
+        const parentPart = partsByDrawingNo.get(parent) || null;
+        const parsed = parseDrawingNo(parent);
+        const model = parsed ? parsed.model : (parentPart ? getPartCategory(parentPart).toUpperCase() : '其他');
+        const assembly = assemblyFor(model, parsed && parsed.isAssembly ? parsed.assemblyKey : parent);
+        assembly.part = parentPart || assembly.part;
+        assembly.drawingNo = parent;
+        assembly.source = 'bom';
+        assembly.children = links.map(link => ({
+            drawingNo: link.child,
+            part: partsByDrawingNo.get(link.child) || null,
+            quantity: link.quantity
         }));
-        
-        processExtractedParts(
-            extractedParts,
-            partsData,
-            setSelectedParts,
-            setView,
-            setInfoMessage,
-            setLoading,
-            setCurrentPage
-        );
+    });
+
+    return Array.from(models.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([model, assemblies]) => ({
+            model,
+            assemblies: Array.from(assemblies.values())
+                .filter(assembly => assembly.children.length > 0)
+                .sort((a, b) => a.key.localeCompare(b.key))
+        }))
+        .filter(model => model.assemblies.length > 0);
+}
+
+function getAssemblyName(assembly) {
+    return assembly.part ? `${assembly.part['图号']} ${assembly.part['名称']}` : (assembly.drawingNo || assembly.key);
+}
+
+// 解析部件结构明细表，返回 { links, unparsedRows }
+function parseBomSheet(workbook) {
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+    const header = locateHeaderRow(rows, BOM_COLUMNS, ['parent', 'child']);
+    if (!header) {
+        throw new Error('未找到 父图号/子图号 表头');
     }
-    
-    // 新增：导入报价单模板
-    function importQuotationTemplate() {
-        alert("请选择报价单模板文件");
-        document.getElementById('fileTemplate').click();
+    const links = [];
+    const unparsedRows = [];
+    for (let r = header.headerIndex + 1; r < rows.length; r++) {
+        const row = rows[r];
+        const parent = cellText(row, header.columns.parent);
+        const child = cellText(row, header.columns.child);
+        if (!parent && !child) continue;
+        if (!parent || !child) {
+            unparsedRows.push({ rowNumber: r + 1, content: rowContent(row) });
+            continue;
+        }
+        const quantity = header.columns.quantity === undefined
+            ? 1
+            : parseQuantityCell(cellText(row, header.columns.quantity));
+        if (quantity === null) {
+            unparsedRows.push({ rowNumber: r + 1, content: rowContent(row) });
+            continue;
+        }
+        links.push({ parent, child, quantity });
     }
-    
-    async function handleTemplateUpload(e) {
-        const { file, fileContent } = await readFileContent(e, isElectron);
-        if (!file || !fileContent) {
-            alert('文件读取失败');
-            return;
+    return { links, unparsedRows };
+}
+
+// ------------------ 替代关系与编号对照 ------------------ //
+
+const PART_LINKS_KEY = 'shipPartLinks';
+
+const EMPTY_PART_LINKS = { supersessions: [], crossReferences: [] };
+
+// 检查要新增的替代关系，返回错误说明；可以添加时返回 null
+function validateSupersession(oldNo, newNo, linkIndex) {
+    if (!oldNo || !newNo) return '请填写旧图号和新图号';
+    if (normalizePartNo(oldNo) === normalizePartNo(newNo)) return '旧图号和新图号不能相同';
+    if (linkIndex.supersessions.has(normalizePartNo(oldNo))) return `${oldNo} 已有替代关系，请先删除原记录`;
+    // 新图号沿替代链不能回到旧图号
+    const { chain } = resolveSupersession(newNo, linkIndex);
+    if (chain.some(link => normalizePartNo(link.newNo) === normalizePartNo(oldNo))) return '该替代关系会形成循环';
+    return null;
+}
+
+// 审核时学习的匹配别名：[{ importedId, partId, customerId, createdAt }]
+const MATCH_ALIASES_KEY = 'shipMatchAliases';
+
+// ------------------ 审计日志 ------------------ //
+// 只追加的操作记录：[{ id, at, user: { username, name }, action, summary, details }]
+// 浏览器中逐条追加到 IndexedDB（见 partsStore），不可用时整体保存在 localStorage
+const AUDIT_LOG_KEY = 'shipAuditLog';
+
+const AUDIT_ACTIONS = {
+    login: '登录',
+    logout: '退出登录',
+    importParts: '导入配件数据',
+    importBom: '导入部件结构',
+    clearDatabase: '清空数据库',
+    exportDatabase: '导出数据库',
+    applyPricingRules: '应用价格规则',
+    bulkDiscount: '批量折扣',
+    createPart: '新增配件',
+    updatePart: '修改配件',
+    deletePart: '删除配件',
+    restorePart: '恢复配件',
+    backup: '备份数据',
+    restoreBackup: '恢复备份',
+    saveQuotation: '保存报价单',
+    reviseQuotation: '创建修订版本',
+    quotationStatus: '修改报价单状态',
+    deleteQuotation: '删除报价单',
+    exportQuotation: '导出报价单',
+    manageUsers: '用户管理',
+    taxSettings: '修改税率设置',
+    recalculateTax: '按税率重算价格',
+    pricingRule: '维护价格规则',
+    partLinks: '维护替代关系与编号对照',
+    matchAlias: '维护匹配别名',
+    customer: '维护客户目录',
+    vessel: '维护船舶登记'
+};
+
+const AUDIT_DETAIL_LABELS = {
+    fileName: '文件',
+    total: '总数',
+    added: '新增',
+    changed: '更新',
+    deleted: '删除',
+    discontinued: '标记停产',
+    skipped: '跳过',
+    failed: '失败',
+    quotation: '报价单',
+    format: '格式',
+    discount: '折扣',
+    priceOption: '价格类型',
+    lines: '行数',
+    status: '状态',
+    username: '用户名',
+    role: '角色',
+    partId: '标识码',
+    drawingNo: '图号',
+    fields: '修改字段',
+    sections: '数据项',
+    ids: '记录'
+};
+
+// 审计明细中的记录编号，条数过多时只列出前 AUDIT_ID_LIMIT 条
+const AUDIT_ID_LIMIT = 20;
+
+function summarizeAuditIds(ids) {
+    const list = [...new Set(ids.map(String))];
+    if (list.length <= AUDIT_ID_LIMIT) return list.join('、');
+    return `${list.slice(0, AUDIT_ID_LIMIT).join('、')} 等 ${list.length} 条`;
+}
+
+// 把 incoming 中 current 没有的记录按 id 合并进来，返回按时间排序的日志和新增的记录
+function mergeAuditEntries(current, incoming) {
+    const existingIds = new Set(current.map(entry => entry.id));
+    const added = incoming.filter(entry => !existingIds.has(entry.id));
+    const merged = [...current, ...added].sort((a, b) => String(a.at).localeCompare(String(b.at)));
+    return { merged, added };
+}
+
+function formatAuditDetails(details) {
+    return Object.entries(details || {})
+        .map(([key, value]) => `${AUDIT_DETAIL_LABELS[key] || key}: ${value}`)
+        .join('；');
+}
+
+// ------------------ 5. 主组件 ------------------ //
+export default function ImprovedPartsQuotationSystem() {
+    const isElectron = window.electronAPI !== undefined;
+    const [partsData, setPartsData] = useState([]);
+    const [selectedParts, setSelectedParts] = useState([]);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [view, setView] = useState('table');
+    const [loading, setLoading] = useState(true);
+    const [infoMessage, setInfoMessage] = useState(null);
+    const [priceOption, setPriceOption] = useState("服务价（含税）");
+    const [currentPage, setCurrentPage] = useState(1);
+    const [pageSize, setPageSize] = useState(50);
+    const [users, setUsers] = useState(loadUsers);
+    const [currentUser, setCurrentUser] = useState(() => restoreSession(loadUsers()));
+    // 页头登录表单 { username, password }，为 null 时不显示
+    const [loginForm, setLoginForm] = useState(null);
+    const [setupForm, setSetupForm] = useState({ username: '', name: '', password: '', confirmPassword: '' });
+    const [userDraft, setUserDraft] = useState(null);
+    const [auditLog, setAuditLog] = useState(() => safelyRetrieveData(AUDIT_LOG_KEY, []));
+    // 同一次操作中可能连续追加多条记录，以 ref 中的最新日志为准
+    const auditLogRef = useRef(auditLog);
+    const [auditFilter, setAuditFilter] = useState({ action: 'all', username: 'all', from: '', to: '', search: '' });
+    const [sortConfig, setSortConfig] = useState({ key: null, direction: 'ascending' });
+    const [supplierFormatOverride, setSupplierFormatOverride] = useState('auto');
+    const [importWizard, setImportWizard] = useState(null);
+    const [importTemplates, setImportTemplates] = useState(() => safelyRetrieveData(IMPORT_TEMPLATES_KEY, []));
+    // 价格历史在加载配件数据后读取
+    const [priceHistory, setPriceHistory] = useState({});
+    const [historyPartId, setHistoryPartId] = useState(null);
+    // 正在新增或修改的配件表单；originalId 为空表示新增
+    const [partDraft, setPartDraft] = useState(null);
+    const [showDeletedParts, setShowDeletedParts] = useState(false);
+    // 报价单新配件入库：{ selected: { [行标识码]: true }, names: { [行标识码]: 名称 }, applyRules }
+    const [promoteDraft, setPromoteDraft] = useState(null);
+    // 恢复预览：{ bundle, source, selected: { [数据项]: true } }
+    const [backupPreview, setBackupPreview] = useState(null);
+    const [snapshots, setSnapshots] = useState([]);
+    // 无法创建自动快照时在页面顶部持续提示，直到下一次快照成功
+    const [snapshotWarning, setSnapshotWarning] = useState(() => (isIndexedDbAvailable()
+        ? null
+        : '当前浏览器不支持 IndexedDB，批量修改数据前无法自动创建快照，请定期手动备份'));
+    const [priceAsOfDate, setPriceAsOfDate] = useState('');
+    const [taxSettings, setTaxSettings] = useState(() => safelyRetrieveData(TAX_SETTINGS_KEY, DEFAULT_TAX_SETTINGS));
+    const [showTaxSettings, setShowTaxSettings] = useState(false);
+    const [newTaxRate, setNewTaxRate] = useState({ percent: '', effectiveDate: new Date().toISOString().split('T')[0] });
+    const [pricingRules, setPricingRules] = useState(() => safelyRetrieveData(PRICING_RULES_KEY, DEFAULT_PRICING_RULES));
+    const [showPricingRules, setShowPricingRules] = useState(false);
+    const [ruleDraft, setRuleDraft] = useState(null);
+    const [rulePreview, setRulePreview] = useState(null);
+    const [storageError, setStorageError] = useState(null);
+    // 浏览器中优先使用 IndexedDB，不可用时退回 localStorage
+    const storageBackendRef = useRef(isIndexedDbAvailable() ? 'indexedDB' : 'localStorage');
+    // 最近一次成功保存的配件数据，用于计算增量写入
+    const savedPartsRef = useRef(null);
+    // 最近一次成功保存到 IndexedDB 的价格历史，为 null 表示尚未加载
+    const savedPriceHistoryRef = useRef(null);
+    const saveQueueRef = useRef(Promise.resolve());
+    const [quotations, setQuotations] = useState(() => safelyRetrieveData(QUOTATIONS_KEY, []));
+    const [quotationCounters, setQuotationCounters] = useState(() => safelyRetrieveData(QUOTATION_COUNTERS_KEY, {}));
+    const [currentQuotationId, setCurrentQuotationId] = useState(null);
+    const [quotationSearch, setQuotationSearch] = useState('');
+    const [quotationStatusFilter, setQuotationStatusFilter] = useState('all');
+    const [compareQuotationIds, setCompareQuotationIds] = useState(null);
+   const [theme, setTheme] = useState('light');
+    const [customerInfo, setCustomerInfo] = useState(createEmptyCustomerInfo);
+    const [customers, setCustomers] = useState(() => safelyRetrieveData(CUSTOMERS_KEY, []));
+    const [customerDraft, setCustomerDraft] = useState(null);
+    const [customerSearch, setCustomerSearch] = useState('');
+    const [vessels, setVessels] = useState(() => safelyRetrieveData(VESSELS_KEY, []));
+    const [vesselDraft, setVesselDraft] = useState(null);
+    const [vesselFilterId, setVesselFilterId] = useState('');
+    const [quotationVesselFilter, setQuotationVesselFilter] = useState('all');
+    const [bomLinks, setBomLinks] = useState(() => safelyRetrieveData(BOM_KEY, []));
+    const [showAssemblyTree, setShowAssemblyTree] = useState(false);
+    const [expandedTreeNodes, setExpandedTreeNodes] = useState({});
+    const [assemblyFilter, setAssemblyFilter] = useState(null);
+    const [assemblyQuantities, setAssemblyQuantities] = useState({});
+    const [partLinks, setPartLinks] = useState(() => safelyRetrieveData(PART_LINKS_KEY, EMPTY_PART_LINKS));
+    const [supersessionDraft, setSupersessionDraft] = useState({ oldNo: '', newNo: '', date: new Date().toISOString().split('T')[0], reason: '' });
+    const [crossReferenceDraft, setCrossReferenceDraft] = useState({ externalNo: '', partNo: '', owner: '', type: 'customer' });
+    const [matchAliases, setMatchAliases] = useState(() => safelyRetrieveData(MATCH_ALIASES_KEY, []));
+    // 一次审核中可能连续记住多个别名，以 ref 中的最新列表为准
+    const matchAliasesRef = useRef(matchAliases);
+    const [aliasForCustomerOnly, setAliasForCustomerOnly] = useState(true);
+    const [aliasSearch, setAliasSearch] = useState('');
+    // 逐项审核时正在重新匹配的报价行及搜索词
+    const [reviewSearch, setReviewSearch] = useState({ index: null, term: '' });
+    const [showPriceColumns, setShowPriceColumns] = useState({
+        '指导价（不含税）': true,
+        '出厂价（不含税）': true,
+        '服务价（不含税）': true,
+        '指导价（含税）': true,
+        '出厂价（含税）': true,
+        '服务价（含税）': true
+    });
+
+    // ------------------ 登录与权限 ------------------ //
+    function can(permission) {
+        return hasPermission(currentUser, permission);
+    }
+
+    // 操作前检查权限，无权限时提示并返回 false
+    function requirePermission(permission) {
+        if (can(permission)) return true;
+        alert(currentUser
+            ? `当前角色（${USER_ROLES[currentUser.role]}）无权执行此操作`
+            : '请先登录');
+        return false;
+    }
+
+    function persistUsers(next) {
+        setUsers(next);
+        if (!saveUsers(next)) {
+            setStorageError('用户账户保存失败，可能是浏览器存储空间不足');
         }
-        
+    }
+
+    async function handleLogin(e) {
+        e.preventDefault();
         try {
-            const workbook = XLSX.read(fileContent, ROBUST_EXCEL_OPTIONS);
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
-            const templateData = XLSX.utils.sheet_to_json(worksheet);
-            
-            // 提取客户信息
-            const customerData = templateData.find(row => 
-                row['客户名称'] || row['客户'] || row['Client'] || row['Customer']
-            );
-            
-            if (customerData) {
-                setCustomerInfo({
-                    name: customerData['客户名称'] || customerData['客户'] || customerData['Client'] || customerData['Customer'] || '',
-                    contact: customerData['联系方式'] || customerData['联系人'] || customerData['Contact'] || '',
-                    date: customerData['日期'] || customerData['Date'] || new Date().toISOString().split('T')[0],
-                    vessel: customerData['船舶'] || customerData['船名'] || customerData['Vessel'] || '',
-                    project: customerData['项目'] || customerData['工程'] || customerData['Project'] || ''
-                });
-            }
-            
-            // 提取配件列表
-            const partsList = templateData.filter(row => 
-                row['图号'] || row['件号'] || row['Part No.'] || row['Material No.']
-            );
-            
-            if (partsList.length > 0) {
-                const extractedParts = partsList.map(row => ({
-                    '图号': row['图号'] || row['件号'] || row['Part No.'] || row['Material No.'] || '',
-                    '名称': row['名称'] || row['件名'] || row['Description'] || '',
-                    '数量': parseInt(row['数量'] || row['Quantity'] || 1),
-                    '单价': parseFloat(row['单价'] || row['Price'] || 0),
-                    '备注': row['备注'] || row['Remark'] || ''
-                }));
-                
-                await processExtractedParts(
-                    extractedParts,
-                    partsData,
-                    setSelectedParts,
-                    setView,
-                    setInfoMessage,
-                    setLoading,
-                    setCurrentPage
-                );
-            } else {
-                alert('未在模板中找到有效的配件数据');
+            const user = await authenticate(users, loginForm.username, loginForm.password);
+            if (!user) {
+                alert('用户名或密码错误');
+                return;
             }
-            
+            startSession(user.username);
+            setCurrentUser(user);
+            setLoginForm(null);
+            recordAudit('login', `${user.name} 登录`, {}, user);
         } catch (error) {
-            handleProcessingError('模板文件解析', error, setLoading, setInfoMessage);
+            alert(`登录失败: ${error.message}`);
         }
     }
-    
-    function handlePrint() {
-    // 设置打印样式
-    const printElement = document.createElement('style');
-    printElement.innerHTML = `
-        @media print {
-            body * {
-                visibility: hidden;
-            }
-            #print-container, #print-container * {
-                visibility: visible;
-            }
-            #print-container {
-                position: absolute;
-                left: 0;
-                top: 0;
-                width: 100%;
-            }
-            .no-print {
-                display: none !important;
-            }
-            @page {
-                size: A4;
-                margin: 1cm;
-            }
-            table {
-                page-break-inside: avoid;
-            }
-            tr {
-                page-break-inside: avoid;
-                page-break-after: auto;
-            }
-            thead {
-                display: table-header-group;
-            }
-            tfoot {
-                display: table-footer-group;
-            }
-            
-            /* 第二页隐藏页头 */
-            .page-header {
-                display: none;
-            }
-            .first-page .page-header {
-                display: block;
+
+    // 首次使用：还没有任何账户时，在初始设置界面创建系统管理员并登录
+    async function handleSetupAdmin(e) {
+        e.preventDefault();
+        if (users.length > 0) return;
+        if (setupForm.password !== setupForm.confirmPassword) {
+            alert('两次输入的密码不一致');
+            return;
+        }
+        try {
+            const user = await buildUserRecord({ ...setupForm, role: 'systemAdmin' });
+            persistUsers([user]);
+            recordAudit('manageUsers', `创建首个系统管理员 ${user.name}`, { username: user.username, role: USER_ROLES[user.role] }, user);
+            startSession(user.username);
+            setCurrentUser(user);
+            setSetupForm({ username: '', name: '', password: '', confirmPassword: '' });
+            recordAudit('login', `${user.name} 登录`, {}, user);
+        } catch (error) {
+            alert(`创建管理员失败: ${error.message}`);
+        }
+    }
+
+    function handleLogout() {
+        recordAudit('logout', `${currentUser.name} 退出登录`);
+        endSession();
+        setCurrentUser(null);
+        if (['users', 'partLinks', 'matchAliases', 'auditLog', 'backup'].includes(view)) setView('table');
+    }
+
+    // 登录后记录操作时间，超过空闲时限自动退出
+    useEffect(() => {
+        if (!currentUser) return undefined;
+        let lastTouched = Date.now();
+        const handleActivity = () => {
+            if (Date.now() - lastTouched > 60 * 1000) {
+                lastTouched = Date.now();
+                touchSession();
             }
-            .page-break-before {
-                page-break-before: always;
+        };
+        const timer = setInterval(() => {
+            if (isSessionExpired(readSession())) {
+                endSession();
+                setCurrentUser(null);
+                alert(`超过 ${SESSION_IDLE_MINUTES} 分钟未操作，已自动退出登录`);
             }
-        }
-    `;
-    document.head.appendChild(printElement);
-    
-    window.print();
-    
-    // 移除打印样式
-    document.head.removeChild(printElement);
-}
-    // 总价和其他统计信息
-    const statistics = useMemo(() => {
-        const total = selectedParts.reduce((sum, p) => {
-            const priceVal = p.importedPrice || p[priceOption] || 0;
-            return sum + priceVal * (p.quantity || 1);
-        }, 0);
-        
-        const totalQuantity = selectedParts.reduce((sum, p) => sum + (p.quantity || 1), 0);
-        const exactMatchCount = selectedParts.filter(p => p.matchType === 'exact').length;
-        const fuzzyMatchCount = selectedParts.filter(p => p.matchType === 'fuzzy' || p.matchType === 'caseInsensitive' || p.matchType === 'noSpace').length;
-        const newPartCount = selectedParts.filter(p => p.isNew || p.matchType === 'none').length;
-        
-        return {
-            totalPrice: total,
-            totalQuantity,
-            exactMatchCount,
-            fuzzyMatchCount,
-            newPartCount
+        }, 60 * 1000);
+        window.addEventListener('mousedown', handleActivity);
+        window.addEventListener('keydown', handleActivity);
+        return () => {
+            clearInterval(timer);
+            window.removeEventListener('mousedown', handleActivity);
+            window.removeEventListener('keydown', handleActivity);
         };
-    }, [selectedParts, priceOption]);
+    }, [currentUser]);
 
-    // 新增：获取当前主题对应的样式
-    function getThemeStyles() {
-        if (theme === 'dark') {
-            return {
-                background: '#1e1e1e',
-                text: '#f0f0f0',
-                container: '#2d2d2d',
-                header: '#3d3d3d',
-                border: '#444',
-                button: '#555',
-                buttonText: '#fff',
-                inputBackground: '#333',
-                inputText: '#fff',
-                inputBorder: '#555',
-                link: '#4da6ff',
-                alertBackground: '#382b2b',
-                alertText: '#ff6b6b'
-            };
+    async function saveUserDraft() {
+        if (!requirePermission('manageUsers')) return;
+        const existing = users.find(u => u.username === userDraft.originalUsername);
+        if (!existing && users.some(u => u.username === userDraft.username.trim())) {
+            alert('用户名已存在');
+            return;
         }
-        return {
-            background: '#f9fafb',
-            text: '#333',
-            container: '#ffffff',
-            header: '#f2f2f2',
-            border: '#ddd',
-            button: '#e5e5e5',
-            buttonText: '#333',
-            inputBackground: '#fff',
-            inputText: '#333',
-            inputBorder: '#ccc',
-            link: '#0066cc',
-            alertBackground: '#fff8f8',
-            alertText: '#d14'
-        };
-    }
-    
-    const themeStyles = getThemeStyles();
-    
-    useEffect(() => {
-        // 当主题改变时，更新文档的背景色和文本色
-        document.body.style.backgroundColor = themeStyles.background;
-        document.body.style.color = themeStyles.text;
-    }, [theme, themeStyles]);
-    
-    // ------------------ 文件导入事件封装 ------------------ //
-    async function handleFileUploadWrapper(e) {
-        const { file, fileContent } = await readFileContent(e, isElectron);
-        if (!file || !fileContent) {
-            alert('文件读取失败');
+        if (existing && existing.role === 'systemAdmin' && userDraft.role !== 'systemAdmin' &&
+            users.filter(u => u.role === 'systemAdmin').length === 1) {
+            alert('至少需要保留一个系统管理员');
             return;
         }
-        setLoading(true);
         try {
-            const workbook = XLSX.read(fileContent, ROBUST_EXCEL_OPTIONS);
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
-            const jsonData = XLSX.utils.sheet_to_json(worksheet);
-            console.log("解析的Excel数据:", jsonData);
-
-            // 进行简单的格式推断
-            const formattedData = jsonData.map((row, index) => {
-                if (row['编码'] && row['出厂价'] !== undefined) {
-                    const singlePrice = parseFloat(row['出厂价'] || 0);
-                    return {
-                        '日期': row['日期'] || '',
-                        '标识码': row['编码'] || `IMPORT${index + 1}`,
-                        '图号': row['件号'] || '',
-                        '名称': row['件名'] || '未知配件',
-                        '指导价（不含税）': singlePrice,
-                        '出厂价（不含税）': singlePrice,
-                        '服务价（不含税）': singlePrice,
-                        '指导价（含税）': singlePrice,
-                        '出厂价（含税）': singlePrice,
-                        '服务价（含税）': singlePrice,
-                        '备注': [
-                            row['单位'] ? `单位:${row['单位']}` : '',
-                            row['备注与其他数据合并一起']
-                        ].filter(Boolean).join('; ')
-                    };
-                } else if (row['标识码']) {
-                    return {
-                        '日期': row['日期'] || '',
-                        '标识码': row['标识码'] || `IMPORT${index + 1}`,
-                        '图号': row['图号'] || '',
-                        '名称': row['名称'] || '未知配件',
-                        '指导价（不含税）': parseFloat(row['指导价（不含税）'] || 0),
-                        '出厂价（不含税）': parseFloat(row['出厂价（不含税）'] || 0),
-                        '服务价（不含税）': parseFloat(row['服务价（不含税）'] || 0),
-                        '指导价（含税）': parseFloat(row['指导价（含税）'] || 0),
-                        '出厂价（含税）': parseFloat(row['出厂价（含税）'] || 0),
-                        '服务价（含税）': parseFloat(row['服务价（含税）'] || 0),
-                        '备注': row['备注'] || ''
-                    };
-                } else {
-                    const singlePrice = parseFloat(row['出厂价'] || 0);
-                    return {
-                        '日期': row['日期'] || '',
-                        '标识码': row['标识码'] || row['编码'] || `IMPORT${index + 1}`,
-                        '图号': row['图号'] || row['件号'] || '',
-                        '名称': row['名称'] || row['件名'] || '未知配件',
-                        '指导价（不含税）': row['出厂价'] ? singlePrice : parseFloat(row['指导价（不含税）'] || 0),
-                        '出厂价（不含税）': row['出厂价'] ? singlePrice : parseFloat(row['出厂价（不含税）'] || 0),
-                        '服务价（不含税）': parseFloat(row['服务价（不含税）'] || 0),
-                        '指导价（含税）': parseFloat(row['指导价（含税）'] || 0),
-                        '出厂价（含税）': row['出厂价'] ? singlePrice : parseFloat(row['出厂价（含税）'] || 0),
-                        '服务价（含税）': parseFloat(row['服务价（含税）'] || 0),
-                        '备注': row['备注'] ||
-                            ([row['单位'] ? `单位:${row['单位']}` : '', row['备注与其他数据合并一起']]
-                                .filter(Boolean).join('; '))
-                    };
-                }
-            }).filter(item => item['名称'] !== '未知配件' || item['出厂价（不含税）'] > 0);
-
-            const existingIds = new Set(partsData.map(item => item['标识码']));
-            const newData = formattedData.filter(item => !existingIds.has(item['标识码']));
-            const combinedData = [...partsData, ...newData];
-            setPartsData(combinedData);
-            setCurrentPage(1);
-            saveDataToStorage(combinedData);
-            alert(`成功导入 ${newData.length} 条新数据！当前总共有 ${combinedData.length} 条数据。`);
+            const record = await buildUserRecord(userDraft, existing);
+            persistUsers(existing
+                ? users.map(u => (u === existing ? record : u))
+                : [...users, record]);
+            recordAudit(
+                'manageUsers',
+                `${existing ? '修改' : '新建'}用户 ${record.name}${userDraft.password && existing ? '（重置密码）' : ''}`,
+                { username: record.username, role: USER_ROLES[record.role] }
+            );
+            if (existing && currentUser && existing.username === currentUser.username) {
+                setCurrentUser(record);
+                startSession(record.username);
+            }
+            setUserDraft(null);
         } catch (error) {
-            handleProcessingError('文件解析', error, setLoading, setInfoMessage);
-        } finally {
-            setLoading(false);
+            alert(error.message);
         }
     }
 
-    async function handleAdvancedQuotationUpload(e) {
-        if (!isAdmin) {
-            alert("无权限进行高级导入！");
+    function deleteUser(user) {
+        if (!requirePermission('manageUsers')) return;
+        if (currentUser && user.username === currentUser.username) {
+            alert('不能删除当前登录的账户');
             return;
         }
-        const { file, fileContent } = await readFileContent(e, isElectron);
-        if (!file || !fileContent) {
-            alert('文件读取失败');
+        if (user.role === 'systemAdmin' && users.filter(u => u.role === 'systemAdmin').length === 1) {
+            alert('至少需要保留一个系统管理员');
             return;
         }
-        setLoading(true);
-        setInfoMessage("正在处理文件，请稍候...");
-        try {
-            console.log("开始处理文件:", file.name);
-            const isAdvanceSpares = file.name.includes("Advance") || file.name.includes("ADVANCE");
-            const isXiamenFile = file.name.includes("厦门") || file.name.includes("斯太琪");
-            const isPdf = file.name.toLowerCase().endsWith('.pdf');
-            if (isPdf) {
-                console.log("检测到PDF文件，采用预设的模拟解析逻辑");
-                const extractedParts = extractPartsFromDocument();
-                await processExtractedParts(
-                    extractedParts,
-                    partsData,
-                    setSelectedParts,
-                    setView,
-                    setInfoMessage,
-                    setLoading,
-                    setCurrentPage
-                );
-                return;
-            }
-            let workbook;
-            try {
-                workbook = XLSX.read(fileContent, ROBUST_EXCEL_OPTIONS);
-            } catch (error) {
-                console.error("Excel读取错误:", error);
-                setLoading(false);
-                alert(`Excel文件格式错误: ${error.message}`);
-                return;
-            }
-            let allExtractedParts = [];
-            if (isAdvanceSpares) {
-                console.log("使用 ADVANCE 配件清单专用处理逻辑");
-                allExtractedParts = await extractAdvancePartsList(workbook);
-            } else if (isXiamenFile) {
-                console.log("使用 厦门斯太琪 配件单专用处理逻辑");
-                allExtractedParts = await extractXiamenPartsList(workbook);
-            } else {
-                console.log("使用通用配件单处理逻辑");
-                allExtractedParts = await extractGenericPartsList(workbook);
-            }
-            await processExtractedParts(
-                allExtractedParts,
-                partsData,
-                setSelectedParts,
-                setView,
-                setInfoMessage,
-                setLoading,
-                setCurrentPage
-            );
-        } catch (error) {
-            handleProcessingError('文件处理', error, setLoading, setInfoMessage);
+        if (!window.confirm(`确定删除用户 ${user.name}（${user.username}）吗？`)) return;
+        persistUsers(users.filter(u => u !== user));
+        recordAudit('manageUsers', `删除用户 ${user.name}`, { username: user.username });
+    }
+
+    // 报价单上记录的制单人
+    function currentUserStamp() {
+        return currentUser ? { username: currentUser.username, name: currentUser.name } : null;
+    }
+
+    // 追加一条审计记录；已有记录不会被修改或删除
+    function recordAudit(action, summary, details = {}, user = currentUser) {
+        const entry = {
+            id: `${Date.now()}-${auditLogRef.current.length}`,
+            at: new Date().toISOString(),
+            user: user ? { username: user.username, name: user.name } : null,
+            action,
+            summary,
+            details
+        };
+        const next = [...auditLogRef.current, entry];
+        auditLogRef.current = next;
+        setAuditLog(next);
+        persistAuditEntries([entry]);
+    }
+
+    // 保存新增的审计记录：IndexedDB 中逐条追加，不可用时把整个日志写入 localStorage
+    function persistAuditEntries(entries) {
+        if (storageBackendRef.current === 'indexedDB') {
+            saveQueueRef.current = saveQueueRef.current
+                .then(() => appendAuditEntries(entries))
+                .catch(error => {
+                    console.error("审计日志保存失败:", error);
+                    setStorageError(`审计日志保存失败: ${error.message}`);
+                });
+        } else if (!safelyStoreData(AUDIT_LOG_KEY, auditLogRef.current)) {
+            setStorageError('审计日志保存失败，可能是浏览器存储空间不足');
         }
     }
 
-    async function handleCustomerQuotationUpload(e) {
-        const { file, fileContent } = await readFileContent(e, isElectron);
-        if (!file || !fileContent) {
-            alert('文件读取失败');
-            return;
+    function handleSortChange(key) {
+        let direction = 'ascending';
+        if (sortConfig.key === key && sortConfig.direction === 'ascending') {
+            direction = 'descending';
         }
-        setLoading(true);
-        try {
-            const workbook = XLSX.read(fileContent, ROBUST_EXCEL_OPTIONS);
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
-            if (!worksheet['!ref']) {
-                throw new Error("Excel文件似乎是空的");
-            }
-            let customerData = [];
+        setSortConfig({ key, direction });
+    }
+
+    function toggleTheme() {
+        setTheme(theme === 'light' ? 'dark' : 'light');
+    }
+
+    useEffect(() => {
+        const loadData = async () => {
+            setLoading(true);
             try {
-                customerData = XLSX.utils.sheet_to_json(worksheet);
-                if (customerData.length === 0) {
-                    // 尝试备用方法
-                    const range = XLSX.utils.decode_range(worksheet['!ref']);
-                    if (range.e.c === 0 || range.e.c === range.s.c) {
-                        for (let r = range.s.r; r <= range.e.r; r++) {
-                            const cellAddress = XLSX.utils.encode_cell({ r, c: range.s.c });
-                            const cell = worksheet[cellAddress];
-                            if (cell && cell.v) {
-                                const value = cell.w || String(cell.v);
-                                if (value.trim() !== '') {
-                                    customerData.push({
-                                        '图号': value.trim(),
-                                        'rawValue': value.trim()
-                                    });
-                                }
+                if (isElectron) {
+                    const loadedData = await window.electronAPI.readData();
+                    if (loadedData && loadedData.length > 0) {
+                        setPartsData(loadedData);
+                    } else {
+                        loadSampleData();
+                    }
+                } else {
+                    let stored = null;
+                    if (storageBackendRef.current === 'indexedDB') {
+                        try {
+                            const { parts, migrated } = await loadParts();
+                            stored = parts;
+                            savedPartsRef.current = parts;
+                            if (migrated > 0) {
+                                setInfoMessage(`已将 ${migrated} 条配件数据从 localStorage 迁移到 IndexedDB`);
                             }
+                        } catch (error) {
+                            console.error("IndexedDB 加载失败:", error);
+                            storageBackendRef.current = 'localStorage';
+                            setStorageError(`IndexedDB 不可用（${error.message}），已改用 localStorage 保存，数据量大时可能保存失败`);
                         }
                     }
-                    if (customerData.length === 0) {
-                        // 再尝试CSV解析
-                        const csvOptions = { header: 1 };
-                        const rows = XLSX.utils.sheet_to_json(worksheet, csvOptions);
-                        if (rows.length > 0) {
-                            customerData = rows.map(row => {
-                                if (row.length > 0 && row[0] && String(row[0]).trim() !== '') {
-                                    return {
-                                        '图号': String(row[0]).trim(),
-                                        'rawValue': String(row[0]).trim()
-                                    };
-                                }
-                                return null;
-                            }).filter(item => item !== null);
-                        }
+                    if (storageBackendRef.current === 'localStorage') {
+                        stored = safelyRetrieveData('shipPartsData');
                     }
-                }
-            } catch (parseError) {
-                console.error("标准解析失败，尝试备用方法:", parseError);
-                const range = XLSX.utils.decode_range(worksheet['!ref']);
-                for (let r = range.s.r; r <= range.e.r; r++) {
-                    const cellAddress = XLSX.utils.encode_cell({ r, c: 0 });
-                    const cell = worksheet[cellAddress];
-                    if (cell && (cell.v !== undefined || cell.w)) {
-                        const value = cell.w || String(cell.v);
-                        if (value.trim() !== '') {
-                            customerData.push({
-                                '图号': value.trim(),
-                                'rawValue': value.trim()
-                            });
-                        }
+                    if (stored) {
+                        setPartsData(stored);
+                    } else {
+                        loadSampleData();
                     }
                 }
+            } catch (err) {
+                console.error("加载数据失败:", err);
+                loadSampleData();
+            } finally {
+                setLoading(false);
             }
-            if (customerData.length === 0) {
-                throw new Error("无法从Excel文件中提取有效数据，请检查文件格式");
+            if (storageBackendRef.current !== 'indexedDB') {
+                setPriceHistory(safelyRetrieveData(PRICE_HISTORY_KEY, {}));
+                return;
             }
-            const matchedParts = [];
-            const processedIds = new Set();
-            for (const item of customerData) {
-                const importedId = String(
-                    item['图号'] ||
-                    item['标识码'] ||
-                    item['rawValue'] ||
-                    item[Object.keys(item)[0]] ||
-                    ''
-                ).trim();
-                if (!importedId || processedIds.has(importedId)) continue;
-                processedIds.add(importedId);
+            try {
+                const { history } = await loadPriceHistory();
+                savedPriceHistoryRef.current = history;
+                setPriceHistory(history);
+            } catch (error) {
+                console.error("价格历史加载失败:", error);
+                setStorageError(`价格历史加载失败: ${error.message}。加载成功前不会保存新的价格变化`);
+            }
+            // 加载期间已追加的记录（如登录）保留在日志中
+            try {
+                const { merged } = mergeAuditEntries(await loadAuditLog(), auditLogRef.current);
+                auditLogRef.current = merged;
+                setAuditLog(merged);
+            } catch (error) {
+                console.error("审计日志加载失败:", error);
+                setStorageError(`审计日志加载失败: ${error.message}`);
+            }
+        };
+        loadData();
+    }, [isElectron]);
 
-                const matchResult = enhancedFuzzyMatch(importedId, partsData);
-                if (matchResult) {
-                    matchedParts.push({
-                        ...matchResult,
-                        importedId,
-                        quantity: parseInt(item['数量']) || 1,
-                        importedPrice: parseFloat(item['单价']) || 0,
-                        importedRemark: item['备注'] || ''
-                    });
-                } else {
-                    matchedParts.push({
-                        '标识码': `NEW_${importedId}`,
-                        '图号': importedId,
-                        '名称': item['名称'] || '未知配件',
-                        '指导价（不含税）': 0,
-                        '出厂价（不含税）': 0,
-                        '服务价（不含税）': 0,
-                        '指导价（含税）': 0,
-                        '出厂价（含税）': 0,
-                        '服务价（含税）': parseFloat(item['单价']) || 0,
-                        '备注': item['备注'] || `客户提供标识: ${importedId}`,
-                        'quantity': parseInt(item['数量']) || 1,
-                        'isNew': true,
-                        'importedId': importedId
-                    });
-                }
+    function loadSampleData() {
+        const sampleData = [
+            {
+                '日期': '2025-03-01',
+                '标识码': "ZB0001",
+                '图号': "MV1100-02-002A",
+                '名称': "侧车轴",
+                '指导价（不含税）': 3250000,
+                '出厂价（不含税）': 2762500,
+                '服务价（不含税）': 3900000,
+                '指导价（含税）': 3672500,
+                '出厂价（含税）': 3121625,
+                '服务价（含税）': 4407000,
+                '备注': '重点设备'
+            },
+            {
+                '日期': '2025-03-02',
+                '标识码': "ZB0002",
+                '图号': "HC400-01-000",
+                '名称': "输入轴部件",
+                '指导价（不含税）': 758000,
+                '出厂价（不含税）': 644300,
+                '服务价（不含税）': 909600,
+                '指导价（含税）': 856540,
+                '出厂价（含税）': 728059,
+                '服务价（含税）': 1027848,
+                '备注': ''
             }
-            if (matchedParts.length === 0) {
-                throw new Error("没有找到有效的配件数据，请检查文件格式");
+        ];
+        setPartsData(sampleData);
+        saveDataToStorage(sampleData);
+    }
+
+    function saveDataToStorage(data) {
+        try {
+            if (isElectron) {
+                window.electronAPI.saveData(data).then(success => {
+                    if (success) {
+                        setStorageError(null);
+                    } else {
+                        console.error("保存数据失败");
+                        setStorageError('配件数据保存失败，最近的修改可能没有保存');
+                    }
+                });
+            } else if (storageBackendRef.current === 'indexedDB') {
+                // 保存按顺序排队执行，每次只写入与上次成功保存相比有变化的记录
+                saveQueueRef.current = saveQueueRef.current
+                    .then(() => saveParts(savedPartsRef.current, data))
+                    .then(() => {
+                        savedPartsRef.current = data;
+                        setStorageError(null);
+                    })
+                    .catch(error => {
+                        console.error("保存数据失败:", error);
+                        setStorageError(`配件数据保存失败: ${error.message}。最近的修改可能没有保存`);
+                    });
+            } else if (safelyStoreData('shipPartsData', data)) {
+                setStorageError(null);
+            } else {
+                setStorageError('配件数据保存失败，可能是浏览器存储空间不足。最近的修改可能没有保存');
             }
-            setSelectedParts(matchedParts);
-            setView('quotation');
-            setCurrentPage(1);
+        } catch (error) {
+            console.error("保存数据失败:", error);
+            setStorageError(`配件数据保存失败: ${error.message}`);
+        }
+    }
 
-            const matchedCount = matchedParts.filter(p => !p.isNew).length;
-            const newCount = matchedParts.filter(p => p.isNew).length;
-            setInfoMessage(
-                `成功导入 ${matchedParts.length} 条数据！其中成功匹配 ${matchedCount} 条，未匹配新配件 ${newCount} 条。`
+    // 写入配件数据；提供 source 时同时记录价格变化历史
+    function commitPartsData(nextData, { source, effectiveDate } = {}) {
+        if (source) {
+            const nextHistory = appendPriceHistory(
+                priceHistory,
+                partsData,
+                nextData,
+                source,
+                effectiveDate || new Date().toISOString().split('T')[0]
             );
-        } catch (error) {
-            handleProcessingError('文件解析', error, setLoading, setInfoMessage);
-        } finally {
-            setLoading(false);
+            if (nextHistory !== priceHistory) persistPriceHistory(nextHistory);
         }
+        setPartsData(nextData);
+        saveDataToStorage(nextData);
     }
 
-    // 新增：处理通用文档文件上传
-    async function handleDocumentUpload(e) {
-        const { file, fileContent } = await readFileContent(e, isElectron);
-        if (!file || !fileContent) {
-            alert('文件读取失败');
+    // 保存价格历史：IndexedDB 中只写入有变化的配件；replace 为 true 时替换全部（恢复备份）
+    function persistPriceHistory(nextHistory, { replace = false } = {}) {
+        setPriceHistory(nextHistory);
+        if (storageBackendRef.current !== 'indexedDB') {
+            if (!safelyStoreData(PRICE_HISTORY_KEY, nextHistory)) {
+                setStorageError('价格历史保存失败，可能是浏览器存储空间不足');
+            }
             return;
         }
-        
-        setLoading(true);
-        setInfoMessage("正在解析文档，提取配件信息...");
-        
-        try {
-            // 根据文件类型提取配件信息
-            const fileType = detectFileType(file.name);
-            const extractedParts = await extractPartsFromDocument(file, fileContent);
-            
-            if (extractedParts && extractedParts.length > 0) {
-                await processExtractedParts(
-                    extractedParts,
-                    partsData,
-                    setSelectedParts,
-                    setView,
-                    setInfoMessage,
-                    setLoading,
-                    setCurrentPage
-                );
-            } else {
-                setLoading(false);
-                alert(`未能从${fileType}文件中提取配件信息，请尝试其他导入方式。`);
-            }
-        } catch (error) {
-            handleProcessingError('文档解析', error, setLoading, setInfoMessage);
+        if (!replace && !savedPriceHistoryRef.current) {
+            setStorageError('价格历史尚未加载，本次价格变化没有保存');
+            return;
         }
+        saveQueueRef.current = saveQueueRef.current
+            .then(() => savePriceHistory(replace ? null : savedPriceHistoryRef.current, nextHistory))
+            .then(() => { savedPriceHistoryRef.current = nextHistory; })
+            .catch(error => {
+                console.error("价格历史保存失败:", error);
+                setStorageError(`价格历史保存失败: ${error.message}。最近的价格变化可能没有保存`);
+            });
     }
-    
-    // 新增：文档解析与人工审核流程
-    function startDocumentProcessWorkflow() {
-        // 弹窗询问文档类型
-        const docType = window.confirm(
-            "请选择文档类型:\n" +
-            "确定 - PDF或Word等格式的客户订单\n" + 
-            "取消 - Excel或CSV格式的表格数据"
-        );
-        
-        if (docType) {
-            // 用户选择了PDF/Word文档
-            document.getElementById('fileDocument').click();
+
+    const activeParts = useMemo(() => partsData.filter(part => !isPartDeleted(part)), [partsData]);
+    const deletedPartCount = partsData.length - activeParts.length;
+
+    // ------------------ 配件维护 ------------------ //
+    function newPartDraft() {
+        if (!requirePermission('editParts')) return;
+        const draft = {
+            originalId: null,
+            '日期': new Date().toISOString().split('T')[0],
+            '标识码': nextPartId(partsData),
+            '图号': '',
+            '名称': '',
+            '备注': ''
+        };
+        PRICE_FIELDS.forEach(field => { draft[field] = ''; });
+        setPartDraft(draft);
+    }
+
+    function editPart(part) {
+        if (!requirePermission('editParts')) return;
+        const draft = { originalId: part['标识码'] };
+        ['日期', '标识码', '图号', '名称', '备注', ...PRICE_FIELDS].forEach(field => {
+            draft[field] = part[field] === undefined || part[field] === null ? '' : String(part[field]);
+        });
+        setPartDraft(draft);
+    }
+
+    function savePartDraft() {
+        if (!requirePermission('editParts')) return;
+        const { originalId } = partDraft;
+        const original = originalId ? partsData.find(part => part['标识码'] === originalId) : null;
+        if (originalId && !original) {
+            alert(`配件 ${originalId} 已不存在`);
+            setPartDraft(null);
+            return;
+        }
+        const { errors, record } = validatePartDraft(partDraft, partsData, originalId);
+        if (errors.length > 0) {
+            alert(`无法保存：\n${errors.join('\n')}`);
+            return;
+        }
+
+        if (original) {
+            const fields = Object.keys(record).filter(field => !sameImportValue(original[field], record[field]));
+            if (fields.length === 0) {
+                setPartDraft(null);
+                return;
+            }
+            commitPartsData(
+                partsData.map(part => (part === original ? { ...original, ...record } : part)),
+                { source: '手工修改' }
+            );
+            recordAudit('updatePart', `修改配件 ${record['标识码']} ${record['图号']}`, {
+                partId: record['标识码'],
+                fields: fields.join('、')
+            });
         } else {
-            // 用户选择了Excel/CSV
-            document.getElementById('fileCustomer').click();
+            commitPartsData([...partsData, record], { source: '手工新增' });
+            recordAudit('createPart', `新增配件 ${record['标识码']} ${record['图号']}`, {
+                partId: record['标识码'],
+                drawingNo: record['图号']
+            });
         }
+        setPartDraft(null);
     }
-    
-    // 新增: 人工审核确认
-    function reviewAndConfirm() {
-        // 仅在有待审核的配件时显示
-        if (selectedParts.length === 0) {
-            alert('没有需要审核的配件');
+
+    function deletePart(part) {
+        if (!requirePermission('editParts')) return;
+        if (!window.confirm(`确定删除配件 ${part['标识码']} ${part['图号']} 吗？删除后可在"已删除配件"中恢复。`)) return;
+        commitPartsData(partsData.map(p => (p === part ? { ...p, '删除时间': new Date().toISOString() } : p)));
+        if (partDraft && partDraft.originalId === part['标识码']) setPartDraft(null);
+        recordAudit('deletePart', `删除配件 ${part['标识码']} ${part['图号']}`, {
+            partId: part['标识码'],
+            drawingNo: part['图号']
+        });
+    }
+
+    function restorePart(part) {
+        if (!requirePermission('editParts')) return;
+        const conflict = activeParts.find(p => normalizePartNo(p['图号']) === normalizePartNo(part['图号']));
+        if (conflict) {
+            alert(`图号 ${part['图号']} 已被配件 ${conflict['标识码']} 使用，无法恢复`);
+            return;
+        }
+        commitPartsData(partsData.map(p => {
+            if (p !== part) return p;
+            const { '删除时间': deletedAt, ...restored } = p;
+            return restored;
+        }));
+        recordAudit('restorePart', `恢复配件 ${part['标识码']} ${part['图号']}`, {
+            partId: part['标识码'],
+            drawingNo: part['图号']
+        });
+    }
+
+    // 报价单中未匹配的新配件入库：按当前价格类型写入报价行的单价，补全含税/不含税价，
+    // 可再按价格规则计算其余价格；入库后报价行改为对应的数据库配件，下次导入可直接精确匹配
+    function openPromoteNewLines() {
+        if (!requirePermission('editParts')) return;
+        const selected = {};
+        const names = {};
+        const remarks = {};
+        selectedParts.filter(line => line.isNew).forEach(line => {
+            selected[line['标识码']] = true;
+            names[line['标识码']] = line['名称'] === '未知配件' ? '' : line['名称'];
+            remarks[line['标识码']] = '';
+        });
+        setPromoteDraft({ selected, names, remarks, applyRules: pricingRules.some(rule => rule.enabled !== false) });
+    }
+
+    async function promoteNewLines() {
+        if (!requirePermission('editParts')) return;
+        const lines = selectedParts.filter(line => line.isNew && promoteDraft.selected[line['标识码']]);
+        if (lines.length === 0) {
+            alert('请至少选择一个新配件');
+            return;
+        }
+
+        // 价格规则按基准价计算；新配件只有报价行单价，先用单价（换算含税/不含税）补上规则的基准价
+        const ruleBaseFields = promoteDraft.applyRules
+            ? [...new Set(pricingRules.filter(rule => rule.enabled !== false).map(rule => rule.baseField))]
+            : [];
+        const records = [];
+        const recordsByLineId = new Map();
+        const errors = [];
+        lines.forEach(line => {
+            const lineId = line['标识码'];
+            if (recordsByLineId.has(lineId)) return;
+            const draft = buildPromotedPartDraft(line, getUnitPrice(line), priceOption, {
+                id: nextPartId([...partsData, ...records]),
+                name: promoteDraft.names[lineId],
+                remark: promoteDraft.remarks[lineId],
+                date: new Date().toISOString().split('T')[0],
+                ruleBaseFields,
+                taxRate: currentTaxRate,
+                taxBasis: taxSettings.basis
+            });
+
+            const { errors: lineErrors, record } = validatePartDraft(draft, [...partsData, ...records]);
+            if (lineErrors.length > 0) {
+                errors.push(`${line['图号']}: ${lineErrors.join('，')}`);
+                return;
+            }
+            records.push(record);
+            recordsByLineId.set(lineId, record);
+        });
+        if (errors.length > 0) {
+            alert(`以下新配件无法入库，请修改后重试：\n${errors.join('\n')}`);
+            return;
+        }
+
+        if (promoteDraft.applyRules) {
+            evaluatePricingRules(records, pricingRules, currentTaxRate, taxSettings.basis).forEach(({ part, field, to, ruleName }) => {
+                part[field] = to;
+                part['价格规则'] = { ...(part['价格规则'] || {}), [field]: ruleName };
+            });
+        }
+
+        if (!(await takeSnapshot('报价单新配件入库前'))) return;
+        commitPartsData([...partsData, ...records], { source: '报价单新配件入库' });
+        setSelectedParts(selectedParts.map(line => {
+            const record = line.isNew && recordsByLineId.get(line['标识码']);
+            if (!record) return line;
+            return {
+                ...record,
+                quantity: line.quantity,
+                importedId: line.importedId,
+                importedPrice: line.importedPrice,
+                importedRemark: line.importedRemark,
+                group: line.group,
+                matchType: 'exact',
+                confidence: 1,
+                humanReviewed: line.humanReviewed,
+                reviewStatus: line.reviewStatus
+            };
+        }));
+        setPromoteDraft(null);
+        recordAudit('createPart', `报价单新配件入库 ${records.length} 个：${records.map(r => r['标识码']).join('、')}`, {
+            quotation: currentQuotation ? formatQuotationNumber(currentQuotation) : '（未保存）',
+            added: records.length
+        });
+        alert(`已将 ${records.length} 个新配件加入数据库`);
+    }
+
+    function getUnitPrice(part) {
+        return getLineUnitPrice(part, priceOption, priceHistory, priceAsOfDate);
+    }
+
+    // ------------------ 价格规则 ------------------ //
+    function priceRuleTitle(part, field) {
+        const ruleName = part['价格规则'] && part['价格规则'][field];
+        return ruleName ? `由规则「${ruleName}」计算` : undefined;
+    }
+
+    function updatePricingRules(rules) {
+        setPricingRules(rules);
+        safelyStoreData(PRICING_RULES_KEY, rules);
+        setRulePreview(null);
+    }
+
+    function newRuleDraft() {
+        if (!requirePermission('managePricing')) return;
+        setRuleDraft({
+            id: `rule-${Date.now()}`,
+            name: '',
+            enabled: true,
+            matchType: 'keyword',
+            matchValue: '',
+            baseField: '指导价（不含税）',
+            factors: {},
+            overwrite: false,
+            fillTax: true
+        });
+    }
+
+    function saveRuleDraft() {
+        if (!requirePermission('managePricing')) return;
+        if (!ruleDraft.name.trim()) {
+            alert('请输入规则名称');
+            return;
+        }
+        if (ruleDraft.matchType !== 'all' && !String(ruleDraft.matchValue).trim()) {
+            alert('请填写匹配条件');
+            return;
+        }
+        const factors = {};
+        for (const [field, value] of Object.entries(ruleDraft.factors)) {
+            if (value === '' || value === undefined) continue;
+            const factor = parseFloat(value);
+            if (isNaN(factor) || factor <= 0) {
+                alert(`${field} 的比例无效`);
+                return;
+            }
+            factors[field] = factor;
+        }
+        if (Object.keys(factors).length === 0) {
+            alert('请至少为一个价格字段设置比例');
+            return;
+        }
+        const rule = { ...ruleDraft, name: ruleDraft.name.trim(), factors };
+        const exists = pricingRules.some(r => r.id === rule.id);
+        updatePricingRules(exists ? pricingRules.map(r => (r.id === rule.id ? rule : r)) : [...pricingRules, rule]);
+        recordAudit('pricingRule', `${exists ? '修改' : '新增'}价格规则「${rule.name}」`, { changed: 1, ids: rule.id });
+        setRuleDraft(null);
+    }
+
+    function toggleRule(rule) {
+        if (!requirePermission('managePricing')) return;
+        const enabled = rule.enabled === false;
+        updatePricingRules(pricingRules.map(r => (r.id === rule.id ? { ...r, enabled } : r)));
+        recordAudit('pricingRule', `${enabled ? '启用' : '停用'}价格规则「${rule.name}」`, { changed: 1, ids: rule.id });
+    }
+
+    function deleteRule(rule) {
+        if (!requirePermission('managePricing')) return;
+        if (!window.confirm(`确定删除规则「${rule.name}」吗？`)) return;
+        updatePricingRules(pricingRules.filter(r => r.id !== rule.id));
+        recordAudit('pricingRule', `删除价格规则「${rule.name}」`, { deleted: 1, ids: rule.id });
+    }
+
+    function moveRule(index, offset) {
+        if (!requirePermission('managePricing')) return;
+        const target = index + offset;
+        if (target < 0 || target >= pricingRules.length) return;
+        const rules = [...pricingRules];
+        [rules[index], rules[target]] = [rules[target], rules[index]];
+        updatePricingRules(rules);
+        recordAudit('pricingRule', `调整价格规则「${rules[target].name}」的顺序为第 ${target + 1} 条`, {
+            changed: 2,
+            ids: summarizeAuditIds([rules[target].id, rules[index].id])
+        });
+    }
+
+    function previewPricingRules() {
+        if (!requirePermission('managePricing')) return;
+        setRulePreview(evaluatePricingRules(activeParts, pricingRules, currentTaxRate, taxSettings.basis));
+    }
+
+    // 应用规则，并在配件上记录每个价格由哪条规则计算
+    async function applyPricingRules() {
+        if (!requirePermission('managePricing')) return;
+        const changes = evaluatePricingRules(activeParts, pricingRules, currentTaxRate, taxSettings.basis);
+        if (changes.length === 0) {
+            alert('没有需要由规则计算的价格');
+            return;
+        }
+        const partCount = new Set(changes.map(c => c.id)).size;
+        if (!window.confirm(`将修改 ${partCount} 个配件的 ${changes.length} 个价格，确定应用吗？`)) return;
+        if (!(await takeSnapshot('应用价格规则前'))) return;
+
+        const changesById = new Map();
+        changes.forEach(change => {
+            if (!changesById.has(change.id)) changesById.set(change.id, []);
+            changesById.get(change.id).push(change);
+        });
+        const nextData = partsData.map(part => {
+            const partChanges = changesById.get(part['标识码']);
+            if (!partChanges) return part;
+            const next = { ...part, '价格规则': { ...(part['价格规则'] || {}) } };
+            partChanges.forEach(({ field, to, ruleName }) => {
+                next[field] = to;
+                next['价格规则'][field] = ruleName;
+            });
+            return next;
+        });
+        commitPartsData(nextData, {
+            source: part => `价格规则: ${[...new Set(Object.values(part['价格规则'] || {}))].join('、')}`
+        });
+        setRulePreview(null);
+        recordAudit('applyPricingRules', `按价格规则更新 ${partCount} 个配件的 ${changes.length} 个价格`, {
+            changed: partCount,
+            ids: summarizeAuditIds(changes.map(c => c.id))
+        });
+        alert(`已按规则更新 ${partCount} 个配件的 ${changes.length} 个价格`);
+    }
+
+    // ------------------ 税率设置 ------------------ //
+    const currentTaxRate = getTaxRateAsOf(taxSettings, new Date().toISOString().split('T')[0]);
+    // 报价使用基准日期（或报价日期）当天的税率
+    const quotationTaxRate = getTaxRateAsOf(
+        taxSettings,
+        priceAsOfDate || customerInfo.date || new Date().toISOString().split('T')[0]
+    );
+
+    const taxMismatches = useMemo(() => {
+        const today = new Date().toISOString().split('T')[0];
+        const rate = getTaxRateAsOf(taxSettings, today);
+        return activeParts
+            .map(part => ({ part, pairs: checkTaxConsistency(part, rate) }))
+            .filter(result => result.pairs.length > 0);
+    }, [activeParts, taxSettings]);
+    const taxMismatchIds = useMemo(
+        () => new Set(taxMismatches.map(result => result.part['标识码'])),
+        [taxMismatches]
+    );
+
+    function updateTaxSettings(next) {
+        setTaxSettings(next);
+        safelyStoreData(TAX_SETTINGS_KEY, next);
+    }
+
+    function addTaxRate() {
+        if (!requirePermission('managePricing')) return;
+        const percent = parseFloat(newTaxRate.percent);
+        if (isNaN(percent) || percent < 0 || percent >= 100 || !newTaxRate.effectiveDate) {
+            alert('请输入有效的税率百分比和生效日期');
+            return;
+        }
+        const rates = taxSettings.rates.filter(r => r.effectiveDate !== newTaxRate.effectiveDate);
+        rates.push({ rate: percent / 100, effectiveDate: newTaxRate.effectiveDate });
+        rates.sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+        updateTaxSettings({ ...taxSettings, rates });
+        recordAudit('taxSettings', `添加税率 ${percent}%，${newTaxRate.effectiveDate} 起生效`, {
+            changed: 1,
+            ids: newTaxRate.effectiveDate
+        });
+        setNewTaxRate({ ...newTaxRate, percent: '' });
+    }
+
+    function removeTaxRate(effectiveDate) {
+        if (!requirePermission('managePricing')) return;
+        if (taxSettings.rates.length <= 1) {
+            alert('至少需要保留一条税率记录');
+            return;
+        }
+        updateTaxSettings({ ...taxSettings, rates: taxSettings.rates.filter(r => r.effectiveDate !== effectiveDate) });
+        recordAudit('taxSettings', `删除 ${effectiveDate} 起生效的税率`, { deleted: 1, ids: effectiveDate });
+    }
+
+    function updateTaxBasis(basis) {
+        if (!requirePermission('managePricing')) return;
+        if (basis === taxSettings.basis) return;
+        updateTaxSettings({ ...taxSettings, basis });
+        recordAudit('taxSettings', `计算基准改为「${TAX_BASIS_LABELS[basis]}」`, { changed: 1 });
+    }
+
+    // 按当前税率和计算基准重算全部配件的含税/不含税价格
+    async function recalculateTaxPrices() {
+        if (!requirePermission('managePricing')) return;
+        const basisText = TAX_BASIS_LABELS[taxSettings.basis];
+        const ratePercent = (currentTaxRate * 100).toFixed(2);
+        if (!window.confirm(`将按 ${ratePercent}% 税率${basisText}，确定要重算全部 ${partsData.length} 条配件价格吗？`)) {
+            return;
+        }
+        if (!(await takeSnapshot(`税率重算 ${ratePercent}% 前`))) return;
+        const nextData = partsData.map(part => deriveTaxPrices(part, currentTaxRate, taxSettings.basis));
+        const changedIds = nextData
+            .filter((part, index) => PRICE_FIELDS.some(field => part[field] !== partsData[index][field]))
+            .map(part => part['标识码']);
+        commitPartsData(nextData, { source: `税率重算 ${ratePercent}%` });
+        recordAudit('recalculateTax', `按 ${ratePercent}% 税率${basisText}，更新 ${changedIds.length} 个配件`, {
+            total: partsData.length,
+            changed: changedIds.length,
+            ids: summarizeAuditIds(changedIds)
+        });
+        alert('价格已按税率重算完成');
+    }
+
+    async function exportDatabaseToExcel() {
+        if (!requirePermission('exportDatabase')) return;
+        if (activeParts.length === 0) {
+            alert('数据库为空，无法导出');
             return;
         }
+        recordAudit('exportDatabase', `导出配件数据库 ${activeParts.length} 条`, { total: activeParts.length });
         
-        const fuzzyMatches = selectedParts.filter(p => 
-            p.matchType === 'fuzzy' || 
-            p.matchType === 'caseInsensitive' || 
-            p.matchType === 'noSpace'
-        );
+        // 创建一个格式化的数据副本用于导出
+        const exportData = activeParts.map(part => ({
+            '日期': part['日期'],
+            '标识码': part['标识码'],
+            '图号': part['图号'],
+            '名称': part['名称'],
+            '指导价（不含税）': part['指导价（不含税）'],
+            '出厂价（不含税）': part['出厂价（不含税）'],
+            '服务价（不含税）': part['服务价（不含税）'],
+            '指导价（含税）': part['指导价（含税）'],
+            '出厂价（含税）': part['出厂价（含税）'],
+            '服务价（含税）': part['服务价（含税）'],
+            '备注': part['备注'],
+            '状态': part['状态'] || ''
+        }));
         
-        if (fuzzyMatches.length > 0) {
-            const confirmed = window.confirm(
-                `系统通过模糊匹配找到了 ${fuzzyMatches.length} 个配件，请检查是否正确。\n` +
-                `确认后将生成最终报价单。\n\n` +
-                `是否已完成人工核对并确认？`
-            );
-            
-            if (confirmed) {
-                // 添加标记表示已经过人工审核
-                setSelectedParts(selectedParts.map(part => ({
-                    ...part,
-                    humanReviewed: true
-                })));
-                
-                // 生成报价单
-                setView('quotation');
+        if (isElectron) {
+            try {
+                const success = await window.electronAPI.exportData(exportData);
+                if (success) {
+                    alert('数据导出成功');
+                }
+            } catch (error) {
+                console.error("导出数据失败:", error);
+                alert('导出失败: ' + error.message);
             }
         } else {
-            // 如果没有模糊匹配，直接确认
-            setSelectedParts(selectedParts.map(part => ({
-                ...part,
-                humanReviewed: true
-            })));
-            
-            setView('quotation');
+            const worksheet = XLSX.utils.json_to_sheet(exportData);
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, worksheet, "船用配件数据");
+            XLSX.writeFile(workbook, `船用配件数据库_${new Date().toISOString().split('T')[0]}.xlsx`);
         }
     }
 
-    return (
-        <div style={{ padding: 10, backgroundColor: themeStyles.background, minHeight: '100vh', color: themeStyles.text }}>
-            <style>{`
-                @media print {
-                    .no-print { 
-                        display: none !important; 
-                    }
-                    body, html {
-                        background-color: white !important;
-                        color: black !important;
-                    }
-                    #print-container {
-                        background-color: white !important;
-                        color: black !important;
-                    }
-                    @page {
-                        margin: 10mm;
-                        @bottom-center {
-                            content: "上海前进齿轮经营有限公司";
-                            font-size: 10pt;
-                            color: #000;
-                        }
-                    }
-                }
-                
-                /* 自定义按钮样式 */
-                .action-button {
-                    background-color: ${themeStyles.button};
-                    color: ${themeStyles.buttonText};
-                    border: 1px solid ${themeStyles.border};
-                    padding: 6px 12px;
-                    border-radius: 4px;
-                    cursor: pointer;
-                    margin-right: 8px;
-                    font-size: 14px;
-                    transition: all 0.3s ease;
-                }
-                .action-button:hover {
-                    opacity: 0.8;
-                }
-                .primary-button {
-                    background-color: #1e88e5;
-                    color: white;
-                }
-                .danger-button {
-                    background-color: #e53935;
-                    color: white;
-                }
-                
-                /* 表格样式 */
-                .data-table {
-                    width: 100%;
-                    border-collapse: collapse;
-                    border: 1px solid ${themeStyles.border};
-                }
-                .data-table th {
-                    background-color: ${themeStyles.header};
-                    padding: 8px;
-                    text-align: left;
-                    border: 1px solid ${themeStyles.border};
-                }
-                .data-table td {
-                    padding: 8px;
-                    border: 1px solid ${themeStyles.border}
-                }
-                .data-table tr:hover {
-                    background-color: ${themeStyles.background};
+    async function clearDatabase() {
+        if (!requirePermission('clearDatabase')) return;
+        if (!window.confirm('确定要清空所有数据吗？清空前会自动创建快照，可在"备份与恢复"中恢复。')) return;
+        if (!(await takeSnapshot('清空数据库前'))) return;
+        const deletedCount = partsData.length;
+        const onCleared = () => {
+            setPartsData([]);
+            setSelectedParts([]);
+            recordAudit('clearDatabase', `清空配件数据库，删除 ${deletedCount} 条`, { deleted: deletedCount });
+            alert('数据库已清空');
+        };
+        if (isElectron) {
+            window.electronAPI.saveData([]).then(success => {
+                if (success) {
+                    onCleared();
+                } else {
+                    alert('清空数据库失败');
                 }
-                .data-table input {
-                    background-color: ${themeStyles.inputBackground};
-                    color: ${themeStyles.inputText};
-                    border: 1px solid ${themeStyles.inputBorder};
-                    padding: 4px;
-                    border-radius: 4px;
-                }
-                
-                /* 分页控制样式 */
-                .pagination {
-                    display: flex;
-                    justify-content: center;
-                    align-items: center;
-                    margin-top: 12px;
-                }
-                .pagination button {
-                    background-color: ${themeStyles.button};
-                    color: ${themeStyles.buttonText};
-                    border: 1px solid ${themeStyles.border};
-                    margin: 0 4px;
-                    padding: 4px 8px;
-                    border-radius: 4px;
-                    cursor: pointer;
-                }
-                .pagination button:disabled {
-                    opacity: 0.5;
-                    cursor: not-allowed;
-                }
-                
-                /* 加载指示器 */
-                .loading-indicator {
-                    text-align: center;
-                    padding: 20px;
-                    color: ${themeStyles.link};
-                    font-weight: bold;
-                }
-                
-                /* 搜索框和工具栏 */
-                .toolbar {
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                    margin-bottom: 12px;
-                }
-                .search-box {
-                    padding: 6px 12px;
-                    border: 1px solid ${themeStyles.inputBorder};
-                    border-radius: 4px;
-                    background-color: ${themeStyles.inputBackground};
-                    color: ${themeStyles.inputText};
-                    width: 200px;
-                }
-                
-                /* 响应式布局 */
-                @media (max-width: 768px) {
-                    .toolbar {
-                        flex-direction: column;
-                        align-items: flex-start;
-                    }
-                    .search-box {
-                        width: 100%;
-                        margin-bottom: 8px;
-                    }
-                    .data-table {
-                        display: block;
-                        overflow-x: auto;
-                    }
-                }
-                
-                /* 报价单样式 */
-                .quotation-summary {
-                    background-color: ${themeStyles.container};
-                    border: 1px solid ${themeStyles.border};
-                    border-radius: 4px;
-                    padding: 12px;
-                    margin-bottom: 16px;
-                }
-                .quotation-stats {
-                    display: flex;
-                    flex-wrap: wrap;
-                    gap: 12px;
-                    margin-top: 8px;
+            });
+        } else if (storageBackendRef.current === 'indexedDB') {
+            saveQueueRef.current = saveQueueRef.current
+                .then(clearParts)
+                .then(() => {
+                    savedPartsRef.current = [];
+                    onCleared();
+                })
+                .catch(error => alert(`清空数据库失败: ${error.message}`));
+        } else {
+            localStorage.removeItem('shipPartsData');
+            onCleared();
+        }
+    }
+
+    // ------------------ 备份与恢复 ------------------ //
+    function collectBackupData() {
+        return {
+            parts: partsData,
+            priceHistory,
+            quotations,
+            customers,
+            vessels,
+            bomLinks,
+            partLinks,
+            matchAliases,
+            settings: { taxSettings, pricingRules, importTemplates, quotationCounters },
+            users,
+            auditLog: auditLogRef.current
+        };
+    }
+
+    // 清空、导入、恢复和批量修改价格等操作前保存完整快照；保存失败时显示提示，并由用户决定是否继续
+    async function takeSnapshot(reason) {
+        try {
+            setSnapshots(await saveSnapshot(buildBackupBundle(collectBackupData(), { createdBy: currentUserStamp(), reason })));
+            setSnapshotWarning(null);
+            return true;
+        } catch (error) {
+            console.error('创建自动快照失败:', error);
+            setSnapshotWarning(`自动快照创建失败（${error.message}），批量修改数据前无法自动创建快照，请先手动备份`);
+            return window.confirm(`创建自动快照失败: ${error.message}\n继续操作后将无法从快照恢复，仍要继续吗？`);
+        }
+    }
+
+    async function openBackupView() {
+        if (!requirePermission('backupRestore')) return;
+        setView('backup');
+        try {
+            setSnapshots(isIndexedDbAvailable() ? await listSnapshots() : []);
+        } catch (error) {
+            console.error('读取快照失败:', error);
+            setSnapshots([]);
+        }
+    }
+
+    function downloadBackup(bundle) {
+        const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.setAttribute('href', url);
+        link.setAttribute('download', backupFileName(bundle));
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    function exportBackup() {
+        if (!requirePermission('backupRestore')) return;
+        const bundle = buildBackupBundle(collectBackupData(), { createdBy: currentUserStamp(), reason: '手动备份' });
+        downloadBackup(bundle);
+        recordAudit('backup', `备份全部数据，配件 ${partsData.length} 条`, { total: partsData.length });
+    }
+
+    function previewBackup(bundle, source) {
+        const selected = {};
+        summarizeBackup(bundle, collectBackupData()).forEach(item => {
+            // 用户账户默认不恢复，避免覆盖当前的账户和密码
+            selected[item.section] = item.inBackup && item.section !== 'users';
+        });
+        setBackupPreview({ bundle, source, selected });
+    }
+
+    function previewSnapshot(snapshot) {
+        try {
+            previewBackup(migrateBackupBundle(snapshot), `快照 ${new Date(snapshot.createdAt).toLocaleString('zh-CN')}`);
+        } catch (error) {
+            alert(`无法读取快照: ${error.message}`);
+        }
+    }
+
+    async function handleBackupFileUpload(e) {
+        if (!requirePermission('backupRestore')) {
+            e.target.value = '';
+            return;
+        }
+        const { file, fileContent } = await readFileContent(e, isElectron);
+        if (e.target) e.target.value = '';
+        if (!file || !fileContent) {
+            alert('文件读取失败');
+            return;
+        }
+        try {
+            const text = typeof fileContent === 'string' ? fileContent : new TextDecoder('utf-8').decode(fileContent);
+            previewBackup(parseBackupFile(text), file.name);
+        } catch (error) {
+            alert(`无法读取备份: ${error.message}`);
+        }
+    }
+
+    async function restoreBackup() {
+        if (!requirePermission('backupRestore')) return;
+        const { bundle, source, selected } = backupPreview;
+        const sections = Object.keys(selected).filter(section => selected[section] && bundle.data[section] !== undefined);
+        if (sections.length === 0) {
+            alert('请至少选择一个数据项');
+            return;
+        }
+        // 不允许用没有系统管理员的账户列表覆盖现有账户，否则恢复后无人能管理用户
+        if (sections.includes('users') && users.length > 0 &&
+            !bundle.data.users.some(user => user.role === 'systemAdmin')) {
+            alert(`备份中${bundle.data.users.length === 0 ? '没有任何用户账户' : '没有系统管理员账户'}，不能覆盖现有账户。请取消勾选「${BACKUP_SECTIONS.users}」后再恢复。`);
+            return;
+        }
+        const labels = summarizeBackup(bundle, collectBackupData())
+            .filter(item => sections.includes(item.section))
+            .map(item => item.label);
+        if (!window.confirm(`将用备份中的数据替换当前的：${labels.join('、')}。恢复前会自动创建快照，确定继续吗？`)) return;
+        if (!(await takeSnapshot(`恢复 ${source} 前`))) return;
+
+        const { data } = bundle;
+        const storeSection = (key, value, label) => {
+            if (!safelyStoreData(key, value)) {
+                setStorageError(`${label}保存失败，可能是浏览器存储空间不足`);
+            }
+        };
+        if (sections.includes('parts')) {
+            setPartsData(data.parts);
+            saveDataToStorage(data.parts);
+            setCurrentPage(1);
+        }
+        if (sections.includes('priceHistory')) {
+            persistPriceHistory(data.priceHistory, { replace: true });
+        }
+        if (sections.includes('quotations')) persistQuotations(data.quotations);
+        if (sections.includes('customers')) persistCustomers(data.customers);
+        if (sections.includes('vessels')) persistVessels(data.vessels);
+        if (sections.includes('bomLinks')) {
+            setBomLinks(data.bomLinks);
+            storeSection(BOM_KEY, data.bomLinks, '部件结构');
+        }
+        if (sections.includes('partLinks')) persistPartLinks({ ...EMPTY_PART_LINKS, ...data.partLinks });
+        if (sections.includes('matchAliases')) persistMatchAliases(data.matchAliases);
+        if (sections.includes('settings')) {
+            const {
+                taxSettings: restoredTax,
+                pricingRules: restoredRules,
+                importTemplates: restoredTemplates,
+                quotationCounters: restoredCounters
+            } = data.settings;
+            if (restoredTax) updateTaxSettings(restoredTax);
+            if (restoredRules) updatePricingRules(restoredRules);
+            if (restoredTemplates) {
+                setImportTemplates(restoredTemplates);
+                storeSection(IMPORT_TEMPLATES_KEY, restoredTemplates, '导入模板');
+            }
+            // 编号计数器只增不减，避免恢复旧备份后重复使用已发出的报价单号
+            if (restoredCounters) persistQuotationCounters(mergeQuotationCounters(quotationCounters, restoredCounters));
+        }
+        // 审计日志只追加：把备份中当前没有的记录合并进来，不删除现有记录
+        if (sections.includes('auditLog')) {
+            const { merged, added } = mergeAuditEntries(auditLogRef.current, data.auditLog);
+            auditLogRef.current = merged;
+            setAuditLog(merged);
+            persistAuditEntries(added);
+        }
+        recordAudit('restoreBackup', `从 ${source} 恢复 ${labels.join('、')}`, { fileName: source, sections: labels.join('、') });
+
+        setBackupPreview(null);
+        if (sections.includes('users')) {
+            persistUsers(data.users);
+            if (currentUser && !data.users.some(user => user.username === currentUser.username)) {
+                endSession();
+                setCurrentUser(null);
+                setView('table');
+                alert('恢复完成。当前账户不在备份中，请用备份中的账户重新登录。');
+                return;
+            }
+        }
+        alert('恢复完成');
+    }
+
+    const auditUsers = useMemo(() => {
+        const names = new Map();
+        auditLog.forEach(entry => {
+            if (entry.user) names.set(entry.user.username, entry.user.name);
+        });
+        return [...names.entries()];
+    }, [auditLog]);
+
+    // 审计日志按时间倒序显示
+    const filteredAuditLog = useMemo(() => {
+        const term = auditFilter.search.trim().toLowerCase();
+        return auditLog
+            .filter(entry => {
+                const day = String(entry.at).split('T')[0];
+                if (auditFilter.action !== 'all' && entry.action !== auditFilter.action) return false;
+                if (auditFilter.username !== 'all' && (entry.user ? entry.user.username : '') !== auditFilter.username) return false;
+                if (auditFilter.from && day < auditFilter.from) return false;
+                if (auditFilter.to && day > auditFilter.to) return false;
+                return !term || [entry.summary, formatAuditDetails(entry.details), entry.user && entry.user.name]
+                    .some(value => String(value || '').toLowerCase().includes(term));
+            })
+            .reverse();
+    }, [auditLog, auditFilter]);
+
+    function exportAuditLog() {
+        if (!requirePermission('viewAuditLog')) return;
+        if (filteredAuditLog.length === 0) {
+            alert('没有可导出的审计记录');
+            return;
+        }
+        const rows = filteredAuditLog.map(entry => ({
+            '时间': new Date(entry.at).toLocaleString(),
+            '用户': entry.user ? `${entry.user.name} (${entry.user.username})` : '未登录',
+            '操作': AUDIT_ACTIONS[entry.action] || entry.action,
+            '说明': entry.summary,
+            '详情': formatAuditDetails(entry.details)
+        }));
+        const worksheet = XLSX.utils.json_to_sheet(rows);
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, worksheet, "审计日志");
+        XLSX.writeFile(workbook, `审计日志_${new Date().toISOString().split('T')[0]}.xlsx`);
+    }
+
+    // 根据搜索框和排序配置，筛选和排序数据
+    const allFilteredData = useMemo(() => {
+        // 回收站模式只显示已删除的配件
+        let filteredData = showDeletedParts ? partsData.filter(isPartDeleted) : activeParts;
+        
+        // 只显示所选船舶设备的配件
+        const filterVessel = vessels.find(vessel => vessel.id === vesselFilterId);
+        if (filterVessel) {
+            filteredData = filteredData.filter(part => partFitsVessel(part, filterVessel));
+        }
+        
+        // 只显示结构树中所选部件的零件
+        if (assemblyFilter) {
+            const ids = new Set(assemblyFilter.partIds);
+            filteredData = filteredData.filter(part => ids.has(part['标识码']));
+        }
+        
+        // 应用搜索过滤
+        if (searchTerm.trim()) {
+            const lower = searchTerm.toLowerCase();
+            filteredData = filteredData.filter(item =>
+                (item['日期'] && String(item['日期']).toLowerCase().includes(lower)) ||
+                (item['名称'] && String(item['名称']).toLowerCase().includes(lower)) ||
+                (item['标识码'] && String(item['标识码']).toLowerCase().includes(lower)) ||
+                (item['图号'] && String(item['图号']).toLowerCase().includes(lower)) ||
+                (item['备注'] && String(item['备注']).toLowerCase().includes(lower))
+            );
+        }
+        
+        // 应用排序
+        if (sortConfig.key) {
+            filteredData = [...filteredData].sort((a, b) => {
+                if (a[sortConfig.key] < b[sortConfig.key]) {
+                    return sortConfig.direction === 'ascending' ? -1 : 1;
                 }
-                .stat-item {
-                    padding: 8px 12px;
-                    border-radius: 4px;
-                    background-color: ${themeStyles.background};
-                    border: 1px solid ${themeStyles.border};
+                if (a[sortConfig.key] > b[sortConfig.key]) {
+                    return sortConfig.direction === 'ascending' ? 1 : -1;
                 }
-            `}</style>
+                return 0;
+            });
+        }
+        
+        return filteredData;
+    }, [searchTerm, partsData, activeParts, showDeletedParts, sortConfig, vessels, vesselFilterId, assemblyFilter]);
+
+    useEffect(() => {
+        setCurrentPage(1);
+    }, [allFilteredData]);
+
+    const totalPages = Math.ceil(allFilteredData.length / pageSize);
+    const currentPageData = useMemo(() => {
+        const startIndex = (currentPage - 1) * pageSize;
+        return allFilteredData.slice(startIndex, startIndex + pageSize);
+    }, [allFilteredData, currentPage, pageSize]);
+
+    function handleSelectPart(part) {
+        const isSelected = selectedParts.some(p => p['标识码'] === part['标识码']);
+        if (isSelected) {
+            setSelectedParts(selectedParts.filter(p => p['标识码'] !== part['标识码']));
+        } else {
+            setSelectedParts([...selectedParts, { ...part, quantity: 1 }]);
+        }
+    }
+
+    function updatePartQuantity(partId, quantity) {
+        setSelectedParts(
+            selectedParts.map(part =>
+                part['标识码'] === partId
+                    ? { ...part, quantity: Math.max(1, parseInt(quantity) || 1) }
+                    : part
+            )
+        );
+    }
+
+    function updatePartCustomPrice(partId, price) {
+        setSelectedParts(
+            selectedParts.map(part =>
+                part['标识码'] === partId
+                    ? { ...part, importedPrice: parseFloat(price) || 0 }
+                    : part
+            )
+        );
+    }
+
+    function generateQuotation() {
+        if (selectedParts.length === 0) {
+            alert('请至少选择一个配件');
+            return;
+        }
+        setView('quotation');
+    }
+
+    function backToList() {
+        setView('table');
+        setCurrentPage(1);
+    }
+
+    // 新增：移除所有选中的配件
+    function clearSelectedParts() {
+        if (selectedParts.length > 0 && window.confirm('确定要清空所有已选配件吗？')) {
+            setSelectedParts([]);
+            setCurrentQuotationId(null);
+        }
+    }
+
+    // ------------------ 报价单保存 ------------------ //
+    function persistQuotations(next) {
+        setQuotations(next);
+        if (!safelyStoreData(QUOTATIONS_KEY, next)) {
+            setStorageError('报价单保存失败，可能是浏览器存储空间不足');
+        }
+    }
+
+    function persistQuotationCounters(next) {
+        setQuotationCounters(next);
+        if (!safelyStoreData(QUOTATION_COUNTERS_KEY, next)) {
+            setStorageError('报价单编号计数器保存失败，可能是浏览器存储空间不足');
+        }
+    }
+
+    // 导入的配件行替换报价单内容时开始一份新的报价单草稿，
+    // 之后的保存和导出不会覆盖之前打开的报价单
+    function replaceQuoteLines(lines) {
+        setSelectedParts(lines);
+        setCurrentQuotationId(null);
+    }
+
+    const currentQuotation = quotations.find(q => q.id === currentQuotationId) || null;
+    // 已有后续修订版本的报价单不再修改，保证版本之间的对比有效
+    const currentQuotationSuperseded = Boolean(currentQuotation) &&
+        quotations.some(q => q.parentId === currentQuotation.id);
+
+    // 保存当前报价单，首次保存时生成报价单号；返回保存后的报价单
+    function saveQuotation({ silent = false } = {}) {
+        if (!requirePermission('quote')) return null;
+        if (selectedParts.length === 0) {
+            if (!silent) alert('报价单为空，无法保存');
+            return null;
+        }
+        // 已被修订的报价单只能按原样导出；内容有改动时不能再用旧报价单号导出
+        if (currentQuotationSuperseded) {
+            const edited = isQuotationEdited(currentQuotation, { lines: selectedParts, customerInfo, priceOption, priceAsOfDate });
+            if (silent && !edited) return currentQuotation;
+            alert(`${formatQuotationNumber(currentQuotation)} 已有后续修订版本，不能再修改${silent ? '，修改后的内容也不能以该版本导出' : ''}。请打开最新版本并在其上创建新的修订版本。`);
+            return null;
+        }
+        const now = new Date().toISOString();
+        const base = currentQuotation || (() => {
+            const year = new Date().getFullYear();
+            const { number, sequence } = nextQuotationNumber(quotations, year, quotationCounters);
+            persistQuotationCounters({ ...quotationCounters, [year]: sequence });
+            return { id: number, number, revision: 'A', parentId: null, status: 'draft', createdAt: now, createdBy: currentUserStamp() };
+        })();
+        const quotation = {
+            ...base,
+            updatedAt: now,
+            updatedBy: currentUserStamp(),
+            customerInfo: { ...customerInfo },
+            priceOption,
+            priceAsOfDate,
+            lines: selectedParts,
+            total: statistics.totalPrice
+        };
+        persistQuotations(currentQuotation
+            ? quotations.map(q => (q.id === quotation.id ? quotation : q))
+            : [quotation, ...quotations]);
+        setCurrentQuotationId(quotation.id);
+        if (!silent || !currentQuotation) {
+            recordAudit('saveQuotation', `${currentQuotation ? '更新' : '新建'}报价单 ${formatQuotationNumber(quotation)}`, {
+                quotation: formatQuotationNumber(quotation),
+                lines: quotation.lines.length
+            });
+        }
+        if (!silent) alert(`报价单 ${formatQuotationNumber(quotation)} 已保存`);
+        return quotation;
+    }
+
+    // 以当前报价单为基础创建下一个修订版本（Rev B/C…），并关联上一版本
+    function createQuotationRevision() {
+        if (!requirePermission('quote')) return;
+        if (!currentQuotation) {
+            alert('请先保存报价单，再创建修订版本');
+            return;
+        }
+        const latest = quotations.find(q => q.parentId === currentQuotation.id);
+        if (latest) {
+            alert(`${formatQuotationNumber(currentQuotation)} 已有修订版本 ${formatQuotationNumber(latest)}，请在最新版本上创建修订`);
+            return;
+        }
+        const revision = nextRevisionLetter(quotations, currentQuotation.number);
+        if (!revision) {
+            alert('修订版本已达到 Rev Z，无法继续创建');
+            return;
+        }
+        const now = new Date().toISOString();
+        const revisionQuotation = {
+            ...currentQuotation,
+            id: `${currentQuotation.number}-${revision}`,
+            revision,
+            parentId: currentQuotation.id,
+            status: 'draft',
+            createdAt: now,
+            createdBy: currentUserStamp(),
+            updatedAt: now,
+            updatedBy: currentUserStamp(),
+            customerInfo: { ...customerInfo },
+            priceOption,
+            priceAsOfDate,
+            lines: selectedParts,
+            total: statistics.totalPrice
+        };
+        persistQuotations([revisionQuotation, ...quotations]);
+        setCurrentQuotationId(revisionQuotation.id);
+        recordAudit('reviseQuotation', `由 ${formatQuotationNumber(currentQuotation)} 创建修订版本 ${formatQuotationNumber(revisionQuotation)}`, {
+            quotation: formatQuotationNumber(revisionQuotation)
+        });
+        alert(`已创建修订版本 ${formatQuotationNumber(revisionQuotation)}`);
+    }
+
+    function openQuotationComparison(quotation) {
+        setCompareQuotationIds({ fromId: quotation.parentId, toId: quotation.id });
+        setView('quotationCompare');
+    }
+
+    const quotationComparison = useMemo(() => {
+        if (!compareQuotationIds) return null;
+        const from = quotations.find(q => q.id === compareQuotationIds.fromId);
+        const to = quotations.find(q => q.id === compareQuotationIds.toId);
+        if (!from || !to) return null;
+        return { from, to, ...compareQuotationLines(from, to, priceHistory) };
+    }, [compareQuotationIds, quotations, priceHistory]);
+
+    function updateQuotationStatus(id, status) {
+        if (!requirePermission('quote')) return;
+        persistQuotations(quotations.map(q =>
+            q.id === id ? { ...q, status, updatedAt: new Date().toISOString(), updatedBy: currentUserStamp() } : q
+        ));
+        const quotation = quotations.find(q => q.id === id);
+        recordAudit('quotationStatus', `报价单 ${formatQuotationNumber(quotation)} 状态改为 ${QUOTATION_STATUSES[status]}`, {
+            quotation: formatQuotationNumber(quotation),
+            status: QUOTATION_STATUSES[status]
+        });
+    }
+
+    function openQuotation(quotation) {
+        if (selectedParts.length > 0 && quotation.id !== currentQuotationId &&
+            !window.confirm('打开报价单将替换当前已选配件，确定继续吗？')) {
+            return;
+        }
+        setSelectedParts(quotation.lines);
+        setCustomerInfo({ ...quotation.customerInfo });
+        setPriceOption(quotation.priceOption);
+        setPriceAsOfDate(quotation.priceAsOfDate || '');
+        setCurrentQuotationId(quotation.id);
+        setView('quotation');
+    }
+
+    function deleteQuotation(quotation) {
+        if (!requirePermission('quote')) return;
+        if (quotations.some(q => q.parentId === quotation.id)) {
+            alert(`${formatQuotationNumber(quotation)} 已有后续修订版本，不能删除`);
+            return;
+        }
+        if (!window.confirm(`确定删除报价单 ${formatQuotationNumber(quotation)} 吗？`)) return;
+        persistQuotations(quotations.filter(q => q.id !== quotation.id));
+        recordAudit('deleteQuotation', `删除报价单 ${formatQuotationNumber(quotation)}`, { quotation: formatQuotationNumber(quotation) });
+        if (quotation.id === currentQuotationId) setCurrentQuotationId(null);
+    }
+
+    function newQuotation() {
+        if (selectedParts.length > 0 && !window.confirm('新建报价单将清空当前已选配件，确定继续吗？')) return;
+        setSelectedParts([]);
+        setCustomerInfo(createEmptyCustomerInfo());
+        setPriceAsOfDate('');
+        setCurrentQuotationId(null);
+        setView('table');
+    }
+
+    const filteredQuotations = useMemo(() => {
+        const vessel = vessels.find(v => v.id === quotationVesselFilter);
+        return quotations.filter(quotation =>
+            (quotationStatusFilter === 'all' || quotation.status === quotationStatusFilter) &&
+            (!vessel || quotationBelongsToVessel(quotation, vessel)) &&
+            quotationMatchesSearch(quotation, quotationSearch.trim())
+        );
+    }, [quotations, quotationSearch, quotationStatusFilter, vessels, quotationVesselFilter]);
+
+    // 用选定的配件替换报价行，保留客户提供的数量、价格、备注和分组，并记为已审核
+    function replaceLinePart(lineIndex, part, match) {
+        setSelectedParts(selectedParts.map((line, i) => (i !== lineIndex ? line : {
+            ...part,
+            importedId: line.importedId,
+            quantity: line.quantity,
+            importedPrice: line.importedPrice,
+            importedRemark: line.importedRemark,
+            group: line.group,
+            candidates: line.candidates,
+            ...match,
+            humanReviewed: true
+        })));
+    }
+
+    // 审核时从候选配件中改选
+    function chooseMatchCandidate(lineIndex, partId) {
+        const part = partsData.find(p => p['标识码'] === partId);
+        if (!part) return;
+        const candidate = selectedParts[lineIndex].candidates.find(c => c.id === partId);
+        learnMatchAlias(selectedParts[lineIndex].importedId, part);
+        replaceLinePart(lineIndex, part, {
+            matchType: 'fuzzy',
+            confidence: candidate.score,
+            matchReason: candidate.reason,
+            reviewStatus: 'rematched'
+        });
+    }
+
+    // 新增：删除单个选中的配件
+    function removeSelectedPart(partId) {
+        setSelectedParts(selectedParts.filter(part => part['标识码'] !== partId));
+    }
+
+    // 新增：应用批量折扣，默认值取所选客户的默认折扣
+    function applyBulkDiscount() {
+        const customer = customers.find(c => c.id === customerInfo.customerId);
+        const discountPercent = prompt(
+            "请输入折扣百分比 (例如: 输入90代表9折):",
+            String(customer ? customer.defaultDiscount : 100)
+        );
+        if (discountPercent === null) return;
+        
+        const discount = parseFloat(discountPercent) / 100;
+        if (isNaN(discount) || discount <= 0) {
+            alert("请输入有效的折扣值");
+            return;
+        }
+        
+        setSelectedParts(applyDiscountToLines(selectedParts, discount, priceOption));
+        recordAudit('bulkDiscount', `对报价单 ${currentQuotation ? formatQuotationNumber(currentQuotation) : '（未保存）'} 应用 ${discountPercent}% 折扣`, {
+            discount: `${discountPercent}%`,
+            priceOption,
+            lines: selectedParts.length
+        });
+        alert(`已对所有配件应用${discountPercent}%的折扣`);
+    }
+
+    // 返回按折扣重新计算单价后的配件行
+    function applyDiscountToLines(lines, discount, option) {
+        return lines.map(part => {
+            const originalPrice = getLineUnitPrice({ ...part, importedPrice: 0 }, option, priceHistory, priceAsOfDate);
+            return {
+                ...part,
+                importedPrice: parseFloat((originalPrice * discount).toFixed(2))
+            };
+        });
+    }
+
+    // 询问是否对配件行应用客户的默认折扣
+    function offerCustomerDiscount(customer, lines, option) {
+        if (lines.length > 0 && customer.defaultDiscount && customer.defaultDiscount !== 100 &&
+            window.confirm(`客户「${customer.name}」的默认折扣为 ${customer.defaultDiscount}%，是否应用到当前所有配件？`)) {
+            setSelectedParts(applyDiscountToLines(lines, customer.defaultDiscount / 100, option));
+        }
+    }
+
+    // ------------------ 客户目录 ------------------ //
+    function persistCustomers(next) {
+        setCustomers(next);
+        if (!safelyStoreData(CUSTOMERS_KEY, next)) {
+            setStorageError('客户目录保存失败，可能是浏览器存储空间不足');
+        }
+    }
+
+    // 选择客户后带出联系人、地址、税号、付款条件及默认价格类型和折扣。
+    // offerDiscount 为 false 时不询问折扣，由调用方在配件行确定后调用 offerCustomerDiscount
+    function selectCustomer(customer, overrides = {}, { offerDiscount = true } = {}) {
+        const primaryContact = customer.contacts.find(contact => contact.name || contact.phone);
+        const primaryAddress = customer.addresses.find(address => address.address);
+        setCustomerInfo(info => ({
+            ...info,
+            customerId: customer.id,
+            name: customer.name,
+            contact: primaryContact ? formatCustomerContact(primaryContact) : info.contact,
+            address: primaryAddress ? primaryAddress.address : '',
+            taxId: customer.taxId || '',
+            paymentTerms: customer.paymentTerms || '',
+            ...overrides
+        }));
+        if (customer.defaultPriceOption) setPriceOption(customer.defaultPriceOption);
+        if (offerDiscount) offerCustomerDiscount(customer, selectedParts, customer.defaultPriceOption || priceOption);
+    }
+
+    function handleCustomerNameChange(name) {
+        const match = customers.find(customer => customer.name === name);
+        if (match && match.id !== customerInfo.customerId) {
+            selectCustomer(match);
+            return;
+        }
+        setCustomerInfo(match
+            ? { ...customerInfo, name }
+            : { ...customerInfo, name, customerId: null, address: '', taxId: '', paymentTerms: '' });
+    }
+
+    function saveCustomerDraft() {
+        if (!requirePermission('quote')) return;
+        const name = customerDraft.name.trim();
+        if (!name) {
+            alert('请输入客户名称');
+            return;
+        }
+        const duplicate = customers.find(c => c.id !== customerDraft.id && normalizeCustomerName(c.name) === normalizeCustomerName(name));
+        if (duplicate) {
+            alert(`客户「${duplicate.name}」已存在`);
+            return;
+        }
+        const discount = parseFloat(customerDraft.defaultDiscount);
+        if (isNaN(discount) || discount <= 0 || discount > 100) {
+            alert('默认折扣应在 1 到 100 之间');
+            return;
+        }
+        const customer = {
+            ...customerDraft,
+            name,
+            defaultDiscount: discount,
+            contacts: customerDraft.contacts.filter(contact => contact.name || contact.phone || contact.email),
+            addresses: customerDraft.addresses.filter(address => address.address)
+        };
+        const exists = customers.some(c => c.id === customer.id);
+        persistCustomers(exists ? customers.map(c => (c.id === customer.id ? customer : c)) : [...customers, customer]);
+        recordAudit('customer', `${exists ? '修改' : '新增'}客户「${customer.name}」`, { changed: 1, ids: customer.id });
+        setCustomerDraft(null);
+    }
+
+    function deleteCustomer(customer) {
+        if (!requirePermission('quote')) return;
+        if (!window.confirm(`确定删除客户「${customer.name}」吗？已保存的报价单不受影响。`)) return;
+        persistCustomers(customers.filter(c => c.id !== customer.id));
+        recordAudit('customer', `删除客户「${customer.name}」`, { deleted: 1, ids: customer.id });
+        if (customerDraft && customerDraft.id === customer.id) setCustomerDraft(null);
+    }
+
+    function updateCustomerDraftList(listKey, index, field, value) {
+        setCustomerDraft({
+            ...customerDraft,
+            [listKey]: customerDraft[listKey].map((item, i) => (i === index ? { ...item, [field]: value } : item))
+        });
+    }
+
+    // ------------------ 船舶登记 ------------------ //
+    function persistVessels(next) {
+        setVessels(next);
+        if (!safelyStoreData(VESSELS_KEY, next)) {
+            setStorageError('船舶登记保存失败，可能是浏览器存储空间不足');
+        }
+    }
+
+    // 报价单头部选择船舶：关联船舶编号，配件表格按该船设备筛选；未选客户时带出船东
+    function handleVesselNameChange(name) {
+        const vessel = vessels.find(v => v.name === name);
+        setCustomerInfo(info => ({ ...info, vessel: name, vesselId: vessel ? vessel.id : null }));
+        if (!vessel) return;
+        setVesselFilterId(vessel.id);
+        const owner = customers.find(c => c.id === vessel.ownerCustomerId);
+        if (owner && !customerInfo.customerId) {
+            selectCustomer(owner);
+        }
+    }
+
+    function saveVesselDraft() {
+        if (!requirePermission('quote')) return;
+        const name = vesselDraft.name.trim();
+        if (!name) {
+            alert('请输入船名');
+            return;
+        }
+        if (vessels.some(v => v.id !== vesselDraft.id && v.name === name)) {
+            alert(`船舶「${name}」已存在`);
+            return;
+        }
+        const imo = vesselDraft.imo.trim().replace(/^IMO\s*/i, '');
+        if (imo && !isValidImoNumber(imo)) {
+            alert(`IMO 编号 ${imo} 无效，应为 7 位数字且校验位正确`);
+            return;
+        }
+        if (imo && vessels.some(v => v.id !== vesselDraft.id && v.imo === imo)) {
+            alert(`IMO 编号 ${imo} 已登记`);
+            return;
+        }
+        const vessel = {
+            ...vesselDraft,
+            name,
+            imo,
+            equipment: vesselDraft.equipment
+                .map(item => ({ ...item, model: item.model.trim().toUpperCase(), serialNo: item.serialNo.trim() }))
+                .filter(item => item.model)
+        };
+        const exists = vessels.some(v => v.id === vessel.id);
+        persistVessels(exists ? vessels.map(v => (v.id === vessel.id ? vessel : v)) : [...vessels, vessel]);
+        recordAudit('vessel', `${exists ? '修改' : '新增'}船舶「${vessel.name}」`, { changed: 1, ids: vessel.id });
+        setVesselDraft(null);
+    }
+
+    function deleteVessel(vessel) {
+        if (!requirePermission('quote')) return;
+        if (!window.confirm(`确定删除船舶「${vessel.name}」吗？已保存的报价单不受影响。`)) return;
+        persistVessels(vessels.filter(v => v.id !== vessel.id));
+        recordAudit('vessel', `删除船舶「${vessel.name}」`, { deleted: 1, ids: vessel.id });
+        if (vesselFilterId === vessel.id) setVesselFilterId('');
+        if (vesselDraft && vesselDraft.id === vessel.id) setVesselDraft(null);
+    }
+
+    function showVesselQuotations(vessel) {
+        setQuotationVesselFilter(vessel.id);
+        setView('quotationList');
+    }
+
+    function updateVesselEquipment(index, field, value) {
+        setVesselDraft({
+            ...vesselDraft,
+            equipment: vesselDraft.equipment.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+        });
+    }
+
+    // ------------------ 部件结构 ------------------ //
+    const assemblyTree = useMemo(
+        () => (showAssemblyTree ? buildAssemblyTree(activeParts, bomLinks) : []),
+        [showAssemblyTree, activeParts, bomLinks]
+    );
+
+    function toggleTreeNode(key) {
+        setExpandedTreeNodes({ ...expandedTreeNodes, [key]: !expandedTreeNodes[key] });
+    }
+
+    function filterByAssembly(assembly) {
+        const partIds = assembly.children.filter(child => child.part).map(child => child.part['标识码']);
+        if (assembly.part) partIds.push(assembly.part['标识码']);
+        setAssemblyFilter({ key: assembly.key, name: getAssemblyName(assembly), partIds });
+    }
+
+    // 按套数把部件的全部零件加入已选配件，已选过的零件累加数量
+    function addAssemblyToQuotation(assembly) {
+        const sets = parseInt(assemblyQuantities[assembly.key] || 1, 10);
+        if (isNaN(sets) || sets <= 0) {
+            alert('请输入有效的套数');
+            return;
+        }
+        const available = assembly.children.filter(child => child.part);
+        const missing = assembly.children.filter(child => !child.part).map(child => child.drawingNo);
+        if (available.length === 0) {
+            alert('该部件的零件都不在数据库中');
+            return;
+        }
+        const group = `部件 ${getAssemblyName(assembly)}`;
+        let nextSelected = [...selectedParts];
+        available.forEach(({ part, quantity }) => {
+            const addQuantity = quantity * sets;
+            const index = nextSelected.findIndex(p => p['标识码'] === part['标识码']);
+            if (index >= 0) {
+                nextSelected[index] = { ...nextSelected[index], quantity: (nextSelected[index].quantity || 1) + addQuantity };
+            } else {
+                nextSelected.push({ ...part, quantity: addQuantity, group });
+            }
+        });
+        setSelectedParts(nextSelected);
+        alert(
+            `已将 ${getAssemblyName(assembly)} × ${sets} 套的 ${available.length} 种零件加入报价单` +
+            (missing.length > 0 ? `\n以下零件不在数据库中，未加入：\n${missing.join('\n')}` : '')
+        );
+    }
+
+    async function handleBomUpload(e) {
+        if (!requirePermission('importParts')) {
+            e.target.value = '';
+            return;
+        }
+        const { file, fileContent } = await readFileContent(e, isElectron);
+        if (!file || !fileContent) {
+            alert('文件读取失败');
+            return;
+        }
+        try {
+            const workbook = XLSX.read(fileContent, ROBUST_EXCEL_OPTIONS);
+            const { links, unparsedRows } = parseBomSheet(workbook);
+            if (links.length === 0) {
+                alert('未在文件中找到部件结构数据');
+                return;
+            }
+            // 文件中出现的部件整体替换原有结构
+            const parents = new Set(links.map(link => link.parent));
+            if (!(await takeSnapshot(`导入部件结构 ${file.name} 前`))) return;
+            const next = [...bomLinks.filter(link => !parents.has(link.parent)), ...links];
+            setBomLinks(next);
+            if (!safelyStoreData(BOM_KEY, next)) {
+                setStorageError('部件结构保存失败，可能是浏览器存储空间不足');
+            }
+            setShowAssemblyTree(true);
+            recordAudit('importBom', `导入 ${file.name} 中 ${parents.size} 个部件的结构`, {
+                fileName: file.name,
+                added: links.length,
+                failed: unparsedRows.length
+            });
+            alert(
+                `已导入 ${parents.size} 个部件的 ${links.length} 条结构明细` +
+                (unparsedRows.length > 0
+                    ? `\n以下 ${unparsedRows.length} 行无法识别：\n${unparsedRows.slice(0, 10).map(row => `第${row.rowNumber}行: ${row.content}`).join('\n')}`
+                    : '')
+            );
+        } catch (error) {
+            handleProcessingError('部件结构导入', error, setLoading, setInfoMessage);
+        } finally {
+            e.target.value = '';
+        }
+    }
+
+    // ------------------ 替代关系与编号对照 ------------------ //
+    const partLinkIndex = useMemo(
+        () => buildPartLinkIndex(partLinks, matchAliases, customerInfo.customerId),
+        [partLinks, matchAliases, customerInfo.customerId]
+    );
+
+    // 表格中按图号显示替代关系和对照编号
+    const partLinkLabels = useMemo(() => {
+        const labels = new Map();
+        const add = (drawingNo, label) => {
+            const key = normalizePartNo(drawingNo);
+            labels.set(key, [...(labels.get(key) || []), label]);
+        };
+        partLinks.supersessions.forEach(link => {
+            add(link.oldNo, { kind: 'supersededBy', text: `已被 ${link.newNo} 替代`, title: `${link.date} ${link.reason}` });
+            add(link.newNo, { kind: 'supersedes', text: `替代 ${link.oldNo}`, title: `${link.date} ${link.reason}` });
+        });
+        partLinks.crossReferences.forEach(ref => {
+            add(ref.partNo, { kind: 'crossReference', text: `${ref.type === 'oem' ? 'OEM' : '客户'}: ${ref.externalNo}`, title: ref.owner });
+        });
+        return labels;
+    }, [partLinks]);
+
+    function persistPartLinks(next) {
+        setPartLinks(next);
+        if (!safelyStoreData(PART_LINKS_KEY, next)) {
+            setStorageError('替代关系保存失败，可能是浏览器存储空间不足');
+        }
+    }
+
+    function addSupersession() {
+        if (!requirePermission('managePricing')) return;
+        const oldNo = supersessionDraft.oldNo.trim();
+        const newNo = supersessionDraft.newNo.trim();
+        const error = validateSupersession(oldNo, newNo, partLinkIndex);
+        if (error) {
+            alert(error);
+            return;
+        }
+        if (!matchDrawingNo(newNo, partIndex) &&
+            !window.confirm(`新图号 ${newNo} 不在数据库中，匹配时将继续使用旧配件并提示已被替代。确定添加吗？`)) {
+            return;
+        }
+        persistPartLinks({
+            ...partLinks,
+            supersessions: [...partLinks.supersessions, { ...supersessionDraft, oldNo, newNo, reason: supersessionDraft.reason.trim() }]
+        });
+        recordAudit('partLinks', `添加替代关系 ${oldNo} → ${newNo}`, { changed: 1, ids: oldNo });
+        setSupersessionDraft({ ...supersessionDraft, oldNo: '', newNo: '', reason: '' });
+    }
+
+    function addCrossReference() {
+        if (!requirePermission('managePricing')) return;
+        const externalNo = crossReferenceDraft.externalNo.trim();
+        const partNo = crossReferenceDraft.partNo.trim();
+        if (!externalNo || !partNo) {
+            alert('请填写对照编号和本厂图号');
+            return;
+        }
+        if (partLinkIndex.crossReferences.has(normalizePartNo(externalNo))) {
+            alert(`编号 ${externalNo} 已有对照记录`);
+            return;
+        }
+        if (!matchDrawingNo(partNo, partIndex)) {
+            alert(`本厂图号 ${partNo} 不在数据库中`);
+            return;
+        }
+        persistPartLinks({
+            ...partLinks,
+            crossReferences: [...partLinks.crossReferences, { ...crossReferenceDraft, externalNo, partNo, owner: crossReferenceDraft.owner.trim() }]
+        });
+        recordAudit('partLinks', `添加编号对照 ${externalNo} → ${partNo}`, { changed: 1, ids: externalNo });
+        setCrossReferenceDraft({ ...crossReferenceDraft, externalNo: '', partNo: '' });
+    }
+
+    function removePartLink(listKey, index) {
+        if (!requirePermission('managePricing')) return;
+        if (!window.confirm('确定删除这条记录吗？')) return;
+        const link = partLinks[listKey][index];
+        persistPartLinks({ ...partLinks, [listKey]: partLinks[listKey].filter((_, i) => i !== index) });
+        recordAudit('partLinks', listKey === 'supersessions'
+            ? `删除替代关系 ${link.oldNo} → ${link.newNo}`
+            : `删除编号对照 ${link.externalNo} → ${link.partNo}`, { deleted: 1, ids: link.oldNo || link.externalNo });
+    }
+
+    // ------------------ 已学习的匹配别名 ------------------ //
+    // update 可以是新的别名列表，也可以是根据最新列表计算新列表的函数；
+    // 审核时连续确认多行会在同一次渲染中多次学习别名，必须基于最新列表计算，不能用闭包里的旧值
+    function persistMatchAliases(update) {
+        const next = typeof update === 'function' ? update(matchAliasesRef.current) : update;
+        matchAliasesRef.current = next;
+        setMatchAliases(next);
+        if (!safelyStoreData(MATCH_ALIASES_KEY, next)) {
+            setStorageError('匹配别名保存失败，可能是浏览器存储空间不足');
+        }
+    }
+
+    // 审核确认或改正匹配后记住 导入图号 → 标识码，下次导入时直接匹配，不再重复审核
+    function learnMatchAlias(importedId, part) {
+        const id = String(importedId || '').trim();
+        if (!id || id === String(part['图号']).trim() || String(part['标识码']).startsWith('NEW_')) return;
+        const customerId = aliasForCustomerOnly ? customerInfo.customerId || '' : '';
+        const key = normalizePartNo(id);
+        const createdAt = new Date().toISOString();
+        persistMatchAliases(previous => [
+            ...previous.filter(alias => !(normalizePartNo(alias.importedId) === key && alias.customerId === customerId)),
+            { importedId: id, partId: part['标识码'], customerId, createdAt }
+        ]);
+        recordAudit('matchAlias', `记住匹配别名 ${id} → ${part['标识码']}`, { changed: 1, ids: id });
+    }
+
+    function deleteMatchAlias(alias) {
+        if (!requirePermission('managePricing')) return;
+        if (!window.confirm(`确定删除别名 ${alias.importedId} 吗？`)) return;
+        persistMatchAliases(previous => previous.filter(item => item !== alias));
+        recordAudit('matchAlias', `删除匹配别名 ${alias.importedId} → ${alias.partId}`, { deleted: 1, ids: alias.importedId });
+    }
+
+    const filteredMatchAliases = useMemo(() => {
+        const term = aliasSearch.trim().toLowerCase();
+        const byId = new Map(partsData.map(part => [part['标识码'], part]));
+        return matchAliases
+            .map(alias => ({
+                alias,
+                part: byId.get(alias.partId),
+                customer: customers.find(c => c.id === alias.customerId)
+            }))
+            .filter(({ alias, part, customer }) => !term ||
+                [alias.importedId, alias.partId, part && part['图号'], part && part['名称'], customer && customer.name]
+                    .some(value => String(value || '').toLowerCase().includes(term)))
+            .sort((a, b) => String(b.alias.createdAt).localeCompare(String(a.alias.createdAt)));
+    }, [matchAliases, aliasSearch, partsData, customers]);
+
+    // ------------------ 配件匹配 ------------------ //
+    // 批量匹配在 Web Worker 中进行，Worker 持有自己的配件索引；
+    // 不支持 Worker 或 Worker 出错时，用主线程的索引分批匹配
+    const partIndex = useMemo(() => buildPartIndex(activeParts), [activeParts]);
+    const matchWorkerRef = useRef(null);
+    const matchWorkerPartsRef = useRef(null);
+    const matchRequestsRef = useRef(new Map());
+    const nextMatchRequestIdRef = useRef(1);
+
+    useEffect(() => {
+        if (typeof Worker === 'undefined') return undefined;
+        let worker = null;
+        let cancelled = false;
+        const requests = matchRequestsRef.current;
+        import('./partMatchWorkerLoader')
+            .then(({ default: createPartMatchWorker }) => {
+                if (cancelled) return;
+                worker = createPartMatchWorker();
+                worker.onmessage = (event) => {
+                    const { type, requestId } = event.data;
+                    const request = requests.get(requestId);
+                    if (!request) return;
+                    if (type === 'progress') {
+                        request.onProgress(event.data.done, event.data.total);
+                        return;
+                    }
+                    requests.delete(requestId);
+                    if (type === 'result') {
+                        request.resolve(event.data.results);
+                    } else {
+                        request.reject(new Error(event.data.message));
+                    }
+                };
+                worker.onerror = (event) => {
+                    console.error('配件匹配 Worker 出错:', event.message);
+                    matchWorkerRef.current = null;
+                    requests.forEach(request => request.reject(new Error(event.message || '配件匹配 Worker 出错')));
+                    requests.clear();
+                    worker.terminate();
+                };
+                matchWorkerRef.current = worker;
+                matchWorkerPartsRef.current = null;
+            })
+            .catch(error => console.error('无法启动配件匹配 Worker:', error));
+        return () => {
+            cancelled = true;
+            if (worker) worker.terminate();
+            matchWorkerRef.current = null;
+        };
+    }, []);
+
+    // 配件数据变化时发给 Worker 重建索引
+    useEffect(() => {
+        const worker = matchWorkerRef.current;
+        if (worker && matchWorkerPartsRef.current !== activeParts) {
+            worker.postMessage({ type: 'setParts', parts: activeParts });
+            matchWorkerPartsRef.current = activeParts;
+        }
+    }, [activeParts]);
+
+    // 批量匹配导入的图号，onProgress(done, total) 报告实际进度
+    async function matchImportedIds(importedIds, onProgress) {
+        const worker = matchWorkerRef.current;
+        if (worker) {
+            // Worker 启动晚于配件数据加载时，先补发配件数据
+            if (matchWorkerPartsRef.current !== activeParts) {
+                worker.postMessage({ type: 'setParts', parts: activeParts });
+                matchWorkerPartsRef.current = activeParts;
+            }
+            try {
+                return await new Promise((resolve, reject) => {
+                    const requestId = nextMatchRequestIdRef.current++;
+                    matchRequestsRef.current.set(requestId, { resolve, reject, onProgress });
+                    worker.postMessage({
+                        type: 'match',
+                        requestId,
+                        importedIds,
+                        partLinks,
+                        aliases: matchAliases,
+                        customerId: customerInfo.customerId
+                    });
+                });
+            } catch (error) {
+                console.error('Worker 匹配失败，改在主线程匹配:', error);
+            }
+        }
+
+        const results = [];
+        for (let start = 0; start < importedIds.length; start += MATCH_BATCH_SIZE) {
+            const batch = importedIds.slice(start, start + MATCH_BATCH_SIZE);
+            results.push(...matchPartNumbers(batch, partIndex, partLinkIndex));
+            onProgress(results.length, importedIds.length);
+            // 让出主线程，刷新进度提示
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        return results;
+    }
+
+    const filteredCustomers = useMemo(() => {
+        const term = customerSearch.trim().toLowerCase();
+        if (!term) return customers;
+        return customers.filter(customer =>
+            [customer.id, customer.name, customer.taxId, ...customer.contacts.map(formatCustomerContact)]
+                .some(value => String(value || '').toLowerCase().includes(term))
+        );
+    }, [customers, customerSearch]);
+
+    function exportQuotationCSV() {
+        if (selectedParts.length === 0) {
+            alert('报价单为空，无法导出');
+            return;
+        }
+        if (!requirePermission('quote') || !ensureReviewComplete()) return;
+        // 导出前保存，确保导出文件带有报价单号
+        const quotation = saveQuotation({ silent: true });
+        if (!quotation) return;
+        
+        const hasGroups = selectedParts.some(part => part.group);
+        let csvContent = hasGroups
+            ? '序号,客户提供标识,系统标识码,图号,名称,分组,价格类型,单价,数量,总价(元),备注,匹配方式\n'
+            : '序号,客户提供标识,系统标识码,图号,名称,价格类型,单价,数量,总价(元),备注,匹配方式\n';
+            
+        selectedParts.forEach((part, index) => {
+            const quantity = part.quantity || 1;
+            const price = getUnitPrice(part);
+            const itemTotal = price * quantity;
+            const remark = part.importedRemark || part['备注'] || '';
+            const matchType = getMatchTypeLabel(part);
+                
+            csvContent += [
+                index + 1,
+                `"${part.importedId || ''}"`,
+                `"${part['标识码']}"`,
+                `"${part['图号']}"`,
+                `"${part['名称']}"`,
+                ...(hasGroups ? [`"${part.group || ''}"`] : []),
+                part.importedPrice ? '客户指定价格' : priceOption,
+                price.toFixed(2),
+                quantity,
+                itemTotal.toFixed(2),
+                `"${remark}"`,
+                `"${matchType}"`
+            ].join(',') + '\n';
+        });
+        
+        const totalPrice = selectedParts.reduce((sum, p) => {
+            const priceVal = getUnitPrice(p);
+            return sum + priceVal * (p.quantity || 1);
+        }, 0);
+        
+        csvContent += `总计:,,,,,,,,,${hasGroups ? ',' : ''}${totalPrice.toFixed(2)}\n`;
+        const taxTotals = splitTaxTotals(totalPrice, priceOption, quotationTaxRate);
+        csvContent += `不含税合计:,${taxTotals.net.toFixed(2)}\n`;
+        csvContent += `税额（${(quotationTaxRate * 100).toFixed(2)}%）:,${taxTotals.tax.toFixed(2)}\n`;
+        csvContent += `含税合计:,${taxTotals.gross.toFixed(2)}\n`;
+        
+        // 添加客户信息到CSV
+        csvContent += `\n客户信息:\n`;
+        csvContent += `报价单号:,${quotation.number}\n`;
+        csvContent += `版本:,Rev ${getQuotationRevision(quotation)}\n`;
+        if (quotation.createdBy) csvContent += `制单人:,${quotation.createdBy.name}\n`;
+        csvContent += `客户:,${customerInfo.name}\n`;
+        csvContent += `联系方式:,${customerInfo.contact}\n`;
+        csvContent += `日期:,${customerInfo.date}\n`;
+        csvContent += `船舶:,${customerInfo.vessel}\n`;
+        csvContent += `项目:,${customerInfo.project}\n`;
+        if (customerInfo.address) csvContent += `地址:,"${customerInfo.address}"\n`;
+        if (customerInfo.taxId) csvContent += `税号:,${customerInfo.taxId}\n`;
+        if (customerInfo.paymentTerms) csvContent += `付款条件:,"${customerInfo.paymentTerms}"\n`;
+        if (priceAsOfDate) {
+            csvContent += `价格基准日期:,${priceAsOfDate}\n`;
+        }
+
+        recordAudit('exportQuotation', `导出报价单 ${formatQuotationNumber(quotation)}`, {
+            quotation: formatQuotationNumber(quotation),
+            format: 'CSV',
+            lines: selectedParts.length
+        });
+        if (isElectron) {
+            window.electronAPI.exportData(csvContent).then(success => {
+                if (success) {
+                    alert('报价单导出成功');
+                } else {
+                    alert('报价单导出失败');
+                }
+            });
+        } else {
+            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.setAttribute('href', url);
+            link.setAttribute('download', `船用配件报价_${quotation.number}_Rev${getQuotationRevision(quotation)}_${customerInfo.name || '未命名'}.csv`);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+        }
+    }
+
+    // 新增：Excel格式导出
+    function exportQuotationExcel() {
+        if (selectedParts.length === 0) {
+            alert('报价单为空，无法导出');
+            return;
+        }
+        if (!requirePermission('quote') || !ensureReviewComplete()) return;
+        const quotation = saveQuotation({ silent: true });
+        if (!quotation) return;
+        
+        // 准备Excel数据
+        const hasGroups = selectedParts.some(part => part.group);
+        const excelData = selectedParts.map((part, index) => {
+            const quantity = part.quantity || 1;
+            const price = getUnitPrice(part);
+            const itemTotal = price * quantity;
+            const matchType = getMatchTypeLabel(part);
+                
+            return {
+                '序号': index + 1,
+                '客户提供标识': part.importedId || '',
+                '系统标识码': part['标识码'],
+                '图号': part['图号'],
+                '名称': part['名称'],
+                ...(hasGroups ? { '分组': part.group || '' } : {}),
+                '价格类型': part.importedPrice ? '客户指定价格' : priceOption,
+                '单价': price,
+                '数量': quantity,
+                '总价(元)': itemTotal,
+                '备注': part.importedRemark || part['备注'] || '',
+                '匹配方式': matchType
+            };
+        });
+        
+        // 添加合计行
+        const totalPrice = selectedParts.reduce((sum, p) => {
+            const priceVal = getUnitPrice(p);
+            return sum + priceVal * (p.quantity || 1);
+        }, 0);
+        
+        // 合计行
+        excelData.push({
+            '序号': '',
+            '客户提供标识': '',
+            '系统标识码': '',
+            '图号': '',
+            '名称': '合计',
+            '价格类型': '',
+            '单价': '',
+            '数量': '',
+            '总价(元)': totalPrice,
+            '备注': '',
+            '匹配方式': ''
+        });
+        
+        // 不含税、税额、含税金额分列
+        const taxTotals = splitTaxTotals(totalPrice, priceOption, quotationTaxRate);
+        excelData.push(
+            { '名称': '不含税合计', '总价(元)': taxTotals.net },
+            { '名称': `税额（${(quotationTaxRate * 100).toFixed(2)}%）`, '总价(元)': taxTotals.tax },
+            { '名称': '含税合计', '总价(元)': taxTotals.gross }
+        );
+        
+        // 客户信息行
+        excelData.push({}, {
+            '序号': '客户信息',
+            '客户提供标识': ''
+        });
+        
+        excelData.push({
+            '序号': '报价单号',
+            '客户提供标识': quotation.number
+        });
+        
+        excelData.push({
+            '序号': '版本',
+            '客户提供标识': `Rev ${getQuotationRevision(quotation)}`
+        });
+
+        if (quotation.createdBy) {
+            excelData.push({
+                '序号': '制单人',
+                '客户提供标识': quotation.createdBy.name
+            });
+        }
+        
+        excelData.push({
+            '序号': '客户名称',
+            '客户提供标识': customerInfo.name || ''
+        });
+        
+        excelData.push({
+            '序号': '联系方式',
+            '客户提供标识': customerInfo.contact || ''
+        });
+        
+        excelData.push({
+            '序号': '日期',
+            '客户提供标识': customerInfo.date || ''
+        });
+        
+        excelData.push({
+            '序号': '船舶',
+            '客户提供标识': customerInfo.vessel || ''
+        });
+        
+        excelData.push({
+            '序号': '项目',
+            '客户提供标识': customerInfo.project || ''
+        });
+        
+        [['地址', customerInfo.address], ['税号', customerInfo.taxId], ['付款条件', customerInfo.paymentTerms]]
+            .filter(([, value]) => value)
+            .forEach(([label, value]) => excelData.push({ '序号': label, '客户提供标识': value }));
+        
+        if (priceAsOfDate) {
+            excelData.push({
+                '序号': '价格基准日期',
+                '客户提供标识': priceAsOfDate
+            });
+        }
+        
+        const worksheet = XLSX.utils.json_to_sheet(excelData);
+        
+        // 设置列宽
+        const colWidths = [
+            { wch: 6 },   // 序号
+            { wch: 15 },  // 客户提供标识
+            { wch: 12 },  // 系统标识码
+            { wch: 15 },  // 图号
+            { wch: 20 },  // 名称
+            ...(hasGroups ? [{ wch: 20 }] : []),  // 分组
+            { wch: 12 },  // 价格类型
+            { wch: 12 },  // 单价
+            { wch: 6 },   // 数量
+            { wch: 12 },  // 总价
+            { wch: 20 },  // 备注
+            { wch: 10 }   // 匹配方式
+        ];
+        worksheet['!cols'] = colWidths;
+        
+        // 创建工作簿并添加工作表
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, worksheet, "船用配件报价单");
+        
+        // 导出Excel文件
+        const fileName = `船用配件报价_${quotation.number}_Rev${getQuotationRevision(quotation)}_${customerInfo.name || '未命名'}.xlsx`;
+        recordAudit('exportQuotation', `导出报价单 ${formatQuotationNumber(quotation)}`, {
+            quotation: formatQuotationNumber(quotation),
+            format: 'Excel',
+            lines: selectedParts.length
+        });
+        
+        if (isElectron) {
+            // 如果是Electron环境
+            const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+            window.electronAPI.exportData({ fileName, data: excelBuffer, type: 'excel' }).then(success => {
+                if (success) {
+                    alert('Excel报价单导出成功');
+                } else {
+                    alert('Excel报价单导出失败');
+                }
+            });
+        } else {
+            // 浏览器环境
+            XLSX.writeFile(workbook, fileName);
+        }
+    }
+    
+    // 新增：批量添加配件
+    function batchAddParts() {
+        if (!requirePermission('quote')) return;
+        const input = prompt("请输入多个配件号，每行一个：");
+        if (!input || input.trim() === '') return;
+        
+        const partNumbers = input.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+        if (partNumbers.length === 0) return;
+        
+        const extractedParts = partNumbers.map(partNumber => ({
+            '图号': partNumber,
+            '数量': 1,
+            '单价': 0,
+            '备注': '手动批量添加'
+        }));
+        
+        processExtractedParts(
+            extractedParts,
+            matchImportedIds,
+            replaceQuoteLines,
+            setView,
+            setInfoMessage,
+            setLoading,
+            setCurrentPage
+        ).catch(error => handleProcessingError('配件匹配', error, setLoading, setInfoMessage));
+    }
+    
+    // 新增：导入报价单模板
+    function importQuotationTemplate() {
+        if (!requirePermission('quote')) return;
+        alert("请选择报价单模板文件");
+        document.getElementById('fileTemplate').click();
+    }
+    
+    async function handleTemplateUpload(e) {
+        if (!requirePermission('quote')) {
+            e.target.value = '';
+            return;
+        }
+        const { file, fileContent } = await readFileContent(e, isElectron);
+        if (!file || !fileContent) {
+            alert('文件读取失败');
+            return;
+        }
+        
+        try {
+            const workbook = XLSX.read(fileContent, ROBUST_EXCEL_OPTIONS);
+            const firstSheetName = workbook.SheetNames[0];
+            const worksheet = workbook.Sheets[firstSheetName];
+            const templateData = XLSX.utils.sheet_to_json(worksheet);
+            
+            // 提取客户信息
+            const customerData = templateData.find(row => 
+                row['客户名称'] || row['客户'] || row['Client'] || row['Customer']
+            );
+            
+            let customer = null;
+            if (customerData) {
+                const templateInfo = {
+                    name: customerData['客户名称'] || customerData['客户'] || customerData['Client'] || customerData['Customer'] || '',
+                    contact: customerData['联系方式'] || customerData['联系人'] || customerData['Contact'] || '',
+                    date: customerData['日期'] || customerData['Date'] || new Date().toISOString().split('T')[0],
+                    vessel: customerData['船舶'] || customerData['船名'] || customerData['Vessel'] || '',
+                    project: customerData['项目'] || customerData['工程'] || customerData['Project'] || ''
+                };
+                // 客户名称与客户目录匹配，匹配到时带出客户资料；模板中填写的联系方式优先
+                customer = findCustomerByName(customers, templateInfo.name);
+                if (customer) {
+                    const { name, contact, ...rest } = templateInfo;
+                    // 默认折扣在导入的配件行替换报价单后再询问
+                    selectCustomer(customer, contact ? { ...rest, contact } : rest, { offerDiscount: false });
+                } else {
+                    setCustomerInfo({ ...createEmptyCustomerInfo(), ...templateInfo });
+                    if (templateInfo.name &&
+                        window.confirm(`客户「${templateInfo.name}」不在客户目录中，是否添加到客户目录？`)) {
+                        const newCustomer = {
+                            ...createEmptyCustomer(customers),
+                            name: templateInfo.name,
+                            contacts: templateInfo.contact ? [{ name: templateInfo.contact, phone: '', email: '' }] : []
+                        };
+                        persistCustomers([...customers, newCustomer]);
+                        recordAudit('customer', `由报价模板新增客户「${newCustomer.name}」`, { changed: 1, ids: newCustomer.id });
+                        setCustomerInfo(info => ({ ...info, customerId: newCustomer.id }));
+                    }
+                }
+            }
+            
+            // 提取配件列表
+            const partsList = templateData.filter(row => 
+                row['图号'] || row['件号'] || row['Part No.'] || row['Material No.']
+            );
+            
+            if (partsList.length > 0) {
+                const extractedParts = partsList.map(row => ({
+                    '图号': row['图号'] || row['件号'] || row['Part No.'] || row['Material No.'] || '',
+                    '名称': row['名称'] || row['件名'] || row['Description'] || '',
+                    '数量': parseInt(row['数量'] || row['Quantity'] || 1),
+                    '单价': parseFloat(row['单价'] || row['Price'] || 0),
+                    '备注': row['备注'] || row['Remark'] || ''
+                }));
+                
+                const lines = await processExtractedParts(
+                    extractedParts,
+                    matchImportedIds,
+                    replaceQuoteLines,
+                    setView,
+                    setInfoMessage,
+                    setLoading,
+                    setCurrentPage
+                );
+                if (customer && lines) {
+                    offerCustomerDiscount(customer, lines, customer.defaultPriceOption || priceOption);
+                }
+            } else {
+                alert('未在模板中找到有效的配件数据');
+            }
+            
+        } catch (error) {
+            handleProcessingError('模板文件解析', error, setLoading, setInfoMessage);
+        }
+    }
+    
+    function handlePrint() {
+    if (!requirePermission('quote') || !ensureReviewComplete()) return;
+    // 打印前保存，并立即更新页面，确保打印件带有报价单号
+    let quotation = null;
+    flushSync(() => {
+        quotation = saveQuotation({ silent: true });
+    });
+    if (!quotation) return;
+    recordAudit('exportQuotation', `打印报价单 ${formatQuotationNumber(quotation)}`, {
+        quotation: formatQuotationNumber(quotation),
+        format: '打印',
+        lines: selectedParts.length
+    });
+    // 设置打印样式
+    const printElement = document.createElement('style');
+    printElement.innerHTML = `
+        @media print {
+            body * {
+                visibility: hidden;
+            }
+            #print-container, #print-container * {
+                visibility: visible;
+            }
+            #print-container {
+                position: absolute;
+                left: 0;
+                top: 0;
+                width: 100%;
+            }
+            .no-print {
+                display: none !important;
+            }
+            @page {
+                size: A4;
+                margin: 1cm;
+            }
+            table {
+                page-break-inside: avoid;
+            }
+            tr {
+                page-break-inside: avoid;
+                page-break-after: auto;
+            }
+            thead {
+                display: table-header-group;
+            }
+            tfoot {
+                display: table-footer-group;
+            }
+            
+            /* 第二页隐藏页头 */
+            .page-header {
+                display: none;
+            }
+            .first-page .page-header {
+                display: block;
+            }
+            .page-break-before {
+                page-break-before: always;
+            }
+        }
+    `;
+    document.head.appendChild(printElement);
+    
+    window.print();
+    
+    // 移除打印样式
+    document.head.removeChild(printElement);
+}
+    // 总价和其他统计信息
+    const statistics = useMemo(() => {
+        const total = selectedParts.reduce((sum, p) => {
+            const priceVal = getLineUnitPrice(p, priceOption, priceHistory, priceAsOfDate);
+            return sum + priceVal * (p.quantity || 1);
+        }, 0);
+        
+        const totalQuantity = selectedParts.reduce((sum, p) => sum + (p.quantity || 1), 0);
+        const exactMatchCount = selectedParts.filter(p => p.matchType === 'exact').length;
+        const fuzzyMatchCount = selectedParts.filter(p => p.matchType === 'fuzzy' || p.matchType === 'caseInsensitive' || p.matchType === 'noSpace').length;
+        const newPartCount = selectedParts.filter(p => p.isNew || p.matchType === 'none').length;
+        
+        return {
+            totalPrice: total,
+            totalQuantity,
+            exactMatchCount,
+            fuzzyMatchCount,
+            newPartCount
+        };
+    }, [selectedParts, priceOption, priceHistory, priceAsOfDate]);
+
+    // 新增：获取当前主题对应的样式
+    function getThemeStyles() {
+        if (theme === 'dark') {
+            return {
+                background: '#1e1e1e',
+                text: '#f0f0f0',
+                container: '#2d2d2d',
+                header: '#3d3d3d',
+                border: '#444',
+                button: '#555',
+                buttonText: '#fff',
+                inputBackground: '#333',
+                inputText: '#fff',
+                inputBorder: '#555',
+                link: '#4da6ff',
+                alertBackground: '#382b2b',
+                alertText: '#ff6b6b'
+            };
+        }
+        return {
+            background: '#f9fafb',
+            text: '#333',
+            container: '#ffffff',
+            header: '#f2f2f2',
+            border: '#ddd',
+            button: '#e5e5e5',
+            buttonText: '#333',
+            inputBackground: '#fff',
+            inputText: '#333',
+            inputBorder: '#ccc',
+            link: '#0066cc',
+            alertBackground: '#fff8f8',
+            alertText: '#d14'
+        };
+    }
+    
+    const themeStyles = getThemeStyles();
+    
+    useEffect(() => {
+        // 当主题改变时，更新文档的背景色和文本色
+        document.body.style.backgroundColor = themeStyles.background;
+        document.body.style.color = themeStyles.text;
+    }, [theme, themeStyles]);
+    
+    // ------------------ 文件导入事件封装 ------------------ //
+    // 选择数据库文件后先进入列映射步骤，确认后才写入数据库
+    async function handleFileUploadWrapper(e) {
+        if (!requirePermission('importParts')) {
+            e.target.value = '';
+            return;
+        }
+        const { file, fileContent } = await readFileContent(e, isElectron);
+        if (!file || !fileContent) {
+            alert('文件读取失败');
+            return;
+        }
+        setLoading(true);
+        try {
+            const workbook = XLSX.read(fileContent, ROBUST_EXCEL_OPTIONS);
+            const firstSheetName = workbook.SheetNames[0];
+            const worksheet = workbook.Sheets[firstSheetName];
+            if (!worksheet || !worksheet['!ref']) {
+                throw new Error("Excel文件似乎是空的");
+            }
+            const rawRows = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: true, defval: '', blankrows: true });
+            const rowOffset = XLSX.utils.decode_range(worksheet['!ref']).s.r;
+            setImportWizard(buildImportWizardState(file.name, rawRows, rowOffset, guessHeaderRowIndex(rawRows)));
+            setView('importMapping');
+        } catch (error) {
+            handleProcessingError('文件解析', error, setLoading, setInfoMessage);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    function buildImportWizardState(fileName, rawRows, rowOffset, headerRowIndex) {
+        const headers = (rawRows[headerRowIndex] || []).map((cell, i) =>
+            String(cell).trim() || `第${i + 1}列`
+        );
+        const signature = getHeaderSignature(headers);
+        const template = importTemplates.find(t => t.signature === signature);
+        return {
+            fileName,
+            rawRows,
+            rowOffset,
+            headerRowIndex,
+            headers,
+            mapping: template ? mappingFromTemplate(template, headers) : guessColumnMapping(headers),
+            templateName: template ? template.name : '',
+            mode: importWizard ? importWizard.mode : 'append',
+            effectiveDate: importWizard ? importWizard.effectiveDate : new Date().toISOString().split('T')[0],
+            applyAdded: true,
+            fillTaxPrices: true,
+            excludedChanges: [],
+            markMissingDiscontinued: false
+        };
+    }
+
+    function toggleImportChange(key) {
+        const excluded = importWizard.excludedChanges.includes(key)
+            ? importWizard.excludedChanges.filter(k => k !== key)
+            : [...importWizard.excludedChanges, key];
+        setImportWizard({ ...importWizard, excludedChanges: excluded });
+    }
+
+    function changeImportHeaderRow(rowNumber) {
+        const index = parseInt(rowNumber) - 1;
+        if (isNaN(index) || index < 0 || index >= importWizard.rawRows.length) return;
+        setImportWizard(buildImportWizardState(importWizard.fileName, importWizard.rawRows, importWizard.rowOffset, index));
+    }
+
+    function updateImportMapping(field, columnIndex) {
+        setImportWizard({
+            ...importWizard,
+            mapping: { ...importWizard.mapping, [field]: columnIndex === '' ? '' : Number(columnIndex) }
+        });
+    }
+
+    function applyImportTemplate(name) {
+        const template = importTemplates.find(t => t.name === name);
+        if (!template) return;
+        setImportWizard({
+            ...importWizard,
+            mapping: mappingFromTemplate(template, importWizard.headers),
+            templateName: template.name
+        });
+    }
+
+    function deleteImportTemplate(name) {
+        if (!requirePermission('importParts')) return;
+        if (!window.confirm(`确定要删除映射模板「${name}」吗？`)) return;
+        const templates = importTemplates.filter(t => t.name !== name);
+        setImportTemplates(templates);
+        safelyStoreData(IMPORT_TEMPLATES_KEY, templates);
+    }
+
+    function cancelImportWizard() {
+        setImportWizard(null);
+        setView('table');
+    }
+
+    const importPreview = useMemo(() => {
+        if (!importWizard) return null;
+        const dataRows = importWizard.rawRows.slice(importWizard.headerRowIndex + 1);
+        const isUpsert = importWizard.mode === 'upsert';
+        // 更新模式下已有标识码不算跳过，交给差异比对处理
+        const usedIds = new Set(partsData.map(item => item['标识码']));
+        const existingIds = isUpsert ? new Set() : usedIds;
+        const firstRowNumber = importWizard.rowOffset + importWizard.headerRowIndex + 2;
+        const built = buildImportRecords(dataRows, importWizard.mapping, existingIds, firstRowNumber, usedIds);
+        const { blankFields, results } = built;
+        let records = built.records;
+        if (importWizard.fillTaxPrices) {
+            const rate = getTaxRateAsOf(taxSettings, importWizard.effectiveDate);
+            records = records.map((record, i) => {
+                const filled = deriveTaxPrices(record, rate, taxSettings.basis, true);
+                // 推算出的价格不再视为文件中的空单元格
+                blankFields[i] = blankFields[i].filter(field => filled[field] === record[field]);
+                return filled;
+            });
+        }
+        return {
+            records,
+            results,
+            diff: isUpsert ? diffImportRecords(records, blankFields, partsData, importWizard.mapping) : null,
+            importCount: results.filter(r => r.status === 'import').length,
+            skipCount: results.filter(r => r.status === 'skip' && r.reason !== '空行').length,
+            failCount: results.filter(r => r.status === 'fail').length
+        };
+    }, [importWizard, partsData, taxSettings]);
+
+    async function confirmImportWizard() {
+        if (!requirePermission('importParts')) return;
+        const { mapping, headers, templateName } = importWizard;
+        if (mapping['图号'] === '' && mapping['名称'] === '') {
+            alert('请至少为 图号 或 名称 指定来源列');
+            return;
+        }
+
+        const name = templateName.trim();
+        if (name) {
+            const template = {
+                name,
+                signature: getHeaderSignature(headers),
+                mapping: mappingToTemplate(mapping, headers),
+                updatedAt: new Date().toISOString()
+            };
+            const templates = [...importTemplates.filter(t => t.name !== name), template];
+            setImportTemplates(templates);
+            safelyStoreData(IMPORT_TEMPLATES_KEY, templates);
+        }
+
+        if (!(await takeSnapshot(`导入 ${importWizard.fileName} 前`))) return;
+        if (importWizard.mode === 'upsert') {
+            applyImportDiff();
+            return;
+        }
+
+        const newData = importPreview.records;
+        const combinedData = [...partsData, ...newData];
+        commitPartsData(combinedData, { source: `导入: ${importWizard.fileName}`, effectiveDate: importWizard.effectiveDate });
+        recordAudit('importParts', `导入 ${importWizard.fileName}，新增 ${newData.length} 条`, {
+            fileName: importWizard.fileName,
+            added: newData.length,
+            skipped: importPreview.skipCount,
+            failed: importPreview.failCount,
+            total: combinedData.length
+        });
+        setCurrentPage(1);
+        setImportWizard(null);
+        setView('table');
+        alert(
+            `成功导入 ${newData.length} 条新数据！跳过 ${importPreview.skipCount} 条，失败 ${importPreview.failCount} 条。` +
+            `当前总共有 ${combinedData.length} 条数据。`
+        );
+    }
+
+    // 按管理员在差异预览中的选择写入：新增、更新选中的修改、标记缺失配件为停产
+    function applyImportDiff() {
+        const { added, changed, missing, skipped } = importPreview.diff;
+        const acceptedChanges = changed.filter(c => !importWizard.excludedChanges.includes(c.key));
+        const changesByPart = new Map(acceptedChanges.map(c => [c.existing, c.changes]));
+        const discontinued = importWizard.markMissingDiscontinued ? new Set(missing) : new Set();
+
+        const updatedData = partsData.map(part => {
+            const changes = changesByPart.get(part);
+            if (changes) {
+                const next = { ...part };
+                changes.forEach(({ field, to }) => { next[field] = to; });
+                return next;
+            }
+            if (discontinued.has(part)) {
+                return { ...part, '状态': '停产' };
+            }
+            return part;
+        });
+        const addedData = importWizard.applyAdded ? added : [];
+        const combinedData = [...updatedData, ...addedData];
+
+        commitPartsData(combinedData, { source: `更新导入: ${importWizard.fileName}`, effectiveDate: importWizard.effectiveDate });
+        recordAudit('importParts', `更新导入 ${importWizard.fileName}`, {
+            fileName: importWizard.fileName,
+            added: addedData.length,
+            changed: acceptedChanges.length,
+            discontinued: discontinued.size,
+            skipped: skipped.length,
+            total: combinedData.length
+        });
+        setCurrentPage(1);
+        setImportWizard(null);
+        setView('table');
+        alert(
+            `更新完成！新增 ${addedData.length} 条，更新 ${acceptedChanges.length} 条，` +
+            `标记停产 ${discontinued.size} 条，缺少${importPreview.diff.keyField}跳过 ${skipped.length} 条。` +
+            `当前总共有 ${combinedData.length} 条数据。`
+        );
+    }
+
+    async function handleAdvancedQuotationUpload(e) {
+        if (!requirePermission('importParts')) {
+            e.target.value = '';
+            return;
+        }
+        const { file, fileContent } = await readFileContent(e, isElectron);
+        if (!file || !fileContent) {
+            alert('文件读取失败');
+            return;
+        }
+        setLoading(true);
+        setInfoMessage("正在处理文件，请稍候...");
+        try {
+            console.log("开始处理文件:", file.name);
+            const isPdf = file.name.toLowerCase().endsWith('.pdf');
+            if (isPdf) {
+                console.log("检测到PDF文件，按表格位置解析");
+                setInfoMessage("正在解析PDF文件，提取配件信息...");
+                const extractedParts = await extractPartsFromDocument(file, fileContent);
+                await processExtractedParts(
+                    extractedParts,
+                    matchImportedIds,
+                    replaceQuoteLines,
+                    setView,
+                    setInfoMessage,
+                    setLoading,
+                    setCurrentPage
+                );
+                return;
+            }
+            let workbook;
+            try {
+                workbook = XLSX.read(fileContent, ROBUST_EXCEL_OPTIONS);
+            } catch (error) {
+                console.error("Excel读取错误:", error);
+                setLoading(false);
+                alert(`Excel文件格式错误: ${error.message}`);
+                return;
+            }
+            let format = getSupplierFormat(supplierFormatOverride);
+            if (format) {
+                console.log(`按手动指定的格式解析: ${format.label}`);
+            } else {
+                const candidates = detectSupplierFormat(workbook);
+                console.log("格式识别结果:", candidates.map(c => `${c.format.label} ${Math.round(c.confidence * 100)}%`));
+                const best = candidates[0];
+                if (!best.format.fallback && best.confidence < FORMAT_CONFIDENCE_THRESHOLD) {
+                    const proceed = window.confirm(
+                        `未能可靠识别配件单格式，最接近的是「${best.format.label}」` +
+                        `（置信度 ${Math.round(best.confidence * 100)}%）。\n\n` +
+                        `确定 - 按该格式继续解析\n取消 - 返回并手动选择解析格式`
+                    );
+                    if (!proceed) {
+                        setLoading(false);
+                        setInfoMessage(null);
+                        return;
+                    }
+                }
+                format = best.format;
+                setInfoMessage(`识别为「${format.label}」（置信度 ${Math.round(best.confidence * 100)}%），正在解析...`);
+            }
+            const { parts: allExtractedParts, unparsedRows } = await format.parse(workbook, format.columns);
+            await processExtractedParts(
+                allExtractedParts,
+                matchImportedIds,
+                replaceQuoteLines,
+                setView,
+                setInfoMessage,
+                setLoading,
+                setCurrentPage,
+                unparsedRows
+            );
+        } catch (error) {
+            handleProcessingError('文件处理', error, setLoading, setInfoMessage);
+        }
+    }
+
+    async function handleCustomerQuotationUpload(e) {
+        if (!requirePermission('quote')) {
+            e.target.value = '';
+            return;
+        }
+        const { file, fileContent } = await readFileContent(e, isElectron);
+        if (!file || !fileContent) {
+            alert('文件读取失败');
+            return;
+        }
+        setLoading(true);
+        try {
+            const workbook = XLSX.read(fileContent, ROBUST_EXCEL_OPTIONS);
+            const firstSheetName = workbook.SheetNames[0];
+            const worksheet = workbook.Sheets[firstSheetName];
+            if (!worksheet['!ref']) {
+                throw new Error("Excel文件似乎是空的");
+            }
+            let customerData = [];
+            try {
+                customerData = XLSX.utils.sheet_to_json(worksheet);
+                if (customerData.length === 0) {
+                    // 尝试备用方法
+                    const range = XLSX.utils.decode_range(worksheet['!ref']);
+                    if (range.e.c === 0 || range.e.c === range.s.c) {
+                        for (let r = range.s.r; r <= range.e.r; r++) {
+                            const cellAddress = XLSX.utils.encode_cell({ r, c: range.s.c });
+                            const cell = worksheet[cellAddress];
+                            if (cell && cell.v) {
+                                const value = cell.w || String(cell.v);
+                                if (value.trim() !== '') {
+                                    customerData.push({
+                                        '图号': value.trim(),
+                                        'rawValue': value.trim()
+                                    });
+                                }
+                            }
+                        }
+                    }
+                    if (customerData.length === 0) {
+                        // 再尝试CSV解析
+                        const csvOptions = { header: 1 };
+                        const rows = XLSX.utils.sheet_to_json(worksheet, csvOptions);
+                        if (rows.length > 0) {
+                            customerData = rows.map(row => {
+                                if (row.length > 0 && row[0] && String(row[0]).trim() !== '') {
+                                    return {
+                                        '图号': String(row[0]).trim(),
+                                        'rawValue': String(row[0]).trim()
+                                    };
+                                }
+                                return null;
+                            }).filter(item => item !== null);
+                        }
+                    }
+                }
+            } catch (parseError) {
+                console.error("标准解析失败，尝试备用方法:", parseError);
+                const range = XLSX.utils.decode_range(worksheet['!ref']);
+                for (let r = range.s.r; r <= range.e.r; r++) {
+                    const cellAddress = XLSX.utils.encode_cell({ r, c: 0 });
+                    const cell = worksheet[cellAddress];
+                    if (cell && (cell.v !== undefined || cell.w)) {
+                        const value = cell.w || String(cell.v);
+                        if (value.trim() !== '') {
+                            customerData.push({
+                                '图号': value.trim(),
+                                'rawValue': value.trim()
+                            });
+                        }
+                    }
+                }
+            }
+            if (customerData.length === 0) {
+                throw new Error("无法从Excel文件中提取有效数据，请检查文件格式");
+            }
+            const items = [];
+            const processedIds = new Set();
+            for (const item of customerData) {
+                const importedId = String(
+                    item['图号'] ||
+                    item['标识码'] ||
+                    item['rawValue'] ||
+                    item[Object.keys(item)[0]] ||
+                    ''
+                ).trim();
+                if (!importedId || processedIds.has(importedId)) continue;
+                processedIds.add(importedId);
+                items.push({ importedId, item });
+            }
+
+            setInfoMessage(`正在匹配 ${items.length} 个配件，请稍候...`);
+            const results = await matchImportedIds(
+                items.map(({ importedId }) => importedId),
+                (done, total) => setInfoMessage(`已匹配 ${done}/${total} 个配件 (${Math.round((done / total) * 100)}%)...`)
+            );
+            const matchedParts = [];
+            items.forEach(({ importedId, item }, i) => {
+                const { match, candidates, error } = results[i];
+                if (error) {
+                    console.error(`处理配件时出错 (${importedId}):`, error);
+                    return;
+                }
+                if (match) {
+                    matchedParts.push({
+                        ...match,
+                        importedId,
+                        quantity: parseInt(item['数量']) || 1,
+                        importedPrice: parseFloat(item['单价']) || 0,
+                        importedRemark: item['备注'] || ''
+                    });
+                } else {
+                    matchedParts.push({
+                        '标识码': `NEW_${importedId}`,
+                        '图号': importedId,
+                        '名称': item['名称'] || '未知配件',
+                        '指导价（不含税）': 0,
+                        '出厂价（不含税）': 0,
+                        '服务价（不含税）': 0,
+                        '指导价（含税）': 0,
+                        '出厂价（含税）': 0,
+                        '服务价（含税）': parseFloat(item['单价']) || 0,
+                        '备注': item['备注'] || `客户提供标识: ${importedId}`,
+                        'quantity': parseInt(item['数量']) || 1,
+                        'isNew': true,
+                        'importedId': importedId,
+                        'confidence': 0,
+                        'candidates': candidates
+                    });
+                }
+            });
+            if (matchedParts.length === 0) {
+                throw new Error("没有找到有效的配件数据，请检查文件格式");
+            }
+            replaceQuoteLines(matchedParts);
+            setView('quotation');
+            setCurrentPage(1);
+
+            const matchedCount = matchedParts.filter(p => !p.isNew).length;
+            const newCount = matchedParts.filter(p => p.isNew).length;
+            setInfoMessage(
+                `成功导入 ${matchedParts.length} 条数据！其中成功匹配 ${matchedCount} 条，未匹配新配件 ${newCount} 条。`
+            );
+        } catch (error) {
+            handleProcessingError('文件解析', error, setLoading, setInfoMessage);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    // 新增：处理通用文档文件上传
+    async function handleDocumentUpload(e) {
+        if (!requirePermission('quote')) {
+            e.target.value = '';
+            return;
+        }
+        const { file, fileContent } = await readFileContent(e, isElectron);
+        if (!file || !fileContent) {
+            alert('文件读取失败');
+            return;
+        }
+        
+        setLoading(true);
+        setInfoMessage("正在解析文档，提取配件信息...");
+        
+        try {
+            // 根据文件类型提取配件信息
+            const fileType = detectFileType(file.name);
+            const extractedParts = await extractPartsFromDocument(file, fileContent);
+            
+            if (extractedParts && extractedParts.length > 0) {
+                await processExtractedParts(
+                    extractedParts,
+                    matchImportedIds,
+                    replaceQuoteLines,
+                    setView,
+                    setInfoMessage,
+                    setLoading,
+                    setCurrentPage
+                );
+            } else {
+                setLoading(false);
+                alert(`未能从${fileType}文件中提取配件信息，请尝试其他导入方式。`);
+            }
+        } catch (error) {
+            handleProcessingError('文档解析', error, setLoading, setInfoMessage);
+        }
+    }
+    
+    // 新增：文档解析与人工审核流程
+    function startDocumentProcessWorkflow() {
+        if (!requirePermission('quote')) return;
+        // 弹窗询问文档类型
+        const docType = window.confirm(
+            "请选择文档类型:\n" +
+            "确定 - PDF或Word等格式的客户订单\n" + 
+            "取消 - Excel或CSV格式的表格数据"
+        );
+        
+        if (docType) {
+            // 用户选择了PDF/Word文档
+            document.getElementById('fileDocument').click();
+        } else {
+            // 用户选择了Excel/CSV
+            document.getElementById('fileCustomer').click();
+        }
+    }
+    
+    // ------------------ 逐项审核匹配结果 ------------------ //
+    // 模糊匹配和新配件逐行接受、拒绝或重新匹配，全部处理完才允许导出报价单
+    const reviewLines = useMemo(() => selectedParts
+        .map((part, index) => ({ part, index }))
+        .filter(({ part }) => lineNeedsReview(part) || part.reviewStatus), [selectedParts]);
+    const pendingReviewCount = reviewLines.filter(({ part }) => !part.humanReviewed).length;
+
+    const reviewSearchResults = useMemo(() => {
+        const term = reviewSearch.term.trim();
+        if (reviewSearch.index === null || !term) return [];
+        const key = normalizePartNo(term);
+        const lower = term.toLowerCase();
+        return activeParts
+            .filter(part =>
+                normalizePartNo(part['图号']).includes(key) ||
+                String(part['名称'] || '').toLowerCase().includes(lower)
+            )
+            .slice(0, 20);
+    }, [activeParts, reviewSearch]);
+
+    function openMatchReview() {
+        if (reviewLines.length === 0) {
+            alert('没有需要审核的配件');
+            return;
+        }
+        setReviewSearch({ index: null, term: '' });
+        setView('matchReview');
+    }
+
+    // 导出和打印前检查是否还有未审核的行
+    function ensureReviewComplete() {
+        if (pendingReviewCount === 0) return true;
+        alert(`还有 ${pendingReviewCount} 行匹配结果未审核，请逐项审核后再导出。`);
+        openMatchReview();
+        return false;
+    }
+
+    function acceptReviewLine(lineIndex) {
+        const line = selectedParts[lineIndex];
+        if (!line.isNew) learnMatchAlias(line.importedId, line);
+        setSelectedParts(selectedParts.map((line, i) => (
+            i === lineIndex ? { ...line, humanReviewed: true, reviewStatus: 'accepted' } : line
+        )));
+    }
+
+    // 拒绝：新配件从报价单中移除；已匹配的行改为按客户图号报价的新配件
+    function rejectReviewLine(lineIndex) {
+        const line = selectedParts[lineIndex];
+        if (line.isNew) {
+            if (!window.confirm(`确定将 ${line.importedId || line['图号']} 从报价单中移除吗？`)) return;
+            setSelectedParts(selectedParts.filter((_, i) => i !== lineIndex));
+            setReviewSearch({ index: null, term: '' });
+            return;
+        }
+        setSelectedParts(selectedParts.map((item, i) => (i !== lineIndex ? item : {
+            '标识码': `NEW_${line.importedId}`,
+            '图号': line.importedId,
+            '名称': '未知配件',
+            '指导价（不含税）': 0,
+            '出厂价（不含税）': 0,
+            '服务价（不含税）': 0,
+            '指导价（含税）': 0,
+            '出厂价（含税）': 0,
+            '服务价（含税）': line.importedPrice || 0,
+            '备注': line.importedRemark || `客户提供标识: ${line.importedId}`,
+            quantity: line.quantity,
+            isNew: true,
+            importedId: line.importedId,
+            matchType: 'none',
+            confidence: 0,
+            candidates: line.candidates,
+            group: line.group,
+            humanReviewed: true,
+            reviewStatus: 'rejected'
+        })));
+    }
+
+    function rematchReviewLine(lineIndex, part) {
+        learnMatchAlias(selectedParts[lineIndex].importedId, part);
+        replaceLinePart(lineIndex, part, {
+            matchType: 'manual',
+            confidence: 1,
+            matchReason: '人工指定',
+            reviewStatus: 'rematched'
+        });
+        setReviewSearch({ index: null, term: '' });
+    }
+
+    // 撤销审核结论，重新处理该行
+    function undoReviewLine(lineIndex) {
+        setSelectedParts(selectedParts.map((line, i) => (
+            i === lineIndex ? { ...line, humanReviewed: false, reviewStatus: undefined } : line
+        )));
+    }
+
+    return (
+        <div style={{ padding: 10, backgroundColor: themeStyles.background, minHeight: '100vh', color: themeStyles.text }}>
+            <style>{`
+                @media print {
+                    .no-print { 
+                        display: none !important; 
+                    }
+                    body, html {
+                        background-color: white !important;
+                        color: black !important;
+                    }
+                    #print-container {
+                        background-color: white !important;
+                        color: black !important;
+                    }
+                    @page {
+                        margin: 10mm;
+                        @bottom-center {
+                            content: "上海前进齿轮经营有限公司";
+                            font-size: 10pt;
+                            color: #000;
+                        }
+                    }
+                }
+                
+                /* 自定义按钮样式 */
+                .action-button {
+                    background-color: ${themeStyles.button};
+                    color: ${themeStyles.buttonText};
+                    border: 1px solid ${themeStyles.border};
+                    padding: 6px 12px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    margin-right: 8px;
+                    font-size: 14px;
+                    transition: all 0.3s ease;
+                }
+                .action-button:hover {
+                    opacity: 0.8;
+                }
+                .primary-button {
+                    background-color: #1e88e5;
+                    color: white;
+                }
+                .danger-button {
+                    background-color: #e53935;
+                    color: white;
+                }
+                
+                /* 表格样式 */
+                .data-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    border: 1px solid ${themeStyles.border};
+                }
+                .data-table th {
+                    background-color: ${themeStyles.header};
+                    padding: 8px;
+                    text-align: left;
+                    border: 1px solid ${themeStyles.border};
+                }
+                .data-table td {
+                    padding: 8px;
+                    border: 1px solid ${themeStyles.border}
+                }
+                .data-table tr:hover {
+                    background-color: ${themeStyles.background};
+                }
+                .data-table input {
+                    background-color: ${themeStyles.inputBackground};
+                    color: ${themeStyles.inputText};
+                    border: 1px solid ${themeStyles.inputBorder};
+                    padding: 4px;
+                    border-radius: 4px;
+                }
+                
+                /* 分页控制样式 */
+                .pagination {
+                    display: flex;
+                    justify-content: center;
+                    align-items: center;
+                    margin-top: 12px;
+                }
+                .pagination button {
+                    background-color: ${themeStyles.button};
+                    color: ${themeStyles.buttonText};
+                    border: 1px solid ${themeStyles.border};
+                    margin: 0 4px;
+                    padding: 4px 8px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                }
+                .pagination button:disabled {
+                    opacity: 0.5;
+                    cursor: not-allowed;
+                }
+                
+                /* 加载指示器 */
+                .loading-indicator {
+                    text-align: center;
+                    padding: 20px;
+                    color: ${themeStyles.link};
+                    font-weight: bold;
+                }
+                
+                /* 搜索框和工具栏 */
+                .toolbar {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    margin-bottom: 12px;
+                }
+                .search-box {
+                    padding: 6px 12px;
+                    border: 1px solid ${themeStyles.inputBorder};
+                    border-radius: 4px;
+                    background-color: ${themeStyles.inputBackground};
+                    color: ${themeStyles.inputText};
+                    width: 200px;
+                }
+                
+                /* 响应式布局 */
+                @media (max-width: 768px) {
+                    .toolbar {
+                        flex-direction: column;
+                        align-items: flex-start;
+                    }
+                    .search-box {
+                        width: 100%;
+                        margin-bottom: 8px;
+                    }
+                    .data-table {
+                        display: block;
+                        overflow-x: auto;
+                    }
+                }
+                
+                /* 报价单样式 */
+                .quotation-summary {
+                    background-color: ${themeStyles.container};
+                    border: 1px solid ${themeStyles.border};
+                    border-radius: 4px;
+                    padding: 12px;
+                    margin-bottom: 16px;
+                }
+                .quotation-stats {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 12px;
+                    margin-top: 8px;
+                }
+                .stat-item {
+                    padding: 8px 12px;
+                    border-radius: 4px;
+                    background-color: ${themeStyles.background};
+                    border: 1px solid ${themeStyles.border};
+                }
+            `}</style>
+
+            {/* 保存失败提示 */}
+            {storageError && (
+                <div className="no-print" style={{
+                    marginBottom: '10px',
+                    padding: '10px',
+                    backgroundColor: '#f8d7da',
+                    color: '#721c24',
+                    border: '1px solid #f5c6cb',
+                    borderRadius: '4px',
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center'
+                }}>
+                    <span>⚠ {storageError}</span>
+                    <span>
+                        <button onClick={() => saveDataToStorage(partsData)} className="action-button">重试保存</button>
+                        <button onClick={() => setStorageError(null)} className="action-button">关闭</button>
+                    </span>
+                </div>
+            )}
+
+            {snapshotWarning && (
+                <div className="no-print" style={{
+                    marginBottom: '10px',
+                    padding: '10px',
+                    backgroundColor: '#fff3cd',
+                    color: '#856404',
+                    border: '1px solid #ffeeba',
+                    borderRadius: '4px',
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center'
+                }}>
+                    <span>⚠ {snapshotWarning}</span>
+                    <span>
+                        {can('backupRestore') && (
+                            <button onClick={exportBackup} className="action-button">立即备份</button>
+                        )}
+                        <button onClick={() => setSnapshotWarning(null)} className="action-button">关闭</button>
+                    </span>
+                </div>
+            )}
+
+            {/* 页面头部 */}
+            <div style={{ 
+                display: 'flex', 
+                justifyContent: 'space-between', 
+                alignItems: 'center', 
+                marginBottom: '15px',
+                padding: '10px',
+                backgroundColor: themeStyles.container,
+                borderRadius: '4px',
+                boxShadow: '0 1px 3px rgba(0,0,0,0.1)'
+            }}>
+                <div style={{ fontSize: '18px', fontWeight: 'bold' }}>
+                    船用配件报价系统
+                </div>
+                <div className="no-print" style={{ display: 'flex', alignItems: 'center' }}>
+                    <button 
+                        onClick={toggleTheme} 
+                        className="action-button"
+                        style={{ marginRight: '10px' }}
+                    >
+                        {theme === 'light' ? '深色模式' : '浅色模式'}
+                    </button>
+                    {currentUser ? (
+                        <>
+                            <span style={{ marginRight: '10px' }}>
+                                {currentUser.name}（{USER_ROLES[currentUser.role]}）
+                            </span>
+                            {can('manageUsers') && (
+                                <button onClick={() => setView('users')} className="action-button" style={{ marginRight: '10px' }}>
+                                    用户管理
+                                </button>
+                            )}
+                            <button onClick={handleLogout} className="action-button">退出登录</button>
+                        </>
+                    ) : loginForm ? (
+                        <form onSubmit={handleLogin} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                            <input
+                                type="text"
+                                value={loginForm.username}
+                                onChange={(e) => setLoginForm({ ...loginForm, username: e.target.value })}
+                                placeholder="用户名"
+                                className="search-box"
+                                style={{ width: '120px' }}
+                                autoFocus
+                            />
+                            <input
+                                type="password"
+                                value={loginForm.password}
+                                onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
+                                placeholder="密码"
+                                className="search-box"
+                                style={{ width: '120px' }}
+                            />
+                            <button type="submit" className="action-button primary-button">登录</button>
+                            <button type="button" onClick={() => setLoginForm(null)} className="action-button">取消</button>
+                        </form>
+                    ) : users.length > 0 && (
+                        <button onClick={() => setLoginForm({ username: '', password: '' })} className="action-button">登录</button>
+                    )}
+                </div>
+            </div>
+
+            {users.length === 0 && (
+                <div className="no-print" style={{
+                    width: '95%',
+                    margin: '0 auto 15px',
+                    backgroundColor: themeStyles.container,
+                    color: themeStyles.text,
+                    padding: '15px',
+                    borderRadius: '4px',
+                    border: `1px solid ${themeStyles.border}`,
+                    boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
+                }}>
+                    <h3 style={{ marginTop: 0 }}>初始设置：创建系统管理员</h3>
+                    <p style={{ fontSize: '13px' }}>
+                        系统中还没有任何账户。请先创建系统管理员账户，之后由系统管理员在「用户管理」中为其他人创建账户。
+                    </p>
+                    <form onSubmit={handleSetupAdmin} style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                        <input
+                            type="text"
+                            value={setupForm.username}
+                            onChange={(e) => setSetupForm({ ...setupForm, username: e.target.value })}
+                            placeholder="用户名"
+                            className="search-box"
+                        />
+                        <input
+                            type="text"
+                            value={setupForm.name}
+                            onChange={(e) => setSetupForm({ ...setupForm, name: e.target.value })}
+                            placeholder="姓名（显示在报价单上）"
+                            className="search-box"
+                        />
+                        <input
+                            type="password"
+                            value={setupForm.password}
+                            onChange={(e) => setSetupForm({ ...setupForm, password: e.target.value })}
+                            placeholder="密码"
+                            className="search-box"
+                        />
+                        <input
+                            type="password"
+                            value={setupForm.confirmPassword}
+                            onChange={(e) => setSetupForm({ ...setupForm, confirmPassword: e.target.value })}
+                            placeholder="确认密码"
+                            className="search-box"
+                        />
+                        <button type="submit" className="action-button primary-button">创建系统管理员</button>
+                    </form>
+                </div>
+            )}
+
+            {loading && <div className="loading-indicator">加载中，请稍候...</div>}
+
+            {/* 隐藏的文件选择器 */}
+            <input type="file" id="fileBasic" style={{ display: 'none' }} onChange={handleFileUploadWrapper} />
+            <input type="file" id="fileAdvanced" style={{ display: 'none' }} onChange={handleAdvancedQuotationUpload} />
+            <input type="file" id="fileCustomer" style={{ display: 'none' }} onChange={handleCustomerQuotationUpload} />
+            <input type="file" id="fileTemplate" style={{ display: 'none' }} onChange={handleTemplateUpload} />
+            <input type="file" id="fileBom" style={{ display: 'none' }} onChange={handleBomUpload} />
+            <input type="file" id="fileDocument" style={{ display: 'none' }} accept=".pdf,.doc,.docx,.rtf" onChange={handleDocumentUpload} />
+            <input type="file" id="fileBackup" style={{ display: 'none' }} accept=".json" onChange={handleBackupFileUpload} />
+
+            {view === 'table' && (
+                <div style={{
+                    width: '95%',
+                    margin: '0 auto',
+                    backgroundColor: themeStyles.container,
+                    color: themeStyles.text,
+                    padding: '15px',
+                    borderRadius: '4px',
+                    boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
+                }}>
+                    {/* 工具栏 */}
+                    <div className="toolbar no-print">
+                        <div>
+                            <input
+                                type="text"
+                                placeholder="搜索配件 (图号/名称/备注)..."
+                                value={searchTerm}
+                                onChange={(e) => setSearchTerm(e.target.value)}
+                                className="search-box"
+                            />
+                            {vessels.length > 0 && (
+                                <select
+                                    value={vesselFilterId}
+                                    onChange={(e) => setVesselFilterId(e.target.value)}
+                                    className="search-box"
+                                    style={{ width: '220px', marginLeft: '10px' }}
+                                    title="只显示该船安装设备的配件"
+                                >
+                                    <option value="">全部船舶设备</option>
+                                    {vessels.map(vessel => (
+                                        <option key={vessel.id} value={vessel.id}>
+                                            {vessel.name}（{getVesselModels(vessel).join('/') || '未登记设备'}）
+                                        </option>
+                                    ))}
+                                </select>
+                            )}
+                            <button
+                                onClick={() => {
+                                    setShowAssemblyTree(!showAssemblyTree);
+                                    setAssemblyFilter(null);
+                                }}
+                                className="action-button"
+                                style={{ marginLeft: '10px' }}
+                            >
+                                {showAssemblyTree ? '隐藏部件结构' : '部件结构'}
+                            </button>
+                            {assemblyFilter && (
+                                <span style={{ marginLeft: '5px' }}>
+                                    部件: {assemblyFilter.name}
+                                    <button onClick={() => setAssemblyFilter(null)} className="action-button" style={{ marginLeft: '5px', padding: '2px 6px' }}>×</button>
+                                </span>
+                            )}
+                        </div>
+                        <div>
+                            <label style={{ marginRight: '10px' }}>每页显示: </label>
+                            <select 
+                                value={pageSize} 
+                                onChange={(e) => setPageSize(Number(e.target.value))}
+                                style={{
+                                    backgroundColor: themeStyles.inputBackground,
+                                    color: themeStyles.inputText,
+                                    border: `1px solid ${themeStyles.inputBorder}`,
+                                    padding: '4px',
+                                    borderRadius: '4px',
+                                    marginRight: '10px'
+                                }}
+                            >
+                                <option value={10}>10</option>
+                                <option value={20}>20</option>
+                                <option value={50}>50</option>
+                                <option value={100}>100</option>
+                            </select>
+                            <span style={{ marginRight: '10px' }}>
+                                总计: {activeParts.length} 条记录
+                            </span>
+                            {can('editParts') && (
+                                <button onClick={newPartDraft} className="action-button primary-button">
+                                    新增配件
+                                </button>
+                            )}
+                            {can('editParts') && (deletedPartCount > 0 || showDeletedParts) && (
+                                <button
+                                    onClick={() => {
+                                        setShowDeletedParts(!showDeletedParts);
+                                        setCurrentPage(1);
+                                    }}
+                                    className="action-button"
+                                >
+                                    {showDeletedParts ? '返回配件列表' : `已删除配件 (${deletedPartCount})`}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                    
+                    {/* 显示/隐藏价格列控制 */}
+                    <div className="no-print" style={{ 
+                        marginBottom: '10px', 
+                        padding: '8px', 
+                        backgroundColor: themeStyles.background,
+                        borderRadius: '4px',
+                        border: `1px solid ${themeStyles.border}`
+                    }}>
+                        <div style={{ marginBottom: '5px', fontWeight: 'bold' }}>显示价格列:</div>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
+                            {Object.keys(showPriceColumns).map(column => (
+                                <label key={column} style={{ display: 'flex', alignItems: 'center' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={showPriceColumns[column]}
+                                        onChange={() => setShowPriceColumns({
+                                            ...showPriceColumns,
+                                            [column]: !showPriceColumns[column]
+                                        })}
+                                        style={{ marginRight: '5px' }}
+                                    />
+                                    {column}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    {/* 税率设置面板 */}
+                    {can('managePricing') && showTaxSettings && (
+                        <div className="no-print" style={{
+                            marginBottom: '10px',
+                            padding: '10px',
+                            backgroundColor: themeStyles.background,
+                            borderRadius: '4px',
+                            border: `1px solid ${themeStyles.border}`
+                        }}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                                <strong>税率设置（当前税率 {(currentTaxRate * 100).toFixed(2)}%）</strong>
+                                <button onClick={() => setShowTaxSettings(false)} className="action-button">关闭</button>
+                            </div>
+                            <table className="data-table" style={{ marginBottom: '8px' }}>
+                                <thead>
+                                    <tr>
+                                        <th>生效日期</th>
+                                        <th>税率</th>
+                                        <th>操作</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {taxSettings.rates.map(r => (
+                                        <tr key={r.effectiveDate}>
+                                            <td>{r.effectiveDate}</td>
+                                            <td>{(r.rate * 100).toFixed(2)}%</td>
+                                            <td>
+                                                <button
+                                                    onClick={() => removeTaxRate(r.effectiveDate)}
+                                                    className="action-button danger-button"
+                                                    style={{ margin: '0', padding: '4px 8px' }}
+                                                >
+                                                    删除
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+                                <input
+                                    type="number"
+                                    step="0.01"
+                                    value={newTaxRate.percent}
+                                    onChange={(e) => setNewTaxRate({ ...newTaxRate, percent: e.target.value })}
+                                    placeholder="税率 %"
+                                    className="search-box"
+                                    style={{ width: '100px' }}
+                                />
+                                <input
+                                    type="date"
+                                    value={newTaxRate.effectiveDate}
+                                    onChange={(e) => setNewTaxRate({ ...newTaxRate, effectiveDate: e.target.value })}
+                                    className="search-box"
+                                    style={{ width: '150px' }}
+                                />
+                                <button onClick={addTaxRate} className="action-button">添加税率</button>
+                                <label style={{ marginLeft: '20px' }}>计算基准:</label>
+                                <select
+                                    value={taxSettings.basis}
+                                    onChange={(e) => updateTaxBasis(e.target.value)}
+                                    className="search-box"
+                                    style={{ width: '220px' }}
+                                >
+                                    {Object.entries(TAX_BASIS_LABELS).map(([basis, label]) => (
+                                        <option key={basis} value={basis}>{label}</option>
+                                    ))}
+                                </select>
+                                <button onClick={recalculateTaxPrices} className="action-button primary-button">
+                                    按税率重算全部价格
+                                </button>
+                            </div>
+                            {taxMismatches.length > 0 ? (
+                                <details>
+                                    <summary>{taxMismatches.length} 条配件的含税/不含税价格与当前税率不符</summary>
+                                    <ul style={{ fontSize: '12px', maxHeight: '200px', overflowY: 'auto' }}>
+                                        {taxMismatches.slice(0, 200).map(({ part, pairs }) => (
+                                            <li key={part['标识码']}>
+                                                {part['标识码']} {part['图号']} {part['名称']}:
+                                                {pairs.map(pair => ` ${pair.grossField} ${formatPrice(pair.gross)}（应为 ${formatPrice(pair.expectedGross)}）`).join('；')}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </details>
+                            ) : (
+                                <div style={{ fontSize: '12px' }}>所有配件的含税/不含税价格均与当前税率一致。</div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* 价格规则面板 */}
+                    {can('managePricing') && showPricingRules && (
+                        <div className="no-print" style={{
+                            marginBottom: '10px',
+                            padding: '10px',
+                            backgroundColor: themeStyles.background,
+                            borderRadius: '4px',
+                            border: `1px solid ${themeStyles.border}`
+                        }}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                                <strong>价格规则（按顺序匹配，每个配件使用第一条匹配的规则）</strong>
+                                <button onClick={() => { setShowPricingRules(false); setRuleDraft(null); setRulePreview(null); }} className="action-button">关闭</button>
+                            </div>
+                            <table className="data-table" style={{ marginBottom: '8px' }}>
+                                <thead>
+                                    <tr>
+                                        <th>启用</th>
+                                        <th>规则名称</th>
+                                        <th>匹配条件</th>
+                                        <th>计算方式</th>
+                                        <th>操作</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {pricingRules.map((rule, index) => (
+                                        <tr key={rule.id}>
+                                            <td>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={rule.enabled !== false}
+                                                    onChange={() => toggleRule(rule)}
+                                                />
+                                            </td>
+                                            <td>{rule.name}</td>
+                                            <td>
+                                                {PRICING_RULE_MATCH_TYPES[rule.matchType]}
+                                                {rule.matchType !== 'all' && `: ${rule.matchValue}`}
+                                            </td>
+                                            <td style={{ fontSize: '12px' }}>
+                                                {Object.entries(rule.factors).map(([field, factor]) => (
+                                                    <div key={field}>{field} = {rule.baseField} × {factor}</div>
+                                                ))}
+                                                {rule.overwrite ? '覆盖已有价格' : '只补全缺失价格'}
+                                                {rule.fillTax && '，按税率补全另一侧'}
+                                            </td>
+                                            <td>
+                                                <button onClick={() => moveRule(index, -1)} className="action-button" style={{ padding: '4px 8px' }} disabled={index === 0}>↑</button>
+                                                <button onClick={() => moveRule(index, 1)} className="action-button" style={{ padding: '4px 8px' }} disabled={index === pricingRules.length - 1}>↓</button>
+                                                <button onClick={() => setRuleDraft({ ...rule })} className="action-button" style={{ padding: '4px 8px' }}>编辑</button>
+                                                <button
+                                                    onClick={() => deleteRule(rule)}
+                                                    className="action-button danger-button"
+                                                    style={{ padding: '4px 8px' }}
+                                                >
+                                                    删除
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+
+                            {ruleDraft ? (
+                                <div style={{ padding: '8px', border: `1px dashed ${themeStyles.border}`, borderRadius: '4px', marginBottom: '8px' }}>
+                                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', marginBottom: '8px' }}>
+                                        <input
+                                            type="text"
+                                            value={ruleDraft.name}
+                                            onChange={(e) => setRuleDraft({ ...ruleDraft, name: e.target.value })}
+                                            placeholder="规则名称"
+                                            className="search-box"
+                                        />
+                                        <select
+                                            value={ruleDraft.matchType}
+                                            onChange={(e) => setRuleDraft({ ...ruleDraft, matchType: e.target.value, matchValue: '' })}
+                                            className="search-box"
+                                            style={{ width: '120px' }}
+                                        >
+                                            {Object.entries(PRICING_RULE_MATCH_TYPES).map(([value, label]) => (
+                                                <option key={value} value={value}>{label}</option>
+                                            ))}
+                                        </select>
+                                        {ruleDraft.matchType === 'pattern' && (
+                                            <select
+                                                value={ruleDraft.matchValue}
+                                                onChange={(e) => setRuleDraft({ ...ruleDraft, matchValue: e.target.value })}
+                                                className="search-box"
+                                            >
+                                                <option value="">选择图号类型...</option>
+                                                {Object.keys(PART_PATTERN).map(key => (
+                                                    <option key={key} value={key}>{key}</option>
+                                                ))}
+                                            </select>
+                                        )}
+                                        {(ruleDraft.matchType === 'keyword' || ruleDraft.matchType === 'category') && (
+                                            <input
+                                                type="text"
+                                                value={ruleDraft.matchValue}
+                                                onChange={(e) => setRuleDraft({ ...ruleDraft, matchValue: e.target.value })}
+                                                placeholder={ruleDraft.matchType === 'keyword' ? '名称包含，如 轴承' : '类别，如 HC400'}
+                                                className="search-box"
+                                            />
+                                        )}
+                                        <label>基准价格:</label>
+                                        <select
+                                            value={ruleDraft.baseField}
+                                            onChange={(e) => setRuleDraft({ ...ruleDraft, baseField: e.target.value })}
+                                            className="search-box"
+                                        >
+                                            {PRICE_FIELDS.map(field => <option key={field} value={field}>{field}</option>)}
+                                        </select>
+                                    </div>
+                                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', marginBottom: '8px' }}>
+                                        {PRICE_FIELDS.filter(field => field !== ruleDraft.baseField).map(field => (
+                                            <label key={field} style={{ fontSize: '12px' }}>
+                                                {field} ×
+                                                <input
+                                                    type="number"
+                                                    step="0.01"
+                                                    value={ruleDraft.factors[field] ?? ''}
+                                                    onChange={(e) => setRuleDraft({
+                                                        ...ruleDraft,
+                                                        factors: { ...ruleDraft.factors, [field]: e.target.value }
+                                                    })}
+                                                    className="search-box"
+                                                    style={{ width: '70px', marginLeft: '4px' }}
+                                                />
+                                            </label>
+                                        ))}
+                                    </div>
+                                    <label style={{ marginRight: '15px' }}>
+                                        <input
+                                            type="checkbox"
+                                            checked={ruleDraft.overwrite}
+                                            onChange={() => setRuleDraft({ ...ruleDraft, overwrite: !ruleDraft.overwrite })}
+                                            style={{ marginRight: '5px' }}
+                                        />
+                                        覆盖已有价格
+                                    </label>
+                                    <label style={{ marginRight: '15px' }}>
+                                        <input
+                                            type="checkbox"
+                                            checked={ruleDraft.fillTax}
+                                            onChange={() => setRuleDraft({ ...ruleDraft, fillTax: !ruleDraft.fillTax })}
+                                            style={{ marginRight: '5px' }}
+                                        />
+                                        按税率补全另一侧价格
+                                    </label>
+                                    <button onClick={saveRuleDraft} className="action-button primary-button">保存规则</button>
+                                    <button onClick={() => setRuleDraft(null)} className="action-button">取消</button>
+                                </div>
+                            ) : (
+                                <button onClick={newRuleDraft} className="action-button">新增规则</button>
+                            )}
+                            <button onClick={previewPricingRules} className="action-button">试算预览</button>
+                            <button onClick={applyPricingRules} className="action-button primary-button">应用规则</button>
+
+                            {rulePreview && (
+                                <div style={{ marginTop: '8px' }}>
+                                    <div style={{ marginBottom: '5px' }}>
+                                        试算结果：{new Set(rulePreview.map(c => c.id)).size} 个配件，{rulePreview.length} 个价格将被修改
+                                    </div>
+                                    {rulePreview.length > 0 && (
+                                        <div style={{ maxHeight: '250px', overflowY: 'auto' }}>
+                                            <table className="data-table">
+                                                <thead>
+                                                    <tr>
+                                                        <th>标识码</th>
+                                                        <th>图号</th>
+                                                        <th>名称</th>
+                                                        <th>价格字段</th>
+                                                        <th>原价格</th>
+                                                        <th>新价格</th>
+                                                        <th>规则</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {rulePreview.slice(0, 300).map(change => (
+                                                        <tr key={`${change.id}-${change.field}`}>
+                                                            <td>{change.id}</td>
+                                                            <td>{change.part['图号']}</td>
+                                                            <td>{change.part['名称']}</td>
+                                                            <td>{change.field}</td>
+                                                            <td>{formatPrice(change.from)}</td>
+                                                            <td>{formatPrice(change.to)}</td>
+                                                            <td>{change.ruleName}</td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* 价格历史面板 */}
+                    {historyPartId && (
+                        <div className="no-print" style={{
+                            marginBottom: '10px',
+                            padding: '10px',
+                            backgroundColor: themeStyles.background,
+                            borderRadius: '4px',
+                            border: `1px solid ${themeStyles.border}`
+                        }}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                                <strong>
+                                    价格历史 - {historyPartId} {(partsData.find(p => p['标识码'] === historyPartId) || {})['名称']}
+                                </strong>
+                                <button onClick={() => setHistoryPartId(null)} className="action-button">关闭</button>
+                            </div>
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>生效日期</th>
+                                        <th>来源</th>
+                                        {PRICE_FIELDS.map(field => <th key={field}>{field}</th>)}
+                                        <th>记录时间</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {sortPriceHistory(priceHistory[historyPartId]).reverse().map((entry, i) => (
+                                        <tr key={i}>
+                                            <td>{entry.effectiveDate || '(未知)'}</td>
+                                            <td>{entry.source}</td>
+                                            {PRICE_FIELDS.map(field => <td key={field}>{formatPrice(entry.prices[field])}</td>)}
+                                            <td>{new Date(entry.recordedAt).toLocaleString('zh-CN')}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {/* 配件新增/修改表单 */}
+                    {partDraft && can('editParts') && (
+                        <div className="no-print" style={{
+                            marginBottom: '10px',
+                            padding: '10px',
+                            backgroundColor: themeStyles.background,
+                            borderRadius: '4px',
+                            border: `1px solid ${themeStyles.border}`
+                        }}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                                <strong>{partDraft.originalId ? `修改配件 - ${partDraft.originalId}` : '新增配件'}</strong>
+                                <button onClick={() => setPartDraft(null)} className="action-button">关闭</button>
+                            </div>
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '8px' }}>
+                                <label>标识码
+                                    <input
+                                        type="text"
+                                        value={partDraft['标识码']}
+                                        onChange={(e) => setPartDraft({ ...partDraft, '标识码': e.target.value })}
+                                        disabled={Boolean(partDraft.originalId)}
+                                        className="search-box"
+                                        style={{ width: '110px', marginLeft: '4px' }}
+                                    />
+                                </label>
+                                <label>日期
+                                    <input
+                                        type="date"
+                                        value={partDraft['日期']}
+                                        onChange={(e) => setPartDraft({ ...partDraft, '日期': e.target.value })}
+                                        className="search-box"
+                                        style={{ width: '150px', marginLeft: '4px' }}
+                                    />
+                                </label>
+                                <label>图号
+                                    <input
+                                        type="text"
+                                        value={partDraft['图号']}
+                                        onChange={(e) => setPartDraft({ ...partDraft, '图号': e.target.value })}
+                                        className="search-box"
+                                        style={{ marginLeft: '4px' }}
+                                    />
+                                </label>
+                                <label>名称
+                                    <input
+                                        type="text"
+                                        value={partDraft['名称']}
+                                        onChange={(e) => setPartDraft({ ...partDraft, '名称': e.target.value })}
+                                        className="search-box"
+                                        style={{ marginLeft: '4px' }}
+                                    />
+                                </label>
+                            </div>
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '8px' }}>
+                                {PRICE_FIELDS.map(field => (
+                                    <label key={field}>{field}
+                                        <input
+                                            type="text"
+                                            inputMode="decimal"
+                                            value={partDraft[field]}
+                                            onChange={(e) => setPartDraft({ ...partDraft, [field]: e.target.value })}
+                                            className="search-box"
+                                            style={{ width: '110px', marginLeft: '4px' }}
+                                        />
+                                    </label>
+                                ))}
+                            </div>
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center' }}>
+                                <label>备注
+                                    <input
+                                        type="text"
+                                        value={partDraft['备注']}
+                                        onChange={(e) => setPartDraft({ ...partDraft, '备注': e.target.value })}
+                                        className="search-box"
+                                        style={{ width: '300px', marginLeft: '4px' }}
+                                    />
+                                </label>
+                                <button
+                                    onClick={() => setPartDraft(deriveTaxPrices(partDraft, currentTaxRate, taxSettings.basis, true))}
+                                    className="action-button"
+                                    title="只补全为空的一侧，不覆盖已填写的价格"
+                                >
+                                    按当前税率补全含税/不含税价
+                                </button>
+                                <button onClick={savePartDraft} className="action-button primary-button">保存</button>
+                            </div>
+                        </div>
+                    )}
+
+                    <div style={{ display: 'flex', gap: '10px', alignItems: 'flex-start' }}>
+                        {/* 部件结构树 */}
+                        {showAssemblyTree && (
+                            <div className="no-print" style={{
+                                width: '320px',
+                                flexShrink: 0,
+                                maxHeight: '70vh',
+                                overflowY: 'auto',
+                                padding: '8px',
+                                backgroundColor: themeStyles.background,
+                                border: `1px solid ${themeStyles.border}`,
+                                borderRadius: '4px',
+                                fontSize: '13px'
+                            }}>
+                                {assemblyTree.length === 0 && (
+                                    <div style={{ opacity: 0.7 }}>没有可识别结构的图号，可由管理员导入部件结构明细表</div>
+                                )}
+                                {assemblyTree.map(model => (
+                                    <div key={model.model}>
+                                        <div onClick={() => toggleTreeNode(model.model)} style={{ cursor: 'pointer', fontWeight: 'bold', padding: '2px 0' }}>
+                                            {expandedTreeNodes[model.model] ? '▾' : '▸'} {model.model}
+                                            <span style={{ fontWeight: 'normal', opacity: 0.7 }}>（{model.assemblies.length} 个部件）</span>
+                                        </div>
+                                        {expandedTreeNodes[model.model] && model.assemblies.map(assembly => {
+                                            const nodeKey = `${model.model}/${assembly.key}`;
+                                            return (
+                                                <div key={assembly.key} style={{ marginLeft: '14px' }}>
+                                                    <div style={{ display: 'flex', alignItems: 'center', gap: '4px', padding: '2px 0' }}>
+                                                        <span onClick={() => toggleTreeNode(nodeKey)} style={{ cursor: 'pointer' }}>
+                                                            {expandedTreeNodes[nodeKey] ? '▾' : '▸'}
+                                                        </span>
+                                                        <span
+                                                            onClick={() => filterByAssembly(assembly)}
+                                                            style={{
+                                                                cursor: 'pointer',
+                                                                flex: 1,
+                                                                fontWeight: assemblyFilter && assemblyFilter.key === assembly.key ? 'bold' : 'normal'
+                                                            }}
+                                                            title={assembly.source === 'bom' ? '导入的部件结构' : '按图号推导的部件结构'}
+                                                        >
+                                                            {getAssemblyName(assembly)}
+                                                            <span style={{ opacity: 0.7 }}>（{assembly.children.length}）</span>
+                                                        </span>
+                                                        <input
+                                                            type="number"
+                                                            min="1"
+                                                            value={assemblyQuantities[assembly.key] || 1}
+                                                            onChange={(e) => setAssemblyQuantities({ ...assemblyQuantities, [assembly.key]: e.target.value })}
+                                                            title="套数"
+                                                            style={{ width: '40px' }}
+                                                        />
+                                                        <button
+                                                            onClick={() => addAssemblyToQuotation(assembly)}
+                                                            className="action-button"
+                                                            style={{ margin: 0, padding: '2px 6px', fontSize: '12px' }}
+                                                            title="按套数加入全部零件"
+                                                        >
+                                                            加整套
+                                                        </button>
+                                                    </div>
+                                                    {expandedTreeNodes[nodeKey] && assembly.children.map((child, index) => (
+                                                        <div
+                                                            key={`${child.drawingNo}-${index}`}
+                                                            style={{ marginLeft: '18px', padding: '1px 0', color: child.part ? undefined : '#c62828' }}
+                                                            title={child.part ? undefined : '不在数据库中'}
+                                                        >
+                                                            {child.drawingNo} {child.part ? child.part['名称'] : '(未入库)'} × {child.quantity}
+                                                        </div>
+                                                    ))}
+                                                </div>
+                                            );
+                                        })}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        <div style={{ flex: 1, minWidth: 0, overflowX: 'auto' }}>
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th onClick={() => handleSortChange('序号')} style={{ cursor: 'pointer' }}>
+                                        序号 {sortConfig.key === '序号' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
+                                    </th>
+                                    <th onClick={() => handleSortChange('日期')} style={{ cursor: 'pointer' }}>
+                                        日期 {sortConfig.key === '日期' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
+                                    </th>
+                                    <th onClick={() => handleSortChange('标识码')} style={{ cursor: 'pointer' }}>
+                                        标识码 {sortConfig.key === '标识码' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
+                                    </th>
+                                    <th onClick={() => handleSortChange('图号')} style={{ cursor: 'pointer' }}>
+                                        图号 {sortConfig.key === '图号' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
+                                    </th>
+                                    <th onClick={() => handleSortChange('名称')} style={{ cursor: 'pointer' }}>
+                                        名称 {sortConfig.key === '名称' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
+                                    </th>
+                                
+                                    {/* 根据选择显示价格列 */}
+                                    {showPriceColumns['指导价（不含税）'] && 
+                                        <th onClick={() => handleSortChange('指导价（不含税）')} style={{ cursor: 'pointer' }}>
+                                            指导价（不含税） {sortConfig.key === '指导价（不含税）' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
+                                        </th>
+                                    }
+                                    {showPriceColumns['出厂价（不含税）'] && 
+                                        <th onClick={() => handleSortChange('出厂价（不含税）')} style={{ cursor: 'pointer' }}>
+                                            出厂价（不含税） {sortConfig.key === '出厂价（不含税）' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
+                                        </th>
+                                    }
+                                    {showPriceColumns['服务价（不含税）'] && 
+                                        <th onClick={() => handleSortChange('服务价（不含税）')} style={{ cursor: 'pointer' }}>
+                                            服务价（不含税） {sortConfig.key === '服务价（不含税）' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
+                                        </th>
+                                    }
+                                    {showPriceColumns['指导价（含税）'] && 
+                                        <th onClick={() => handleSortChange('指导价（含税）')} style={{ cursor: 'pointer' }}>
+                                            指导价（含税） {sortConfig.key === '指导价（含税）' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
+                                        </th>
+                                    }
+                                    {showPriceColumns['出厂价（含税）'] && 
+                                        <th onClick={() => handleSortChange('出厂价（含税）')} style={{ cursor: 'pointer' }}>
+                                            出厂价（含税） {sortConfig.key === '出厂价（含税）' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
+                                        </th>
+                                    }
+                                    {showPriceColumns['服务价（含税）'] && 
+                                        <th onClick={() => handleSortChange('服务价（含税）')} style={{ cursor: 'pointer' }}>
+                                            服务价（含税） {sortConfig.key === '服务价（含税）' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
+                                        </th>
+                                    }
+                                
+                                    <th onClick={() => handleSortChange('备注')} style={{ cursor: 'pointer' }}>
+                                        备注 {sortConfig.key === '备注' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
+                                    </th>
+                                    <th>操作</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {currentPageData.map((part, index) => (
+                                    <tr key={part['标识码'] + '-' + index}>
+                                        <td>{(currentPage - 1) * pageSize + index + 1}</td>
+                                        <td>{part['日期']}</td>
+                                        <td>{part['标识码']}</td>
+                                        <td>
+                                            {part['图号']}
+                                            {(partLinkLabels.get(normalizePartNo(part['图号'])) || []).map((label, i) => (
+                                                <div
+                                                    key={i}
+                                                    title={label.title}
+                                                    style={{
+                                                        fontSize: '11px',
+                                                        color: label.kind === 'supersededBy' ? '#c62828' : themeStyles.text,
+                                                        opacity: label.kind === 'crossReference' ? 0.7 : 1
+                                                    }}
+                                                >
+                                                    {label.text}
+                                                </div>
+                                            ))}
+                                        </td>
+                                        <td>
+                                            {part['名称']}
+                                            {taxMismatchIds.has(part['标识码']) && (
+                                                <span
+                                                    title="含税/不含税价格与当前税率不符"
+                                                    style={{
+                                                        fontSize: '11px',
+                                                        padding: '2px 4px',
+                                                        marginLeft: '4px',
+                                                        backgroundColor: '#fff3cd',
+                                                        color: '#856404',
+                                                        borderRadius: '3px'
+                                                    }}
+                                                >
+                                                    税率不符
+                                                </span>
+                                            )}
+                                            {part['状态'] === '停产' && (
+                                                <span style={{
+                                                    fontSize: '11px',
+                                                    padding: '2px 4px',
+                                                    marginLeft: '4px',
+                                                    backgroundColor: '#f8d7da',
+                                                    color: '#721c24',
+                                                    borderRadius: '3px'
+                                                }}>
+                                                    停产
+                                                </span>
+                                            )}
+                                            {isPartDeleted(part) && (
+                                                <span
+                                                    title={`删除于 ${new Date(part['删除时间']).toLocaleString('zh-CN')}`}
+                                                    style={{
+                                                        fontSize: '11px',
+                                                        padding: '2px 4px',
+                                                        marginLeft: '4px',
+                                                        backgroundColor: '#e0e0e0',
+                                                        color: '#424242',
+                                                        borderRadius: '3px'
+                                                    }}
+                                                >
+                                                    已删除
+                                                </span>
+                                            )}
+                                        </td>
+                                    
+                                        {/* 根据选择显示价格列 */}
+                                        {showPriceColumns['指导价（不含税）'] && <td title={priceRuleTitle(part, '指导价（不含税）')}>{formatPrice(part['指导价（不含税）'])}</td>}
+                                        {showPriceColumns['出厂价（不含税）'] && <td title={priceRuleTitle(part, '出厂价（不含税）')}>{formatPrice(part['出厂价（不含税）'])}</td>}
+                                        {showPriceColumns['服务价（不含税）'] && <td title={priceRuleTitle(part, '服务价（不含税）')}>{formatPrice(part['服务价（不含税）'])}</td>}
+                                        {showPriceColumns['指导价（含税）'] && <td title={priceRuleTitle(part, '指导价（含税）')}>{formatPrice(part['指导价（含税）'])}</td>}
+                                        {showPriceColumns['出厂价（含税）'] && <td title={priceRuleTitle(part, '出厂价（含税）')}>{formatPrice(part['出厂价（含税）'])}</td>}
+                                        {showPriceColumns['服务价（含税）'] && <td title={priceRuleTitle(part, '服务价（含税）')}>{formatPrice(part['服务价（含税）'])}</td>}
+                                    
+                                        <td title={part['备注']} style={{ maxWidth: '200px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                            {part['备注']}
+                                        </td>
+                                        <td>
+                                            {isPartDeleted(part) ? (
+                                                <button
+                                                    onClick={() => restorePart(part)}
+                                                    className="action-button primary-button"
+                                                    style={{ margin: '0', padding: '4px 8px' }}
+                                                >
+                                                    恢复
+                                                </button>
+                                            ) : (
+                                            <button
+                                                onClick={() => handleSelectPart(part)}
+                                                className={selectedParts.some(p => p['标识码'] === part['标识码']) 
+                                                    ? "action-button danger-button" 
+                                                    : "action-button primary-button"}
+                                                style={{ margin: '0', padding: '4px 8px' }}
+                                            >
+                                                {selectedParts.some(p => p['标识码'] === part['标识码']) ? '取消' : '选择'}
+                                            </button>
+                                            )}
+                                            <button
+                                                onClick={() => setHistoryPartId(part['标识码'])}
+                                                className="action-button"
+                                                style={{ margin: '0 0 0 4px', padding: '4px 8px' }}
+                                                disabled={!priceHistory[part['标识码']]}
+                                                title={priceHistory[part['标识码']] ? '查看价格历史' : '暂无价格变化记录'}
+                                            >
+                                                历史
+                                            </button>
+                                            {can('editParts') && !isPartDeleted(part) && (
+                                                <button
+                                                    onClick={() => editPart(part)}
+                                                    className="action-button"
+                                                    style={{ margin: '0 0 0 4px', padding: '4px 8px' }}
+                                                >
+                                                    编辑
+                                                </button>
+                                            )}
+                                            {can('editParts') && !isPartDeleted(part) && (
+                                                <button
+                                                    onClick={() => deletePart(part)}
+                                                    className="action-button danger-button"
+                                                    style={{ margin: '0 0 0 4px', padding: '4px 8px' }}
+                                                >
+                                                    删除
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        </div>
+                    </div>
+
+                    {/* 分页控制 */}
+                    <div className="pagination no-print">
+                        <button
+                            disabled={currentPage <= 1}
+                            onClick={() => setCurrentPage(1)}
+                        >
+                            首页
+                        </button>
+                        <button
+                            disabled={currentPage <= 1}
+                            onClick={() => setCurrentPage(currentPage - 1)}
+                        >
+                            上一页
+                        </button>
+                        <span style={{ margin: '0 12px' }}>
+                            第 {currentPage} 页 / 共 {totalPages} 页
+                        </span>
+                        <button
+                            disabled={currentPage >= totalPages}
+                            onClick={() => setCurrentPage(currentPage + 1)}
+                        >
+                            下一页
+                        </button>
+                        <button
+                            disabled={currentPage >= totalPages}
+                            onClick={() => setCurrentPage(totalPages)}
+                        >
+                            末页
+                        </button>
+                        
+                        <span style={{ margin: '0 12px' }}>
+                            前往:
+                            <input 
+                                type="number" 
+                                min="1" 
+                                max={totalPages}
+                                value={currentPage}
+                                onChange={(e) => {
+                                    const page = parseInt(e.target.value);
+                                    if (page && page >= 1 && page <= totalPages) {
+                                        setCurrentPage(page);
+                                    }
+                                }}
+                                style={{ 
+                                    width: '50px', 
+                                    margin: '0 5px',
+                                    backgroundColor: themeStyles.inputBackground,
+                                    color: themeStyles.inputText,
+                                    border: `1px solid ${themeStyles.inputBorder}`,
+                                    borderRadius: '4px',
+                                    padding: '3px'
+                                }}
+                            />
+                            页
+                        </span>
+                    </div>
+
+                    {/* 操作按钮区域 */}
+                    <div className="no-print" style={{ 
+                        marginTop: '20px', 
+                        display: 'flex',
+                        flexWrap: 'wrap',
+                        gap: '10px',
+                        justifyContent: 'center'
+                    }}>
+                        <div style={{ 
+                            padding: '10px', 
+                            backgroundColor: themeStyles.background,
+                            borderRadius: '4px',
+                            border: `1px solid ${themeStyles.border}`,
+                            marginBottom: '10px'
+                        }}>
+                            <h4 style={{ margin: '0 0 10px 0' }}>数据导入</h4>
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                                {can('importParts') && (
+                                    <button
+                                        onClick={() => document.getElementById('fileBasic').click()}
+                                        className="action-button"
+                                    >
+                                        导入Excel数据
+                                    </button>
+                                )}
+                                {can('quote') && (
+                                    <>
+                                        <button
+                                            onClick={startDocumentProcessWorkflow}
+                                            className="action-button primary-button"
+                                        >
+                                            从客户文档导入
+                                        </button>
+                                        <button
+                                            onClick={batchAddParts}
+                                            className="action-button"
+                                        >
+                                            批量添加配件
+                                        </button>
+                                        <button
+                                            onClick={() => document.getElementById('fileTemplate').click()}
+                                            className="action-button"
+                                        >
+                                            导入报价模板
+                                        </button>
+                                    </>
+                                )}
+                                {can('importParts') && (
+                                    <button
+                                        onClick={() => document.getElementById('fileBom').click()}
+                                        className="action-button"
+                                        title="导入 父图号/子图号/数量 部件结构明细表"
+                                    >
+                                        导入部件结构
+                                    </button>
+                                )}
+                                {can('importParts') && (
+                                    <>
+                                        <button
+                                            onClick={() => document.getElementById('fileAdvanced').click()}
+                                            className="action-button primary-button"
+                                        >
+                                            高级配件导入
+                                        </button>
+                                        <select
+                                            value={supplierFormatOverride}
+                                            onChange={(e) => setSupplierFormatOverride(e.target.value)}
+                                            title="高级配件导入使用的配件单格式"
+                                            style={{
+                                                backgroundColor: themeStyles.inputBackground,
+                                                color: themeStyles.inputText,
+                                                border: `1px solid ${themeStyles.inputBorder}`,
+                                                padding: '4px',
+                                                borderRadius: '4px'
+                                            }}
+                                        >
+                                            <option value="auto">自动识别格式</option>
+                                            {SUPPLIER_FORMATS.map(format => (
+                                                <option key={format.id} value={format.id}>{format.label}</option>
+                                            ))}
+                                        </select>
+                                    </>
+                                )}
+                            </div>
+                        </div>
+                        
+                        <div style={{ 
+                            padding: '10px', 
+                            backgroundColor: themeStyles.background,
+                            borderRadius: '4px',
+                            border: `1px solid ${themeStyles.border}`,
+                            marginBottom: '10px'
+                        }}>
+                            <h4 style={{ margin: '0 0 10px 0' }}>数据管理</h4>
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                                <button
+                                    onClick={generateQuotation}
+                                    className="action-button primary-button"
+                                    disabled={selectedParts.length === 0}
+                                >
+                                    生成报价单 ({selectedParts.length})
+                                </button>
+                                <button
+                                    onClick={() => setView('quotationList')}
+                                    className="action-button"
+                                >
+                                    报价单列表 ({quotations.length})
+                                </button>
+                                <button
+                                    onClick={() => setView('customers')}
+                                    className="action-button"
+                                >
+                                    客户目录 ({customers.length})
+                                </button>
+                                <button
+                                    onClick={() => setView('vessels')}
+                                    className="action-button"
+                                >
+                                    船舶登记 ({vessels.length})
+                                </button>
+                                {reviewLines.length > 0 && (
+                                    <button
+                                        onClick={openMatchReview}
+                                        className="action-button"
+                                        style={{backgroundColor: '#ff9800', color: 'white'}}
+                                    >
+                                        逐项审核{pendingReviewCount > 0 ? ` (${pendingReviewCount} 待处理)` : ''}
+                                    </button>
+                                )}
+                                {can('exportDatabase') && (
+                                    <button
+                                        onClick={exportDatabaseToExcel}
+                                        className="action-button"
+                                        disabled={activeParts.length === 0}
+                                    >
+                                        导出数据库
+                                    </button>
+                                )}
+                                {can('managePricing') && (
+                                    <button
+                                        onClick={() => setShowTaxSettings(!showTaxSettings)}
+                                        className="action-button"
+                                        style={taxMismatches.length > 0 ? { backgroundColor: '#fff3cd', color: '#856404' } : {}}
+                                    >
+                                        税率设置{taxMismatches.length > 0 ? ` (${taxMismatches.length}条不符)` : ''}
+                                    </button>
+                                )}
+                                {can('managePricing') && (
+                                    <button
+                                        onClick={() => setShowPricingRules(!showPricingRules)}
+                                        className="action-button"
+                                    >
+                                        价格规则
+                                    </button>
+                                )}
+                                {can('managePricing') && (
+                                    <button
+                                        onClick={() => setView('partLinks')}
+                                        className="action-button"
+                                    >
+                                        替代关系与编号对照
+                                    </button>
+                                )}
+                                {can('managePricing') && (
+                                    <button
+                                        onClick={() => setView('matchAliases')}
+                                        className="action-button"
+                                    >
+                                        匹配别名 ({matchAliases.length})
+                                    </button>
+                                )}
+                                {can('viewAuditLog') && (
+                                    <button
+                                        onClick={() => setView('auditLog')}
+                                        className="action-button"
+                                    >
+                                        审计日志
+                                    </button>
+                                )}
+                                {can('backupRestore') && (
+                                    <button
+                                        onClick={openBackupView}
+                                        className="action-button"
+                                    >
+                                        备份与恢复
+                                    </button>
+                                )}
+                                {can('clearDatabase') && (
+                                    <button
+                                        onClick={clearDatabase}
+                                        className="action-button danger-button"
+                                    >
+                                        清空数据库
+                                    </button>
+                                )}
+                                {selectedParts.length > 0 && (
+                                    <button
+                                        onClick={clearSelectedParts}
+                                        className="action-button danger-button"
+                                    >
+                                        清空已选配件
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+
+                    {infoMessage && (
+                        <div style={{ 
+                            marginTop: 16, 
+                            padding: '10px', 
+                            backgroundColor: themeStyles.alertBackground,
+                            color: themeStyles.alertText,
+                            borderRadius: '4px',
+                            border: '1px solid',
+                            textAlign: 'center'
+                        }}>
+                            <div>{infoMessage}</div>
+                            {loading && (
+                                <div style={{ marginTop: '10px' }}>
+                                    <div style={{ width: '100%', height: '10px', backgroundColor: themeStyles.background, borderRadius: '5px', overflow: 'hidden' }}>
+                                        <div 
+                                            style={{ 
+                                                width: `${(infoMessage && infoMessage.match(/\((\d+)%\)/)) ? infoMessage.match(/\((\d+)%\)/)[1] : 0}%`, 
+                                                height: '100%', 
+                                                backgroundColor: themeStyles.link,
+                                                transition: 'width 0.3s ease'
+                                            }}
+                                        />
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {view === 'importMapping' && importWizard && importPreview && (
+                <div style={{
+                    width: '95%',
+                    margin: '0 auto',
+                    backgroundColor: themeStyles.container,
+                    color: themeStyles.text,
+                    padding: '15px',
+                    borderRadius: '4px',
+                    boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
+                }}>
+                    <h3 style={{ marginTop: 0 }}>导入列映射 - {importWizard.fileName}</h3>
+
+                    <div className="toolbar">
+                        <div>
+                            <label style={{ marginRight: '10px' }}>导入方式:</label>
+                            <select
+                                value={importWizard.mode}
+                                onChange={(e) => setImportWizard({ ...importWizard, mode: e.target.value })}
+                                className="search-box"
+                                style={{ marginRight: '10px' }}
+                            >
+                                <option value="append">仅新增（跳过已有标识码）</option>
+                                <option value="upsert">更新已有配件（比对差异）</option>
+                            </select>
+                            <label style={{ marginRight: '10px' }}>价格生效日期:</label>
+                            <input
+                                type="date"
+                                value={importWizard.effectiveDate}
+                                onChange={(e) => setImportWizard({ ...importWizard, effectiveDate: e.target.value })}
+                                className="search-box"
+                                style={{ width: '150px', marginRight: '10px' }}
+                            />
+                            <label style={{ marginRight: '10px' }} title="含税或不含税价格只有一侧时，按生效日期的税率推算另一侧">
+                                <input
+                                    type="checkbox"
+                                    checked={importWizard.fillTaxPrices}
+                                    onChange={() => setImportWizard({ ...importWizard, fillTaxPrices: !importWizard.fillTaxPrices })}
+                                    style={{ marginRight: '5px' }}
+                                />
+                                按税率补全价格
+                            </label>
+                            <label style={{ marginRight: '10px' }}>表头所在行:</label>
+                            <input
+                                type="number"
+                                min="1"
+                                max={importWizard.rawRows.length}
+                                value={importWizard.headerRowIndex + 1}
+                                onChange={(e) => changeImportHeaderRow(e.target.value)}
+                                className="search-box"
+                                style={{ width: '80px' }}
+                            />
+                        </div>
+                        <div>
+                            <label style={{ marginRight: '10px' }}>映射模板:</label>
+                            <select
+                                value=""
+                                onChange={(e) => applyImportTemplate(e.target.value)}
+                                className="search-box"
+                                style={{ marginRight: '10px' }}
+                            >
+                                <option value="">选择已保存的模板...</option>
+                                {importTemplates.map(t => (
+                                    <option key={t.name} value={t.name}>{t.name}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="text"
+                                value={importWizard.templateName}
+                                onChange={(e) => setImportWizard({ ...importWizard, templateName: e.target.value })}
+                                placeholder="保存为模板（如供应商名称）"
+                                className="search-box"
+                            />
+                            {importTemplates.some(t => t.name === importWizard.templateName) && (
+                                <button
+                                    onClick={() => deleteImportTemplate(importWizard.templateName)}
+                                    className="action-button danger-button"
+                                    style={{ marginLeft: '8px' }}
+                                >
+                                    删除模板
+                                </button>
+                            )}
+                        </div>
+                    </div>
+
+                    {/* 字段映射 */}
+                    <div style={{
+                        display: 'grid',
+                        gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))',
+                        gap: '8px',
+                        marginBottom: '15px',
+                        padding: '10px',
+                        backgroundColor: themeStyles.background,
+                        border: `1px solid ${themeStyles.border}`,
+                        borderRadius: '4px'
+                    }}>
+                        {IMPORT_TARGET_FIELDS.map(field => (
+                            <label key={field} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                                <span style={{ marginRight: '8px', fontWeight: 'bold' }}>{field}</span>
+                                <select
+                                    value={importWizard.mapping[field]}
+                                    onChange={(e) => updateImportMapping(field, e.target.value)}
+                                    style={{
+                                        backgroundColor: themeStyles.inputBackground,
+                                        color: themeStyles.inputText,
+                                        border: `1px solid ${themeStyles.inputBorder}`,
+                                        padding: '4px',
+                                        borderRadius: '4px',
+                                        width: '150px'
+                                    }}
+                                >
+                                    <option value="">— 不导入 —</option>
+                                    {importWizard.headers.map((header, i) => (
+                                        <option key={i} value={i}>{header}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        ))}
+                    </div>
+
+                    {/* 预览前几行 */}
+                    <h4 style={{ margin: '0 0 8px 0' }}>预览（前5行）</h4>
+                    <div style={{ overflowX: 'auto' }}>
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>行号</th>
+                                    {IMPORT_TARGET_FIELDS.map(field => <th key={field}>{field}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {importWizard.rawRows
+                                    .slice(importWizard.headerRowIndex + 1, importWizard.headerRowIndex + 6)
+                                    .map((row, i) => (
+                                        <tr key={i}>
+                                            <td>{importWizard.rowOffset + importWizard.headerRowIndex + i + 2}</td>
+                                            {IMPORT_TARGET_FIELDS.map(field => (
+                                                <td key={field}>
+                                                    {importWizard.mapping[field] === '' ? '' : field === '日期'
+                                                        ? formatImportDate(row[importWizard.mapping[field]])
+                                                        : String(row[importWizard.mapping[field]] ?? '')}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {/* 导入结果预估 */}
+                    <div className="quotation-stats" style={{ margin: '15px 0' }}>
+                        <div className="stat-item" style={{ backgroundColor: '#d4edda', color: '#155724' }}>
+                            <strong>将导入: </strong><span>{importPreview.importCount}</span>
+                        </div>
+                        <div className="stat-item" style={importPreview.skipCount > 0 ? { backgroundColor: '#fff3cd', color: '#856404' } : {}}>
+                            <strong>跳过: </strong><span>{importPreview.skipCount}</span>
+                        </div>
+                        <div className="stat-item" style={importPreview.failCount > 0 ? { backgroundColor: '#f8d7da', color: '#721c24' } : {}}>
+                            <strong>失败: </strong><span>{importPreview.failCount}</span>
+                        </div>
+                    </div>
+                    {importPreview.results.some(r => r.status !== 'import' && r.reason !== '空行') && (
+                        <ul style={{ fontSize: '12px', maxHeight: '150px', overflowY: 'auto' }}>
+                            {importPreview.results
+                                .filter(r => r.status !== 'import' && r.reason !== '空行')
+                                .slice(0, 50)
+                                .map(r => (
+                                    <li key={r.rowNumber}>
+                                        第{r.rowNumber}行 {r.status === 'fail' ? '失败' : '跳过'}: {r.reason}
+                                    </li>
+                                ))}
+                        </ul>
+                    )}
 
-            {/* 页面头部 */}
-            <div style={{ 
-                display: 'flex', 
-                justifyContent: 'space-between', 
-                alignItems: 'center', 
-                marginBottom: '15px',
-                padding: '10px',
-                backgroundColor: themeStyles.container,
-                borderRadius: '4px',
-                boxShadow: '0 1px 3px rgba(0,0,0,0.1)'
-            }}>
-                <div style={{ fontSize: '18px', fontWeight: 'bold' }}>
-                    船用配件报价系统
+                    {importPreview.diff && (
+                        <div style={{
+                            marginBottom: '15px',
+                            padding: '10px',
+                            backgroundColor: themeStyles.background,
+                            border: `1px solid ${themeStyles.border}`,
+                            borderRadius: '4px'
+                        }}>
+                            <h4 style={{ margin: '0 0 8px 0' }}>
+                                差异预览（按{importPreview.diff.keyField}对应）
+                            </h4>
+                            <div className="quotation-stats" style={{ marginBottom: '10px' }}>
+                                <div className="stat-item"><strong>新增: </strong><span>{importPreview.diff.added.length}</span></div>
+                                <div className="stat-item"><strong>有变化: </strong><span>{importPreview.diff.changed.length}</span></div>
+                                <div className="stat-item"><strong>无变化: </strong><span>{importPreview.diff.unchanged.length}</span></div>
+                                <div className="stat-item"><strong>文件中缺失: </strong><span>{importPreview.diff.missing.length}</span></div>
+                                {importPreview.diff.skipped.length > 0 && (
+                                    <div className="stat-item" style={{ backgroundColor: '#fff3cd', color: '#856404' }}>
+                                        <strong>缺少{importPreview.diff.keyField}（跳过）: </strong>
+                                        <span>{importPreview.diff.skipped.length}</span>
+                                    </div>
+                                )}
+                            </div>
+
+                            <label style={{ display: 'block', marginBottom: '5px' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={importWizard.applyAdded}
+                                    onChange={() => setImportWizard({ ...importWizard, applyAdded: !importWizard.applyAdded })}
+                                    style={{ marginRight: '5px' }}
+                                />
+                                导入新增配件 ({importPreview.diff.added.length})
+                            </label>
+                            <label style={{ display: 'block', marginBottom: '10px' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={importWizard.markMissingDiscontinued}
+                                    onChange={() => setImportWizard({ ...importWizard, markMissingDiscontinued: !importWizard.markMissingDiscontinued })}
+                                    style={{ marginRight: '5px' }}
+                                />
+                                将文件中缺失的 {importPreview.diff.missing.length} 个配件标记为停产
+                            </label>
+
+                            {importPreview.diff.changed.length > 0 && (
+                                <div style={{ maxHeight: '300px', overflowY: 'auto', marginBottom: '10px' }}>
+                                    <table className="data-table">
+                                        <thead>
+                                            <tr>
+                                                <th>应用</th>
+                                                <th>标识码</th>
+                                                <th>图号</th>
+                                                <th>名称</th>
+                                                <th>变化字段</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {importPreview.diff.changed.map(change => (
+                                                <tr key={change.key}>
+                                                    <td>
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={!importWizard.excludedChanges.includes(change.key)}
+                                                            onChange={() => toggleImportChange(change.key)}
+                                                        />
+                                                    </td>
+                                                    <td>{change.existing['标识码']}</td>
+                                                    <td>{change.existing['图号']}</td>
+                                                    <td>{change.existing['名称']}</td>
+                                                    <td style={{ fontSize: '12px' }}>
+                                                        {change.changes.map(({ field, from, to }) => (
+                                                            <div key={field}>
+                                                                {field}: {String(from ?? '') || '(空)'} → <strong>{String(to ?? '') || '(空)'}</strong>
+                                                            </div>
+                                                        ))}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+
+                            {importPreview.diff.missing.length > 0 && (
+                                <details>
+                                    <summary>文件中缺失的配件 ({importPreview.diff.missing.length})</summary>
+                                    <ul style={{ fontSize: '12px', maxHeight: '150px', overflowY: 'auto' }}>
+                                        {importPreview.diff.missing.slice(0, 200).map(part => (
+                                            <li key={part['标识码']}>{part['标识码']} {part['图号']} {part['名称']}</li>
+                                        ))}
+                                    </ul>
+                                </details>
+                            )}
+                        </div>
+                    )}
+
+                    <div style={{ textAlign: 'center' }}>
+                        <button
+                            onClick={confirmImportWizard}
+                            className="action-button primary-button"
+                            disabled={importPreview.importCount === 0}
+                        >
+                            {importPreview.diff ? '应用更新' : `确认导入 (${importPreview.importCount})`}
+                        </button>
+                        <button onClick={cancelImportWizard} className="action-button">
+                            取消
+                        </button>
+                    </div>
                 </div>
-                <div className="no-print" style={{ display: 'flex', alignItems: 'center' }}>
-                    <button 
-                        onClick={toggleTheme} 
-                        className="action-button"
-                        style={{ marginRight: '10px' }}
-                    >
-                        {theme === 'light' ? '深色模式' : '浅色模式'}
-                    </button>
-                    {!isAdmin ? (
-                        <button onClick={handleAdminLogin} className="action-button">管理员登录</button>
+            )}
+
+            {view === 'quotationList' && (
+                <div style={{
+                    width: '95%',
+                    margin: '0 auto',
+                    backgroundColor: themeStyles.container,
+                    color: themeStyles.text,
+                    padding: '15px',
+                    borderRadius: '4px',
+                    boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
+                }}>
+                    <h3 style={{ marginTop: 0 }}>报价单列表</h3>
+                    <div className="toolbar">
+                        <div>
+                            <input
+                                type="text"
+                                value={quotationSearch}
+                                onChange={(e) => setQuotationSearch(e.target.value)}
+                                placeholder="搜索报价单号、客户、船舶或项目..."
+                                className="search-box"
+                                style={{ width: '280px', marginRight: '10px' }}
+                            />
+                            <select
+                                value={quotationStatusFilter}
+                                onChange={(e) => setQuotationStatusFilter(e.target.value)}
+                                className="search-box"
+                                style={{ width: '120px' }}
+                            >
+                                <option value="all">全部状态</option>
+                                {Object.entries(QUOTATION_STATUSES).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={quotationVesselFilter}
+                                onChange={(e) => setQuotationVesselFilter(e.target.value)}
+                                className="search-box"
+                                style={{ width: '160px', marginLeft: '10px' }}
+                            >
+                                <option value="all">全部船舶</option>
+                                {vessels.map(vessel => (
+                                    <option key={vessel.id} value={vessel.id}>{vessel.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <button onClick={newQuotation} className="action-button primary-button">新建报价单</button>
+                            <button onClick={backToList} className="action-button">返回列表</button>
+                        </div>
+                    </div>
+
+                    {filteredQuotations.length === 0 ? (
+                        <div style={{ padding: '20px', textAlign: 'center', opacity: 0.7 }}>
+                            {quotations.length === 0 ? '还没有保存的报价单' : '没有符合条件的报价单'}
+                        </div>
                     ) : (
-                        <button onClick={handleAdminLogout} className="action-button">退出管理员模式</button>
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>报价单号</th>
+                                    <th>日期</th>
+                                    <th>客户</th>
+                                    <th>船舶</th>
+                                    <th>项目</th>
+                                    <th>配件数</th>
+                                    <th>总价</th>
+                                    <th>状态</th>
+                                    <th>制单人</th>
+                                    <th>最后保存</th>
+                                    <th>操作</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {filteredQuotations.map(quotation => (
+                                    <tr key={quotation.id} style={quotation.id === currentQuotationId ? { backgroundColor: themeStyles.alertBackground } : {}}>
+                                        <td>{formatQuotationNumber(quotation)}</td>
+                                        <td>{quotation.customerInfo.date}</td>
+                                        <td>{quotation.customerInfo.name}</td>
+                                        <td>{quotation.customerInfo.vessel}</td>
+                                        <td>{quotation.customerInfo.project}</td>
+                                        <td>{quotation.lines.length}</td>
+                                        <td>¥{formatTotalPrice(quotation.total)}</td>
+                                        <td>
+                                            <select
+                                                value={quotation.status}
+                                                onChange={(e) => updateQuotationStatus(quotation.id, e.target.value)}
+                                                style={{ color: QUOTATION_STATUS_COLORS[quotation.status] }}
+                                            >
+                                                {Object.entries(QUOTATION_STATUSES).map(([value, label]) => (
+                                                    <option key={value} value={value}>{label}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        <td title={quotation.updatedBy ? `最后修改: ${quotation.updatedBy.name}` : undefined}>
+                                            {quotation.createdBy ? quotation.createdBy.name : ''}
+                                        </td>
+                                        <td>{new Date(quotation.updatedAt).toLocaleString('zh-CN')}</td>
+                                        <td>
+                                            <button onClick={() => openQuotation(quotation)} className="action-button" style={{ padding: '4px 8px' }}>打开</button>
+                                            {quotation.parentId && quotations.some(q => q.id === quotation.parentId) && (
+                                                <button onClick={() => openQuotationComparison(quotation)} className="action-button" style={{ padding: '4px 8px' }}>对比</button>
+                                            )}
+                                            <button onClick={() => deleteQuotation(quotation)} className="action-button danger-button" style={{ padding: '4px 8px' }}>删除</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
                     )}
                 </div>
-            </div>
+            )}
 
-            {loading && <div className="loading-indicator">加载中，请稍候...</div>}
+            {view === 'customers' && (
+                <div style={{
+                    width: '95%',
+                    margin: '0 auto',
+                    backgroundColor: themeStyles.container,
+                    color: themeStyles.text,
+                    padding: '15px',
+                    borderRadius: '4px',
+                    boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
+                }}>
+                    <h3 style={{ marginTop: 0 }}>客户目录</h3>
+                    <div className="toolbar">
+                        <div>
+                            <input
+                                type="text"
+                                value={customerSearch}
+                                onChange={(e) => setCustomerSearch(e.target.value)}
+                                placeholder="搜索客户编号、名称、税号或联系人..."
+                                className="search-box"
+                                style={{ width: '280px' }}
+                            />
+                        </div>
+                        <div>
+                            <button onClick={() => setCustomerDraft(createEmptyCustomer(customers))} className="action-button primary-button">新增客户</button>
+                            <button onClick={backToList} className="action-button">返回列表</button>
+                        </div>
+                    </div>
 
-            {/* 隐藏的文件选择器 */}
-            <input type="file" id="fileBasic" style={{ display: 'none' }} onChange={handleFileUploadWrapper} />
-            <input type="file" id="fileAdvanced" style={{ display: 'none' }} onChange={handleAdvancedQuotationUpload} />
-            <input type="file" id="fileCustomer" style={{ display: 'none' }} onChange={handleCustomerQuotationUpload} />
-            <input type="file" id="fileTemplate" style={{ display: 'none' }} onChange={handleTemplateUpload} />
-            <input type="file" id="fileDocument" style={{ display: 'none' }} accept=".pdf,.doc,.docx,.rtf" onChange={handleDocumentUpload} />
+                    {customerDraft && (
+                        <div style={{
+                            marginBottom: '10px',
+                            padding: '10px',
+                            backgroundColor: themeStyles.background,
+                            borderRadius: '4px',
+                            border: `1px solid ${themeStyles.border}`
+                        }}>
+                            <strong>{customers.some(c => c.id === customerDraft.id) ? '编辑客户' : '新增客户'} {customerDraft.id}</strong>
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', margin: '8px 0' }}>
+                                <input
+                                    type="text"
+                                    value={customerDraft.name}
+                                    onChange={(e) => setCustomerDraft({ ...customerDraft, name: e.target.value })}
+                                    placeholder="客户名称"
+                                    className="search-box"
+                                    style={{ width: '250px' }}
+                                />
+                                <input
+                                    type="text"
+                                    value={customerDraft.taxId}
+                                    onChange={(e) => setCustomerDraft({ ...customerDraft, taxId: e.target.value })}
+                                    placeholder="税号"
+                                    className="search-box"
+                                />
+                                <label>默认价格类型:</label>
+                                <select
+                                    value={customerDraft.defaultPriceOption}
+                                    onChange={(e) => setCustomerDraft({ ...customerDraft, defaultPriceOption: e.target.value })}
+                                    className="search-box"
+                                    style={{ width: '150px' }}
+                                >
+                                    <option value="">不指定</option>
+                                    {PRICE_FIELDS.map(field => <option key={field} value={field}>{field}</option>)}
+                                </select>
+                                <label>默认折扣(%):</label>
+                                <input
+                                    type="number"
+                                    value={customerDraft.defaultDiscount}
+                                    onChange={(e) => setCustomerDraft({ ...customerDraft, defaultDiscount: e.target.value })}
+                                    className="search-box"
+                                    style={{ width: '70px' }}
+                                />
+                                <input
+                                    type="text"
+                                    value={customerDraft.paymentTerms}
+                                    onChange={(e) => setCustomerDraft({ ...customerDraft, paymentTerms: e.target.value })}
+                                    placeholder="付款条件，如 月结30天"
+                                    className="search-box"
+                                    style={{ width: '200px' }}
+                                />
+                            </div>
+                            <div style={{ marginBottom: '8px' }}>
+                                <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>联系人</div>
+                                {customerDraft.contacts.map((contact, index) => (
+                                    <div key={index} style={{ display: 'flex', gap: '8px', marginBottom: '4px' }}>
+                                        {[['name', '姓名'], ['phone', '电话'], ['email', '邮箱']].map(([field, placeholder]) => (
+                                            <input
+                                                key={field}
+                                                type="text"
+                                                value={contact[field]}
+                                                onChange={(e) => updateCustomerDraftList('contacts', index, field, e.target.value)}
+                                                placeholder={placeholder}
+                                                className="search-box"
+                                            />
+                                        ))}
+                                        <button
+                                            onClick={() => setCustomerDraft({ ...customerDraft, contacts: customerDraft.contacts.filter((_, i) => i !== index) })}
+                                            className="action-button danger-button"
+                                            style={{ padding: '4px 8px' }}
+                                        >
+                                            删除
+                                        </button>
+                                    </div>
+                                ))}
+                                <button
+                                    onClick={() => setCustomerDraft({ ...customerDraft, contacts: [...customerDraft.contacts, { name: '', phone: '', email: '' }] })}
+                                    className="action-button"
+                                    style={{ padding: '4px 8px' }}
+                                >
+                                    添加联系人
+                                </button>
+                            </div>
+                            <div style={{ marginBottom: '8px' }}>
+                                <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>地址</div>
+                                {customerDraft.addresses.map((address, index) => (
+                                    <div key={index} style={{ display: 'flex', gap: '8px', marginBottom: '4px' }}>
+                                        <input
+                                            type="text"
+                                            value={address.label}
+                                            onChange={(e) => updateCustomerDraftList('addresses', index, 'label', e.target.value)}
+                                            placeholder="用途，如 收货/开票"
+                                            className="search-box"
+                                            style={{ width: '140px' }}
+                                        />
+                                        <input
+                                            type="text"
+                                            value={address.address}
+                                            onChange={(e) => updateCustomerDraftList('addresses', index, 'address', e.target.value)}
+                                            placeholder="地址"
+                                            className="search-box"
+                                            style={{ width: '400px' }}
+                                        />
+                                        <button
+                                            onClick={() => setCustomerDraft({ ...customerDraft, addresses: customerDraft.addresses.filter((_, i) => i !== index) })}
+                                            className="action-button danger-button"
+                                            style={{ padding: '4px 8px' }}
+                                        >
+                                            删除
+                                        </button>
+                                    </div>
+                                ))}
+                                <button
+                                    onClick={() => setCustomerDraft({ ...customerDraft, addresses: [...customerDraft.addresses, { label: '', address: '' }] })}
+                                    className="action-button"
+                                    style={{ padding: '4px 8px' }}
+                                >
+                                    添加地址
+                                </button>
+                            </div>
+                            <button onClick={saveCustomerDraft} className="action-button primary-button">保存客户</button>
+                            <button onClick={() => setCustomerDraft(null)} className="action-button">取消</button>
+                        </div>
+                    )}
+
+                    {filteredCustomers.length === 0 ? (
+                        <div style={{ padding: '20px', textAlign: 'center', opacity: 0.7 }}>
+                            {customers.length === 0 ? '客户目录为空，点击“新增客户”添加' : '没有符合条件的客户'}
+                        </div>
+                    ) : (
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>编号</th>
+                                    <th>客户名称</th>
+                                    <th>联系人</th>
+                                    <th>税号</th>
+                                    <th>默认价格类型</th>
+                                    <th>默认折扣</th>
+                                    <th>付款条件</th>
+                                    <th>操作</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {filteredCustomers.map(customer => (
+                                    <tr key={customer.id}>
+                                        <td>{customer.id}</td>
+                                        <td>{customer.name}</td>
+                                        <td>{customer.contacts.map(formatCustomerContact).join('；')}</td>
+                                        <td>{customer.taxId}</td>
+                                        <td>{customer.defaultPriceOption || '-'}</td>
+                                        <td>{customer.defaultDiscount}%</td>
+                                        <td>{customer.paymentTerms}</td>
+                                        <td>
+                                            <button
+                                                onClick={() => setCustomerDraft({
+                                                    ...customer,
+                                                    contacts: customer.contacts.length ? customer.contacts : [{ name: '', phone: '', email: '' }],
+                                                    addresses: customer.addresses.length ? customer.addresses : [{ label: '', address: '' }]
+                                                })}
+                                                className="action-button"
+                                                style={{ padding: '4px 8px' }}
+                                            >
+                                                编辑
+                                            </button>
+                                            <button onClick={() => deleteCustomer(customer)} className="action-button danger-button" style={{ padding: '4px 8px' }}>删除</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+
+            {view === 'vessels' && (
+                <div style={{
+                    width: '95%',
+                    margin: '0 auto',
+                    backgroundColor: themeStyles.container,
+                    color: themeStyles.text,
+                    padding: '15px',
+                    borderRadius: '4px',
+                    boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
+                }}>
+                    <h3 style={{ marginTop: 0 }}>船舶登记</h3>
+                    <div className="toolbar">
+                        <div>共 {vessels.length} 艘船舶</div>
+                        <div>
+                            <button onClick={() => setVesselDraft(createEmptyVessel(vessels))} className="action-button primary-button">新增船舶</button>
+                            <button onClick={backToList} className="action-button">返回列表</button>
+                        </div>
+                    </div>
+
+                    {vesselDraft && (
+                        <div style={{
+                            marginBottom: '10px',
+                            padding: '10px',
+                            backgroundColor: themeStyles.background,
+                            borderRadius: '4px',
+                            border: `1px solid ${themeStyles.border}`
+                        }}>
+                            <strong>{vessels.some(v => v.id === vesselDraft.id) ? '编辑船舶' : '新增船舶'} {vesselDraft.id}</strong>
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', margin: '8px 0' }}>
+                                <input
+                                    type="text"
+                                    value={vesselDraft.name}
+                                    onChange={(e) => setVesselDraft({ ...vesselDraft, name: e.target.value })}
+                                    placeholder="船名"
+                                    className="search-box"
+                                />
+                                <input
+                                    type="text"
+                                    value={vesselDraft.imo}
+                                    onChange={(e) => setVesselDraft({ ...vesselDraft, imo: e.target.value })}
+                                    placeholder="IMO 编号（7位）"
+                                    className="search-box"
+                                    style={{ width: '140px' }}
+                                />
+                                <label>船东:</label>
+                                <select
+                                    value={vesselDraft.ownerCustomerId}
+                                    onChange={(e) => setVesselDraft({ ...vesselDraft, ownerCustomerId: e.target.value })}
+                                    className="search-box"
+                                >
+                                    <option value="">未指定</option>
+                                    {customers.map(customer => (
+                                        <option key={customer.id} value={customer.id}>{customer.name}</option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="text"
+                                    value={vesselDraft.remark}
+                                    onChange={(e) => setVesselDraft({ ...vesselDraft, remark: e.target.value })}
+                                    placeholder="备注"
+                                    className="search-box"
+                                />
+                            </div>
+                            <div style={{ marginBottom: '8px' }}>
+                                <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>安装设备</div>
+                                {vesselDraft.equipment.map((item, index) => (
+                                    <div key={index} style={{ display: 'flex', gap: '8px', marginBottom: '4px' }}>
+                                        <input
+                                            type="text"
+                                            value={item.model}
+                                            onChange={(e) => updateVesselEquipment(index, 'model', e.target.value)}
+                                            placeholder="齿轮箱型号，如 HC400"
+                                            className="search-box"
+                                        />
+                                        <input
+                                            type="text"
+                                            value={item.serialNo}
+                                            onChange={(e) => updateVesselEquipment(index, 'serialNo', e.target.value)}
+                                            placeholder="出厂编号"
+                                            className="search-box"
+                                        />
+                                        <input
+                                            type="text"
+                                            value={item.position}
+                                            onChange={(e) => updateVesselEquipment(index, 'position', e.target.value)}
+                                            placeholder="安装位置，如 左主机"
+                                            className="search-box"
+                                        />
+                                        <button
+                                            onClick={() => setVesselDraft({ ...vesselDraft, equipment: vesselDraft.equipment.filter((_, i) => i !== index) })}
+                                            className="action-button danger-button"
+                                            style={{ padding: '4px 8px' }}
+                                        >
+                                            删除
+                                        </button>
+                                    </div>
+                                ))}
+                                <button
+                                    onClick={() => setVesselDraft({ ...vesselDraft, equipment: [...vesselDraft.equipment, { model: '', serialNo: '', position: '' }] })}
+                                    className="action-button"
+                                    style={{ padding: '4px 8px' }}
+                                >
+                                    添加设备
+                                </button>
+                            </div>
+                            <button onClick={saveVesselDraft} className="action-button primary-button">保存船舶</button>
+                            <button onClick={() => setVesselDraft(null)} className="action-button">取消</button>
+                        </div>
+                    )}
+
+                    {vessels.length === 0 ? (
+                        <div style={{ padding: '20px', textAlign: 'center', opacity: 0.7 }}>还没有登记船舶</div>
+                    ) : (
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>编号</th>
+                                    <th>船名</th>
+                                    <th>IMO</th>
+                                    <th>船东</th>
+                                    <th>安装设备</th>
+                                    <th>配件数</th>
+                                    <th>报价单</th>
+                                    <th>操作</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {vessels.map(vessel => {
+                                    const owner = customers.find(c => c.id === vessel.ownerCustomerId);
+                                    return (
+                                        <tr key={vessel.id}>
+                                            <td>{vessel.id}</td>
+                                            <td>{vessel.name}</td>
+                                            <td>{vessel.imo}</td>
+                                            <td>{owner ? owner.name : '-'}</td>
+                                            <td style={{ fontSize: '12px' }}>
+                                                {vessel.equipment.map((item, index) => (
+                                                    <div key={index}>
+                                                        {item.model}{item.serialNo && ` #${item.serialNo}`}{item.position && `（${item.position}）`}
+                                                    </div>
+                                                ))}
+                                            </td>
+                                            <td>{activeParts.filter(part => partFitsVessel(part, vessel)).length}</td>
+                                            <td>
+                                                <button onClick={() => showVesselQuotations(vessel)} className="action-button" style={{ padding: '4px 8px' }}>
+                                                    {quotations.filter(q => quotationBelongsToVessel(q, vessel)).length} 份
+                                                </button>
+                                            </td>
+                                            <td>
+                                                <button
+                                                    onClick={() => { setVesselFilterId(vessel.id); backToList(); }}
+                                                    className="action-button"
+                                                    style={{ padding: '4px 8px' }}
+                                                >
+                                                    查看配件
+                                                </button>
+                                                <button
+                                                    onClick={() => setVesselDraft({
+                                                        ...vessel,
+                                                        equipment: vessel.equipment.length ? vessel.equipment : [{ model: '', serialNo: '', position: '' }]
+                                                    })}
+                                                    className="action-button"
+                                                    style={{ padding: '4px 8px' }}
+                                                >
+                                                    编辑
+                                                </button>
+                                                <button onClick={() => deleteVessel(vessel)} className="action-button danger-button" style={{ padding: '4px 8px' }}>删除</button>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+
+            {view === 'matchReview' && (
+                <div style={{
+                    width: '95%',
+                    margin: '0 auto',
+                    backgroundColor: themeStyles.container,
+                    color: themeStyles.text,
+                    padding: '15px',
+                    borderRadius: '4px',
+                    boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
+                }}>
+                    <div className="toolbar">
+                        <h3 style={{ margin: 0 }}>
+                            逐项审核匹配结果
+                            <span style={{ marginLeft: '10px', fontSize: '14px', fontWeight: 'normal' }}>
+                                共 {reviewLines.length} 行，待处理 {pendingReviewCount} 行
+                            </span>
+                        </h3>
+                        <div>
+                            <label style={{ marginRight: '10px', fontSize: '13px' }} title="接受或改正匹配后会记住客户图号，下次导入时直接匹配">
+                                <input
+                                    type="checkbox"
+                                    checked={aliasForCustomerOnly && Boolean(customerInfo.customerId)}
+                                    disabled={!customerInfo.customerId}
+                                    onChange={(e) => setAliasForCustomerOnly(e.target.checked)}
+                                />
+                                学习的别名仅用于当前客户{customerInfo.customerId ? `（${customerInfo.name}）` : ''}
+                            </label>
+                            <button onClick={() => setView('quotation')} className="action-button primary-button">
+                                {pendingReviewCount === 0 ? '审核完成，返回报价单' : '返回报价单'}
+                            </button>
+                        </div>
+                    </div>
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>序号</th>
+                                <th>客户图号</th>
+                                <th>匹配图号</th>
+                                <th>匹配名称</th>
+                                <th>匹配方式</th>
+                                <th>数量</th>
+                                <th>审核结果</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {reviewLines.map(({ part, index }) => (
+                                <React.Fragment key={`${part['标识码']}-${index}`}>
+                                    <tr style={!part.humanReviewed ? { backgroundColor: themeStyles.alertBackground } : undefined}>
+                                        <td>{index + 1}</td>
+                                        <td>{part.importedId || part['图号']}</td>
+                                        <td>{part.isNew ? <span style={{ color: '#721c24' }}>未匹配</span> : part['图号']}</td>
+                                        <td>{part.isNew ? '' : part['名称']}</td>
+                                        <td title={part.matchReason}>{getMatchTypeLabel(part)}</td>
+                                        <td>{part.quantity || 1}</td>
+                                        <td>
+                                            {part.humanReviewed
+                                                ? ({ accepted: '已接受', rejected: '已拒绝', rematched: '已重新匹配' }[part.reviewStatus] || '已审核')
+                                                : <span style={{ color: '#856404' }}>待处理</span>}
+                                        </td>
+                                        <td>
+                                            {part.humanReviewed ? (
+                                                <button onClick={() => undoReviewLine(index)} className="action-button" style={{ padding: '4px 8px' }}>撤销</button>
+                                            ) : (
+                                                <>
+                                                    <button onClick={() => acceptReviewLine(index)} className="action-button primary-button" style={{ padding: '4px 8px', marginRight: '4px' }}>
+                                                        {part.isNew ? '按新配件报价' : '接受'}
+                                                    </button>
+                                                    <button onClick={() => rejectReviewLine(index)} className="action-button danger-button" style={{ padding: '4px 8px', marginRight: '4px' }}>
+                                                        {part.isNew ? '移出报价单' : '拒绝'}
+                                                    </button>
+                                                </>
+                                            )}
+                                            <button
+                                                onClick={() => setReviewSearch(reviewSearch.index === index
+                                                    ? { index: null, term: '' }
+                                                    : { index, term: part.importedId || part['图号'] || '' })}
+                                                className="action-button"
+                                                style={{ padding: '4px 8px' }}
+                                            >
+                                                重新匹配
+                                            </button>
+                                        </td>
+                                    </tr>
+                                    {reviewSearch.index === index && (
+                                        <tr>
+                                            <td colSpan={8}>
+                                                <input
+                                                    type="text"
+                                                    value={reviewSearch.term}
+                                                    onChange={(e) => setReviewSearch({ index, term: e.target.value })}
+                                                    placeholder="按图号或名称搜索配件库"
+                                                    className="search-box"
+                                                    autoFocus
+                                                />
+                                                {part.candidates && part.candidates.length > 0 && (
+                                                    <div style={{ margin: '6px 0', fontSize: '12px' }}>
+                                                        候选：
+                                                        {part.candidates.map(c => (
+                                                            <button
+                                                                key={c.id}
+                                                                onClick={() => chooseMatchCandidate(index, c.id)}
+                                                                className="action-button"
+                                                                style={{ padding: '2px 6px', margin: '0 4px 4px 0', fontSize: '12px' }}
+                                                            >
+                                                                {c.drawingNo} {c.name}（{Math.round(c.score * 100)}%）
+                                                            </button>
+                                                        ))}
+                                                    </div>
+                                                )}
+                                                <table className="data-table" style={{ marginTop: '6px' }}>
+                                                    <tbody>
+                                                        {reviewSearchResults.map(result => (
+                                                            <tr key={result['标识码']}>
+                                                                <td>{result['图号']}</td>
+                                                                <td>{result['名称']}</td>
+                                                                <td>{result['备注']}</td>
+                                                                <td>
+                                                                    <button onClick={() => rematchReviewLine(index, result)} className="action-button primary-button" style={{ padding: '4px 8px' }}>选用</button>
+                                                                </td>
+                                                            </tr>
+                                                        ))}
+                                                        {reviewSearch.term.trim() && reviewSearchResults.length === 0 && (
+                                                            <tr><td colSpan={4}>配件库中没有找到匹配的配件</td></tr>
+                                                        )}
+                                                    </tbody>
+                                                </table>
+                                            </td>
+                                        </tr>
+                                    )}
+                                </React.Fragment>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
 
-            {view === 'table' && (
+            {view === 'users' && can('manageUsers') && (
                 <div style={{
                     width: '95%',
                     margin: '0 auto',
@@ -1859,376 +7314,630 @@ export default function ImprovedPartsQuotationSystem() {
                     borderRadius: '4px',
                     boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
                 }}>
-                    {/* 工具栏 */}
-                    <div className="toolbar no-print">
+                    <div className="toolbar">
+                        <h3 style={{ margin: 0 }}>用户管理 ({users.length})</h3>
                         <div>
+                            <button
+                                onClick={() => setUserDraft({ originalUsername: null, username: '', name: '', role: 'sales', password: '' })}
+                                className="action-button primary-button"
+                                style={{ marginRight: '10px' }}
+                            >
+                                新建用户
+                            </button>
+                            <button onClick={backToList} className="action-button">返回列表</button>
+                        </div>
+                    </div>
+
+                    {userDraft && (
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '12px' }}>
                             <input
                                 type="text"
-                                placeholder="搜索配件 (图号/名称/备注)..."
-                                value={searchTerm}
-                                onChange={(e) => setSearchTerm(e.target.value)}
+                                value={userDraft.username}
+                                onChange={(e) => setUserDraft({ ...userDraft, username: e.target.value })}
+                                placeholder="用户名"
                                 className="search-box"
+                                disabled={Boolean(userDraft.originalUsername)}
                             />
-                        </div>
-                        <div>
-                            <label style={{ marginRight: '10px' }}>每页显示: </label>
-                            <select 
-                                value={pageSize} 
-                                onChange={(e) => setPageSize(Number(e.target.value))}
-                                style={{
-                                    backgroundColor: themeStyles.inputBackground,
-                                    color: themeStyles.inputText,
-                                    border: `1px solid ${themeStyles.inputBorder}`,
-                                    padding: '4px',
-                                    borderRadius: '4px',
-                                    marginRight: '10px'
-                                }}
+                            <input
+                                type="text"
+                                value={userDraft.name}
+                                onChange={(e) => setUserDraft({ ...userDraft, name: e.target.value })}
+                                placeholder="姓名（显示在报价单上）"
+                                className="search-box"
+                            />
+                            <select
+                                value={userDraft.role}
+                                onChange={(e) => setUserDraft({ ...userDraft, role: e.target.value })}
+                                className="search-box"
+                                style={{ width: '130px' }}
                             >
-                                <option value={10}>10</option>
-                                <option value={20}>20</option>
-                                <option value={50}>50</option>
-                                <option value={100}>100</option>
+                                {Object.entries(USER_ROLES).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
                             </select>
-                            <span style={{ marginRight: '10px' }}>
-                                总计: {partsData.length} 条记录
-                            </span>
-                        </div>
-                    </div>
-                    
-                    {/* 显示/隐藏价格列控制 */}
-                    <div className="no-print" style={{ 
-                        marginBottom: '10px', 
-                        padding: '8px', 
-                        backgroundColor: themeStyles.background,
-                        borderRadius: '4px',
-                        border: `1px solid ${themeStyles.border}`
-                    }}>
-                        <div style={{ marginBottom: '5px', fontWeight: 'bold' }}>显示价格列:</div>
-                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
-                            {Object.keys(showPriceColumns).map(column => (
-                                <label key={column} style={{ display: 'flex', alignItems: 'center' }}>
-                                    <input
-                                        type="checkbox"
-                                        checked={showPriceColumns[column]}
-                                        onChange={() => setShowPriceColumns({
-                                            ...showPriceColumns,
-                                            [column]: !showPriceColumns[column]
-                                        })}
-                                        style={{ marginRight: '5px' }}
-                                    />
-                                    {column}
-                                </label>
-                            ))}
+                            <input
+                                type="password"
+                                value={userDraft.password}
+                                onChange={(e) => setUserDraft({ ...userDraft, password: e.target.value })}
+                                placeholder={userDraft.originalUsername ? '新密码（留空不修改）' : '密码'}
+                                className="search-box"
+                            />
+                            <button onClick={saveUserDraft} className="action-button primary-button">保存</button>
+                            <button onClick={() => setUserDraft(null)} className="action-button">取消</button>
                         </div>
-                    </div>
+                    )}
 
                     <table className="data-table">
                         <thead>
                             <tr>
-                                <th onClick={() => handleSortChange('序号')} style={{ cursor: 'pointer' }}>
-                                    序号 {sortConfig.key === '序号' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
-                                </th>
-                                <th onClick={() => handleSortChange('日期')} style={{ cursor: 'pointer' }}>
-                                    日期 {sortConfig.key === '日期' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
-                                </th>
-                                <th onClick={() => handleSortChange('标识码')} style={{ cursor: 'pointer' }}>
-                                    标识码 {sortConfig.key === '标识码' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
-                                </th>
-                                <th onClick={() => handleSortChange('图号')} style={{ cursor: 'pointer' }}>
-                                    图号 {sortConfig.key === '图号' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
-                                </th>
-                                <th onClick={() => handleSortChange('名称')} style={{ cursor: 'pointer' }}>
-                                    名称 {sortConfig.key === '名称' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
-                                </th>
-                                
-                                {/* 根据选择显示价格列 */}
-                                {showPriceColumns['指导价（不含税）'] && 
-                                    <th onClick={() => handleSortChange('指导价（不含税）')} style={{ cursor: 'pointer' }}>
-                                        指导价（不含税） {sortConfig.key === '指导价（不含税）' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
-                                    </th>
-                                }
-                                {showPriceColumns['出厂价（不含税）'] && 
-                                    <th onClick={() => handleSortChange('出厂价（不含税）')} style={{ cursor: 'pointer' }}>
-                                        出厂价（不含税） {sortConfig.key === '出厂价（不含税）' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
-                                    </th>
-                                }
-                                {showPriceColumns['服务价（不含税）'] && 
-                                    <th onClick={() => handleSortChange('服务价（不含税）')} style={{ cursor: 'pointer' }}>
-                                        服务价（不含税） {sortConfig.key === '服务价（不含税）' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
-                                    </th>
-                                }
-                                {showPriceColumns['指导价（含税）'] && 
-                                    <th onClick={() => handleSortChange('指导价（含税）')} style={{ cursor: 'pointer' }}>
-                                        指导价（含税） {sortConfig.key === '指导价（含税）' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
-                                    </th>
-                                }
-                                {showPriceColumns['出厂价（含税）'] && 
-                                    <th onClick={() => handleSortChange('出厂价（含税）')} style={{ cursor: 'pointer' }}>
-                                        出厂价（含税） {sortConfig.key === '出厂价（含税）' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
-                                    </th>
-                                }
-                                {showPriceColumns['服务价（含税）'] && 
-                                    <th onClick={() => handleSortChange('服务价（含税）')} style={{ cursor: 'pointer' }}>
-                                        服务价（含税） {sortConfig.key === '服务价（含税）' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
-                                    </th>
-                                }
-                                
-                                <th onClick={() => handleSortChange('备注')} style={{ cursor: 'pointer' }}>
-                                    备注 {sortConfig.key === '备注' && (sortConfig.direction === 'ascending' ? '↑' : '↓')}
-                                </th>
+                                <th>用户名</th>
+                                <th>姓名</th>
+                                <th>角色</th>
+                                <th>创建时间</th>
                                 <th>操作</th>
                             </tr>
                         </thead>
                         <tbody>
-                            {currentPageData.map((part, index) => (
-                                <tr key={part['标识码'] + '-' + index}>
-                                    <td>{(currentPage - 1) * pageSize + index + 1}</td>
-                                    <td>{part['日期']}</td>
-                                    <td>{part['标识码']}</td>
-                                    <td>{part['图号']}</td>
-                                    <td>{part['名称']}</td>
-                                    
-                                    {/* 根据选择显示价格列 */}
-                                    {showPriceColumns['指导价（不含税）'] && <td>{formatPrice(part['指导价（不含税）'])}</td>}
-                                    {showPriceColumns['出厂价（不含税）'] && <td>{formatPrice(part['出厂价（不含税）'])}</td>}
-                                    {showPriceColumns['服务价（不含税）'] && <td>{formatPrice(part['服务价（不含税）'])}</td>}
-                                    {showPriceColumns['指导价（含税）'] && <td>{formatPrice(part['指导价（含税）'])}</td>}
-                                    {showPriceColumns['出厂价（含税）'] && <td>{formatPrice(part['出厂价（含税）'])}</td>}
-                                    {showPriceColumns['服务价（含税）'] && <td>{formatPrice(part['服务价（含税）'])}</td>}
-                                    
-                                    <td title={part['备注']} style={{ maxWidth: '200px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
-                                        {part['备注']}
-                                    </td>
+                            {users.map(user => (
+                                <tr key={user.username}>
+                                    <td>{user.username}</td>
+                                    <td>{user.name}</td>
+                                    <td>{USER_ROLES[user.role]}</td>
+                                    <td>{String(user.createdAt || '').slice(0, 10)}</td>
                                     <td>
                                         <button
-                                            onClick={() => handleSelectPart(part)}
-                                            className={selectedParts.some(p => p['标识码'] === part['标识码']) 
-                                                ? "action-button danger-button" 
-                                                : "action-button primary-button"}
-                                            style={{ margin: '0', padding: '4px 8px' }}
+                                            onClick={() => setUserDraft({ originalUsername: user.username, username: user.username, name: user.name, role: user.role, password: '' })}
+                                            className="action-button"
+                                            style={{ padding: '4px 8px' }}
                                         >
-                                            {selectedParts.some(p => p['标识码'] === part['标识码']) ? '取消' : '选择'}
+                                            编辑
                                         </button>
+                                        <button onClick={() => deleteUser(user)} className="action-button danger-button" style={{ padding: '4px 8px' }}>删除</button>
                                     </td>
                                 </tr>
                             ))}
                         </tbody>
                     </table>
+                </div>
+            )}
 
-                    {/* 分页控制 */}
-                    <div className="pagination no-print">
-                        <button
-                            disabled={currentPage <= 1}
-                            onClick={() => setCurrentPage(1)}
-                        >
-                            首页
-                        </button>
-                        <button
-                            disabled={currentPage <= 1}
-                            onClick={() => setCurrentPage(currentPage - 1)}
-                        >
-                            上一页
-                        </button>
-                        <span style={{ margin: '0 12px' }}>
-                            第 {currentPage} 页 / 共 {totalPages} 页
-                        </span>
-                        <button
-                            disabled={currentPage >= totalPages}
-                            onClick={() => setCurrentPage(currentPage + 1)}
-                        >
-                            下一页
-                        </button>
-                        <button
-                            disabled={currentPage >= totalPages}
-                            onClick={() => setCurrentPage(totalPages)}
-                        >
-                            末页
-                        </button>
-                        
-                        <span style={{ margin: '0 12px' }}>
-                            前往:
-                            <input 
-                                type="number" 
-                                min="1" 
-                                max={totalPages}
-                                value={currentPage}
-                                onChange={(e) => {
-                                    const page = parseInt(e.target.value);
-                                    if (page && page >= 1 && page <= totalPages) {
-                                        setCurrentPage(page);
-                                    }
-                                }}
-                                style={{ 
-                                    width: '50px', 
-                                    margin: '0 5px',
-                                    backgroundColor: themeStyles.inputBackground,
-                                    color: themeStyles.inputText,
-                                    border: `1px solid ${themeStyles.inputBorder}`,
-                                    borderRadius: '4px',
-                                    padding: '3px'
-                                }}
-                            />
-                            页
-                        </span>
+            {view === 'matchAliases' && can('managePricing') && (
+                <div style={{
+                    width: '95%',
+                    margin: '0 auto',
+                    backgroundColor: themeStyles.container,
+                    color: themeStyles.text,
+                    padding: '15px',
+                    borderRadius: '4px',
+                    boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
+                }}>
+                    <div className="toolbar">
+                        <h3 style={{ margin: 0 }}>匹配别名 ({matchAliases.length})</h3>
+                        <input
+                            type="text"
+                            value={aliasSearch}
+                            onChange={(e) => setAliasSearch(e.target.value)}
+                            placeholder="搜索客户图号、标识码、名称或客户"
+                            className="search-box"
+                        />
+                        <button onClick={backToList} className="action-button">返回列表</button>
                     </div>
+                    <p style={{ fontSize: '13px', opacity: 0.8 }}>
+                        逐项审核时接受或改正的匹配会记为别名，下次导入相同的客户图号时直接匹配，不再需要审核。
+                    </p>
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>客户图号</th>
+                                <th>标识码</th>
+                                <th>图号</th>
+                                <th>名称</th>
+                                <th>适用客户</th>
+                                <th>记录时间</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {filteredMatchAliases.map(({ alias, part, customer }) => (
+                                <tr key={`${alias.customerId}-${alias.importedId}`}>
+                                    <td>{alias.importedId}</td>
+                                    <td>{alias.partId}</td>
+                                    <td>{part ? part['图号'] : <span style={{ color: '#c62828' }}>配件已不存在</span>}</td>
+                                    <td>{part ? part['名称'] : ''}</td>
+                                    <td>{alias.customerId ? (customer ? customer.name : alias.customerId) : '所有客户'}</td>
+                                    <td>{String(alias.createdAt || '').slice(0, 10)}</td>
+                                    <td>
+                                        <button onClick={() => deleteMatchAlias(alias)} className="action-button danger-button" style={{ padding: '4px 8px' }}>删除</button>
+                                    </td>
+                                </tr>
+                            ))}
+                            {filteredMatchAliases.length === 0 && (
+                                <tr><td colSpan={7}>暂无别名</td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
 
-                    {/* 操作按钮区域 */}
-                    <div className="no-print" style={{ 
-                        marginTop: '20px', 
-                        display: 'flex',
-                        flexWrap: 'wrap',
-                        gap: '10px',
-                        justifyContent: 'center'
-                    }}>
-                        <div style={{ 
-                            padding: '10px', 
-                            backgroundColor: themeStyles.background,
-                            borderRadius: '4px',
-                            border: `1px solid ${themeStyles.border}`,
-                            marginBottom: '10px'
-                        }}>
-                            <h4 style={{ margin: '0 0 10px 0' }}>数据导入</h4>
-                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
-                                <button
-                                    onClick={() => document.getElementById('fileBasic').click()}
-                                    className="action-button"
-                                >
-                                    导入Excel数据
-                                </button>
-                                <button
-                                    onClick={startDocumentProcessWorkflow}
-                                    className="action-button primary-button"
-                                >
-                                    从客户文档导入
-                                </button>
-                                <button
-                                    onClick={batchAddParts}
-                                    className="action-button"
-                                >
-                                    批量添加配件
-                                </button>
-                                <button
-                                    onClick={() => document.getElementById('fileTemplate').click()}
-                                    className="action-button"
-                                >
-                                    导入报价模板
-                                </button>
-                                {isAdmin && (
-                                    <button
-                                        onClick={() => document.getElementById('fileAdvanced').click()}
-                                        className="action-button primary-button"
-                                    >
-                                        高级配件导入
-                                    </button>
-                                )}
-                            </div>
-                        </div>
-                        
-                        <div style={{ 
-                            padding: '10px', 
-                            backgroundColor: themeStyles.background,
-                            borderRadius: '4px',
-                            border: `1px solid ${themeStyles.border}`,
-                            marginBottom: '10px'
-                        }}>
-                            <h4 style={{ margin: '0 0 10px 0' }}>数据管理</h4>
-                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
-                                <button
-                                    onClick={generateQuotation}
-                                    className="action-button primary-button"
-                                    disabled={selectedParts.length === 0}
-                                >
-                                    生成报价单 ({selectedParts.length})
-                                </button>
-                                {selectedParts.some(p => 
-                                    p.matchType === 'fuzzy' || 
-                                    p.matchType === 'caseInsensitive' || 
-                                    p.matchType === 'noSpace'
-                                ) && (
-                                    <button
-                                        onClick={reviewAndConfirm}
-                                        className="action-button"
-                                        style={{backgroundColor: '#ff9800', color: 'white'}}
-                                    >
-                                        人工审核确认
-                                    </button>
-                                )}
-                                <button
-                                    onClick={exportDatabaseToExcel}
-                                    className="action-button"
-                                    disabled={partsData.length === 0}
-                                >
-                                    导出数据库
-                                </button>
-                                {isAdmin && (
-                                    <button
-                                        onClick={() => {
-                                            if (window.confirm('确定要清空所有数据吗？此操作不可撤销！')) {
-                                                if (isElectron) {
-                                                    window.electronAPI.saveData([]).then(success => {
-                                                        if (success) {
-                                                            setPartsData([]);
-                                                            setSelectedParts([]);
-                                                            alert('数据库已清空');
-                                                        } else {
-                                                            alert('清空数据库失败');
-                                                        }
-                                                    });
-                                                } else {
-                                                    localStorage.removeItem('shipPartsData');
-                                                    setPartsData([]);
-                                                    setSelectedParts([]);
-                                                    alert('数据库已清空');
-                                                }
-                                            }
-                                        }}
-                                        className="action-button danger-button"
-                                    >
-                                        清空数据库
-                                    </button>
-                                )}
-                                {selectedParts.length > 0 && (
-                                    <button
-                                        onClick={clearSelectedParts}
-                                        className="action-button danger-button"
-                                    >
-                                        清空已选配件
-                                    </button>
-                                )}
-                            </div>
-                        </div>
+            {view === 'backup' && can('backupRestore') && (
+                <div style={{
+                    width: '95%',
+                    margin: '0 auto',
+                    backgroundColor: themeStyles.container,
+                    color: themeStyles.text,
+                    padding: '15px',
+                    borderRadius: '4px',
+                    boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
+                }}>
+                    <div className="toolbar">
+                        <h3 style={{ margin: 0 }}>备份与恢复</h3>
+                        <button onClick={exportBackup} className="action-button primary-button">备份全部数据</button>
+                        <button onClick={() => document.getElementById('fileBackup').click()} className="action-button">从备份文件恢复</button>
+                        <button onClick={backToList} className="action-button">返回列表</button>
                     </div>
+                    <p style={{ fontSize: '13px', opacity: 0.8 }}>
+                        备份文件包含配件、价格历史、报价单、客户、船舶、部件结构、替代关系、匹配别名、设置、用户账户和审计日志（当前格式版本 {BACKUP_SCHEMA_VERSION}）。
+                        清空数据库、导入配件数据和恢复备份前会自动创建快照，保留最近 5 份。
+                    </p>
 
-                    {infoMessage && (
-                        <div style={{ 
-                            marginTop: 16, 
-                            padding: '10px', 
-                            backgroundColor: themeStyles.alertBackground,
-                            color: themeStyles.alertText,
+                    {backupPreview && (
+                        <div style={{
+                            marginBottom: '15px',
+                            padding: '10px',
+                            backgroundColor: themeStyles.background,
                             borderRadius: '4px',
-                            border: '1px solid',
-                            textAlign: 'center'
+                            border: `1px solid ${themeStyles.border}`
                         }}>
-                            <div>{infoMessage}</div>
-                            {loading && (
-                                <div style={{ marginTop: '10px' }}>
-                                    <div style={{ width: '100%', height: '10px', backgroundColor: themeStyles.background, borderRadius: '5px', overflow: 'hidden' }}>
-                                        <div 
-                                            style={{ 
-                                                width: `${(infoMessage && infoMessage.match(/\((\d+)%\)/)) ? infoMessage.match(/\((\d+)%\)/)[1] : 0}%`, 
-                                                height: '100%', 
-                                                backgroundColor: themeStyles.link,
-                                                transition: 'width 0.3s ease'
-                                            }}
-                                        />
-                                    </div>
-                                </div>
-                            )}
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                                <strong>恢复预览 - {backupPreview.source}</strong>
+                                <button onClick={() => setBackupPreview(null)} className="action-button">关闭</button>
+                            </div>
+                            <p style={{ fontSize: '13px', margin: '0 0 8px 0' }}>
+                                备份时间: {backupPreview.bundle.createdAt ? new Date(backupPreview.bundle.createdAt).toLocaleString('zh-CN') : '(未知)'}
+                                {backupPreview.bundle.createdBy && `　备份人: ${backupPreview.bundle.createdBy.name}`}
+                                {backupPreview.bundle.reason && `　${backupPreview.bundle.reason}`}
+                                {backupPreview.bundle.migratedFrom !== null && (
+                                    <span style={{ marginLeft: '8px', color: '#856404' }}>
+                                        已从格式版本 {backupPreview.bundle.migratedFrom} 转换为版本 {BACKUP_SCHEMA_VERSION}
+                                    </span>
+                                )}
+                            </p>
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>恢复</th>
+                                        <th>数据项</th>
+                                        <th>备份中</th>
+                                        <th>当前</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {summarizeBackup(backupPreview.bundle, collectBackupData()).map(item => (
+                                        <tr key={item.section}>
+                                            <td>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={Boolean(backupPreview.selected[item.section])}
+                                                    disabled={!item.inBackup}
+                                                    onChange={(e) => setBackupPreview({
+                                                        ...backupPreview,
+                                                        selected: { ...backupPreview.selected, [item.section]: e.target.checked }
+                                                    })}
+                                                />
+                                            </td>
+                                            <td>
+                                                {item.label}
+                                                {item.section === 'users' && <span style={{ fontSize: '12px', opacity: 0.7 }}>（会替换当前全部账户）</span>}
+                                                {item.section === 'auditLog' && <span style={{ fontSize: '12px', opacity: 0.7 }}>（合并，不删除现有记录）</span>}
+                                            </td>
+                                            <td>{!item.inBackup ? '无' : item.section === 'settings' ? '包含' : `${item.backupCount} 条`}</td>
+                                            <td>{item.section === 'settings' ? '' : `${item.currentCount} 条`}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <button onClick={restoreBackup} className="action-button danger-button" style={{ marginTop: '8px' }}>
+                                恢复选中的数据
+                            </button>
                         </div>
                     )}
+
+                    <h4>自动快照</h4>
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>时间</th>
+                                <th>原因</th>
+                                <th>操作人</th>
+                                <th>配件数</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {snapshots.map(snapshot => (
+                                <tr key={snapshot.id}>
+                                    <td>{new Date(snapshot.createdAt).toLocaleString('zh-CN')}</td>
+                                    <td>{snapshot.reason}</td>
+                                    <td>{snapshot.createdBy ? snapshot.createdBy.name : '未登录'}</td>
+                                    <td>{(snapshot.data.parts || []).length}</td>
+                                    <td>
+                                        <button
+                                            onClick={() => previewSnapshot(snapshot)}
+                                            className="action-button"
+                                            style={{ padding: '4px 8px' }}
+                                        >
+                                            预览恢复
+                                        </button>
+                                        <button
+                                            onClick={() => downloadBackup(snapshot)}
+                                            className="action-button"
+                                            style={{ padding: '4px 8px', marginLeft: '4px' }}
+                                        >
+                                            下载
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                            {snapshots.length === 0 && (
+                                <tr><td colSpan={5}>暂无快照</td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {view === 'auditLog' && can('viewAuditLog') && (
+                <div style={{
+                    width: '95%',
+                    margin: '0 auto',
+                    backgroundColor: themeStyles.container,
+                    color: themeStyles.text,
+                    padding: '15px',
+                    borderRadius: '4px',
+                    boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
+                }}>
+                    <div className="toolbar">
+                        <h3 style={{ margin: 0 }}>审计日志 ({filteredAuditLog.length}/{auditLog.length})</h3>
+                        <button onClick={exportAuditLog} className="action-button primary-button">导出Excel</button>
+                        <button onClick={backToList} className="action-button">返回列表</button>
+                    </div>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '10px', alignItems: 'center' }}>
+                        <select
+                            value={auditFilter.action}
+                            onChange={(e) => setAuditFilter({ ...auditFilter, action: e.target.value })}
+                            className="search-box"
+                            style={{ width: '160px' }}
+                        >
+                            <option value="all">全部操作</option>
+                            {Object.entries(AUDIT_ACTIONS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={auditFilter.username}
+                            onChange={(e) => setAuditFilter({ ...auditFilter, username: e.target.value })}
+                            className="search-box"
+                            style={{ width: '160px' }}
+                        >
+                            <option value="all">全部用户</option>
+                            {auditUsers.map(([username, name]) => (
+                                <option key={username} value={username}>{name} ({username})</option>
+                            ))}
+                        </select>
+                        <label>从
+                            <input
+                                type="date"
+                                value={auditFilter.from}
+                                onChange={(e) => setAuditFilter({ ...auditFilter, from: e.target.value })}
+                                className="search-box"
+                                style={{ width: '150px', marginLeft: '4px' }}
+                            />
+                        </label>
+                        <label>至
+                            <input
+                                type="date"
+                                value={auditFilter.to}
+                                onChange={(e) => setAuditFilter({ ...auditFilter, to: e.target.value })}
+                                className="search-box"
+                                style={{ width: '150px', marginLeft: '4px' }}
+                            />
+                        </label>
+                        <input
+                            type="text"
+                            value={auditFilter.search}
+                            onChange={(e) => setAuditFilter({ ...auditFilter, search: e.target.value })}
+                            placeholder="搜索说明、文件名或报价单号"
+                            className="search-box"
+                        />
+                    </div>
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>时间</th>
+                                <th>用户</th>
+                                <th>操作</th>
+                                <th>说明</th>
+                                <th>详情</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {filteredAuditLog.map(entry => (
+                                <tr key={entry.id}>
+                                    <td style={{ whiteSpace: 'nowrap' }}>{new Date(entry.at).toLocaleString()}</td>
+                                    <td>{entry.user ? entry.user.name : '未登录'}</td>
+                                    <td>{AUDIT_ACTIONS[entry.action] || entry.action}</td>
+                                    <td>{entry.summary}</td>
+                                    <td style={{ fontSize: '12px' }}>{formatAuditDetails(entry.details)}</td>
+                                </tr>
+                            ))}
+                            {filteredAuditLog.length === 0 && (
+                                <tr><td colSpan={5}>暂无记录</td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {view === 'partLinks' && can('managePricing') && (
+                <div style={{
+                    width: '95%',
+                    margin: '0 auto',
+                    backgroundColor: themeStyles.container,
+                    color: themeStyles.text,
+                    padding: '15px',
+                    borderRadius: '4px',
+                    boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
+                }}>
+                    <div className="toolbar">
+                        <h3 style={{ margin: 0 }}>替代关系与编号对照</h3>
+                        <button onClick={backToList} className="action-button">返回列表</button>
+                    </div>
+
+                    <h4>替代关系（旧图号 → 新图号）</h4>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '8px' }}>
+                        <input
+                            type="text"
+                            value={supersessionDraft.oldNo}
+                            onChange={(e) => setSupersessionDraft({ ...supersessionDraft, oldNo: e.target.value })}
+                            placeholder="旧图号，如 135-01-024"
+                            className="search-box"
+                        />
+                        <input
+                            type="text"
+                            value={supersessionDraft.newNo}
+                            onChange={(e) => setSupersessionDraft({ ...supersessionDraft, newNo: e.target.value })}
+                            placeholder="新图号，如 135-01-024B"
+                            className="search-box"
+                        />
+                        <input
+                            type="date"
+                            value={supersessionDraft.date}
+                            onChange={(e) => setSupersessionDraft({ ...supersessionDraft, date: e.target.value })}
+                            className="search-box"
+                            style={{ width: '150px' }}
+                        />
+                        <input
+                            type="text"
+                            value={supersessionDraft.reason}
+                            onChange={(e) => setSupersessionDraft({ ...supersessionDraft, reason: e.target.value })}
+                            placeholder="替代原因"
+                            className="search-box"
+                        />
+                        <button onClick={addSupersession} className="action-button primary-button">添加</button>
+                    </div>
+                    <table className="data-table" style={{ marginBottom: '20px' }}>
+                        <thead>
+                            <tr>
+                                <th>旧图号</th>
+                                <th>新图号</th>
+                                <th>最终图号</th>
+                                <th>日期</th>
+                                <th>原因</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {partLinks.supersessions.map((link, index) => {
+                                const latest = resolveSupersession(link.newNo, partLinkIndex).drawingNo;
+                                return (
+                                    <tr key={`${link.oldNo}-${index}`}>
+                                        <td>{link.oldNo}</td>
+                                        <td>
+                                            {link.newNo}
+                                            {!matchDrawingNo(link.newNo, partIndex) && (
+                                                <span style={{ marginLeft: '4px', fontSize: '11px', color: '#c62828' }}>未入库</span>
+                                            )}
+                                        </td>
+                                        <td>{latest !== link.newNo ? latest : ''}</td>
+                                        <td>{link.date}</td>
+                                        <td>{link.reason}</td>
+                                        <td>
+                                            <button onClick={() => removePartLink('supersessions', index)} className="action-button danger-button" style={{ padding: '4px 8px' }}>删除</button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+
+                    <h4>客户/OEM 编号对照</h4>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '8px' }}>
+                        <select
+                            value={crossReferenceDraft.type}
+                            onChange={(e) => setCrossReferenceDraft({ ...crossReferenceDraft, type: e.target.value })}
+                            className="search-box"
+                            style={{ width: '100px' }}
+                        >
+                            <option value="customer">客户编号</option>
+                            <option value="oem">OEM编号</option>
+                        </select>
+                        <input
+                            type="text"
+                            value={crossReferenceDraft.externalNo}
+                            onChange={(e) => setCrossReferenceDraft({ ...crossReferenceDraft, externalNo: e.target.value })}
+                            placeholder="客户/OEM 编号"
+                            className="search-box"
+                        />
+                        <input
+                            type="text"
+                            value={crossReferenceDraft.partNo}
+                            onChange={(e) => setCrossReferenceDraft({ ...crossReferenceDraft, partNo: e.target.value })}
+                            placeholder="本厂图号"
+                            className="search-box"
+                        />
+                        <input
+                            type="text"
+                            list="customer-directory-links"
+                            value={crossReferenceDraft.owner}
+                            onChange={(e) => setCrossReferenceDraft({ ...crossReferenceDraft, owner: e.target.value })}
+                            placeholder="所属客户/厂家"
+                            className="search-box"
+                        />
+                        <datalist id="customer-directory-links">
+                            {customers.map(customer => <option key={customer.id} value={customer.name} />)}
+                        </datalist>
+                        <button onClick={addCrossReference} className="action-button primary-button">添加</button>
+                    </div>
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>类型</th>
+                                <th>对照编号</th>
+                                <th>本厂图号</th>
+                                <th>所属客户/厂家</th>
+                                <th>操作</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {partLinks.crossReferences.map((ref, index) => (
+                                <tr key={`${ref.externalNo}-${index}`}>
+                                    <td>{ref.type === 'oem' ? 'OEM编号' : '客户编号'}</td>
+                                    <td>{ref.externalNo}</td>
+                                    <td>{ref.partNo}</td>
+                                    <td>{ref.owner}</td>
+                                    <td>
+                                        <button onClick={() => removePartLink('crossReferences', index)} className="action-button danger-button" style={{ padding: '4px 8px' }}>删除</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
                 </div>
             )}
 
+            {view === 'quotationCompare' && quotationComparison && (() => {
+                const { from, to, added, removed, changed } = quotationComparison;
+                const revisions = quotations
+                    .filter(q => q.number === to.number)
+                    .sort((a, b) => getQuotationRevision(a).localeCompare(getQuotationRevision(b)));
+                return (
+                    <div style={{
+                        width: '95%',
+                        margin: '0 auto',
+                        backgroundColor: themeStyles.container,
+                        color: themeStyles.text,
+                        padding: '15px',
+                        borderRadius: '4px',
+                        boxShadow: '0 1px 4px rgba(0,0,0,0.1)'
+                    }}>
+                        <h3 style={{ marginTop: 0 }}>报价单版本对比 - {to.number}</h3>
+                        <div className="toolbar">
+                            <div>
+                                {['fromId', 'toId'].map((key, index) => (
+                                    <span key={key}>
+                                        {index > 0 && <span style={{ margin: '0 10px' }}>→</span>}
+                                        <select
+                                            value={compareQuotationIds[key]}
+                                            onChange={(e) => setCompareQuotationIds({ ...compareQuotationIds, [key]: e.target.value })}
+                                            className="search-box"
+                                            style={{ width: '110px' }}
+                                        >
+                                            {revisions.map(q => (
+                                                <option key={q.id} value={q.id}>Rev {getQuotationRevision(q)}</option>
+                                            ))}
+                                        </select>
+                                    </span>
+                                ))}
+                            </div>
+                            <div>
+                                <button onClick={() => setView('quotationList')} className="action-button">返回报价单列表</button>
+                            </div>
+                        </div>
+
+                        <div className="quotation-stats" style={{ marginBottom: '10px' }}>
+                            <div className="stat-item">
+                                <strong>Rev {getQuotationRevision(from)} 总价: </strong>¥{formatTotalPrice(from.total)}
+                            </div>
+                            <div className="stat-item">
+                                <strong>Rev {getQuotationRevision(to)} 总价: </strong>¥{formatTotalPrice(to.total)}
+                            </div>
+                            <div className="stat-item">
+                                <strong>差额: </strong>
+                                <span style={{ color: to.total >= from.total ? '#c62828' : '#2e7d32' }}>
+                                    {to.total >= from.total ? '+' : '-'}¥{formatTotalPrice(Math.abs(to.total - from.total))}
+                                </span>
+                            </div>
+                            <div className="stat-item">
+                                新增 {added.length} 行，删除 {removed.length} 行，变更 {changed.length} 行
+                            </div>
+                        </div>
+
+                        {added.length + removed.length + changed.length === 0 ? (
+                            <div style={{ padding: '20px', textAlign: 'center', opacity: 0.7 }}>两个版本的报价明细相同</div>
+                        ) : (
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>变化</th>
+                                        <th>系统标识码</th>
+                                        <th>图号</th>
+                                        <th>名称</th>
+                                        <th>数量</th>
+                                        <th>单价</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {added.map(line => (
+                                        <tr key={`added-${line['标识码']}`} style={{ backgroundColor: '#e8f5e9', color: '#1b5e20' }}>
+                                            <td>新增</td>
+                                            <td>{line['标识码']}</td>
+                                            <td>{line['图号']}</td>
+                                            <td>{line['名称']}</td>
+                                            <td>{line.quantity || 1}</td>
+                                            <td>{formatPrice(getLineUnitPrice(line, to.priceOption, priceHistory, to.priceAsOfDate))}</td>
+                                        </tr>
+                                    ))}
+                                    {removed.map(line => (
+                                        <tr key={`removed-${line['标识码']}`} style={{ backgroundColor: '#ffebee', color: '#b71c1c', textDecoration: 'line-through' }}>
+                                            <td>删除</td>
+                                            <td>{line['标识码']}</td>
+                                            <td>{line['图号']}</td>
+                                            <td>{line['名称']}</td>
+                                            <td>{line.quantity || 1}</td>
+                                            <td>{formatPrice(getLineUnitPrice(line, from.priceOption, priceHistory, from.priceAsOfDate))}</td>
+                                        </tr>
+                                    ))}
+                                    {changed.map(({ line, fromQuantity, toQuantity, fromPrice, toPrice }) => (
+                                        <tr key={`changed-${line['标识码']}`} style={{ backgroundColor: '#fff8e1', color: '#6d4c00' }}>
+                                            <td>变更</td>
+                                            <td>{line['标识码']}</td>
+                                            <td>{line['图号']}</td>
+                                            <td>{line['名称']}</td>
+                                            <td>{fromQuantity === toQuantity ? toQuantity : `${fromQuantity} → ${toQuantity}`}</td>
+                                            <td>
+                                                {Math.abs(fromPrice - toPrice) > 0.005
+                                                    ? `${formatPrice(fromPrice)} → ${formatPrice(toPrice)}`
+                                                    : formatPrice(toPrice)}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+                );
+            })()}
+
             {view === 'quotation' && (
                 <div id="print-container" style={{
                     width: '95%',
@@ -2242,8 +7951,46 @@ export default function ImprovedPartsQuotationSystem() {
                     <div style={{ textAlign: 'center', marginBottom: '20px' }}>
                         <h2 style={{ margin: '0 0 5px 0' }}>船用配件报价单</h2>
                         <p style={{ margin: '0', color: themeStyles.text, opacity: '0.7' }}>
+                            {currentQuotation ? `报价单号: ${formatQuotationNumber(currentQuotation)}　` : ''}
+                            {currentQuotation && currentQuotation.createdBy ? `制单人: ${currentQuotation.createdBy.name}　` : ''}
                             {new Date().toLocaleDateString('zh-CN')}
                         </p>
+                        <div className="no-print" style={{ marginTop: '8px' }}>
+                            {currentQuotation ? (
+                                <>
+                                    <label style={{ marginRight: '8px' }}>状态:</label>
+                                    <select
+                                        value={currentQuotation.status}
+                                        onChange={(e) => updateQuotationStatus(currentQuotation.id, e.target.value)}
+                                        className="search-box"
+                                        style={{ width: '100px' }}
+                                    >
+                                        {Object.entries(QUOTATION_STATUSES).map(([value, label]) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <span style={{ marginLeft: '10px', fontSize: '12px', opacity: 0.7 }}>
+                                        最后保存: {new Date(currentQuotation.updatedAt).toLocaleString('zh-CN')}
+                                    </span>
+                                    {currentQuotationSuperseded && (
+                                        <span style={{ marginLeft: '10px', fontSize: '12px', color: '#c62828' }}>
+                                            已有后续修订版本，本版本只读
+                                        </span>
+                                    )}
+                                    {currentQuotation.parentId && (
+                                        <button
+                                            onClick={() => openQuotationComparison(currentQuotation)}
+                                            className="action-button"
+                                            style={{ marginLeft: '10px', padding: '4px 8px' }}
+                                        >
+                                            与上一版本对比
+                                        </button>
+                                    )}
+                                </>
+                            ) : (
+                                <span style={{ fontSize: '12px', opacity: 0.7 }}>未保存的报价单，保存或导出时生成报价单号</span>
+                            )}
+                        </div>
                     </div>
 
                     {/* 客户信息区域 */}
@@ -2256,11 +8003,19 @@ export default function ImprovedPartsQuotationSystem() {
                     }}>
                         <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '10px' }}>
                             <div style={{ flex: '1', minWidth: '250px' }}>
-                                <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>客户名称:</label>
+                                <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+                                    客户名称:
+                                    {customerInfo.customerId && (
+                                        <span className="no-print" style={{ marginLeft: '8px', fontWeight: 'normal', fontSize: '12px', color: '#2e7d32' }}>
+                                            ✓ 客户目录 {customerInfo.customerId}
+                                        </span>
+                                    )}
+                                </label>
                                 <input
                                     type="text"
+                                    list="customer-directory"
                                     value={customerInfo.name}
-                                    onChange={(e) => setCustomerInfo({...customerInfo, name: e.target.value})}
+                                    onChange={(e) => handleCustomerNameChange(e.target.value)}
                                     style={{
                                         width: '100%',
                                         padding: '8px',
@@ -2269,9 +8024,14 @@ export default function ImprovedPartsQuotationSystem() {
                                         border: `1px solid ${themeStyles.inputBorder}`,
                                         borderRadius: '4px'
                                     }}
-                                    placeholder="请输入客户名称"
+                                    placeholder="输入客户名称，可从客户目录中选择"
                                     className="no-print-border"
                                 />
+                                <datalist id="customer-directory">
+                                    {customers.map(customer => (
+                                        <option key={customer.id} value={customer.name}>{customer.id}</option>
+                                    ))}
+                                </datalist>
                             </div>
                             <div style={{ flex: '1', minWidth: '250px' }}>
                                 <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>联系方式:</label>
@@ -2290,6 +8050,26 @@ export default function ImprovedPartsQuotationSystem() {
                                     placeholder="请输入联系方式"
                                     className="no-print-border"
                                 />
+                                {(() => {
+                                    const customer = customers.find(c => c.id === customerInfo.customerId);
+                                    if (!customer || customer.contacts.length < 2) return null;
+                                    return (
+                                        <select
+                                            value=""
+                                            onChange={(e) => e.target.value !== '' && setCustomerInfo({
+                                                ...customerInfo,
+                                                contact: formatCustomerContact(customer.contacts[e.target.value])
+                                            })}
+                                            className="no-print"
+                                            style={{ marginTop: '4px', fontSize: '12px' }}
+                                        >
+                                            <option value="">选择其他联系人...</option>
+                                            {customer.contacts.map((contact, index) => (
+                                                <option key={index} value={index}>{formatCustomerContact(contact)}</option>
+                                            ))}
+                                        </select>
+                                    );
+                                })()}
                             </div>
                         </div>
                         <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
@@ -2311,11 +8091,23 @@ export default function ImprovedPartsQuotationSystem() {
                                 />
                             </div>
                             <div style={{ flex: '1', minWidth: '200px' }}>
-                                <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>船舶:</label>
+                                <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+                                    船舶:
+                                    {customerInfo.vesselId && (() => {
+                                        const vessel = vessels.find(v => v.id === customerInfo.vesselId);
+                                        return vessel && (
+                                            <span style={{ marginLeft: '8px', fontWeight: 'normal', fontSize: '12px' }}>
+                                                {vessel.imo && `IMO ${vessel.imo}　`}
+                                                {vessel.equipment.map(item => item.serialNo ? `${item.model}(${item.serialNo})` : item.model).join('、')}
+                                            </span>
+                                        );
+                                    })()}
+                                </label>
                                 <input
                                     type="text"
+                                    list="vessel-registry"
                                     value={customerInfo.vessel}
-                                    onChange={(e) => setCustomerInfo({...customerInfo, vessel: e.target.value})}
+                                    onChange={(e) => handleVesselNameChange(e.target.value)}
                                     style={{
                                         width: '100%',
                                         padding: '8px',
@@ -2324,9 +8116,14 @@ export default function ImprovedPartsQuotationSystem() {
                                         border: `1px solid ${themeStyles.inputBorder}`,
                                         borderRadius: '4px'
                                     }}
-                                    placeholder="请输入船舶名称"
+                                    placeholder="输入船名，可从船舶登记中选择"
                                     className="no-print-border"
                                 />
+                                <datalist id="vessel-registry">
+                                    {vessels.map(vessel => (
+                                        <option key={vessel.id} value={vessel.name}>{vessel.imo ? `IMO ${vessel.imo}` : vessel.id}</option>
+                                    ))}
+                                </datalist>
                             </div>
                             <div style={{ flex: '1', minWidth: '200px' }}>
                                 <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>项目:</label>
@@ -2347,6 +8144,33 @@ export default function ImprovedPartsQuotationSystem() {
                                 />
                             </div>
                         </div>
+                        {(customerInfo.customerId || customerInfo.address || customerInfo.taxId || customerInfo.paymentTerms) && (
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginTop: '10px' }}>
+                                {[
+                                    ['address', '地址', '2'],
+                                    ['taxId', '税号', '1'],
+                                    ['paymentTerms', '付款条件', '1']
+                                ].map(([field, label, flex]) => (
+                                    <div key={field} style={{ flex, minWidth: '200px' }}>
+                                        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>{label}:</label>
+                                        <input
+                                            type="text"
+                                            value={customerInfo[field] || ''}
+                                            onChange={(e) => setCustomerInfo({ ...customerInfo, [field]: e.target.value })}
+                                            style={{
+                                                width: '100%',
+                                                padding: '8px',
+                                                backgroundColor: themeStyles.inputBackground,
+                                                color: themeStyles.inputText,
+                                                border: `1px solid ${themeStyles.inputBorder}`,
+                                                borderRadius: '4px'
+                                            }}
+                                            className="no-print-border"
+                                        />
+                                    </div>
+                                ))}
+                            </div>
+                        )}
                     </div>
 
                     {/* 价格选项和统计信息 */}
@@ -2373,6 +8197,38 @@ export default function ImprovedPartsQuotationSystem() {
                                     <option value="出厂价（含税）">出厂价（含税）</option>
                                     <option value="服务价（含税）">服务价（含税）</option>
                                 </select>
+                                <label style={{ fontWeight: 'bold', margin: '0 10px 0 20px' }}>价格基准日期: </label>
+                                <input
+                                    type="date"
+                                    value={priceAsOfDate}
+                                    onChange={(e) => setPriceAsOfDate(e.target.value)}
+                                    title="按该日期有效的价格报价，留空则使用当前价格"
+                                    style={{
+                                        backgroundColor: themeStyles.inputBackground,
+                                        color: themeStyles.inputText,
+                                        border: `1px solid ${themeStyles.inputBorder}`,
+                                        padding: '5px 8px',
+                                        borderRadius: '4px'
+                                    }}
+                                />
+                                {priceAsOfDate ? (
+                                    <button
+                                        onClick={() => setPriceAsOfDate('')}
+                                        className="action-button no-print"
+                                        style={{ marginLeft: '8px' }}
+                                    >
+                                        使用当前价格
+                                    </button>
+                                ) : (
+                                    <button
+                                        onClick={() => setPriceAsOfDate(customerInfo.date)}
+                                        className="action-button no-print"
+                                        style={{ marginLeft: '8px' }}
+                                        disabled={!customerInfo.date}
+                                    >
+                                        按报价日期
+                                    </button>
+                                )}
                             </div>
                             <div className="no-print">
                                 <button 
@@ -2383,24 +8239,22 @@ export default function ImprovedPartsQuotationSystem() {
                                 >
                                     应用批量折扣
                                 </button>
-                                {selectedParts.some(p => 
-                                    p.matchType === 'fuzzy' || 
-                                    p.matchType === 'caseInsensitive' || 
-                                    p.matchType === 'noSpace'
-                                ) && !selectedParts.every(p => p.humanReviewed) && (
+                                {can('editParts') && statistics.newPartCount > 0 && (
+                                    <button
+                                        onClick={promoteDraft ? () => setPromoteDraft(null) : openPromoteNewLines}
+                                        className="action-button"
+                                        style={{ marginRight: '8px' }}
+                                    >
+                                        新配件入库 ({statistics.newPartCount})
+                                    </button>
+                                )}
+                                {pendingReviewCount > 0 && (
                                     <button 
                                         className="action-button"
                                         style={{backgroundColor: '#ff9800', color: 'white'}}
-                                        onClick={() => {
-                                            // 标记所有配件为已人工审核
-                                            setSelectedParts(selectedParts.map(part => ({
-                                                ...part,
-                                                humanReviewed: true
-                                            })));
-                                            alert('已将所有模糊匹配项标记为人工审核通过');
-                                        }}
+                                        onClick={openMatchReview}
                                     >
-                                        确认人工审核
+                                        逐项审核 ({pendingReviewCount} 待处理)
                                     </button>
                                 )}
                             </div>
@@ -2412,6 +8266,16 @@ export default function ImprovedPartsQuotationSystem() {
                                     ¥{formatTotalPrice(statistics.totalPrice)}
                                 </span>
                             </div>
+                            {(() => {
+                                const taxTotals = splitTaxTotals(statistics.totalPrice, priceOption, quotationTaxRate);
+                                return (
+                                    <div className="stat-item">
+                                        <strong>不含税: </strong>¥{formatTotalPrice(taxTotals.net)}
+                                        <strong style={{ marginLeft: '10px' }}>税额({(quotationTaxRate * 100).toFixed(2)}%): </strong>¥{formatTotalPrice(taxTotals.tax)}
+                                        <strong style={{ marginLeft: '10px' }}>含税: </strong>¥{formatTotalPrice(taxTotals.gross)}
+                                    </div>
+                                );
+                            })()}
                             <div className="stat-item">
                                 <strong>配件总数: </strong>
                                 <span>{selectedParts.length}</span>
@@ -2441,6 +8305,93 @@ export default function ImprovedPartsQuotationSystem() {
                         </div>
                     </div>
 
+                    {/* 新配件入库 */}
+                    {promoteDraft && can('editParts') && (
+                        <div className="no-print" style={{
+                            marginTop: '10px',
+                            padding: '10px',
+                            backgroundColor: themeStyles.background,
+                            borderRadius: '4px',
+                            border: `1px solid ${themeStyles.border}`
+                        }}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                                <strong>新配件入库</strong>
+                                <button onClick={() => setPromoteDraft(null)} className="action-button">关闭</button>
+                            </div>
+                            <p style={{ fontSize: '13px', opacity: 0.8, margin: '0 0 8px 0' }}>
+                                选中的新配件将以下一个标识码加入数据库，报价行的单价写入「{priceOption}」并按当前税率补全含税/不含税价。
+                                {promoteDraft.applyRules && '价格规则按基准价（如指导价（不含税））计算，新配件没有基准价时以报价行单价按税率换算后作为基准价。'}
+                            </p>
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>入库</th>
+                                        <th>图号</th>
+                                        <th>名称</th>
+                                        <th>备注</th>
+                                        <th>单价(元)</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {selectedParts.filter(line => line.isNew).map((line, index) => (
+                                        <tr key={`${line['标识码']}-${index}`}>
+                                            <td>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={Boolean(promoteDraft.selected[line['标识码']])}
+                                                    onChange={(e) => setPromoteDraft({
+                                                        ...promoteDraft,
+                                                        selected: { ...promoteDraft.selected, [line['标识码']]: e.target.checked }
+                                                    })}
+                                                />
+                                            </td>
+                                            <td>{line['图号']}</td>
+                                            <td>
+                                                <input
+                                                    type="text"
+                                                    value={promoteDraft.names[line['标识码']] || ''}
+                                                    onChange={(e) => setPromoteDraft({
+                                                        ...promoteDraft,
+                                                        names: { ...promoteDraft.names, [line['标识码']]: e.target.value }
+                                                    })}
+                                                    placeholder="请输入配件名称"
+                                                    className="search-box"
+                                                />
+                                            </td>
+                                            <td>
+                                                <input
+                                                    type="text"
+                                                    value={promoteDraft.remarks[line['标识码']] || ''}
+                                                    onChange={(e) => setPromoteDraft({
+                                                        ...promoteDraft,
+                                                        remarks: { ...promoteDraft.remarks, [line['标识码']]: e.target.value }
+                                                    })}
+                                                    placeholder="可选"
+                                                    className="search-box"
+                                                />
+                                            </td>
+                                            <td>{formatPrice(getUnitPrice(line))}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <div style={{ marginTop: '8px', display: 'flex', gap: '12px', alignItems: 'center' }}>
+                                <label>
+                                    <input
+                                        type="checkbox"
+                                        checked={promoteDraft.applyRules}
+                                        onChange={(e) => setPromoteDraft({ ...promoteDraft, applyRules: e.target.checked })}
+                                        disabled={pricingRules.length === 0}
+                                    />
+                                    按价格规则计算其余价格
+                                </label>
+                                <button onClick={promoteNewLines} className="action-button primary-button">
+                                    加入数据库 ({selectedParts.filter(line => line.isNew && promoteDraft.selected[line['标识码']]).length})
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
                     {/* 配件表格 */}
                     <table className="data-table" style={{ marginTop: '20px' }}>
                         <thead>
@@ -2457,95 +8408,152 @@ export default function ImprovedPartsQuotationSystem() {
                         </thead>
                         <tbody>
                             {selectedParts.map((part, index) => {
-                                const unitPrice = part.importedPrice || part[priceOption] || 0;
+                                const unitPrice = getUnitPrice(part);
                                 const lineTotal = unitPrice * (part.quantity || 1);
+                                const showGroupRow = part.group && (index === 0 || selectedParts[index - 1].group !== part.group);
                                 return (
-                                    <tr key={part['标识码'] + '-' + index}>
-                                        <td>{index + 1}</td>
-                                        <td title={part.importedId && part.importedId !== part['图号'] ? `客户标识: ${part.importedId}` : null}>
-                                            {part['图号']}
-                                            {part.importedId && part.importedId !== part['图号'] && (
-                                                <div style={{ fontSize: '12px', color: themeStyles.text, opacity: '0.7' }}>
-                                                    ({part.importedId})
-                                                </div>
-                                            )}
-                                            {part.matchType && part.matchType !== 'exact' && !part.humanReviewed && (
-                                                <div style={{
-                                                    fontSize: '11px',
-                                                    padding: '2px 4px',
-                                                    marginTop: '2px',
-                                                    backgroundColor: '#fff3cd',
-                                                    color: '#856404',
-                                                    borderRadius: '3px',
-                                                    display: 'inline-block'
-                                                }}>
-                                                    模糊匹配
-                                                </div>
-                                            )}
-                                            {part.matchType && part.matchType !== 'exact' && part.humanReviewed && (
-                                                <div style={{
-                                                    fontSize: '11px',
-                                                    padding: '2px 4px',
-                                                    marginTop: '2px',
-                                                    backgroundColor: '#d4edda',
-                                                    color: '#155724',
-                                                    borderRadius: '3px',
-                                                    display: 'inline-block'
-                                                }}>
-                                                    已审核
-                                                </div>
-                                            )}
-                                        </td>
-                                        <td>{part['名称']}</td>
-                                        <td>
-                                            <input
-                                                type="number"
-                                                value={unitPrice}
-                                                onChange={(e) => updatePartCustomPrice(part['标识码'], e.target.value)}
-                                                style={{
-                                                    width: '100px',
-                                                    backgroundColor: themeStyles.inputBackground,
-                                                    color: themeStyles.inputText,
-                                                    border: `1px solid ${themeStyles.inputBorder}`,
-                                                    padding: '4px',
-                                                    borderRadius: '4px'
-                                                }}
-                                                className="no-print-border"
-                                            />
-                                        </td>
-                                        <td>
-                                            <input
-                                                type="number"
-                                                value={part.quantity}
-                                                onChange={(e) => updatePartQuantity(part['标识码'], e.target.value)}
-                                                style={{
-                                                    width: '60px',
-                                                    backgroundColor: themeStyles.inputBackground,
-                                                    color: themeStyles.inputText,
-                                                    border: `1px solid ${themeStyles.inputBorder}`,
-                                                    padding: '4px',
-                                                    borderRadius: '4px'
-                                                }}
-                                                min="1"
-                                                className="no-print-border"
-                                            />
-                                        </td>
-                                        <td style={{ fontWeight: 'bold' }}>
-                                            {formatTotalPrice(lineTotal)}
-                                        </td>
-                                        <td title={part.importedRemark || part['备注']} style={{ maxWidth: '150px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
-                                            {part.importedRemark || part['备注'] || ''}
-                                        </td>
-                                        <td className="no-print">
-                                            <button
-                                                onClick={() => removeSelectedPart(part['标识码'])}
-                                                className="action-button danger-button"
-                                                style={{ padding: '4px 8px', margin: '0' }}
-                                            >
-                                                删除
-                                            </button>
-                                        </td>
-                                    </tr>
+                                    <React.Fragment key={part['标识码'] + '-' + index}>
+                                        {showGroupRow && (
+                                            <tr style={{ backgroundColor: themeStyles.header }}>
+                                                <td colSpan={8} style={{ fontWeight: 'bold' }}>{part.group}</td>
+                                            </tr>
+                                        )}
+                                        <tr>
+                                            <td>{index + 1}</td>
+                                            <td title={part.importedId && part.importedId !== part['图号'] ? `客户标识: ${part.importedId}` : null}>
+                                                {part['图号']}
+                                                {part.importedId && part.importedId !== part['图号'] && (
+                                                    <div style={{ fontSize: '12px', color: themeStyles.text, opacity: '0.7' }}>
+                                                        ({part.importedId})
+                                                    </div>
+                                                )}
+                                                {part.supersession && (
+                                                    <div
+                                                        title={part.supersession.chain.map(link => `${link.oldNo} → ${link.newNo} ${link.date} ${link.reason}`).join('\n')}
+                                                        style={{
+                                                            fontSize: '11px',
+                                                            padding: '2px 4px',
+                                                            marginTop: '2px',
+                                                            backgroundColor: '#e3f2fd',
+                                                            color: '#0d47a1',
+                                                            borderRadius: '3px',
+                                                            display: 'inline-block'
+                                                        }}
+                                                    >
+                                                        {part.supersession.pending
+                                                            ? `已被 ${part.supersession.to} 替代（新图号未入库）`
+                                                            : `原图号 ${part.supersession.from} 已被 ${part.supersession.to} 替代`}
+                                                    </div>
+                                                )}
+                                                {part.crossReference && (
+                                                    <div style={{ fontSize: '11px', opacity: 0.7 }}>
+                                                        {part.crossReference.type === 'oem' ? 'OEM' : '客户'}编号对照 {part.crossReference.owner}
+                                                    </div>
+                                                )}
+                                                {part.matchType === 'alias' && (
+                                                    <div style={{ fontSize: '11px', opacity: 0.7 }}>已学习别名</div>
+                                                )}
+                                                {part.matchType && !['exact', 'superseded', 'crossReference', 'alias'].includes(part.matchType) && !part.humanReviewed && (
+                                                    <div style={{
+                                                        fontSize: '11px',
+                                                        padding: '2px 4px',
+                                                        marginTop: '2px',
+                                                        backgroundColor: '#fff3cd',
+                                                        color: '#856404',
+                                                        borderRadius: '3px',
+                                                        display: 'inline-block'
+                                                    }}>
+                                                        模糊匹配
+                                                    </div>
+                                                )}
+                                                {part.matchType && part.matchType !== 'exact' && part.humanReviewed && (
+                                                    <div style={{
+                                                        fontSize: '11px',
+                                                        padding: '2px 4px',
+                                                        marginTop: '2px',
+                                                        backgroundColor: '#d4edda',
+                                                        color: '#155724',
+                                                        borderRadius: '3px',
+                                                        display: 'inline-block'
+                                                    }}>
+                                                        已审核
+                                                    </div>
+                                                )}
+                                                {part.confidence !== undefined && part.confidence < 1 && (
+                                                    <div
+                                                        title={part.matchReason}
+                                                        style={{ fontSize: '11px', color: part.confidence >= AUTO_MATCH_SCORE ? '#856404' : '#721c24' }}
+                                                    >
+                                                        置信度 {Math.round(part.confidence * 100)}%{part.matchReason ? `（${part.matchReason}）` : ''}
+                                                    </div>
+                                                )}
+                                                {part.candidates && part.candidates.some(c => c.id !== part['标识码']) && (
+                                                    <select
+                                                        value=""
+                                                        onChange={(e) => e.target.value && chooseMatchCandidate(index, e.target.value)}
+                                                        className="no-print"
+                                                        style={{ marginTop: '2px', fontSize: '11px', maxWidth: '220px' }}
+                                                    >
+                                                        <option value="">改选候选配件...</option>
+                                                        {part.candidates.filter(c => c.id !== part['标识码']).map(c => (
+                                                            <option key={c.id} value={c.id}>
+                                                                {c.drawingNo} {c.name}（{Math.round(c.score * 100)}% {c.reason}）
+                                                            </option>
+                                                        ))}
+                                                    </select>
+                                                )}
+                                            </td>
+                                            <td>{part['名称']}</td>
+                                            <td>
+                                                <input
+                                                    type="number"
+                                                    value={unitPrice}
+                                                    onChange={(e) => updatePartCustomPrice(part['标识码'], e.target.value)}
+                                                    style={{
+                                                        width: '100px',
+                                                        backgroundColor: themeStyles.inputBackground,
+                                                        color: themeStyles.inputText,
+                                                        border: `1px solid ${themeStyles.inputBorder}`,
+                                                        padding: '4px',
+                                                        borderRadius: '4px'
+                                                    }}
+                                                    className="no-print-border"
+                                                />
+                                            </td>
+                                            <td>
+                                                <input
+                                                    type="number"
+                                                    value={part.quantity}
+                                                    onChange={(e) => updatePartQuantity(part['标识码'], e.target.value)}
+                                                    style={{
+                                                        width: '60px',
+                                                        backgroundColor: themeStyles.inputBackground,
+                                                        color: themeStyles.inputText,
+                                                        border: `1px solid ${themeStyles.inputBorder}`,
+                                                        padding: '4px',
+                                                        borderRadius: '4px'
+                                                    }}
+                                                    min="1"
+                                                    className="no-print-border"
+                                                />
+                                            </td>
+                                            <td style={{ fontWeight: 'bold' }}>
+                                                {formatTotalPrice(lineTotal)}
+                                            </td>
+                                            <td title={part.importedRemark || part['备注']} style={{ maxWidth: '150px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                                {part.importedRemark || part['备注'] || ''}
+                                            </td>
+                                            <td className="no-print">
+                                                <button
+                                                    onClick={() => removeSelectedPart(part['标识码'])}
+                                                    className="action-button danger-button"
+                                                    style={{ padding: '4px 8px', margin: '0' }}
+                                                >
+                                                    删除
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    </React.Fragment>
                                 );
                             })}
                             <tr style={{ fontWeight: 'bold', backgroundColor: themeStyles.header }}>
@@ -2572,10 +8580,27 @@ export default function ImprovedPartsQuotationSystem() {
                     </div>
 
                     <div style={{ marginTop: '30px', textAlign: 'center' }} className="no-print">
+                        <button
+                            onClick={() => saveQuotation()}
+                            className="action-button primary-button"
+                            style={{ marginRight: '10px' }}
+                        >
+                            保存报价单
+                        </button>
+                        <button
+                            onClick={createQuotationRevision}
+                            className="action-button"
+                            style={{ marginRight: '10px' }}
+                            disabled={!currentQuotation}
+                        >
+                            创建修订版本
+                        </button>
                         <button
                             onClick={exportQuotationCSV}
                             className="action-button"
                             style={{ marginRight: '10px' }}
+                            disabled={pendingReviewCount > 0}
+                            title={pendingReviewCount > 0 ? '请先完成逐项审核' : undefined}
                         >
                             导出CSV
                         </button>
@@ -2583,6 +8608,8 @@ export default function ImprovedPartsQuotationSystem() {
                             onClick={exportQuotationExcel}
                             className="action-button"
                             style={{ marginRight: '10px' }}
+                            disabled={pendingReviewCount > 0}
+                            title={pendingReviewCount > 0 ? '请先完成逐项审核' : undefined}
                         >
                             导出Excel
                         </button>
@@ -2590,6 +8617,8 @@ export default function ImprovedPartsQuotationSystem() {
                             onClick={handlePrint}
                             className="action-button primary-button"
                             style={{ marginRight: '10px' }}
+                            disabled={pendingReviewCount > 0}
+                            title={pendingReviewCount > 0 ? '请先完成逐项审核' : undefined}
                         >
                             打印报价单
                         </button>
@@ -2624,5 +8653,35 @@ export default function ImprovedPartsQuotationSystem() {
         </div>
     );
 }
-	
-	
\ No newline at end of file
+
+// 表格读取、配件单格式识别与解析、导入、配件维护、价格历史、税额、价格规则、替代关系、匹配审核、报价单编号与审计日志的纯函数，供单元测试使用
+export {
+    readSheetRowsWithMerges,
+    getHeaderSignature,
+    guessHeaderRowIndex,
+    guessColumnMapping,
+    mappingFromTemplate,
+    mappingToTemplate,
+    buildImportRecords,
+    diffImportRecords,
+    nextPartId,
+    validatePartDraft,
+    nextQuotationNumber,
+    mergeQuotationCounters,
+    isQuotationEdited,
+    appendPriceHistory,
+    getPricesAsOf,
+    deriveTaxPrices,
+    checkTaxConsistency,
+    splitTaxTotals,
+    mergeAuditEntries,
+    detectSupplierFormat,
+    getSupplierFormat,
+    extractAdvancePartsList,
+    extractXiamenPartsList,
+    evaluatePricingRules,
+    validateSupersession,
+    lineNeedsReview,
+    getMatchTypeLabel,
+    buildPromotedPartDraft
+};
@@ -0,0 +1,711 @@
+import * as XLSX from 'xlsx';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ImprovedPartsQuotationSystem, {
+    readSheetRowsWithMerges,
+    getHeaderSignature,
+    guessHeaderRowIndex,
+    guessColumnMapping,
+    mappingFromTemplate,
+    mappingToTemplate,
+    buildImportRecords,
+    diffImportRecords,
+    nextPartId,
+    validatePartDraft,
+    nextQuotationNumber,
+    mergeQuotationCounters,
+    isQuotationEdited,
+    appendPriceHistory,
+    getPricesAsOf,
+    deriveTaxPrices,
+    checkTaxConsistency,
+    splitTaxTotals,
+    mergeAuditEntries,
+    detectSupplierFormat,
+    getSupplierFormat,
+    extractAdvancePartsList,
+    extractXiamenPartsList,
+    evaluatePricingRules,
+    validateSupersession,
+    lineNeedsReview,
+    getMatchTypeLabel,
+    buildPromotedPartDraft
+} from './ImprovedPartsQuotationSystem';
+import { buildPartLinkIndex } from './partMatcher';
+
+// 只映射 图号、名称、指导价（不含税） 三列，没有标识码列
+const mapping = { '图号': 0, '名称': 1, '指导价（不含税）': 2 };
+
+function importRows(rows, partsData, isUpsert) {
+    const usedIds = new Set(partsData.map(part => part['标识码']));
+    return buildImportRecords(rows, mapping, isUpsert ? new Set() : usedIds, 2, usedIds);
+}
+
+describe('合并单元格', () => {
+    function sheetWithMerges(rows, merges) {
+        const sheet = XLSX.utils.aoa_to_sheet(rows);
+        sheet['!merges'] = merges.map(ref => XLSX.utils.decode_range(ref));
+        return sheet;
+    }
+
+    test('表头区域的合并单元格填充到整个区域', () => {
+        const sheet = sheetWithMerges([['订货单', '', ''], ['件号', '件名', '数量'], ['', '', '']], ['A1:C1', 'A2:A3']);
+        const rows = readSheetRowsWithMerges(sheet, 2);
+        expect(rows[0]).toEqual(['订货单', '订货单', '订货单']);
+        expect(rows[2][0]).toBe('件号');
+    });
+
+    test('数据区纵向合并的件号和数量不复制到下面的行', () => {
+        const sheet = sheetWithMerges(
+            [['件号', '件名', '数量'], ['6317N', '轴承', '2'], ['', '轴承座', ''], ['NJ313', '轴承', '1']],
+            ['A2:A3', 'C2:C3']
+        );
+        const rows = readSheetRowsWithMerges(sheet, 1);
+        expect(rows[1]).toEqual(['6317N', '轴承', '2']);
+        expect(rows[2]).toEqual(['', '轴承座', '']);
+    });
+
+    test('数据区横向合并的分组标题不填充到件号列', () => {
+        const sheet = sheetWithMerges([['件号', '件名', '数量'], ['', '主机配件', ''], ['6317N', '轴承', '2']], ['B2:C2']);
+        expect(readSheetRowsWithMerges(sheet, 1)[1]).toEqual(['', '主机配件', '']);
+    });
+});
+
+describe('配件单格式识别', () => {
+    function workbookOf(rows) {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+        return workbook;
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('按表头和标题关键字识别 ADVANCE 配件清单', () => {
+        const [best] = detectSupplierFormat(workbookOf([
+            ['ADVANCE GEARBOX SPARE PARTS LIST'],
+            ['Item', 'Part No.', 'Description', 'Qty', 'Unit'],
+            ['1', '135-01-003A', 'INPUT SHAFT', '2', 'PCS']
+        ]));
+        expect(best.format.id).toBe('advance');
+        expect(best.confidence).toBe(1);
+    });
+
+    test('按中文表头识别厦门斯太琪订货单', () => {
+        const [best] = detectSupplierFormat(workbookOf([
+            ['厦门斯太琪 订货单'],
+            ['序号', '件号', '件名', '数量', '单位'],
+            ['1', 'HC400-01-000', '输入轴', '1', '件']
+        ]));
+        expect(best.format.id).toBe('xiamen');
+    });
+
+    test('没有已知表头时以通用格式兜底', () => {
+        const [best] = detectSupplierFormat(workbookOf([['客户订单'], ['6317N', '4']]));
+        expect(best.format.id).toBe('generic');
+        expect(best.format.fallback).toBe(true);
+    });
+
+    test('解析时按格式的 columns 查找表头', async () => {
+        const workbook = workbookOf([['Article', 'Menge'], ['6317N', '4']]);
+        const advance = getSupplierFormat('advance');
+        await expect(advance.parse(workbook, advance.columns)).rejects.toThrow('未找到 ADVANCE 配件清单表头');
+        const { parts } = await advance.parse(workbook, { partNo: ['article'], qty: ['menge'] });
+        expect(parts).toHaveLength(1);
+        expect(parts[0]).toMatchObject({ '图号': '6317N', '数量': 4 });
+    });
+
+    test('ADVANCE 配件清单也接受中文表头', async () => {
+        const advance = getSupplierFormat('advance');
+        const { parts } = await advance.parse(workbookOf([['图号', '名称', '数量'], ['6317N', '轴承', '4']]), advance.columns);
+        expect(parts[0]).toMatchObject({ '图号': '6317N', '名称': '轴承', '数量': 4 });
+    });
+});
+
+describe('供应商配件单解析', () => {
+    function sheetOf(rows, merges = []) {
+        const workbook = XLSX.utils.book_new();
+        const sheet = XLSX.utils.aoa_to_sheet(rows);
+        sheet['!merges'] = merges.map(ref => XLSX.utils.decode_range(ref));
+        XLSX.utils.book_append_sheet(workbook, sheet, 'Sheet1');
+        return workbook;
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('ADVANCE：按分组标题记录分组，跳过重复表头', async () => {
+        const { parts, unparsedRows } = await extractAdvancePartsList(sheetOf([
+            ['Item', 'Part No.', 'Description', 'Qty', 'Unit'],
+            ['INPUT SHAFT ASSEMBLY'],
+            ['1', '135-01-003A', 'INPUT SHAFT', '2', 'PCS'],
+            ['Item', 'Part No.', 'Description', 'Qty', 'Unit'],
+            ['OUTPUT SHAFT ASSEMBLY'],
+            ['2', '6317N', 'BEARING', '', 'PCS']
+        ]));
+        expect(unparsedRows).toEqual([]);
+        expect(parts).toHaveLength(2);
+        expect(parts[0]).toMatchObject({ '图号': '135-01-003A', '名称': 'INPUT SHAFT', '数量': 2, '分组': 'INPUT SHAFT ASSEMBLY' });
+        expect(parts[0]['备注']).toBe('ADVANCE Sheet1 第3行; Item 1; 单位:PCS');
+        expect(parts[1]).toMatchObject({ '图号': '6317N', '数量': 1, '分组': 'OUTPUT SHAFT ASSEMBLY' });
+        expect(parts[1]['备注']).toContain('未填数量，默认为1');
+    });
+
+    test('ADVANCE：同一件号出现在多个分组时合并为一行并累加数量', async () => {
+        const { parts } = await extractAdvancePartsList(sheetOf([
+            ['Item', 'Part No.', 'Description', 'Qty'],
+            ['INPUT SHAFT ASSEMBLY'],
+            ['1', '6317N', 'BEARING', '2'],
+            ['OUTPUT SHAFT ASSEMBLY'],
+            ['5', '6317 N', 'BEARING', '3']
+        ]));
+        expect(parts).toHaveLength(1);
+        expect(parts[0]).toMatchObject({ '图号': '6317N', '数量': 5, '分组': 'INPUT SHAFT ASSEMBLY' });
+        expect(parts[0]['备注']).toBe('ADVANCE Sheet1 第3行; Item 1; 另见ADVANCE Sheet1 第5行（分组 OUTPUT SHAFT ASSEMBLY），数量3');
+    });
+
+    test('ADVANCE：缺少件号或数量无法识别的行列为无法识别', async () => {
+        const { parts, unparsedRows } = await extractAdvancePartsList(sheetOf([
+            ['Part No.', 'Description', 'Qty'],
+            ['', 'SEAL', '2'],
+            ['6317N', 'BEARING', 'two']
+        ]));
+        expect(parts).toEqual([]);
+        expect(unparsedRows.map(row => [row.rowNumber, row.reason])).toEqual([
+            [2, '缺少件号'],
+            [3, '数量无法识别: two']
+        ]);
+    });
+
+    test('厦门斯太琪：双行合并表头，跳过合计行，重复件号合并数量', async () => {
+        const { parts, unparsedRows } = await extractXiamenPartsList(sheetOf([
+            ['厦门斯太琪 订货单'],
+            ['序号', '件号', '件名', '数量', '单位', '备注'],
+            ['', '', '', '', '', ''],
+            ['1', 'HC400-01-000', '输入轴', '1', '件', '急件'],
+            ['2', 'HC400-01-000', '输入轴', '2', '件', ''],
+            ['3', '6317N', '轴承', '4', '个', ''],
+            ['合计', '', '', '7', '', '']
+        ], ['A2:A3', 'B2:B3', 'C2:C3', 'D2:D3', 'E2:E3', 'F2:F3']));
+        expect(unparsedRows).toEqual([]);
+        expect(parts.map(part => [part['图号'], part['名称'], part['数量']])).toEqual([
+            ['HC400-01-000', '输入轴', 3],
+            ['6317N', '轴承', 4]
+        ]);
+        expect(parts[0]['备注']).toBe('厦门斯太琪订单「Sheet1」第4行(序号1); 单位:件; 急件; 另见厦门斯太琪订单「Sheet1」第5行(序号2)，数量2');
+    });
+
+    test('厦门斯太琪：没有件号和数量表头时报错', async () => {
+        await expect(extractXiamenPartsList(sheetOf([['名称', '规格']]))).rejects.toThrow('未找到厦门斯太琪订货单表头');
+    });
+});
+
+describe('导入列映射', () => {
+    const headers = ['序号', '件号', '品名', '指导价 (不含税)', '说明'];
+
+    test('跳过标题行，找到第一行有多个单元格的表头', () => {
+        expect(guessHeaderRowIndex([['某供应商价格表'], [], headers, ['1', 'A']])).toBe(2);
+    });
+
+    test('按常见写法猜测映射，半角括号和空格不影响识别', () => {
+        const mapping = guessColumnMapping(headers);
+        expect(mapping).toMatchObject({ '图号': 1, '名称': 2, '指导价（不含税）': 3, '备注': 4, '标识码': '' });
+    });
+
+    test('模板按表头文字保存，列顺序变化后仍能应用', () => {
+        const template = { mapping: mappingToTemplate({ ...guessColumnMapping(headers), '名称': 2 }, headers) };
+        expect(template.mapping).toEqual({ '图号': '件号', '名称': '品名', '指导价（不含税）': '指导价 (不含税)', '备注': '说明' });
+
+        const reordered = ['品名', '件号', '说明', '指导价（不含税）'];
+        expect(mappingFromTemplate(template, reordered)).toMatchObject({ '图号': 1, '名称': 0, '指导价（不含税）': 3, '备注': 2, '日期': '' });
+    });
+
+    test('表头签名忽略空列和空格', () => {
+        expect(getHeaderSignature(['件号', '', ' 品名 '])).toBe(getHeaderSignature(['件号', '品名']));
+    });
+});
+
+describe('导入时生成标识码', () => {
+    test('没有标识码列时生成 ZB 编号', () => {
+        const { records } = importRows([['HC400-01-000', '输入轴', 100], ['HC400-01-001', '输出轴', 200]], [], false);
+        expect(records.map(r => r['标识码'])).toEqual(['ZB0001', 'ZB0002']);
+    });
+
+    test('更新模式下第二次导入的新增配件不会重复使用已有标识码', () => {
+        const first = importRows([['HC400-01-000', '输入轴', 100], ['HC400-01-001', '输出轴', 200]], [], true);
+        const partsData = first.records;
+
+        const second = importRows([['HC400-01-000', '输入轴', 120], ['HC400-01-002', '端盖', 50]], partsData, true);
+        const diff = diffImportRecords(second.records, second.blankFields, partsData, mapping);
+        expect(diff.changed).toHaveLength(1);
+        expect(diff.added).toHaveLength(1);
+
+        const ids = [...partsData, ...diff.added].map(part => part['标识码']);
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(diff.added[0]['标识码']).toMatch(/^ZB\d{4}$/);
+    });
+
+    test('已删除配件的编号也不会被重新使用', () => {
+        const partsData = [{ '标识码': 'ZB0007', '图号': 'A', '删除时间': '2025-01-01T00:00:00.000Z' }];
+        expect(nextPartId(partsData)).toBe('ZB0008');
+        const { records } = importRows([['B', '新配件', 1]], partsData, true);
+        expect(records[0]['标识码']).toBe('ZB0008');
+    });
+    test('更新模式下图号为空的行跳过，不与图号为空的现有配件对应', () => {
+        const partsData = [
+            { '标识码': 'ZB0001', '图号': 'A', '名称': '输入轴' },
+            { '标识码': 'ZB0002', '图号': '', '名称': '垫片' }
+        ];
+        const imported = importRows([['A', '输入轴', 100], ['', '垫片', 5], ['', '螺栓', 2]], partsData, true);
+        const diff = diffImportRecords(imported.records, imported.blankFields, partsData, mapping);
+        expect(diff.skipped.map(record => record['名称'])).toEqual(['垫片', '螺栓']);
+        expect(diff.added).toEqual([]);
+        expect(diff.changed.map(change => change.key)).toEqual(['A']);
+        expect(diff.missing).toEqual([]);
+    });
+});
+
+describe('配件表单校验', () => {
+    const partsData = [{ '标识码': 'ZB0001', '图号': 'HC400-01-000' }];
+
+    test('图号重复和价格无效时报错', () => {
+        const { errors } = validatePartDraft(
+            { '标识码': 'ZB0002', '图号': 'hc400.01.000', '名称': '输入轴', '日期': '2025-03-01', '指导价（不含税）': 'abc' },
+            partsData
+        );
+        expect(errors).toEqual(expect.arrayContaining([
+            '图号 hc400.01.000 已被其他配件使用',
+            '指导价（不含税）必须是不小于 0 的数字'
+        ]));
+    });
+
+    test('修改配件时不与自身比较', () => {
+        const { errors, record } = validatePartDraft(
+            { '标识码': 'ZB0001', '图号': 'HC400-01-000', '名称': '输入轴', '日期': '2025-03-01', '指导价（不含税）': '1,200' },
+            partsData,
+            'ZB0001'
+        );
+        expect(errors).toEqual([]);
+        expect(record['指导价（不含税）']).toBe(1200);
+    });
+    test('必填项为空和日期格式错误时报错', () => {
+        const { errors } = validatePartDraft({ '标识码': ' ', '图号': '', '名称': '', '日期': '2025/03/01' }, partsData);
+        expect(errors).toEqual(expect.arrayContaining([
+            '标识码不能为空',
+            '图号不能为空',
+            '名称不能为空',
+            '日期格式应为 YYYY-MM-DD'
+        ]));
+    });
+
+    test('已删除配件的图号可以重新使用，标识码不能', () => {
+        const withDeleted = [{ '标识码': 'ZB0001', '图号': 'HC400-01-000', '删除时间': '2025-01-01T00:00:00.000Z' }];
+        const draft = { '标识码': 'ZB0001', '图号': 'HC400-01-000', '名称': '输入轴', '日期': '2025-03-01' };
+        expect(validatePartDraft(draft, withDeleted).errors).toEqual(['标识码 ZB0001 已存在']);
+        expect(validatePartDraft({ ...draft, '标识码': 'ZB0002' }, withDeleted).errors).toEqual([]);
+    });
+
+    test('价格留空视为 0，其余字段去除首尾空格', () => {
+        const { errors, record } = validatePartDraft(
+            { '标识码': ' ZB0002 ', '图号': ' HC400-01-001 ', '名称': '输出轴', '日期': '2025-03-01', '备注': ' 急件 ' },
+            partsData
+        );
+        expect(errors).toEqual([]);
+        expect(record).toMatchObject({ '标识码': 'ZB0002', '图号': 'HC400-01-001', '备注': '急件', '服务价（含税）': 0 });
+    });
+});
+
+describe('报价单新配件入库', () => {
+    const line = { '标识码': 'NEW_X-1', '图号': 'X-1', '名称': '未知配件', '指导价（不含税）': 0, '服务价（含税）': 0 };
+    const options = { id: 'ZB0005', name: '密封圈', remark: ' 客户提供 ', date: '2026-10-19', ruleBaseFields: [], taxRate: 0.13, taxBasis: 'net' };
+
+    test('报价行单价写入当前价格类型并补全另一侧价格', () => {
+        const draft = buildPromotedPartDraft(line, 113, '服务价（含税）', options);
+        expect(draft).toMatchObject({
+            '标识码': 'ZB0005',
+            '图号': 'X-1',
+            '名称': '密封圈',
+            '备注': '客户提供',
+            '日期': '2026-10-19',
+            '服务价（含税）': 113,
+            '服务价（不含税）': 100,
+            '指导价（不含税）': 0
+        });
+    });
+
+    test('单价按税率换算为价格规则的基准价', () => {
+        const draft = buildPromotedPartDraft(line, 113, '服务价（含税）', { ...options, ruleBaseFields: ['指导价（不含税）'] });
+        expect(draft['指导价（不含税）']).toBe(100);
+        expect(draft['指导价（含税）']).toBe(113);
+    });
+
+    test('没有单价时不填写价格', () => {
+        const draft = buildPromotedPartDraft(line, 0, '服务价（含税）', { ...options, ruleBaseFields: ['指导价（不含税）'] });
+        expect(draft['服务价（含税）']).toBe(0);
+        expect(draft['指导价（不含税）']).toBe(0);
+    });
+});
+
+describe('配件标识码', () => {
+    test('取已有 ZB 编号的最大值加一，忽略其它格式的编号', () => {
+        expect(nextPartId([])).toBe('ZB0001');
+        expect(nextPartId([{ '标识码': 'ZB0002' }, { '标识码': 'zb0010' }, { '标识码': 'X-99' }, { '标识码': 'NEW_A' }])).toBe('ZB0011');
+    });
+
+    test('超过四位时继续递增', () => {
+        expect(nextPartId([{ '标识码': 'ZB9999' }])).toBe('ZB10000');
+    });
+});
+
+describe('价格规则', () => {
+    const rule = (overrides) => ({
+        id: 'rule',
+        name: '规则',
+        enabled: true,
+        matchType: 'all',
+        matchValue: '',
+        baseField: '指导价（不含税）',
+        factors: { '出厂价（不含税）': 0.85, '服务价（不含税）': 1.2 },
+        overwrite: false,
+        fillTax: false,
+        ...overrides
+    });
+    const summarize = changes => changes.map(c => [c.id, c.field, c.to, c.ruleName]);
+
+    test('按基准价计算其它价格，只补全为 0 的价格', () => {
+        const parts = [{ '标识码': 'ZB0001', '图号': 'HC400-01-000', '指导价（不含税）': 1000, '服务价（不含税）': 1500 }];
+        expect(summarize(evaluatePricingRules(parts, [rule()], 0.13, 'net'))).toEqual([
+            ['ZB0001', '出厂价（不含税）', 850, '规则']
+        ]);
+        expect(summarize(evaluatePricingRules(parts, [rule({ overwrite: true })], 0.13, 'net'))).toEqual([
+            ['ZB0001', '出厂价（不含税）', 850, '规则'],
+            ['ZB0001', '服务价（不含税）', 1200, '规则']
+        ]);
+    });
+
+    test('每个配件使用第一条匹配的规则，停用的规则不参与', () => {
+        const parts = [
+            { '标识码': 'ZB0001', '图号': '6317N', '名称': '轴承', '指导价（不含税）': 100 },
+            { '标识码': 'ZB0002', '图号': 'MV1100-02-002A', '名称': '侧车轴', '指导价（不含税）': 100 }
+        ];
+        const rules = [
+            rule({ name: '停用', enabled: false, factors: { '出厂价（不含税）': 0.5 } }),
+            rule({ name: '轴承', matchType: 'pattern', matchValue: 'BEARING_CODE2', factors: { '出厂价（不含税）': 0.7 } }),
+            rule({ name: '类别', matchType: 'category', matchValue: 'mv1100', factors: { '出厂价（不含税）': 0.9 } }),
+            rule({ name: '全部', factors: { '出厂价（不含税）': 0.8 } })
+        ];
+        expect(summarize(evaluatePricingRules(parts, rules, 0.13, 'net'))).toEqual([
+            ['ZB0001', '出厂价（不含税）', 70, '轴承'],
+            ['ZB0002', '出厂价（不含税）', 90, '类别']
+        ]);
+    });
+
+    test('按名称关键字匹配，基准价为 0 时不计算', () => {
+        const parts = [
+            { '标识码': 'ZB0001', '名称': '输入轴部件', '指导价（不含税）': 100 },
+            { '标识码': 'ZB0002', '名称': '输入轴', '指导价（不含税）': 0 },
+            { '标识码': 'ZB0003', '名称': '端盖', '指导价（不含税）': 100 }
+        ];
+        const rules = [rule({ matchType: 'keyword', matchValue: '输入轴', factors: { '出厂价（不含税）': 0.5 } })];
+        expect(summarize(evaluatePricingRules(parts, rules, 0.13, 'net'))).toEqual([['ZB0001', '出厂价（不含税）', 50, '规则']]);
+    });
+
+    test('补全含税价时按税率推算', () => {
+        const parts = [{ '标识码': 'ZB0001', '指导价（不含税）': 100 }];
+        const changes = evaluatePricingRules(parts, [rule({ factors: { '出厂价（不含税）': 0.5 }, fillTax: true })], 0.13, 'net');
+        expect(summarize(changes)).toEqual([
+            ['ZB0001', '出厂价（不含税）', 50, '规则'],
+            ['ZB0001', '指导价（含税）', 113, '规则'],
+            ['ZB0001', '出厂价（含税）', 56.5, '规则']
+        ]);
+    });
+});
+
+describe('替代关系校验', () => {
+    const linkIndex = buildPartLinkIndex({
+        supersessions: [
+            { oldNo: '135-01-024', newNo: '135-01-030' },
+            { oldNo: '135-01-030', newNo: '135-01-031' }
+        ],
+        crossReferences: []
+    });
+
+    test('可以添加时返回 null', () => {
+        expect(validateSupersession('135-01-031', '135-01-040', linkIndex)).toBeNull();
+    });
+
+    test('缺少图号或新旧图号相同', () => {
+        expect(validateSupersession('', '135-01-040', linkIndex)).toBe('请填写旧图号和新图号');
+        expect(validateSupersession('135-01-040', '135.01.040', linkIndex)).toBe('旧图号和新图号不能相同');
+    });
+
+    test('旧图号已有替代关系', () => {
+        expect(validateSupersession('135-01-024', '135-01-040', linkIndex)).toBe('135-01-024 已有替代关系，请先删除原记录');
+    });
+
+    test('沿替代链回到旧图号时视为循环', () => {
+        expect(validateSupersession('135-01-031', '135-01-024', linkIndex)).toBe('该替代关系会形成循环');
+    });
+});
+
+describe('匹配审核', () => {
+    test('模糊匹配、忽略大小写或空格的匹配和新配件需要审核', () => {
+        expect(lineNeedsReview({ matchType: 'fuzzy' })).toBe(true);
+        expect(lineNeedsReview({ matchType: 'noSpace' })).toBe(true);
+        expect(lineNeedsReview({ isNew: true, matchType: 'none' })).toBe(true);
+        expect(lineNeedsReview({ matchType: 'exact' })).toBe(false);
+        expect(lineNeedsReview({ matchType: 'alias' })).toBe(false);
+        expect(lineNeedsReview({ matchType: 'manual' })).toBe(false);
+    });
+
+    test('导出时说明匹配方式', () => {
+        expect(getMatchTypeLabel({ matchType: 'fuzzy', confidence: 0.876 })).toBe('模糊匹配（置信度 88%）');
+        expect(getMatchTypeLabel({ matchType: 'none', isNew: true })).toBe('新配件');
+        expect(getMatchTypeLabel({ matchType: 'superseded', supersession: { from: 'A', to: 'B', pending: true } }))
+            .toBe('替代件（原图号 A 已被 B 替代，新图号未入库）');
+        expect(getMatchTypeLabel({ matchType: 'crossReference', crossReference: { owner: 'MAN', externalNo: 'X-1' } }))
+            .toBe('编号对照（MAN X-1）');
+        expect(getMatchTypeLabel({ matchType: 'exact' })).toBe('精确匹配');
+    });
+});
+
+describe('报价单编号', () => {
+    test('按年份顺序编号', () => {
+        const quotations = [{ number: 'QT-2026-0003' }, { number: 'QT-2025-0009' }];
+        expect(nextQuotationNumber(quotations, 2026)).toEqual({ number: 'QT-2026-0004', sequence: 4 });
+        expect(nextQuotationNumber(quotations, 2027).number).toBe('QT-2027-0001');
+    });
+
+    test('删除最新的报价单后不重复使用其编号', () => {
+        const quotations = [{ number: 'QT-2026-0001' }];
+        expect(nextQuotationNumber(quotations, 2026, { 2026: 2 }).number).toBe('QT-2026-0003');
+    });
+
+    test('恢复备份时计数器不回退', () => {
+        expect(mergeQuotationCounters({ 2026: 5 }, { 2025: 8, 2026: 3 })).toEqual({ 2025: 8, 2026: 5 });
+    });
+});
+
+describe('已修订报价单的改动检查', () => {
+    const quotation = {
+        lines: [{ '标识码': 'ZB0001', quantity: 2 }],
+        customerInfo: { name: '客户A' },
+        priceOption: '服务价（含税）'
+    };
+    const current = { lines: quotation.lines, customerInfo: { name: '客户A' }, priceOption: '服务价（含税）', priceAsOfDate: '' };
+
+    test('内容未改动', () => {
+        expect(isQuotationEdited(quotation, current)).toBe(false);
+    });
+
+    test('修改数量后视为已改动', () => {
+        expect(isQuotationEdited(quotation, { ...current, lines: [{ '标识码': 'ZB0001', quantity: 3 }] })).toBe(true);
+    });
+});
+
+describe('价格历史', () => {
+    const part = (price, date = '2026-01-01') => ({ '标识码': 'ZB0001', '日期': date, '指导价（不含税）': price });
+
+    test('新增配件不记录历史', () => {
+        const history = {};
+        expect(appendPriceHistory(history, [], [part(100)], '导入', '2026-02-01')).toBe(history);
+    });
+
+    test('价格未变化时不记录', () => {
+        const history = {};
+        expect(appendPriceHistory(history, [part(100)], [part(100)], '导入', '2026-02-01')).toBe(history);
+    });
+
+    test('第一次变价时先记录原有价格', () => {
+        const history = appendPriceHistory({}, [part(100)], [part(120)], '导入', '2026-02-01');
+        expect(history.ZB0001.map(entry => [entry.effectiveDate, entry.source, entry.prices['指导价（不含税）']])).toEqual([
+            ['2026-01-01', '原有价格', 100],
+            ['2026-02-01', '导入', 120]
+        ]);
+    });
+
+    test('已有历史时只追加与最新记录不同的价格', () => {
+        const first = appendPriceHistory({}, [part(100)], [part(120)], '导入', '2026-02-01');
+        expect(appendPriceHistory(first, [part(120)], [part(120)], '导入', '2026-03-01')).toBe(first);
+        const second = appendPriceHistory(first, [part(120)], [part(130)], () => '手动修改', '2026-03-01');
+        expect(second.ZB0001).toHaveLength(3);
+        expect(second.ZB0001[2].source).toBe('手动修改');
+    });
+
+    test('按日期取当天有效的价格', () => {
+        const entries = [
+            { effectiveDate: '2026-03-01', recordedAt: '2', prices: { price: 130 } },
+            { effectiveDate: '2026-01-01', recordedAt: '1', prices: { price: 100 } }
+        ];
+        expect(getPricesAsOf(entries, '2025-12-31')).toBeNull();
+        expect(getPricesAsOf(entries, '2026-01-01')).toEqual({ price: 100 });
+        expect(getPricesAsOf(entries, '2026-02-15')).toEqual({ price: 100 });
+        expect(getPricesAsOf(entries, '2026-03-01')).toEqual({ price: 130 });
+        expect(getPricesAsOf(undefined, '2026-03-01')).toBeNull();
+    });
+});
+
+describe('含税与不含税价格', () => {
+    test('按不含税价计算含税价，或按含税价反推不含税价', () => {
+        const part = { '指导价（不含税）': 100, '指导价（含税）': 0, '服务价（不含税）': 0, '服务价（含税）': 226 };
+        expect(deriveTaxPrices(part, 0.13, 'net')).toMatchObject({ '指导价（含税）': 113, '服务价（不含税）': 0 });
+        expect(deriveTaxPrices(part, 0.13, 'gross')).toMatchObject({ '指导价（含税）': 0, '服务价（不含税）': 200 });
+    });
+
+    test('只补全缺少的一侧时不覆盖已有价格', () => {
+        const part = { '指导价（不含税）': 100, '指导价（含税）': 120, '服务价（含税）': 226 };
+        expect(deriveTaxPrices(part, 0.13, 'net', true)).toMatchObject({
+            '指导价（含税）': 120,
+            '服务价（不含税）': 200
+        });
+    });
+
+    test('推算产生的舍入误差不视为不一致', () => {
+        const fromNet = deriveTaxPrices({ '指导价（不含税）': 99.99 }, 0.13, 'net');
+        const fromGross = deriveTaxPrices({ '指导价（含税）': 99.99 }, 0.13, 'gross');
+        expect(checkTaxConsistency(fromNet, 0.13)).toEqual([]);
+        expect(checkTaxConsistency(fromGross, 0.13)).toEqual([]);
+    });
+
+    test('大额价格相差超过 1 分即视为不一致', () => {
+        const [pair] = checkTaxConsistency({ '指导价（不含税）': 1000000, '指导价（含税）': 1129999 }, 0.13);
+        expect(pair).toMatchObject({ netField: '指导价（不含税）', grossField: '指导价（含税）', expectedGross: 1130000 });
+        expect(checkTaxConsistency({ '指导价（不含税）': 100, '指导价（含税）': 0 }, 0.13)).toEqual([]);
+    });
+
+    test('报价合计拆分为不含税金额、税额和含税金额', () => {
+        expect(splitTaxTotals(113, '指导价（含税）', 0.13)).toEqual({ net: 100, tax: 13, gross: 113 });
+        expect(splitTaxTotals(100, '指导价（不含税）', 0.13)).toEqual({ net: 100, tax: 13, gross: 113 });
+    });
+});
+
+describe('审计日志合并', () => {
+    test('只追加没有的记录，按时间排序', () => {
+        const a = { id: '1-0', at: '2026-01-01T00:00:00.000Z' };
+        const b = { id: '2-1', at: '2026-01-02T00:00:00.000Z' };
+        const c = { id: '3-2', at: '2026-01-03T00:00:00.000Z' };
+        const { merged, added } = mergeAuditEntries([a, c], [{ ...a, summary: '已修改' }, b]);
+        expect(merged).toEqual([a, b, c]);
+        expect(added).toEqual([b]);
+    });
+});
+
+describe('导入配件行时开始新的报价单草稿', () => {
+    beforeEach(() => {
+        localStorage.setItem('shipUsers', JSON.stringify([{ username: 'sales', name: '销售', role: 'sales' }]));
+        localStorage.setItem('shipSession', JSON.stringify({ username: 'sales', lastActive: Date.now() }));
+        localStorage.setItem('shipPartsData', JSON.stringify([{ '标识码': 'ZB0001', '图号': 'HC400-01-000', '名称': '输入轴', '服务价（含税）': 100 }]));
+        localStorage.setItem('shipQuotations', JSON.stringify([{
+            id: 'QT-2026-0001',
+            number: 'QT-2026-0001',
+            revision: 'A',
+            parentId: null,
+            status: 'draft',
+            createdAt: '2026-01-01T00:00:00.000Z',
+            updatedAt: '2026-01-01T00:00:00.000Z',
+            customerInfo: { name: '客户A' },
+            priceOption: '服务价（含税）',
+            lines: [{ '标识码': 'ZB0001', '图号': 'HC400-01-000', '名称': '输入轴', quantity: 1 }],
+            total: 100
+        }]));
+    });
+
+    afterEach(() => {
+        localStorage.clear();
+        jest.restoreAllMocks();
+    });
+
+    test('批量添加的配件不会保存到之前打开的报价单', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(window, 'alert').mockImplementation(() => {});
+        jest.spyOn(window, 'confirm').mockReturnValue(true);
+        jest.spyOn(window, 'prompt').mockReturnValue('HC400-01-000');
+        render(<ImprovedPartsQuotationSystem />);
+
+        fireEvent.click(await screen.findByText(/报价单列表 \(1\)/));
+        fireEvent.click(screen.getByText('打开'));
+        expect(await screen.findByText(/报价单号: QT-2026-0001 Rev A/)).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('返回列表'));
+        fireEvent.click(await screen.findByText('批量添加配件'));
+        expect(await screen.findByText('未保存的报价单，保存或导出时生成报价单号')).toBeInTheDocument();
+        expect(screen.queryByText(/报价单号: QT-2026-0001/)).not.toBeInTheDocument();
+    });
+});
+
+describe('报价模板导入时应用客户默认折扣', () => {
+    beforeEach(() => {
+        localStorage.setItem('shipUsers', JSON.stringify([{ username: 'sales', name: '销售', role: 'sales' }]));
+        localStorage.setItem('shipSession', JSON.stringify({ username: 'sales', lastActive: Date.now() }));
+        localStorage.setItem('shipPartsData', JSON.stringify([{ '标识码': 'ZB0001', '图号': 'HC400-01-000', '名称': '输入轴', '服务价（含税）': 1000 }]));
+        localStorage.setItem('shipCustomers', JSON.stringify([{
+            id: 'C0001',
+            name: '客户A',
+            contacts: [],
+            addresses: [],
+            defaultPriceOption: '服务价（含税）',
+            defaultDiscount: 90
+        }]));
+    });
+
+    afterEach(() => {
+        localStorage.clear();
+        jest.restoreAllMocks();
+    });
+
+    test('折扣应用到模板中导入的配件行', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(window, 'alert').mockImplementation(() => {});
+        const confirm = jest.spyOn(window, 'confirm').mockReturnValue(true);
+        const { container } = render(<ImprovedPartsQuotationSystem />);
+        await screen.findByText('批量添加配件');
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([{ '客户名称': '客户A', '图号': 'HC400-01-000', '数量': 1 }]), 'Sheet1');
+        const file = new File([XLSX.write(workbook, { type: 'array', bookType: 'xlsx' })], '模板.xlsx');
+        // 文件选择框是隐藏的，由"导入报价模板"按钮触发，只能按 id 查找
+        // eslint-disable-next-line testing-library/no-container, testing-library/no-node-access
+        fireEvent.change(container.querySelector('#fileTemplate'), { target: { files: [file] } });
+
+        expect((await screen.findAllByText('900.00')).length).toBeGreaterThan(0);
+        expect(confirm).toHaveBeenCalledWith(expect.stringContaining('默认折扣为 90%'));
+    });
+});
+
+describe('逐项审核完成前不能导出', () => {
+    beforeEach(() => {
+        localStorage.setItem('shipUsers', JSON.stringify([{ username: 'sales', name: '销售', role: 'sales' }]));
+        localStorage.setItem('shipSession', JSON.stringify({ username: 'sales', lastActive: Date.now() }));
+        localStorage.setItem('shipPartsData', JSON.stringify([{ '标识码': 'ZB0001', '图号': 'HC400-01-000', '名称': '输入轴', '服务价（含税）': 100 }]));
+    });
+
+    afterEach(() => {
+        localStorage.clear();
+        jest.restoreAllMocks();
+    });
+
+    test('接受模糊匹配后才能导出', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(window, 'alert').mockImplementation(() => {});
+        jest.spyOn(window, 'confirm').mockReturnValue(true);
+        jest.spyOn(window, 'prompt').mockReturnValue('HC400-01-00X');
+        render(<ImprovedPartsQuotationSystem />);
+
+        fireEvent.click(await screen.findByText('批量添加配件'));
+        expect(await screen.findByText('导出Excel')).toBeDisabled();
+
+        fireEvent.click(screen.getByText('逐项审核 (1 待处理)'));
+        fireEvent.click(await screen.findByText('接受'));
+        expect(screen.getByText('已接受')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('审核完成，返回报价单'));
+        expect(await screen.findByText('导出Excel')).toBeEnabled();
+    });
+});
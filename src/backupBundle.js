@@ -0,0 +1,125 @@
+// ------------------ 数据备份与恢复 ------------------ //
+// 备份文件为带版本号的 JSON：{ format, schemaVersion, createdAt, createdBy, reason, data }。
+// 读取旧版本的备份时按 MIGRATIONS 逐级迁移到当前版本；
+// 备份内容的结构有变化时提升 BACKUP_SCHEMA_VERSION，并补充从上一版本迁移的函数。
+
+const BACKUP_FORMAT = 'ship-parts-backup';
+const BACKUP_SCHEMA_VERSION = 1;
+
+// 备份包含的数据项。settings 为 { taxSettings, pricingRules, importTemplates, quotationCounters }
+const BACKUP_SECTIONS = {
+    parts: '配件数据',
+    priceHistory: '价格历史',
+    quotations: '报价单',
+    customers: '客户目录',
+    vessels: '船舶登记',
+    bomLinks: '部件结构',
+    partLinks: '替代关系与编号对照',
+    matchAliases: '匹配别名',
+    settings: '税率、价格规则与导入模板',
+    users: '用户账户',
+    auditLog: '审计日志'
+};
+
+const OBJECT_SECTIONS = ['priceHistory', 'partLinks', 'settings'];
+
+// 版本 n 的备份迁移为版本 n + 1
+const MIGRATIONS = {
+    // 版本 0：旧版直接保存的配件数组（shipPartsData 或桌面版数据文件的内容）
+    0: parts => ({
+        format: BACKUP_FORMAT,
+        schemaVersion: 1,
+        createdAt: null,
+        createdBy: null,
+        reason: '旧版配件数据',
+        data: { parts }
+    })
+};
+
+function buildBackupBundle(data, { createdBy = null, reason = '' } = {}) {
+    return {
+        format: BACKUP_FORMAT,
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        createdAt: new Date().toISOString(),
+        createdBy,
+        reason,
+        data
+    };
+}
+
+function getBackupVersion(raw) {
+    if (Array.isArray(raw)) return 0;
+    if (raw && raw.format === BACKUP_FORMAT && Number.isInteger(raw.schemaVersion)) return raw.schemaVersion;
+    throw new Error('不是有效的备份文件');
+}
+
+// 迁移到当前版本并检查各数据项的格式；migratedFrom 记录原始版本（无需迁移时为 null）
+function migrateBackupBundle(raw) {
+    const originalVersion = getBackupVersion(raw);
+    if (originalVersion > BACKUP_SCHEMA_VERSION) {
+        throw new Error(`备份文件版本 ${originalVersion} 高于当前程序支持的版本 ${BACKUP_SCHEMA_VERSION}，请先升级程序`);
+    }
+    let bundle = raw;
+    for (let version = originalVersion; version < BACKUP_SCHEMA_VERSION; version++) {
+        bundle = MIGRATIONS[version](bundle);
+    }
+
+    const data = {};
+    Object.keys(BACKUP_SECTIONS).forEach(section => {
+        const value = (bundle.data || {})[section];
+        if (value === undefined || value === null) return;
+        const valid = OBJECT_SECTIONS.includes(section)
+            ? typeof value === 'object' && !Array.isArray(value)
+            : Array.isArray(value);
+        if (!valid) throw new Error(`备份中的「${BACKUP_SECTIONS[section]}」格式不正确`);
+        data[section] = value;
+    });
+    if (Array.isArray(data.parts) && data.parts.some(part => !part || !part['标识码'])) {
+        throw new Error('备份中有配件缺少标识码');
+    }
+    return { ...bundle, data, migratedFrom: originalVersion < BACKUP_SCHEMA_VERSION ? originalVersion : null };
+}
+
+function parseBackupFile(text) {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (error) {
+        throw new Error('备份文件不是有效的 JSON');
+    }
+    return migrateBackupBundle(raw);
+}
+
+function countBackupSection(section, value) {
+    if (value === undefined || value === null) return 0;
+    if (Array.isArray(value)) return value.length;
+    if (section === 'partLinks') {
+        return (value.supersessions || []).length + (value.crossReferences || []).length;
+    }
+    return Object.keys(value).length;
+}
+
+// 恢复预览：每个数据项在备份中和当前数据中的条数
+function summarizeBackup(bundle, currentData) {
+    return Object.entries(BACKUP_SECTIONS).map(([section, label]) => ({
+        section,
+        label,
+        inBackup: bundle.data[section] !== undefined,
+        backupCount: countBackupSection(section, bundle.data[section]),
+        currentCount: countBackupSection(section, currentData[section])
+    }));
+}
+
+function backupFileName(bundle) {
+    return `船用配件备份_${String(bundle.createdAt).replace(/[:.]/g, '-').slice(0, 19)}.json`;
+}
+
+export {
+    BACKUP_SCHEMA_VERSION,
+    BACKUP_SECTIONS,
+    buildBackupBundle,
+    migrateBackupBundle,
+    parseBackupFile,
+    summarizeBackup,
+    backupFileName
+};
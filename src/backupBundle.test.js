@@ -0,0 +1,66 @@
+import {
+    BACKUP_SCHEMA_VERSION,
+    buildBackupBundle,
+    migrateBackupBundle,
+    parseBackupFile,
+    summarizeBackup,
+    backupFileName
+} from './backupBundle';
+
+const parts = [{ '标识码': 'ZB0001', '图号': 'HC400-01-000' }];
+
+describe('备份文件迁移', () => {
+    test('当前版本的备份原样读取', () => {
+        const bundle = buildBackupBundle({ parts, quotations: [] }, { reason: '手动备份' });
+        const migrated = migrateBackupBundle(JSON.parse(JSON.stringify(bundle)));
+        expect(migrated.schemaVersion).toBe(BACKUP_SCHEMA_VERSION);
+        expect(migrated.migratedFrom).toBeNull();
+        expect(migrated.data).toEqual({ parts, quotations: [] });
+    });
+
+    test('旧版直接保存的配件数组迁移为当前版本', () => {
+        const migrated = parseBackupFile(JSON.stringify(parts));
+        expect(migrated.migratedFrom).toBe(0);
+        expect(migrated.schemaVersion).toBe(BACKUP_SCHEMA_VERSION);
+        expect(migrated.data.parts).toEqual(parts);
+    });
+
+    test('版本高于当前程序时拒绝读取', () => {
+        const bundle = { ...buildBackupBundle({ parts }), schemaVersion: BACKUP_SCHEMA_VERSION + 1 };
+        expect(() => migrateBackupBundle(bundle)).toThrow('请先升级程序');
+    });
+
+    test('不是备份文件或 JSON 无效时报错', () => {
+        expect(() => parseBackupFile('{')).toThrow('不是有效的 JSON');
+        expect(() => parseBackupFile(JSON.stringify({ hello: 'world' }))).toThrow('不是有效的备份文件');
+    });
+
+    test('数据项格式不正确时报错', () => {
+        expect(() => migrateBackupBundle(buildBackupBundle({ quotations: {} }))).toThrow('「报价单」格式不正确');
+        expect(() => migrateBackupBundle(buildBackupBundle({ settings: [] }))).toThrow('格式不正确');
+        expect(() => migrateBackupBundle(buildBackupBundle({ parts: [{ '图号': 'A' }] }))).toThrow('缺少标识码');
+    });
+
+    test('忽略未知的数据项', () => {
+        const migrated = migrateBackupBundle(buildBackupBundle({ parts, unknown: [1] }));
+        expect(Object.keys(migrated.data)).toEqual(['parts']);
+    });
+});
+
+describe('恢复预览', () => {
+    test('统计备份和当前数据中各项的条数', () => {
+        const bundle = migrateBackupBundle(buildBackupBundle({
+            parts,
+            partLinks: { supersessions: [{}], crossReferences: [{}, {}] }
+        }));
+        const summary = summarizeBackup(bundle, { parts: [...parts, ...parts], quotations: [] });
+        const bySection = Object.fromEntries(summary.map(item => [item.section, item]));
+        expect(bySection.parts).toMatchObject({ inBackup: true, backupCount: 1, currentCount: 2 });
+        expect(bySection.partLinks.backupCount).toBe(3);
+        expect(bySection.quotations).toMatchObject({ inBackup: false, backupCount: 0, currentCount: 0 });
+    });
+
+    test('备份文件名取自创建时间', () => {
+        expect(backupFileName({ createdAt: '2026-03-01T08:09:10.123Z' })).toBe('船用配件备份_2026-03-01T08-09-10.json');
+    });
+});
@@ -0,0 +1,32 @@
+// ------------------ 配件匹配 Worker ------------------ //
+// 在后台线程中维护配件索引并批量匹配导入的图号，避免大批量导入时界面卡住。
+// 收到 { type: 'setParts', parts } 时重建索引；
+// 收到 { type: 'match', requestId, importedIds, partLinks, aliases, customerId } 时匹配，
+// 期间回传 { type: 'progress', requestId, done, total }，完成后回传 result 或 error。
+import { buildPartIndex, buildPartLinkIndex, matchPartNumbers } from './partMatcher';
+
+// eslint-disable-next-line no-restricted-globals
+const workerScope = self;
+
+let partIndex = buildPartIndex([]);
+
+workerScope.onmessage = (event) => {
+    const { type, requestId } = event.data;
+    if (type === 'setParts') {
+        partIndex = buildPartIndex(event.data.parts);
+        return;
+    }
+    if (type !== 'match') return;
+
+    try {
+        const results = matchPartNumbers(
+            event.data.importedIds,
+            partIndex,
+            buildPartLinkIndex(event.data.partLinks, event.data.aliases, event.data.customerId),
+            (done, total) => workerScope.postMessage({ type: 'progress', requestId, done, total })
+        );
+        workerScope.postMessage({ type: 'result', requestId, results });
+    } catch (error) {
+        workerScope.postMessage({ type: 'error', requestId, message: error.message });
+    }
+};
@@ -0,0 +1,4 @@
+// 按需加载，只在支持 Web Worker 的环境中才创建配件匹配 Worker
+export default function createPartMatchWorker() {
+    return new Worker(new URL('./partMatchWorker.js', import.meta.url));
+}
@@ -0,0 +1,330 @@
+// ------------------ 配件匹配引擎 ------------------ //
+// 配件数据变化时预先建立图号索引（原样、忽略大小写、去空格、统一分隔符），
+// 直接匹配只需查表；相似度评分先用三字母组（n-gram）索引筛出候选，再逐个计算评分，
+// 不再对每个导入图号多次遍历整个配件库。主线程和匹配 Worker 共用本模块。
+
+// 评分达到该值时自动作为模糊匹配（仍需人工审核），否则作为新配件并列出候选
+const AUTO_MATCH_SCORE = 0.8;
+const MATCH_CANDIDATE_LIMIT = 5;
+const MIN_CANDIDATE_SCORE = 0.5;
+
+const GRAM_SIZE = 3;
+// 按共有 n-gram 数量取前若干个配件进行评分
+const CANDIDATE_POOL_SIZE = 200;
+
+// 比较图号时统一分隔符、去掉空格并忽略大小写
+function normalizePartNo(value) {
+    return String(value || '')
+        .replace(/[-_．.・]/g, '-')
+        .replace(/\s+/g, '')
+        .toLowerCase();
+}
+
+// 字母 O 与数字 0、字母 I/L 与数字 1 容易混淆，比较前统一
+function confusableKey(normalized) {
+    return normalized.replace(/o/g, '0').replace(/[il]/g, '1');
+}
+
+// 直接匹配的各级键，按匹配优先级排列
+const DIRECT_MATCH_KEYS = [
+    { name: 'exact', matchType: 'exact', confidence: 1, key: value => String(value).trim() },
+    { name: 'caseFolded', matchType: 'caseInsensitive', confidence: 0.98, key: value => String(value).toLowerCase().trim() },
+    { name: 'noSpace', matchType: 'noSpace', confidence: 0.97, key: value => String(value).replace(/\s+/g, '') },
+    { name: 'normalized', matchType: 'fuzzy', confidence: 0.95, key: normalizePartNo }
+];
+
+// 建立配件索引；同一个键对应多个配件时取表格中靠前的一个。
+// n-gram 索引在第一次评分匹配时才建立。
+function buildPartIndex(partsData) {
+    const index = { parts: partsData, grams: null, byId: new Map() };
+    DIRECT_MATCH_KEYS.forEach(({ name }) => { index[name] = new Map(); });
+    for (const part of partsData) {
+        index.byId.set(part['标识码'], part);
+        const drawingNo = part['图号'];
+        if (drawingNo === undefined || drawingNo === null || drawingNo === '') continue;
+        DIRECT_MATCH_KEYS.forEach(({ name, key }) => {
+            const value = key(drawingNo);
+            if (!index[name].has(value)) index[name].set(value, part);
+        });
+    }
+    return index;
+}
+
+function partNoGrams(key) {
+    const padded = `^${key}$`;
+    const grams = new Set();
+    for (let i = 0; i + GRAM_SIZE <= padded.length; i++) {
+        grams.add(padded.slice(i, i + GRAM_SIZE));
+    }
+    return grams;
+}
+
+function ensureGramIndex(partIndex) {
+    if (!partIndex.grams) {
+        const grams = new Map();
+        partIndex.parts.forEach((part, position) => {
+            if (!part['图号']) return;
+            partNoGrams(confusableKey(normalizePartNo(part['图号']))).forEach(gram => {
+                if (!grams.has(gram)) grams.set(gram, []);
+                grams.get(gram).push(position);
+            });
+        });
+        partIndex.grams = grams;
+    }
+    return partIndex.grams;
+}
+
+// 按图号直接匹配：完全一致 → 忽略大小写 → 忽略空格 → 统一分隔符
+function matchDrawingNo(importedId, partIndex) {
+    for (const { name, matchType, confidence, key } of DIRECT_MATCH_KEYS) {
+        const part = partIndex[name].get(key(importedId));
+        if (part) return { ...part, matchType, confidence };
+    }
+    return null;
+}
+
+// ------------------ 相似度评分 ------------------ //
+
+// 编辑距离（含相邻字符对调）
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i].push(j);
+                continue;
+            }
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, rows[i - 2][j - 2] + 1);
+            }
+            rows[i].push(value);
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// 按分隔符切分后相同分段所占比例
+function tokenOverlap(a, b) {
+    const tokensA = a.split('-').filter(Boolean);
+    const tokensB = b.split('-').filter(Boolean);
+    if (tokensA.length < 2 || tokensB.length < 2) return 0;
+    const remaining = [...tokensB];
+    let common = 0;
+    tokensA.forEach(token => {
+        const index = remaining.indexOf(token);
+        if (index >= 0) {
+            common++;
+            remaining.splice(index, 1);
+        }
+    });
+    return (2 * common) / (tokensA.length + tokensB.length);
+}
+
+// 图号相似度评分（0~1）及原因
+function scorePartNoSimilarity(importedId, drawingNo) {
+    const a = normalizePartNo(importedId);
+    const b = normalizePartNo(drawingNo);
+    if (!a || !b) return { score: 0, reason: '' };
+    if (a === b) return { score: 1, reason: '图号一致' };
+
+    const keyA = confusableKey(a);
+    const keyB = confusableKey(b);
+    if (keyA === keyB) return { score: 0.93, reason: 'O/0、I/1 混淆' };
+
+    // 版本后缀：003 与 003A、003A 与 003B
+    const stripRevision = value => value.replace(/(\d)[a-z]$/, '$1');
+    if (stripRevision(keyA) === stripRevision(keyB)) return { score: 0.9, reason: '版本后缀不同' };
+
+    const distance = editDistance(keyA, keyB);
+    const editScore = 1 - distance / Math.max(keyA.length, keyB.length);
+    const tokenScore = tokenOverlap(keyA, keyB) * 0.9;
+    // 非结构性差异最高 0.88，排在上面几种情况之后
+    return editScore >= tokenScore
+        ? { score: editScore * 0.88, reason: distance === 1 ? '一个字符不同' : `${distance} 个字符不同` }
+        : { score: tokenScore * 0.88, reason: '部分分段相同' };
+}
+
+// 按相似度返回最接近的若干配件 [{ part, score, reason }]
+function rankPartCandidates(importedId, partIndex, limit = MATCH_CANDIDATE_LIMIT) {
+    const key = confusableKey(normalizePartNo(importedId));
+    if (!key) return [];
+
+    const grams = ensureGramIndex(partIndex);
+    const queryGrams = partNoGrams(key);
+    const shared = new Uint16Array(partIndex.parts.length);
+    const touched = [];
+    queryGrams.forEach(gram => {
+        (grams.get(gram) || []).forEach(position => {
+            if (shared[position]++ === 0) touched.push(position);
+        });
+    });
+
+    // 共有 n-gram 太少的配件不可能达到最低评分
+    const minShared = Math.max(1, Math.floor(queryGrams.size / 3));
+    const pool = touched
+        .filter(position => shared[position] >= minShared)
+        .sort((x, y) => shared[y] - shared[x])
+        .slice(0, CANDIDATE_POOL_SIZE);
+
+    const candidates = [];
+    for (const position of pool) {
+        const part = partIndex.parts[position];
+        if (Math.abs(normalizePartNo(part['图号']).length - key.length) > 3) continue;
+        const { score, reason } = scorePartNoSimilarity(importedId, part['图号']);
+        if (score >= MIN_CANDIDATE_SCORE) candidates.push({ part, score, reason });
+    }
+    return candidates
+        .sort((x, y) => y.score - x.score || String(x.part['图号']).localeCompare(String(y.part['图号'])))
+        .slice(0, limit);
+}
+
+// 报价明细中只保存候选配件的摘要
+function summarizeCandidates(candidates) {
+    return candidates.map(({ part, score, reason }) => ({
+        id: part['标识码'],
+        drawingNo: part['图号'],
+        name: part['名称'],
+        score: Math.round(score * 100) / 100,
+        reason
+    }));
+}
+
+// 替代关系（旧图号 → 新图号）、客户/OEM 编号对照和已学习别名的查找索引。
+// 别名 { importedId, partId, customerId }：customerId 为空的别名对所有客户有效，
+// 当前客户自己的别名优先。
+function buildPartLinkIndex(partLinks, aliases = [], customerId = '') {
+    const aliasMap = new Map();
+    aliases
+        .filter(alias => !alias.customerId || alias.customerId === customerId)
+        .sort((a, b) => Boolean(a.customerId) - Boolean(b.customerId))
+        .forEach(alias => aliasMap.set(normalizePartNo(alias.importedId), alias));
+    return {
+        supersessions: new Map(partLinks.supersessions.map(link => [normalizePartNo(link.oldNo), link])),
+        crossReferences: new Map(partLinks.crossReferences.map(ref => [normalizePartNo(ref.externalNo), ref])),
+        aliases: aliasMap
+    };
+}
+
+// 按审核时学习的别名匹配（导入图号 → 标识码）
+function matchAlias(importedId, partIndex, linkIndex) {
+    if (!linkIndex || !linkIndex.aliases) return null;
+    const alias = linkIndex.aliases.get(normalizePartNo(importedId));
+    const part = alias && partIndex.byId.get(alias.partId);
+    return part ? { ...part, matchType: 'alias', confidence: 1, alias } : null;
+}
+
+// 沿替代链找到最新图号，返回经过的替代记录；遇到循环时停止
+function resolveSupersession(drawingNo, linkIndex) {
+    const chain = [];
+    const seen = new Set();
+    let current = drawingNo;
+    let key = normalizePartNo(current);
+    while (linkIndex.supersessions.has(key) && !seen.has(key)) {
+        seen.add(key);
+        const link = linkIndex.supersessions.get(key);
+        chain.push(link);
+        current = link.newNo;
+        key = normalizePartNo(current);
+    }
+    return { drawingNo: current, chain };
+}
+
+// 匹配配件：先查已学习的别名，再按图号直接匹配；直接匹配不到时按客户/OEM 编号对照查找，仍找不到时按相似度评分取最接近的配件，
+// 最后沿替代链找到最新配件。所有结果带 confidence（0~1），评分匹配另带候选列表 candidates。
+// 经过替代的配件带 supersession: { from, to, chain, pending }，pending 表示新图号尚未入库。
+function enhancedFuzzyMatch(importedId, partIndex, linkIndex = null) {
+    return matchPart(importedId, partIndex, linkIndex).match;
+}
+
+// 返回 { match, candidates }；匹配不到时 candidates 为评分得到的候选配件摘要
+function matchPart(importedId, partIndex, linkIndex) {
+    let direct = matchAlias(importedId, partIndex, linkIndex) || matchDrawingNo(importedId, partIndex);
+    let ranked = [];
+    const result = match => ({ match, candidates: match ? [] : summarizeCandidates(ranked) });
+
+    let crossReference = null;
+    let lookupId = direct ? direct['图号'] : importedId;
+    if (!direct && linkIndex) {
+        crossReference = linkIndex.crossReferences.get(normalizePartNo(importedId)) || null;
+        if (crossReference) lookupId = crossReference.partNo;
+    }
+
+    // 导入的旧图号本身有替代关系且新图号已入库时，按替代关系匹配，不再按相似度评分
+    const ownSupersession = !direct && !crossReference && linkIndex ? resolveSupersession(importedId, linkIndex) : null;
+    const supersededInCatalog = Boolean(ownSupersession) && ownSupersession.chain.length > 0 &&
+        Boolean(matchDrawingNo(ownSupersession.drawingNo, partIndex));
+
+    if (!direct && !crossReference && !supersededInCatalog) {
+        ranked = rankPartCandidates(importedId, partIndex);
+        if (ranked.length > 0 && ranked[0].score >= AUTO_MATCH_SCORE) {
+            direct = {
+                ...ranked[0].part,
+                matchType: 'fuzzy',
+                confidence: Math.round(ranked[0].score * 100) / 100,
+                matchReason: ranked[0].reason,
+                candidates: summarizeCandidates(ranked)
+            };
+            lookupId = direct['图号'];
+        }
+    }
+    if (!linkIndex) return result(direct);
+
+    const { drawingNo, chain } = resolveSupersession(lookupId, linkIndex);
+    const referenced = crossReference ? matchDrawingNo(lookupId, partIndex) : direct;
+    const withReference = part => (crossReference ? { ...part, matchType: 'crossReference', confidence: 1, crossReference } : part);
+
+    if (chain.length === 0) {
+        return result(referenced ? withReference(referenced) : null);
+    }
+
+    const supersession = { from: lookupId, to: drawingNo, chain };
+    const latest = matchDrawingNo(drawingNo, partIndex);
+    if (latest) {
+        // 评分匹配得到的旧图号仍需人工审核
+        const scored = direct && direct.matchType === 'fuzzy';
+        return result({
+            ...latest,
+            ...(crossReference ? { crossReference } : {}),
+            ...(scored ? { matchReason: direct.matchReason, candidates: direct.candidates } : {}),
+            matchType: scored ? 'fuzzy' : 'superseded',
+            confidence: referenced ? referenced.confidence : 1,
+            supersession
+        });
+    }
+    // 新图号还没有入库时仍使用原配件，并提示已被替代
+    return result(referenced ? { ...withReference(referenced), supersession: { ...supersession, pending: true } } : null);
+}
+
+// 批量匹配导入的图号，返回与 importedIds 一一对应的 { match, candidates, error }。
+// 匹配不到时 candidates 为候选配件摘要；onProgress(done, total) 约每 1% 调用一次。
+function matchPartNumbers(importedIds, partIndex, linkIndex = null, onProgress = null) {
+    const step = Math.max(1, Math.ceil(importedIds.length / 100));
+    return importedIds.map((importedId, i) => {
+        let result;
+        try {
+            result = matchPart(importedId, partIndex, linkIndex);
+        } catch (error) {
+            result = { match: null, candidates: [], error: error.message };
+        }
+        if (onProgress && ((i + 1) % step === 0 || i + 1 === importedIds.length)) {
+            onProgress(i + 1, importedIds.length);
+        }
+        return result;
+    });
+}
+
+export {
+    AUTO_MATCH_SCORE,
+    normalizePartNo,
+    buildPartIndex,
+    matchDrawingNo,
+    rankPartCandidates,
+    summarizeCandidates,
+    buildPartLinkIndex,
+    resolveSupersession,
+    enhancedFuzzyMatch,
+    matchPartNumbers
+};
@@ -0,0 +1,115 @@
+import {
+    AUTO_MATCH_SCORE,
+    normalizePartNo,
+    buildPartIndex,
+    buildPartLinkIndex,
+    rankPartCandidates,
+    resolveSupersession,
+    matchPartNumbers
+} from './partMatcher';
+
+const part = (id, drawingNo, name = '') => ({ '标识码': id, '图号': drawingNo, '名称': name });
+
+const emptyLinks = { supersessions: [], crossReferences: [] };
+
+function matchOne(importedId, parts, partLinks = emptyLinks, aliases = [], customerId = '') {
+    return matchPartNumbers([importedId], buildPartIndex(parts), buildPartLinkIndex(partLinks, aliases, customerId))[0];
+}
+
+describe('normalizePartNo', () => {
+    test('统一大小写和分隔符', () => {
+        expect(normalizePartNo(' hc400-01-000 ')).toBe(normalizePartNo('HC400.01.000'));
+    });
+});
+
+describe('直接匹配', () => {
+    test('完全一致时为精确匹配', () => {
+        const { match } = matchOne('HC400-01-000', [part('ZB0001', 'HC400-01-000')]);
+        expect(match['标识码']).toBe('ZB0001');
+        expect(match.matchType).toBe('exact');
+        expect(match.confidence).toBe(1);
+    });
+
+    test('相近图号按评分自动匹配并附带候选列表', () => {
+        const { match } = matchOne('HC400-01-00X', [part('ZB0001', 'HC400-01-000'), part('ZB0002', 'MV1100-02-002A')]);
+        expect(match['标识码']).toBe('ZB0001');
+        expect(match.matchType).toBe('fuzzy');
+        expect(match.confidence).toBeLessThan(1);
+        expect(match.candidates[0].id).toBe('ZB0001');
+    });
+
+    test('没有足够相近的配件时不自动匹配，只返回候选', () => {
+        const { match, candidates } = matchOne('HC400-99-777', [part('ZB0001', 'HC400-01-000')]);
+        expect(match).toBeNull();
+        expect(candidates.every(c => c.score < AUTO_MATCH_SCORE)).toBe(true);
+    });
+});
+
+describe('替代关系', () => {
+    const links = {
+        supersessions: [{ oldNo: '135-01-024', newNo: '135-01-030', date: '2024-01-01', reason: '改型' }],
+        crossReferences: []
+    };
+
+    test('旧图号不在库中但有替代关系时按替代关系匹配，不按相似度评分', () => {
+        const parts = [part('ZB0001', '135-01-024B'), part('ZB0002', '135-01-030')];
+        const { match } = matchOne('135-01-024', parts, links);
+        expect(match['标识码']).toBe('ZB0002');
+        expect(match.matchType).toBe('superseded');
+        expect(match.supersession.from).toBe('135-01-024');
+        expect(match.supersession.to).toBe('135-01-030');
+    });
+
+    test('旧图号在库中时匹配到最新图号', () => {
+        const parts = [part('ZB0001', '135-01-024'), part('ZB0002', '135-01-030')];
+        const { match } = matchOne('135-01-024', parts, links);
+        expect(match['标识码']).toBe('ZB0002');
+        expect(match.matchType).toBe('superseded');
+    });
+
+    test('新图号未入库时使用原配件并标记 pending', () => {
+        const { match } = matchOne('135-01-024', [part('ZB0001', '135-01-024')], links);
+        expect(match['标识码']).toBe('ZB0001');
+        expect(match.supersession.pending).toBe(true);
+    });
+
+    test('替代链出现循环时停止', () => {
+        const linkIndex = buildPartLinkIndex({
+            supersessions: [{ oldNo: 'A-1', newNo: 'A-2' }, { oldNo: 'A-2', newNo: 'A-1' }],
+            crossReferences: []
+        });
+        expect(resolveSupersession('A-1', linkIndex).chain).toHaveLength(2);
+    });
+});
+
+describe('编号对照与别名', () => {
+    test('按客户编号对照匹配', () => {
+        const links = { supersessions: [], crossReferences: [{ externalNo: 'CUST-77', partNo: 'HC400-01-000', type: 'customer', owner: '客户A' }] };
+        const { match } = matchOne('CUST-77', [part('ZB0001', 'HC400-01-000')], links);
+        expect(match['标识码']).toBe('ZB0001');
+        expect(match.matchType).toBe('crossReference');
+    });
+
+    test('客户专用别名优先于通用别名，其他客户不使用', () => {
+        const parts = [part('ZB0001', 'HC400-01-000'), part('ZB0002', 'MV1100-02-002A')];
+        const aliases = [
+            { importedId: 'X-9', partId: 'ZB0001', customerId: '' },
+            { importedId: 'X-9', partId: 'ZB0002', customerId: 'C0001' }
+        ];
+        expect(matchOne('X-9', parts, emptyLinks, aliases, 'C0001').match['标识码']).toBe('ZB0002');
+        expect(matchOne('X-9', parts, emptyLinks, aliases, 'C0002').match['标识码']).toBe('ZB0001');
+    });
+});
+
+describe('相似度评分', () => {
+    test('只差版本后缀时可自动匹配', () => {
+        const ranked = rankPartCandidates('MV1100-02-002', buildPartIndex([part('ZB0001', 'MV1100-02-002A')]));
+        expect(ranked[0].score).toBeGreaterThanOrEqual(AUTO_MATCH_SCORE);
+    });
+
+    test('字母 O 与数字 0 混淆时得分高于无关图号', () => {
+        const index = buildPartIndex([part('ZB0001', 'HC400-01-000'), part('ZB0002', 'HC400-07-123')]);
+        const ranked = rankPartCandidates('HC4OO-01-OOO', index);
+        expect(ranked[0].part['标识码']).toBe('ZB0001');
+    });
+});
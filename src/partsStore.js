@@ -0,0 +1,331 @@
+// ------------------ 配件数据库存储（IndexedDB） ------------------ //
+// 配件以 标识码 为主键逐条保存，另建 图号 索引。保存时只写入新增、修改和删除的记录，
+// 不再把整个数据库序列化到一个 localStorage 键里（容易超过约 5MB 的配额）。
+// 配件在表格中的顺序单独保存在 meta 中。
+// 清空、批量导入等操作前的自动快照（完整备份）保存在 snapshots 中，只保留最近几份。
+// 价格历史以 标识码 为键逐个配件保存在 priceHistory 中，同样只写入有变化的配件。
+// 审计日志逐条保存在 auditLog 中，只追加，不修改或删除已有记录。
+
+const DB_NAME = 'shipPartsDB';
+const DB_VERSION = 4;
+const PARTS_STORE = 'parts';
+const META_STORE = 'meta';
+const SNAPSHOT_STORE = 'snapshots';
+const PRICE_HISTORY_STORE = 'priceHistory';
+const AUDIT_STORE = 'auditLog';
+const ORDER_KEY = 'order';
+const MAX_SNAPSHOTS = 5;
+
+// 旧版本保存在 localStorage 中的配件数据，首次加载时迁移
+const LEGACY_STORAGE_KEY = 'shipPartsData';
+const LEGACY_PRICE_HISTORY_KEY = 'shipPartsPriceHistory';
+const LEGACY_AUDIT_LOG_KEY = 'shipAuditLog';
+
+let dbPromise = null;
+
+function isIndexedDbAvailable() {
+    return typeof window !== 'undefined' && Boolean(window.indexedDB);
+}
+
+function openPartsDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PARTS_STORE)) {
+                    const store = db.createObjectStore(PARTS_STORE, { keyPath: '标识码' });
+                    store.createIndex('图号', '图号', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    db.createObjectStore(META_STORE);
+                }
+                if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                    db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(PRICE_HISTORY_STORE)) {
+                    db.createObjectStore(PRICE_HISTORY_STORE);
+                }
+                if (!db.objectStoreNames.contains(AUDIT_STORE)) {
+                    db.createObjectStore(AUDIT_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('数据库被其他窗口占用，请关闭其他窗口后重试'));
+        });
+        // 打开失败时允许下次重试
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+// 在一个事务中执行 work，事务提交后返回 work 的结果对象
+function runTransaction(db, mode, work) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([PARTS_STORE, META_STORE], mode);
+        let result;
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('保存事务被中止'));
+        try {
+            result = work(tx.objectStore(PARTS_STORE), tx.objectStore(META_STORE));
+        } catch (error) {
+            tx.abort();
+            reject(error);
+        }
+    });
+}
+
+function writeAllParts(db, parts) {
+    return runTransaction(db, 'readwrite', (partsStore, metaStore) => {
+        partsStore.clear();
+        parts.forEach(part => partsStore.put(part));
+        metaStore.put(parts.map(part => part['标识码']), ORDER_KEY);
+    });
+}
+
+function orderParts(parts, order) {
+    const byId = new Map(parts.map(part => [part['标识码'], part]));
+    const ordered = order.map(id => byId.get(id)).filter(Boolean);
+    const orderedIds = new Set(order);
+    return ordered.concat(parts.filter(part => !orderedIds.has(part['标识码'])));
+}
+
+// 加载配件数据。数据库从未写入过时，迁移 localStorage 中的旧数据。
+// 返回 { parts, migrated }；parts 为 null 表示没有任何已保存的数据。
+async function loadParts() {
+    const db = await openPartsDb();
+    const stored = await runTransaction(db, 'readonly', (partsStore, metaStore) => {
+        const out = {};
+        partsStore.getAll().onsuccess = (e) => { out.parts = e.target.result; };
+        metaStore.get(ORDER_KEY).onsuccess = (e) => { out.order = e.target.result; };
+        return out;
+    });
+
+    if (stored.order) {
+        return { parts: orderParts(stored.parts, stored.order), migrated: 0 };
+    }
+
+    let legacy = null;
+    try {
+        legacy = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY));
+    } catch (error) {
+        console.error(`读取旧版配件数据失败: ${error.message}`);
+    }
+    if (!Array.isArray(legacy)) {
+        return { parts: null, migrated: 0 };
+    }
+
+    await writeAllParts(db, legacy);
+    // 写入成功后才删除旧数据，释放 localStorage 空间
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    return { parts: legacy, migrated: legacy.length };
+}
+
+// 比较上次成功保存的数据和新数据，得出需要写入和删除的记录以及顺序是否变化。
+// 配件记录按不可变方式更新，因此引用不同即视为已修改。
+function diffParts(previous, next) {
+    const previousById = new Map(previous.map(part => [part['标识码'], part]));
+    const nextIds = new Set();
+    const puts = [];
+    for (const part of next) {
+        const id = part['标识码'];
+        if (id === undefined || id === null || id === '') {
+            throw new Error(`配件 ${part['图号'] || ''} 缺少标识码`);
+        }
+        nextIds.add(id);
+        if (previousById.get(id) !== part) puts.push(part);
+    }
+    const deletes = [...previousById.keys()].filter(id => !nextIds.has(id));
+    const orderChanged = previous.length !== next.length ||
+        next.some((part, index) => previous[index]['标识码'] !== part['标识码']);
+    return { puts, deletes, orderChanged };
+}
+
+// 增量保存：只写入有变化的记录。previous 为 null 时写入全部记录。
+async function saveParts(previous, next) {
+    const db = await openPartsDb();
+    if (!previous) {
+        await writeAllParts(db, next);
+        return { written: next.length, deleted: 0 };
+    }
+
+    const { puts, deletes, orderChanged } = diffParts(previous, next);
+    if (puts.length === 0 && deletes.length === 0 && !orderChanged) {
+        return { written: 0, deleted: 0 };
+    }
+
+    await runTransaction(db, 'readwrite', (partsStore, metaStore) => {
+        puts.forEach(part => partsStore.put(part));
+        deletes.forEach(id => partsStore.delete(id));
+        if (orderChanged) {
+            metaStore.put(next.map(part => part['标识码']), ORDER_KEY);
+        }
+    });
+    return { written: puts.length, deleted: deletes.length };
+}
+
+async function clearParts() {
+    const db = await openPartsDb();
+    await writeAllParts(db, []);
+}
+
+function runSnapshotTransaction(db, mode, work) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(SNAPSHOT_STORE, mode);
+        let result;
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('快照事务被中止'));
+        result = work(tx.objectStore(SNAPSHOT_STORE));
+    });
+}
+
+// 按创建时间倒序返回全部快照
+async function listSnapshots() {
+    const db = await openPartsDb();
+    const out = await runSnapshotTransaction(db, 'readonly', store => {
+        const result = {};
+        store.getAll().onsuccess = (e) => { result.snapshots = e.target.result; };
+        return result;
+    });
+    return out.snapshots.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// 保存一份快照并删除超出保留数量的旧快照，返回保留的快照（倒序）
+async function saveSnapshot(bundle) {
+    if (!isIndexedDbAvailable()) {
+        throw new Error('当前环境不支持 IndexedDB，无法保存快照');
+    }
+    const snapshot = { ...bundle, id: `snapshot-${Date.now()}` };
+    const db = await openPartsDb();
+    await runSnapshotTransaction(db, 'readwrite', store => store.put(snapshot));
+    const snapshots = await listSnapshots();
+    const expired = snapshots.slice(MAX_SNAPSHOTS);
+    if (expired.length > 0) {
+        await runSnapshotTransaction(db, 'readwrite', store => expired.forEach(item => store.delete(item.id)));
+    }
+    return snapshots.slice(0, MAX_SNAPSHOTS);
+}
+
+function runPriceHistoryTransaction(db, mode, work) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(PRICE_HISTORY_STORE, mode);
+        let result;
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('价格历史事务被中止'));
+        result = work(tx.objectStore(PRICE_HISTORY_STORE));
+    });
+}
+
+// 加载价格历史 { 标识码: [记录] }。数据库中还没有价格历史时，迁移 localStorage 中的旧数据。
+// 返回 { history, migrated }，migrated 为迁移的配件数。
+async function loadPriceHistory() {
+    const db = await openPartsDb();
+    const stored = await runPriceHistoryTransaction(db, 'readonly', store => {
+        const out = {};
+        store.getAllKeys().onsuccess = (e) => { out.ids = e.target.result; };
+        store.getAll().onsuccess = (e) => { out.entries = e.target.result; };
+        return out;
+    });
+    const history = {};
+    stored.ids.forEach((id, index) => { history[id] = stored.entries[index]; });
+    if (stored.ids.length > 0) {
+        return { history, migrated: 0 };
+    }
+
+    let legacy = null;
+    try {
+        legacy = JSON.parse(localStorage.getItem(LEGACY_PRICE_HISTORY_KEY));
+    } catch (error) {
+        console.error(`读取旧版价格历史失败: ${error.message}`);
+    }
+    if (!legacy || typeof legacy !== 'object' || Array.isArray(legacy)) {
+        return { history, migrated: 0 };
+    }
+
+    await savePriceHistory(null, legacy);
+    // 写入成功后才删除旧数据，释放 localStorage 空间
+    localStorage.removeItem(LEGACY_PRICE_HISTORY_KEY);
+    return { history: legacy, migrated: Object.keys(legacy).length };
+}
+
+// 比较上次成功保存的价格历史和新的价格历史，得出需要写入和删除的配件。
+// 每个配件的记录列表按不可变方式更新，因此引用不同即视为已修改。
+function diffPriceHistory(previous, next) {
+    const puts = Object.keys(next).filter(id => previous[id] !== next[id]);
+    const deletes = Object.keys(previous).filter(id => !(id in next));
+    return { puts, deletes };
+}
+
+// 增量保存价格历史。previous 为 null 时用 next 替换全部价格历史（用于迁移和恢复备份）。
+async function savePriceHistory(previous, next) {
+    const db = await openPartsDb();
+    const { puts, deletes } = previous ? diffPriceHistory(previous, next) : { puts: Object.keys(next), deletes: [] };
+    if (previous && puts.length === 0 && deletes.length === 0) {
+        return { written: 0, deleted: 0 };
+    }
+    await runPriceHistoryTransaction(db, 'readwrite', store => {
+        if (!previous) store.clear();
+        puts.forEach(id => store.put(next[id], id));
+        deletes.forEach(id => store.delete(id));
+    });
+    return { written: puts.length, deleted: deletes.length };
+}
+
+function runAuditTransaction(db, mode, work) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(AUDIT_STORE, mode);
+        let result;
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('审计日志事务被中止'));
+        result = work(tx.objectStore(AUDIT_STORE));
+    });
+}
+
+// 追加审计记录。已有相同 id 的记录保持不变，不会被覆盖
+async function appendAuditEntries(entries) {
+    if (entries.length === 0) return;
+    const db = await openPartsDb();
+    await runAuditTransaction(db, 'readwrite', store => {
+        entries.forEach(entry => {
+            store.add(entry).onerror = (e) => {
+                if (e.target.error && e.target.error.name === 'ConstraintError') {
+                    // 阻止重复记录中止整个事务
+                    e.preventDefault();
+                    e.stopPropagation();
+                }
+            };
+        });
+    });
+}
+
+// 按时间顺序加载全部审计记录。localStorage 中有旧版日志时先追加到数据库再删除。
+async function loadAuditLog() {
+    let legacy = null;
+    try {
+        legacy = JSON.parse(localStorage.getItem(LEGACY_AUDIT_LOG_KEY));
+    } catch (error) {
+        console.error(`读取旧版审计日志失败: ${error.message}`);
+    }
+    if (Array.isArray(legacy)) {
+        await appendAuditEntries(legacy);
+        localStorage.removeItem(LEGACY_AUDIT_LOG_KEY);
+    }
+
+    const db = await openPartsDb();
+    const out = await runAuditTransaction(db, 'readonly', store => {
+        const result = {};
+        store.getAll().onsuccess = (e) => { result.entries = e.target.result; };
+        return result;
+    });
+    return out.entries.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+}
+
+export {
+    isIndexedDbAvailable, loadParts, saveParts, diffParts, clearParts, listSnapshots, saveSnapshot,
+    loadPriceHistory, savePriceHistory, diffPriceHistory, appendAuditEntries, loadAuditLog
+};
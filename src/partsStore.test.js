@@ -0,0 +1,61 @@
+import { diffParts, diffPriceHistory, isIndexedDbAvailable, saveSnapshot } from './partsStore';
+
+const part = (id, price = 0) => ({ '标识码': id, '图号': `P-${id}`, '指导价（不含税）': price });
+
+describe('diffParts', () => {
+    const a = part('ZB0001');
+    const b = part('ZB0002');
+    const c = part('ZB0003');
+
+    test('没有变化时不写入任何记录', () => {
+        expect(diffParts([a, b], [a, b])).toEqual({ puts: [], deletes: [], orderChanged: false });
+    });
+
+    test('只写入新增和修改的记录', () => {
+        const changedB = { ...b, '指导价（不含税）': 100 };
+        const { puts, deletes, orderChanged } = diffParts([a, b], [a, changedB, c]);
+        expect(puts).toEqual([changedB, c]);
+        expect(deletes).toEqual([]);
+        expect(orderChanged).toBe(true);
+    });
+
+    test('内容相同但引用不同的记录视为已修改', () => {
+        expect(diffParts([a], [{ ...a }]).puts).toHaveLength(1);
+    });
+
+    test('删除的记录按标识码删除', () => {
+        const { puts, deletes, orderChanged } = diffParts([a, b, c], [a, c]);
+        expect(puts).toEqual([]);
+        expect(deletes).toEqual(['ZB0002']);
+        expect(orderChanged).toBe(true);
+    });
+
+    test('只调整顺序时只更新顺序', () => {
+        expect(diffParts([a, b], [b, a])).toEqual({ puts: [], deletes: [], orderChanged: true });
+    });
+
+    test('缺少标识码时报错', () => {
+        expect(() => diffParts([a], [a, { '图号': 'X-1' }])).toThrow('配件 X-1 缺少标识码');
+    });
+});
+
+describe('diffPriceHistory', () => {
+    const entries = [{ effectiveDate: '2026-01-01', prices: {} }];
+
+    test('只写入记录有变化的配件，删除已不存在的配件', () => {
+        const previous = { ZB0001: entries, ZB0002: entries };
+        const next = { ZB0001: entries, ZB0003: [...entries] };
+        expect(diffPriceHistory(previous, next)).toEqual({ puts: ['ZB0003'], deletes: ['ZB0002'] });
+    });
+
+    test('没有变化时不写入', () => {
+        expect(diffPriceHistory({ ZB0001: entries }, { ZB0001: entries })).toEqual({ puts: [], deletes: [] });
+    });
+});
+
+describe('快照', () => {
+    test('不支持 IndexedDB 时保存快照报错', async () => {
+        expect(isIndexedDbAvailable()).toBe(false);
+        await expect(saveSnapshot({ data: {} })).rejects.toThrow('不支持 IndexedDB');
+    });
+});
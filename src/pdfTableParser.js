@@ -0,0 +1,190 @@
+// ------------------ PDF 文本提取与表格重建 ------------------ //
+// pdf.js 只给出一个个带坐标的文本块，这里先按纵坐标把文本块归并成行，
+// 再根据表头各列的横坐标把同一行里的文本分配到 图号/名称/数量 等列，
+// 保证同一条配件的各个字段取自同一行。
+
+// 表头关键字，按列名归类（比较时忽略大小写和空格）。
+// 序号列只用于占位，避免序号被分到图号列。
+const PDF_HEADER_KEYWORDS = {
+    '序号': ['序号', '项次', 'no', 'item', 'pos'],
+    '图号': ['图号', '件号', '零件号', '配件号', '物料号', 'partno', 'partnumber', 'materialno'],
+    '名称': ['名称', '件名', '品名', '配件名称', 'description', 'name'],
+    '数量': ['数量', 'qty', 'quantity'],
+    '单位': ['单位', 'unit'],
+    '备注': ['备注', 'remark', 'remarks']
+};
+
+// 表尾汇总行，不作为配件处理
+const SUMMARY_ROW_PATTERN = /^(合计|总计|小计|total)/i;
+
+function normalizeHeaderText(text) {
+    return String(text || '').replace(/[\s.:：]/g, '').toLowerCase();
+}
+
+// 加载 PDF 并返回每页带坐标的文本块
+async function loadPdfTextItems(fileContent) {
+    const { default: pdfjsLib } = await import('./pdfjsLoader');
+    let pdf;
+    try {
+        pdf = await pdfjsLib.getDocument({ data: fileContent }).promise;
+    } catch (error) {
+        throw new Error('无法打开PDF文件: ' + error.message);
+    }
+
+    const pages = [];
+    for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        const textContent = await page.getTextContent();
+        const items = textContent.items
+            .filter(item => item.str && item.str.trim() !== '')
+            .map(item => {
+                const [a, b, c, d, x, y] = item.transform;
+                return {
+                    str: item.str.trim(),
+                    x,
+                    y,
+                    width: item.width || 0,
+                    height: item.height || Math.hypot(c, d) || Math.hypot(a, b) || 10
+                };
+            });
+        pages.push({ pageNumber: i, items });
+    }
+    return pages;
+}
+
+// 按纵坐标把文本块归并成行，行内按横坐标排序
+function groupItemsIntoRows(items) {
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const rows = [];
+    for (const item of sorted) {
+        const current = rows[rows.length - 1];
+        const tolerance = Math.max(2, item.height * 0.5);
+        if (current && Math.abs(current.y - item.y) <= tolerance) {
+            current.items.push(item);
+        } else {
+            rows.push({ y: item.y, items: [item] });
+        }
+    }
+    rows.forEach(row => row.items.sort((a, b) => a.x - b.x));
+    return rows;
+}
+
+function rowText(row) {
+    return row.items.map(item => item.str).join(' ');
+}
+
+// 识别表头行，返回各列的名称和中心横坐标
+function detectHeaderColumns(row) {
+    const columns = [];
+    for (const item of row.items) {
+        const text = normalizeHeaderText(item.str);
+        const key = Object.keys(PDF_HEADER_KEYWORDS).find(columnKey =>
+            PDF_HEADER_KEYWORDS[columnKey].includes(text)
+        );
+        if (key && !columns.some(col => col.key === key)) {
+            columns.push({ key, center: item.x + item.width / 2 });
+        }
+    }
+    const keys = columns.map(col => col.key);
+    if (keys.includes('图号') && (keys.includes('名称') || keys.includes('数量'))) {
+        return columns.sort((a, b) => a.center - b.center);
+    }
+    return null;
+}
+
+// 把一行中的文本块分配到距离最近的列
+function assignRowToColumns(row, columns) {
+    const cells = {};
+    for (const item of row.items) {
+        const center = item.x + item.width / 2;
+        let nearest = columns[0];
+        for (const col of columns) {
+            if (Math.abs(col.center - center) < Math.abs(nearest.center - center)) {
+                nearest = col;
+            }
+        }
+        cells[nearest.key] = cells[nearest.key] ? `${cells[nearest.key]} ${item.str}` : item.str;
+    }
+    return cells;
+}
+
+function parseQuantity(value) {
+    const match = String(value || '').match(/\d+(\.\d+)?/);
+    return match ? Math.max(1, Math.round(parseFloat(match[0]))) : null;
+}
+
+// 从带坐标的页面数据中重建配件表格。
+// 找不到表头时返回 null，由调用方改用逐行文本解析。
+function parsePdfTable(pages) {
+    const parts = [];
+    let columns = null;
+    let foundHeader = false;
+
+    for (const page of pages) {
+        const rows = groupItemsIntoRows(page.items);
+        for (let rowIndex = 0; rowIndex < rows.length; rowIndex++) {
+            const row = rows[rowIndex];
+            const headerColumns = detectHeaderColumns(row);
+            if (headerColumns) {
+                // 每页表头可能重复出现，以最新的列位置为准
+                columns = headerColumns;
+                foundHeader = true;
+                continue;
+            }
+            if (!columns) continue;
+
+            const cells = assignRowToColumns(row, columns);
+            const partNumber = (cells['图号'] || '').replace(/\s+/g, '');
+            if (SUMMARY_ROW_PATTERN.test(rowText(row).trim())) continue;
+
+            if (!partNumber) {
+                // 名称过长换行时，续行只有名称列有内容
+                const previous = parts[parts.length - 1];
+                if (previous && cells['名称'] && Object.keys(cells).length === 1) {
+                    previous['名称'] = `${previous['名称']}${cells['名称']}`;
+                }
+                continue;
+            }
+
+            const quantity = parseQuantity(cells['数量']);
+            const remark = [
+                `PDF第${page.pageNumber}页第${rowIndex + 1}行`,
+                cells['单位'] ? `单位:${cells['单位']}` : '',
+                cells['备注'] || '',
+                quantity === null ? '未识别数量，默认为1' : ''
+            ].filter(Boolean).join('; ');
+
+            parts.push({
+                '图号': partNumber,
+                '名称': cells['名称'] || '未知配件',
+                '数量': quantity || 1,
+                '备注': remark
+            });
+        }
+    }
+
+    return foundHeader ? mergeDuplicateParts(parts) : null;
+}
+
+// 同一图号出现多次时合并数量
+function mergeDuplicateParts(parts) {
+    const merged = new Map();
+    for (const part of parts) {
+        const existing = merged.get(part['图号']);
+        if (existing) {
+            existing['数量'] += part['数量'];
+        } else {
+            merged.set(part['图号'], { ...part });
+        }
+    }
+    return Array.from(merged.values());
+}
+
+// 无表头时，把重建后的行拼接成文本供逐行解析
+function pagesToText(pages) {
+    return pages
+        .map(page => groupItemsIntoRows(page.items).map(rowText).join('\n'))
+        .join('\n');
+}
+
+export { loadPdfTextItems, groupItemsIntoRows, parsePdfTable, pagesToText };
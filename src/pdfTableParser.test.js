@@ -0,0 +1,78 @@
+import { groupItemsIntoRows, parsePdfTable, pagesToText } from './pdfTableParser';
+
+// 文本块：x 为左边界，y 为基线纵坐标（越往下越小）
+const item = (str, x, y, width = 40) => ({ str, x, y, width, height: 10 });
+
+const header = y => [
+    item('序号', 20, y, 20),
+    item('图号', 60, y),
+    item('名称', 160, y),
+    item('数量', 280, y, 20),
+    item('备注', 340, y)
+];
+
+describe('groupItemsIntoRows', () => {
+    test('纵坐标相近的文本块归为同一行，并按横坐标排序', () => {
+        const rows = groupItemsIntoRows([item('B', 100, 700.5), item('A', 20, 700), item('C', 20, 680)]);
+        expect(rows).toHaveLength(2);
+        expect(rows[0].items.map(i => i.str)).toEqual(['A', 'B']);
+        expect(rows[1].items.map(i => i.str)).toEqual(['C']);
+    });
+});
+
+describe('parsePdfTable', () => {
+    test('按表头列位置把同一行的字段分配到对应列', () => {
+        const pages = [{
+            pageNumber: 1,
+            items: [
+                ...header(700),
+                item('1', 20, 680, 10), item('135-01-003A', 60, 680), item('输入轴总成', 160, 680), item('2', 285, 680, 10),
+                item('2', 20, 660, 10), item('6317N', 60, 660), item('轴承', 160, 660), item('4', 285, 660, 10), item('急件', 340, 660)
+            ]
+        }];
+        const parts = parsePdfTable(pages);
+        expect(parts).toHaveLength(2);
+        expect(parts[0]).toMatchObject({ '图号': '135-01-003A', '名称': '输入轴总成', '数量': 2 });
+        expect(parts[1]).toMatchObject({ '图号': '6317N', '名称': '轴承', '数量': 4 });
+        expect(parts[1]['备注']).toContain('急件');
+        expect(parts[1]['备注']).toContain('PDF第1页');
+    });
+
+    test('名称换行的续行并入上一条，合计行忽略', () => {
+        const pages = [{
+            pageNumber: 1,
+            items: [
+                ...header(700),
+                item('NJ313', 60, 680), item('圆柱滚子', 160, 680), item('5', 285, 680, 10),
+                item('轴承', 160, 665),
+                item('合计', 20, 640, 30), item('5', 285, 640, 10)
+            ]
+        }];
+        const parts = parsePdfTable(pages);
+        expect(parts).toHaveLength(1);
+        expect(parts[0]['名称']).toBe('圆柱滚子轴承');
+    });
+
+    test('跨页重复的表头重新定位列，同一图号合并数量', () => {
+        const pages = [
+            { pageNumber: 1, items: [...header(700), item('6317N', 60, 680), item('轴承', 160, 680), item('4', 285, 680, 10)] },
+            { pageNumber: 2, items: [...header(720), item('6317N', 60, 700), item('轴承', 160, 700), item('1', 285, 700, 10)] }
+        ];
+        const parts = parsePdfTable(pages);
+        expect(parts).toHaveLength(1);
+        expect(parts[0]['数量']).toBe(5);
+    });
+
+    test('无法识别数量时默认为 1 并在备注中说明', () => {
+        const pages = [{ pageNumber: 1, items: [...header(700), item('6317N', 60, 680), item('轴承', 160, 680)] }];
+        const [part] = parsePdfTable(pages);
+        expect(part['数量']).toBe(1);
+        expect(part['备注']).toContain('未识别数量');
+    });
+
+    test('找不到表头时返回 null，由调用方改用文本解析', () => {
+        const pages = [{ pageNumber: 1, items: [item('客户订单', 20, 700), item('6317N 轴承 4', 20, 680, 120)] }];
+        expect(parsePdfTable(pages)).toBeNull();
+        expect(pagesToText(pages)).toBe('客户订单\n6317N 轴承 4');
+    });
+});
@@ -0,0 +1,9 @@
+import * as pdfjsLib from 'pdfjs-dist';
+
+// 使用随应用打包的 pdf.js 及其 worker，不再依赖 CDN 注入的 window.pdfjsLib
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
+    'pdfjs-dist/build/pdf.worker.min.js',
+    import.meta.url
+).toString();
+
+export default pdfjsLib;
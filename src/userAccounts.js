@@ -0,0 +1,156 @@
+// ------------------ 用户账户与权限 ------------------ //
+// 账户保存在本机 localStorage 中，密码使用 PBKDF2-SHA256 加盐哈希，不保存明文。
+// 登录状态保存在会话记录里，刷新页面后仍然有效；超过空闲时限未操作则自动退出。
+
+const USERS_KEY = 'shipUsers';
+const SESSION_KEY = 'shipSession';
+
+const SESSION_IDLE_MINUTES = 30;
+const PBKDF2_ITERATIONS = 100000;
+const MIN_PASSWORD_LENGTH = 6;
+
+const USER_ROLES = {
+    viewer: '只读用户',
+    sales: '销售',
+    pricingAdmin: '价格管理员',
+    systemAdmin: '系统管理员'
+};
+
+// 各项操作允许的角色；未登录时只能浏览
+const ROLE_PERMISSIONS = {
+    quote: ['sales', 'pricingAdmin', 'systemAdmin'],
+    importParts: ['pricingAdmin', 'systemAdmin'],
+    exportDatabase: ['pricingAdmin', 'systemAdmin'],
+    managePricing: ['pricingAdmin', 'systemAdmin'],
+    editParts: ['pricingAdmin', 'systemAdmin'],
+    clearDatabase: ['systemAdmin'],
+    viewAuditLog: ['pricingAdmin', 'systemAdmin'],
+    backupRestore: ['systemAdmin'],
+    manageUsers: ['systemAdmin']
+};
+
+function hasPermission(user, permission) {
+    return Boolean(user) && (ROLE_PERMISSIONS[permission] || []).includes(user.role);
+}
+
+function toHex(bytes) {
+    return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function hashPassword(password, salt, iterations = PBKDF2_ITERATIONS) {
+    if (!window.crypto || !window.crypto.subtle) {
+        throw new Error('当前环境不支持安全的密码存储，请通过 HTTPS 或本机地址访问');
+    }
+    const encoder = new TextEncoder();
+    const key = await window.crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await window.crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations },
+        key,
+        256
+    );
+    return toHex(bits);
+}
+
+function loadUsers() {
+    try {
+        const users = JSON.parse(localStorage.getItem(USERS_KEY));
+        return Array.isArray(users) ? users : [];
+    } catch (error) {
+        console.error(`读取用户账户失败: ${error.message}`);
+        return [];
+    }
+}
+
+function saveUsers(users) {
+    try {
+        localStorage.setItem(USERS_KEY, JSON.stringify(users));
+        return true;
+    } catch (error) {
+        console.error(`保存用户账户失败: ${error.message}`);
+        return false;
+    }
+}
+
+// 新建或修改账户；password 为空时保留原密码（修改已有账户时）
+async function buildUserRecord({ username, name, role, password }, existing = null) {
+    const trimmed = String(username || '').trim();
+    if (!trimmed) throw new Error('请输入用户名');
+    if (!USER_ROLES[role]) throw new Error('请选择角色');
+    if (!existing || password) {
+        if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`密码至少需要 ${MIN_PASSWORD_LENGTH} 位`);
+        }
+    }
+    const record = {
+        ...(existing || { createdAt: new Date().toISOString() }),
+        username: trimmed,
+        name: String(name || '').trim() || trimmed,
+        role
+    };
+    if (password) {
+        const salt = toHex(window.crypto.getRandomValues(new Uint8Array(16)));
+        record.salt = salt;
+        record.iterations = PBKDF2_ITERATIONS;
+        record.passwordHash = await hashPassword(password, salt);
+    }
+    return record;
+}
+
+// 校验用户名和密码，成功时返回账户记录
+async function authenticate(users, username, password) {
+    const user = users.find(u => u.username === String(username || '').trim());
+    if (!user) return null;
+    const hash = await hashPassword(String(password || ''), user.salt, user.iterations);
+    return hash === user.passwordHash ? user : null;
+}
+
+function startSession(username) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ username, lastActive: Date.now() }));
+}
+
+function touchSession() {
+    const session = readSession();
+    if (session) startSession(session.username);
+}
+
+function endSession() {
+    localStorage.removeItem(SESSION_KEY);
+}
+
+function readSession() {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+function isSessionExpired(session) {
+    return !session || Date.now() - session.lastActive > SESSION_IDLE_MINUTES * 60 * 1000;
+}
+
+// 恢复上次的登录状态；会话过期或账户已删除时返回 null
+function restoreSession(users) {
+    const session = readSession();
+    if (isSessionExpired(session)) {
+        endSession();
+        return null;
+    }
+    return users.find(u => u.username === session.username) || null;
+}
+
+export {
+    USER_ROLES,
+    SESSION_IDLE_MINUTES,
+    hasPermission,
+    loadUsers,
+    saveUsers,
+    buildUserRecord,
+    authenticate,
+    startSession,
+    touchSession,
+    endSession,
+    readSession,
+    isSessionExpired,
+    restoreSession
+};
@@ -0,0 +1,115 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import {
+    SESSION_IDLE_MINUTES,
+    hasPermission,
+    loadUsers,
+    saveUsers,
+    buildUserRecord,
+    authenticate,
+    startSession,
+    endSession,
+    readSession,
+    isSessionExpired,
+    restoreSession
+} from './userAccounts';
+
+// jsdom 没有提供 crypto.subtle 和 TextEncoder，使用 Node 自带的实现
+beforeAll(() => {
+    if (!window.crypto || !window.crypto.subtle) {
+        Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+    }
+    if (typeof global.TextEncoder === 'undefined') global.TextEncoder = TextEncoder;
+});
+
+afterEach(() => {
+    localStorage.clear();
+    jest.restoreAllMocks();
+});
+
+describe('账户与密码', () => {
+    test('只保存加盐哈希，不保存明文密码', async () => {
+        const user = await buildUserRecord({ username: ' alice ', name: '', role: 'sales', password: 'secret1' });
+        expect(user.username).toBe('alice');
+        expect(user.name).toBe('alice');
+        expect(user.passwordHash).toMatch(/^[0-9a-f]{64}$/);
+        expect(user.salt).toMatch(/^[0-9a-f]{32}$/);
+        expect(JSON.stringify(user)).not.toContain('secret1');
+    });
+
+    test('相同密码的两个账户哈希不同', async () => {
+        const a = await buildUserRecord({ username: 'a', role: 'sales', password: 'secret1' });
+        const b = await buildUserRecord({ username: 'b', role: 'sales', password: 'secret1' });
+        expect(a.passwordHash).not.toBe(b.passwordHash);
+    });
+
+    test('密码过短或角色无效时报错', async () => {
+        await expect(buildUserRecord({ username: 'a', role: 'sales', password: '123' })).rejects.toThrow('密码至少需要');
+        await expect(buildUserRecord({ username: 'a', role: 'root', password: 'secret1' })).rejects.toThrow('请选择角色');
+    });
+
+    test('修改账户时密码留空则保留原密码', async () => {
+        const user = await buildUserRecord({ username: 'a', role: 'sales', password: 'secret1' });
+        const updated = await buildUserRecord({ username: 'a', name: '张三', role: 'pricingAdmin', password: '' }, user);
+        expect(updated.passwordHash).toBe(user.passwordHash);
+        expect(updated.role).toBe('pricingAdmin');
+        expect(await authenticate([updated], 'a', 'secret1')).toBe(updated);
+    });
+
+    test('用户名或密码错误时登录失败', async () => {
+        const users = [await buildUserRecord({ username: 'a', role: 'sales', password: 'secret1' })];
+        expect(await authenticate(users, 'a', 'secret1')).toBe(users[0]);
+        expect(await authenticate(users, 'a', 'wrong-pass')).toBeNull();
+        expect(await authenticate(users, 'b', 'secret1')).toBeNull();
+    });
+
+    test('账户列表读写 localStorage，内容损坏时返回空列表', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(saveUsers([{ username: 'a' }])).toBe(true);
+        expect(loadUsers()).toEqual([{ username: 'a' }]);
+        localStorage.setItem('shipUsers', '{');
+        expect(loadUsers()).toEqual([]);
+    });
+});
+
+describe('权限', () => {
+    test('按角色判断，未登录时没有任何操作权限', () => {
+        expect(hasPermission({ role: 'sales' }, 'quote')).toBe(true);
+        expect(hasPermission({ role: 'sales' }, 'managePricing')).toBe(false);
+        expect(hasPermission({ role: 'systemAdmin' }, 'manageUsers')).toBe(true);
+        expect(hasPermission({ role: 'viewer' }, 'quote')).toBe(false);
+        expect(hasPermission(null, 'quote')).toBe(false);
+        expect(hasPermission({ role: 'systemAdmin' }, 'unknown')).toBe(false);
+    });
+});
+
+describe('登录会话', () => {
+    const idleMs = SESSION_IDLE_MINUTES * 60 * 1000;
+
+    test('空闲时间内恢复登录状态', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1000000);
+        startSession('a');
+        Date.now.mockReturnValue(1000000 + idleMs - 1);
+        expect(restoreSession([{ username: 'a' }])).toEqual({ username: 'a' });
+    });
+
+    test('超过空闲时限后会话过期并被清除', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1000000);
+        startSession('a');
+        Date.now.mockReturnValue(1000000 + idleMs + 1);
+        expect(isSessionExpired(readSession())).toBe(true);
+        expect(restoreSession([{ username: 'a' }])).toBeNull();
+        expect(readSession()).toBeNull();
+    });
+
+    test('账户已删除时不恢复登录', () => {
+        startSession('a');
+        expect(restoreSession([{ username: 'b' }])).toBeNull();
+    });
+
+    test('退出登录后没有会话', () => {
+        startSession('a');
+        endSession();
+        expect(isSessionExpired(readSession())).toBe(true);
+    });
+});